@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Headless Command Line Runner
+ * Runs a simulation scenario without the browser and writes the results to a directory
+ *
+ * Usage:
+ *   anv run --config scenario.json [--agents agents.csv] [--topics topics.csv] [--seed 42] [--out results/]
+ *   anv sweep --config scenario.json --param agreementTolerance=0.1:0.9:5 [--param cycles=10,20,50] [--replicates 5] [--out results/]
+ */
+
+import { parseArgs } from 'node:util';
+import fs from 'node:fs';
+import path from 'node:path';
+import { executeSimulation } from '../src/lib/simulationPipeline.js';
+import { parseVectorCsv } from '../src/lib/vectorImport.js';
+import { scenarioFileToConfig, createRunArtifacts } from '../src/lib/headlessRun.js';
+import {
+  parseAxisSpec,
+  runSweep,
+  computeSensitivity,
+  exportSweepCsv,
+  exportSweepSummaryCsv,
+} from '../src/lib/parameterSweep.js';
+
+const USAGE = `Usage:
+  anv run --config <scenario.json> [options]
+  anv sweep --config <scenario.json> --param <spec> [--param <spec>] [options]
+
+Options:
+  --config <file>     Scenario JSON (templates/scenario_template.json format, a scenario or results
+                      export, or model_settings.json of an earlier run)
+  --agents <file>     Agent vectors CSV (one agent per row; optional activity, stubbornness,
+                      openness, influence and tieCapacity columns)
+  --topics <file>     Topic vectors CSV (optional first column with topic names)
+  --seed <n>          Seed for a reproducible run
+  --cycles <n>        Override the number of cycles
+  --history <k>       Record a history snapshot every k cycles (default 0, off)
+  --out <dir>         Output directory (default: results)
+  -h, --help          Show this help
+
+Sweep options:
+  --param <spec>      Swept parameter: name=from:to:steps or name=v1,v2,... (repeatable)
+  --replicates <n>    Runs per grid point (default: 3); replicate r uses seed (--seed or 1) + r
+`;
+
+const OPTIONS = {
+  config: { type: 'string' },
+  agents: { type: 'string' },
+  topics: { type: 'string' },
+  seed: { type: 'string' },
+  cycles: { type: 'string' },
+  history: { type: 'string' },
+  out: { type: 'string', default: 'results' },
+  param: { type: 'string', multiple: true },
+  replicates: { type: 'string', default: '3' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Convert numeric command line options into simulation param overrides
+ */
+function getOverrides(values) {
+  const overrides = {};
+  const numeric = { seed: 'seed', cycles: 'cycles', history: 'historyInterval' };
+
+  Object.entries(numeric).forEach(([option, param]) => {
+    if (values[option] === undefined) return;
+    const value = Number(values[option]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`--${option} must be a number, got "${values[option]}"`);
+    }
+    overrides[param] = value;
+  });
+
+  return overrides;
+}
+
+/**
+ * Read the scenario and vector files into a pipeline config
+ */
+function loadConfig(values) {
+  if (!values.config) {
+    throw new Error('--config is required');
+  }
+
+  const scenario = JSON.parse(fs.readFileSync(values.config, 'utf8'));
+  const agents = values.agents ? parseVectorCsv(fs.readFileSync(values.agents, 'utf8'), { agentAttributes: true }) : null;
+  const topics = values.topics ? parseVectorCsv(fs.readFileSync(values.topics, 'utf8')) : null;
+
+  return scenarioFileToConfig(scenario, {
+    overrides: getOverrides(values),
+    uploadedAgents: agents?.vectors || null,
+    uploadedTopics: topics?.vectors || null,
+    uploadedTopicNames: topics?.names || null,
+    uploadedAgentAttributes: agents?.attributes || null,
+    uploadedAgentRoles: agents?.roles || null,
+  });
+}
+
+/**
+ * Write output files into the output directory
+ */
+function writeFiles(outDir, files) {
+  fs.mkdirSync(outDir, { recursive: true });
+  Object.entries(files).forEach(([name, content]) => {
+    fs.writeFileSync(path.join(outDir, name), content);
+    console.log(`  ${path.join(outDir, name)}`);
+  });
+}
+
+async function run(values) {
+  const config = loadConfig(values);
+  const { simulationParams } = config;
+  console.log(
+    `Running ${simulationParams.agentCount} agents, ${simulationParams.cycles} cycles, seed ${simulationParams.seed}`
+  );
+
+  const result = await executeSimulation(config);
+  const files = createRunArtifacts(result, config, {
+    agentsFile: values.agents ? path.basename(values.agents) : null,
+    topicsFile: values.topics ? path.basename(values.topics) : null,
+  });
+
+  writeFiles(values.out, files);
+}
+
+async function sweep(values) {
+  if (!values.param?.length) {
+    throw new Error('at least one --param is required');
+  }
+
+  const config = loadConfig(values);
+  const axes = values.param.map(parseAxisSpec);
+  const replicates = Number(values.replicates);
+  if (!Number.isInteger(replicates) || replicates < 1) {
+    throw new Error(`--replicates must be a positive integer, got "${values.replicates}"`);
+  }
+
+  const result = await runSweep(config, axes, {
+    replicates,
+    baseSeed: values.seed !== undefined ? config.simulationParams.seed : 1,
+    onProgress: (done, total) => process.stdout.write(`\rRun ${done}/${total}`),
+  });
+  process.stdout.write('\n');
+
+  const sensitivity = computeSensitivity(result);
+  writeFiles(values.out, {
+    'sweep_runs.csv': exportSweepCsv(result),
+    'sweep_summary.csv': exportSweepSummaryCsv(result),
+    'sweep_sensitivity.csv': ['param,metric,min,max,range',
+      ...sensitivity.map(row => [row.param, row.metric, row.min, row.max, row.range].join(','))].join('\n') + '\n',
+  });
+}
+
+const COMMANDS = { run, sweep };
+
+async function main() {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}"`);
+  }
+
+  await COMMANDS[command](values);
+}
+
+main().catch(error => {
+  console.error(`anv: ${error.message}`);
+  process.exitCode = 1;
+});
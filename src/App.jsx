@@ -1,6 +1,16 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import './App.css';
-import { generateAgentPopulation, generateTopics, runSimulation, prepareVisualizationData, generateSimulationReport } from './lib/agentSimulation';
+import { MAX_SEED } from './lib/random';
+import { DEFAULT_PARAMS, DEFAULT_MODEL_PARAMS, validateParams } from './lib/simulationConfig';
+import { startSimulation } from './lib/simulationRunner';
+import { PREDEFINED_TOPIC_NAMES, resizeClusterOpinions } from './lib/simulationPipeline';
+import { prepareVisualizationData } from './lib/agentSimulation';
+import { resizeTopicSettings } from './lib/topicAgenda';
+import { parseVectorRows } from './lib/vectorImport';
+import { isSparseConnections } from './lib/connectionStore';
+import { exportConnectionEdges, exportRunInputs } from './lib/exportUtils';
+import { RUN_LIBRARY_LIMIT } from './lib/runLibrary';
+import { createInitialState, updateProgress, setRunning, setPaused, setCancelled, setResults, setError as setStateError } from './lib/simulationState';
 import AdvancedScenarioManager from './components/AdvancedScenarioManager';
 import EnhancedScenarioManager from './components/EnhancedScenarioManager';
 import VectorManager from './components/VectorManager';
@@ -10,6 +20,11 @@ import AdvancedAnalytics from './components/AdvancedAnalytics';
 import AdvancedAnalyticsWithExport from './components/AdvancedAnalyticsWithExport';
 
 import AIAnalysisManager from './components/AIAnalysisManager';
+import ParameterSweepManager from './components/ParameterSweepManager';
+import RunLibraryManager from './components/RunLibraryManager';
+import ModelParamsEditor from './components/ModelParamsEditor';
+import AgentAttributesEditor from './components/AgentAttributesEditor';
+import AgentRolesEditor from './components/AgentRolesEditor';
 import ResultsTabs from './components/ResultsTabs';
 import Papa from 'papaparse';
 
@@ -32,16 +47,33 @@ const Button = ({ children, onClick, className = '', variant = 'primary', disabl
   )
 }
 
+// Настройки библиотеки запусков хранятся в браузере
+const LIBRARY_SETTINGS_KEY = 'run_library_settings';
+const DEFAULT_LIBRARY_SETTINGS = { autoSave: true, keep: RUN_LIBRARY_LIMIT };
+
+const loadLibrarySettings = () => {
+  try {
+    return { ...DEFAULT_LIBRARY_SETTINGS, ...JSON.parse(localStorage.getItem(LIBRARY_SETTINGS_KEY) || '{}') };
+  } catch {
+    return DEFAULT_LIBRARY_SETTINGS;
+  }
+};
+
 function App() {
   // Основные параметры симуляции
   const [simulationParams, setSimulationParams] = useState({
     agentCount: 150,
     cycles: 50,
-    threshold: 0.1,
+    agreementTolerance: 0.1, // допуск согласия мнений — параметр модели
+    edgeThreshold: 0.1, // порог связи для графов, аналитики и экспорта
+    strongTieThreshold: 0.7, // порог сильной связи
     vectorDimension: 10,
     numClusters: 3,
     recalculateClustersAfter: 0,
-    scenario: 'A'
+    scenario: 'A',
+    seed: null, // null — новый случайный seed при каждом запуске
+    historyInterval: DEFAULT_PARAMS.historyInterval, // снимок сети каждые k циклов (0 — без истории)
+    ...DEFAULT_MODEL_PARAMS // коэффициенты модели (α, β, γ, скорости изменения связей)
   });
 
   // Расширенные настройки
@@ -56,10 +88,21 @@ function App() {
   });
 
   // Состояние симуляции
-  const [simulationData, setSimulationData] = useState(null);
   const [rawSimulationData, setRawSimulationData] = useState(null);
   const [simulationReport, setSimulationReport] = useState('');
-  const [isRunning, setIsRunning] = useState(false);
+
+  // Связи графов отбираются по текущему порогу связи: его изменение не требует нового запуска модели
+  const simulationData = useMemo(
+    () => rawSimulationData && prepareVisualizationData(
+      rawSimulationData.agents,
+      rawSimulationData.connections,
+      simulationParams.edgeThreshold
+    ),
+    [rawSimulationData, simulationParams.edgeThreshold]
+  );
+  const [runState, setRunState] = useState(createInitialState);
+  const runControllerRef = useRef(null);
+  const { isRunning, isPaused } = runState;
   const [error, setError] = useState(null);
 
   // Управление интерфейсом
@@ -68,39 +111,58 @@ function App() {
 
   // Загруженные данные
   const [uploadedAgents, setUploadedAgents] = useState(null);
+  const [uploadedAgentAttributes, setUploadedAgentAttributes] = useState(null);
+  const [agentAttributeSettings, setAgentAttributeSettings] = useState({ clusterAttributes: {} });
+  const [uploadedAgentRoles, setUploadedAgentRoles] = useState(null);
+  const [roleSettings, setRoleSettings] = useState({ counts: {}, agendas: {}, assignments: {} });
   const [uploadedTopics, setUploadedTopics] = useState(null);
   const [uploadedTopicNames, setUploadedTopicNames] = useState(null);
 
+  // Входные данные прогона для полного экспорта и их восстановление при импорте
+  const runInputs = {
+    uploadedAgents,
+    uploadedTopics,
+    uploadedTopicNames,
+    uploadedAgentAttributes,
+    agentAttributeSettings,
+    uploadedAgentRoles,
+    roleSettings,
+  };
+  const runInputSetters = {
+    uploadedAgents: setUploadedAgents,
+    uploadedTopics: setUploadedTopics,
+    uploadedTopicNames: setUploadedTopicNames,
+    uploadedAgentAttributes: setUploadedAgentAttributes,
+    agentAttributeSettings: (settings) => setAgentAttributeSettings(settings || { clusterAttributes: {} }),
+    uploadedAgentRoles: setUploadedAgentRoles,
+    roleSettings: (settings) => setRoleSettings({ counts: {}, agendas: {}, assignments: {}, ...settings }),
+  };
+  const handleRunInputsImport = (inputs) => {
+    Object.entries(inputs).forEach(([key, value]) => runInputSetters[key](value));
+  };
+
+  // Библиотека запусков: автосохранение и число хранимых запусков
+  const [librarySettings, setLibrarySettings] = useState(loadLibrarySettings);
+  useEffect(() => {
+    localStorage.setItem(LIBRARY_SETTINGS_KEY, JSON.stringify(librarySettings));
+  }, [librarySettings]);
+
   // История кластеризации
   const [clusterHistory, setClusterHistory] = useState([]);
 
-  // Инициализация настроек тем при изменении количества
+  // Настройки тем подгоняются под их число; заданные (в том числе импортированные) темы и их повестка сохраняются
   useEffect(() => {
-    const defaultTopics = Array.from({ length: topicSettings.numTopics }, (_, i) => ({
-      id: i,
-      name: `Тема ${i + 1}`,
-      type: 'random',
-      targetCluster: 0,
-      proximityLevel: 0.5,
-      customVector: null
-    }));
-
-    setTopicSettings(prev => ({
+    setTopicSettings(prev => (prev.topics?.length === prev.numTopics ? prev : {
       ...prev,
-      topics: defaultTopics
+      topics: resizeTopicSettings(prev.topics, prev.numTopics)
     }));
   }, [topicSettings.numTopics]);
 
-  // Инициализация настроек мнений
+  // Настройки мнений подгоняются под число кластеров и тем; заданные (в том числе импортированные) мнения сохраняются
   useEffect(() => {
-    const defaultOpinions = {};
-    for (let cluster = 0; cluster < simulationParams.numClusters; cluster++) {
-      defaultOpinions[cluster] = Array.from({ length: topicSettings.numTopics }, () => 0);
-    }
-
     setOpinionSettings(prev => ({
       ...prev,
-      clusterOpinions: defaultOpinions
+      clusterOpinions: resizeClusterOpinions(prev.clusterOpinions, simulationParams.numClusters, topicSettings.numTopics)
     }));
   }, [simulationParams.numClusters, topicSettings.numTopics]);
 
@@ -121,53 +183,21 @@ function App() {
     Papa.parse(file, {
       complete: (results) => {
         try {
-          const data = results.data.filter(row => row.some(cell => cell.trim() !== ''));
+          // Общий разбор CSV с CLI: строка заголовка пропускается, первый столбец с названиями извлекается
+          // В CSV агентов столбцы атрибутов (activity, stubbornness, ...) и ролей (role, agenda) читаются отдельно от векторов
+          const { vectors, names, attributes, roles } = parseVectorRows(results.data, { agentAttributes: type === 'agents' });
           
           if (type === 'agents') {
-            const vectors = data.map(row => row.map(cell => parseFloat(cell) || 0));
             setUploadedAgents(vectors);
+            setUploadedAgentAttributes(attributes);
+            setUploadedAgentRoles(roles);
             setSimulationParams(prev => ({
               ...prev,
               agentCount: vectors.length,
               vectorDimension: vectors[0]?.length || prev.vectorDimension
             }));
           } else if (type === 'topics') {
-            console.log('Загружаем темы, данные:', data);
-            
-            // Более надежная проверка наличия названий тем
-            const firstCell = data[0]?.[0]?.toString().trim();
-            
-            // Проверяем, является ли первая ячейка числом или содержит ли она текст
-            const isFirstCellNumber = !isNaN(parseFloat(firstCell)) && isFinite(firstCell);
-            const hasTopicNames = !isFirstCellNumber && firstCell && firstCell.length > 0;
-            
-            console.log('Первая ячейка:', firstCell);
-            console.log('Является ли числом:', isFirstCellNumber);
-            console.log('Есть ли названия тем?', hasTopicNames);
-            
-            let vectors, topicNames;
-            
-            // Предопределенные названия тем
-            const predefinedNames = [
-              'Политика', 'В мире', 'Экономика', 'Общество', 'Армия',
-              'Наука', 'Спорт', 'Культура', 'Религия', 'Туризм',
-              'Redbull', 'Zara'
-            ];
-            
-            if (hasTopicNames) {
-              // Первый столбец - названия тем, остальные - векторы
-              topicNames = data.map(row => row[0]?.toString().trim() || '');
-              vectors = data.map(row => row.slice(1).map(cell => parseFloat(cell) || 0));
-              console.log('Извлеченные названия тем:', topicNames);
-            } else {
-              // Только векторы, используем предопределенные названия
-              vectors = data.map(row => row.map(cell => parseFloat(cell) || 0));
-              topicNames = vectors.map((_, i) => predefinedNames[i] || `Тема ${i + 1}`);
-              console.log('Используем предопределенные названия:', topicNames);
-            }
-            
-            console.log('Финальные названия тем:', topicNames);
-            console.log('Векторы тем:', vectors);
+            const topicNames = vectors.map((_, i) => names?.[i] || PREDEFINED_TOPIC_NAMES[i] || `Тема ${i + 1}`);
             
             setUploadedTopics(vectors);
             setUploadedTopicNames(topicNames);
@@ -185,174 +215,74 @@ function App() {
     });
   };
 
-  const runNewSimulation = async () => {
-    setIsRunning(true);
+  const runNewSimulation = () => {
     setError(null);
-    
-    try {
-      // Генерация агентов
-      const agentData = generateAgentPopulation(
-        simulationParams.agentCount,
-        simulationParams.vectorDimension,
-        simulationParams.numClusters,
-        uploadedAgents
-      );
-
-      // Генерация тем с учетом расширенных настроек
-      let topics;
-      
-      // Предопределенные названия тем
-      const predefinedTopicNames = [
-        'Политика', 'В мире', 'Экономика', 'Общество', 'Армия',
-        'Наука', 'Спорт', 'Культура', 'Религия', 'Туризм',
-        'Redbull', 'Zara'
-      ];
-      
-      if (uploadedTopics) {
-        topics = uploadedTopics.map((vector, i) => ({
-          id: i,
-          vector: vector,
-          name: uploadedTopicNames?.[i] || predefinedTopicNames[i] || `Тема ${i + 1}`
-        }));
-      } else {
-        // Генерируем темы с учетом количества из topicSettings
-        const numTopicsToGenerate = topicSettings.numTopics || 10;
-        topics = generateTopics(
-          simulationParams.vectorDimension,
-          simulationParams.scenario,
-          agentData.clusterCenters,
-          null,
-          null,
-          simulationParams.numClusters,
-          simulationParams.recalculateClustersAfter,
-          agentData.agents
-        );
-
-        // Применяем настройки тем из сценариев
-        if (topicSettings.topics && topicSettings.topics.length > 0) {
-          // Добавляем или обрезаем темы до нужного количества
-          while (topics.length < numTopicsToGenerate) {
-            topics.push({
-              id: topics.length,
-              vector: Array.from({ length: simulationParams.vectorDimension }, () => Math.random() * 2 - 1),
-              name: `Тема ${topics.length + 1}`
-            });
-          }
-          topics = topics.slice(0, numTopicsToGenerate);
-          
-          // Применяем настройки к каждой теме
-          topics = topics.map((topic, i) => {
-            const settings = topicSettings.topics[i];
-            if (!settings) {
-              return {
-                ...topic,
-                name: predefinedTopicNames[i] || `Тема ${i + 1}`
-              };
-            }
-            
-            // Применяем пользовательский вектор, если есть
-            if (settings.customVector && Array.isArray(settings.customVector)) {
-              return {
-                ...topic,
-                vector: settings.customVector,
-                name: settings.name || topic.name
-              };
-            }
-            
-            // Применяем выравнивание по кластеру
-            if (settings.type === 'cluster-aligned' && settings.targetCluster !== undefined) {
-              const targetCenter = agentData.clusterCenters[settings.targetCluster];
-              if (targetCenter) {
-                const proximity = settings.proximityLevel || 0.5;
-                
-                // Создаем вектор близкий к центру кластера
-                const alignedVector = targetCenter.map(val => 
-                  val * proximity + (Math.random() - 0.5) * (1 - proximity)
-                );
-                
-                return {
-                  ...topic,
-                  vector: alignedVector,
-                  name: settings.name || topic.name
-                };
-              }
-            }
-            
-            return {
-              ...topic,
-              name: settings.name || predefinedTopicNames[i] || `Тема ${i + 1}`
-            };
+
+    const { valid, errors } = validateParams(simulationParams);
+    if (!valid) {
+      setError(`Некорректные параметры симуляции: ${errors.join('; ')}`);
+      return;
+    }
+
+    setRunState(prev => updateProgress(setRunning(prev, true), 0, simulationParams.cycles));
+
+    // Генерация и симуляция выполняются в воркере, чтобы не блокировать интерфейс
+    runControllerRef.current = startSimulation(
+      {
+        simulationParams,
+        topicSettings,
+        opinionSettings,
+        uploadedAgents,
+        uploadedTopics,
+        uploadedTopicNames,
+        uploadedAgentAttributes,
+        agentAttributeSettings,
+        uploadedAgentRoles,
+        roleSettings,
+        // Запись для библиотеки собирается и сохраняется в воркере после завершения прогона
+        library: librarySettings.autoSave ? { keep: librarySettings.keep } : null
+      },
+      {
+        onProgress: (currentCycle, totalCycles) => {
+          setRunState(prev => updateProgress(prev, currentCycle, totalCycles));
+        },
+        onPauseChange: (isPaused) => {
+          setRunState(prev => setPaused(prev, isPaused));
+        },
+        onDone: ({ seed, agentData, topics, simulationResult, report }) => {
+          runControllerRef.current = null;
+
+          // Сохранение результатов
+          setRawSimulationData({
+            ...simulationResult,
+            topics,
+            agentData,
+            seed
           });
-        } else {
-          // Если нет настроек, просто добавляем имена
-          topics = topics.map((topic, i) => ({
-            ...topic,
-            name: predefinedTopicNames[i] || `Тема ${i + 1}`
-          }));
+          setSimulationReport(report);
+          setRunState(prev => setResults(prev, simulationResult));
+          setActiveSection('results');
+        },
+        onSaveError: (error) => {
+          console.warn('Запуск не сохранен в библиотеку:', error);
+        },
+        onCancel: () => {
+          runControllerRef.current = null;
+          setRunState(prev => setCancelled(prev));
+        },
+        onError: (error) => {
+          runControllerRef.current = null;
+          console.error('Ошибка симуляции:', error);
+          setError(error.message);
+          setRunState(prev => setStateError(prev, error.message));
         }
       }
-
-      // Добавляем мнения к агентам
-      agentData.agents.forEach(agent => {
-        agent.opinions = {};
-        topics.forEach(topic => {
-          if (opinionSettings.customMatrix) {
-            // Используем загруженную матрицу мнений
-            const row = opinionSettings.customMatrix[agent.id];
-            agent.opinions[topic.id] = row?.[topic.id] || 0;
-          } else {
-            // Генерируем мнения на основе настроек кластера
-            const clusterOpinion = opinionSettings.clusterOpinions[agent.cluster]?.[topic.id] || 0;
-            const noise = (Math.random() - 0.5) * 0.3; // Добавляем шум
-            agent.opinions[topic.id] = Math.max(-1, Math.min(1, clusterOpinion + noise));
-          }
-        });
-      });
-
-      // Запуск симуляции
-      const simulationResult = runSimulation(
-        agentData.agents,
-        topics,
-        simulationParams.cycles,
-        simulationParams.threshold,
-        simulationParams.recalculateClustersAfter
-      );
-
-      // Подготовка данных для визуализации
-      const vizData = prepareVisualizationData(
-        simulationResult.agents,
-        simulationResult.connections,
-        simulationParams.threshold
-      );
-
-      // Генерация отчета
-      const report = generateSimulationReport(
-        simulationResult.agents,
-        simulationResult.connections,
-        topics,
-        simulationParams.scenario,
-        simulationParams.cycles,
-        simulationParams.threshold
-      );
-
-      // Сохранение результатов
-      setSimulationData(vizData);
-      setRawSimulationData({
-        ...simulationResult,
-        topics,
-        agentData
-      });
-      setSimulationReport(report);
-      setActiveSection('results');
-
-    } catch (error) {
-      console.error('Ошибка симуляции:', error);
-      setError(error.message);
-    } finally {
-      setIsRunning(false);
-    }
+    );
   };
 
+  // Остановка воркера при размонтировании
+  useEffect(() => () => runControllerRef.current?.cancel(), []);
+
   const exportResults = (format) => {
     if (!rawSimulationData) return;
 
@@ -361,20 +291,27 @@ function App() {
 
       switch (format) {
         case 'csv':
-          const csvData = rawSimulationData.connections.map((row, i) => 
-            [i, ...row].join(',')
-          );
-          csvData.unshift(['Agent', ...Array.from({ length: rawSimulationData.agents.length }, (_, i) => i)].join(','));
-          content = csvData.join('\n');
-          filename = 'connection_matrix.csv';
+          // Большие (разреженные) сети выгружаются списком связей вместо матрицы N×N
+          if (isSparseConnections(rawSimulationData.connections)) {
+            content = exportConnectionEdges(rawSimulationData.connections);
+            filename = 'connection_edges.csv';
+          } else {
+            const csvData = rawSimulationData.connections.map((row, i) => 
+              [i, ...row].join(',')
+            );
+            csvData.unshift(['Agent', ...Array.from({ length: rawSimulationData.agents.length }, (_, i) => i)].join(','));
+            content = csvData.join('\n');
+            filename = 'connection_matrix.csv';
+          }
           mimeType = 'text/csv';
           break;
 
         case 'json':
           content = JSON.stringify({
-            parameters: simulationParams,
+            parameters: { ...simulationParams, seed: rawSimulationData.seed },
             topicSettings,
             opinionSettings,
+            ...exportRunInputs(runInputs),
             results: rawSimulationData
           }, null, 2);
           filename = 'simulation_results.json';
@@ -404,6 +341,11 @@ function App() {
     }
   };
 
+  // Названия тем следующего запуска (для выбора повестки ботов и СМИ)
+  const topicNames = Array.from({ length: uploadedTopics?.length || topicSettings.numTopics }, (_, i) =>
+    uploadedTopicNames?.[i] || topicSettings.topics?.[i]?.name || PREDEFINED_TOPIC_NAMES[i] || `Тема ${i + 1}`
+  );
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="container mx-auto px-4 py-8">
@@ -448,6 +390,20 @@ function App() {
             >
               Сценарии
             </Button>
+            <Button
+              onClick={() => setActiveSection('sweep')}
+              variant={activeSection === 'sweep' ? 'primary' : 'outline'}
+              className="text-xs px-2 py-1"
+            >
+              Чувствительность
+            </Button>
+            <Button
+              onClick={() => setActiveSection('library')}
+              variant={activeSection === 'library' ? 'primary' : 'outline'}
+              className="text-xs px-2 py-1"
+            >
+              Библиотека запусков
+            </Button>
             <Button
               onClick={() => setActiveSection('results')}
               variant={activeSection === 'results' ? 'primary' : 'outline'}
@@ -536,15 +492,57 @@ function App() {
 
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Порог отображения связей: {simulationParams.threshold}
+                    Допуск согласия мнений: {simulationParams.agreementTolerance}
+                  </label>
+                  <input
+                    type="range"
+                    min="0.05"
+                    max="2"
+                    step="0.05"
+                    value={simulationParams.agreementTolerance}
+                    onChange={(e) => handleParamsChange({ agreementTolerance: parseFloat(e.target.value) })}
+                    className="w-full"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Модель: связь усиливается, если мнения по теме расходятся меньше чем на допуск
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Порог связи: {simulationParams.edgeThreshold}
                   </label>
                   <input
                     type="range"
-                    min="0.1"
-                    max="0.9"
-                    step="0.1"
-                    value={simulationParams.threshold}
-                    onChange={(e) => handleParamsChange({ threshold: parseFloat(e.target.value) })}
+                    min="0.05"
+                    max="0.95"
+                    step="0.05"
+                    value={simulationParams.edgeThreshold}
+                    onChange={(e) => {
+                      const edgeThreshold = parseFloat(e.target.value);
+                      handleParamsChange({
+                        edgeThreshold,
+                        strongTieThreshold: Math.max(edgeThreshold, simulationParams.strongTieThreshold)
+                      });
+                    }}
+                    className="w-full"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Графы, аналитика и экспорт; меняется без перезапуска модели
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Порог сильной связи: {simulationParams.strongTieThreshold}
+                  </label>
+                  <input
+                    type="range"
+                    min={simulationParams.edgeThreshold}
+                    max="1"
+                    step="0.05"
+                    value={simulationParams.strongTieThreshold}
+                    onChange={(e) => handleParamsChange({ strongTieThreshold: parseFloat(e.target.value) })}
                     className="w-full"
                   />
                 </div>
@@ -576,6 +574,55 @@ function App() {
                     className="w-full"
                   />
                 </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    История: снимок каждые {simulationParams.historyInterval || '—'} циклов
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="10"
+                    value={simulationParams.historyInterval}
+                    onChange={(e) => handleParamsChange({ historyInterval: parseInt(e.target.value) })}
+                    className="w-full"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    0 — не записывать динамику (графики покажут только итог)
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Seed генератора (пусто — случайный)
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    max={MAX_SEED}
+                    step="1"
+                    value={simulationParams.seed ?? ''}
+                    placeholder="случайный"
+                    onChange={(e) => handleParamsChange({
+                      seed: e.target.value === '' ? null : Math.min(MAX_SEED, Math.max(0, parseInt(e.target.value) || 0))
+                    })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-1"
+                  />
+                  {rawSimulationData?.seed !== undefined && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Последний запуск: {rawSimulationData.seed}
+                      {simulationParams.seed !== rawSimulationData.seed && (
+                        <button
+                          type="button"
+                          onClick={() => handleParamsChange({ seed: rawSimulationData.seed })}
+                          className="ml-2 text-blue-600 hover:underline"
+                        >
+                          зафиксировать
+                        </button>
+                      )}
+                    </p>
+                  )}
+                </div>
               </div>
             </div>
 
@@ -622,6 +669,26 @@ function App() {
 
             {/* Расширенные настройки */}
             <div>
+              <ModelParamsEditor
+                simulationParams={simulationParams}
+                onParamsChange={handleParamsChange}
+              />
+
+              <AgentAttributesEditor
+                numClusters={simulationParams.numClusters}
+                agentAttributeSettings={agentAttributeSettings}
+                onChange={setAgentAttributeSettings}
+                uploadedAgentAttributes={uploadedAgentAttributes}
+              />
+
+              <AgentRolesEditor
+                agentCount={simulationParams.agentCount}
+                topicNames={topicNames}
+                roleSettings={roleSettings}
+                onChange={setRoleSettings}
+                uploadedAgentRoles={uploadedAgentRoles}
+              />
+
               <Button
                 onClick={() => setShowAdvancedSettings(!showAdvancedSettings)}
                 variant="outline"
@@ -640,15 +707,57 @@ function App() {
               )}
             </div>
 
-            {/* Кнопка запуска */}
-            <div className="text-center">
+            {/* Кнопка запуска и управление прогоном */}
+            <div className="text-center space-y-3">
               <Button
                 onClick={runNewSimulation}
                 disabled={isRunning}
                 className="px-8 py-3 text-lg"
               >
-                {isRunning ? 'Выполняется симуляция...' : 'Запустить симуляцию'}
+                {isRunning
+                  ? (isPaused ? 'Симуляция на паузе' : 'Выполняется симуляция...')
+                  : 'Запустить симуляцию'}
               </Button>
+
+              {isRunning && (
+                <div className="max-w-md mx-auto space-y-2">
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-blue-600 h-2 rounded-full transition-all duration-200"
+                      style={{ width: `${runState.progress}%` }}
+                    />
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    Цикл {runState.currentCycle} из {simulationParams.cycles} ({runState.progress.toFixed(0)}%)
+                  </p>
+                  <div className="flex justify-center gap-2">
+                    {isPaused ? (
+                      <Button
+                        onClick={() => runControllerRef.current?.resume()}
+                        variant="outline"
+                        className="text-sm"
+                      >
+                        Продолжить
+                      </Button>
+                    ) : (
+                      <Button
+                        onClick={() => runControllerRef.current?.pause()}
+                        variant="outline"
+                        className="text-sm"
+                      >
+                        Пауза
+                      </Button>
+                    )}
+                    <Button
+                      onClick={() => runControllerRef.current?.cancel()}
+                      variant="secondary"
+                      className="text-sm"
+                    >
+                      Отменить
+                    </Button>
+                  </div>
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -659,7 +768,14 @@ function App() {
             simulationParams={simulationParams}
             onParamsChange={handleParamsChange}
             uploadedAgents={uploadedAgents}
-            setUploadedAgents={setUploadedAgents}
+            setUploadedAgents={(vectors) => {
+              // Атрибуты и роли из CSV привязаны к строкам: при смене числа агентов они больше не соответствуют
+              if (vectors?.length !== uploadedAgents?.length) {
+                setUploadedAgentAttributes(null);
+                setUploadedAgentRoles(null);
+              }
+              setUploadedAgents(vectors);
+            }}
             uploadedTopics={uploadedTopics}
             setUploadedTopics={setUploadedTopics}
             onError={setError}
@@ -672,6 +788,7 @@ function App() {
             simulationParams={simulationParams}
             onParamsChange={handleParamsChange}
             rawSimulationData={rawSimulationData}
+            agentVectors={uploadedAgents}
             onSaveClusterHistory={(historyItem) => {
               setClusterHistory(prev => [...prev, historyItem]);
             }}
@@ -687,6 +804,33 @@ function App() {
             setTopicSettings={setTopicSettings}
             opinionSettings={opinionSettings}
             setOpinionSettings={setOpinionSettings}
+            onRunInputsImport={handleRunInputsImport}
+            onError={setError}
+          />
+        )}
+
+        {/* Секция анализа чувствительности параметров */}
+        {activeSection === 'sweep' && (
+          <ParameterSweepManager
+            simulationParams={simulationParams}
+            topicSettings={topicSettings}
+            opinionSettings={opinionSettings}
+            uploadedAgents={uploadedAgents}
+            uploadedTopics={uploadedTopics}
+            uploadedTopicNames={uploadedTopicNames}
+            uploadedAgentAttributes={uploadedAgentAttributes}
+            agentAttributeSettings={agentAttributeSettings}
+            uploadedAgentRoles={uploadedAgentRoles}
+            roleSettings={roleSettings}
+            onError={setError}
+          />
+        )}
+
+        {/* Секция библиотеки и сравнения запусков */}
+        {activeSection === 'library' && (
+          <RunLibraryManager
+            settings={librarySettings}
+            onSettingsChange={(changes) => setLibrarySettings(prev => ({ ...prev, ...changes }))}
             onError={setError}
           />
         )}
@@ -699,6 +843,7 @@ function App() {
             simulationParams={simulationParams}
             topicSettings={topicSettings}
             opinionSettings={opinionSettings}
+            runInputs={runInputs}
             simulationReport={simulationReport}
             onError={setError}
           />
@@ -766,6 +911,12 @@ function App() {
               topicSettings={topicSettings}
               opinionSettings={opinionSettings}
               uploadedTopicNames={uploadedTopicNames}
+              roleAssignments={roleSettings.assignments}
+              onAgentRoleChange={(agentId, role) => setRoleSettings(prev => ({
+                ...prev,
+                assignments: { ...prev.assignments, [agentId]: role },
+              }))}
+              onEnableHistory={() => handleParamsChange({ historyInterval: 1 })}
             />
           </div>
         )}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
 import { Button } from './ui/button';
@@ -12,13 +12,16 @@ import {
   Brain, Settings, MessageSquare, TrendingUp, Network, 
   Zap, AlertTriangle, CheckCircle, Loader2, Eye, Download 
 } from 'lucide-react';
+import { historyToTimeSeries } from '../lib/simulationHistory';
+import { asConnectionStore } from '../lib/connectionStore';
+import { computeNetworkMetrics } from '../lib/networkMetrics';
 
 const AIAnalysisManager = ({ 
   simulationData,
   rawSimulationData,
   simulationParams,
   topicSettings,
-  networkMetrics,
+  networkMetrics: providedNetworkMetrics,
   timeSeriesData,
   onError 
 }) => {
@@ -30,6 +33,15 @@ const AIAnalysisManager = ({
   const [analysisResults, setAnalysisResults] = useState([]);
   const [analysisHistory, setAnalysisHistory] = useState([]);
 
+  // Сетевые метрики — те же, что на экране аналитики (ребра не слабее порога отображения)
+  const networkMetrics = useMemo(() => {
+    if (providedNetworkMetrics) return providedNetworkMetrics;
+    if (!rawSimulationData?.connections || !rawSimulationData?.agents?.length) return null;
+    return computeNetworkMetrics(rawSimulationData.connections, rawSimulationData.agents, {
+      threshold: simulationParams?.edgeThreshold ?? 0,
+    });
+  }, [providedNetworkMetrics, rawSimulationData, simulationParams?.edgeThreshold]);
+
   // Доступные модели OpenRouter
   const availableModels = [
     { id: 'anthropic/claude-3-haiku', name: 'Claude 3 Haiku', provider: 'Anthropic', cost: 'Низкая' },
@@ -123,13 +135,23 @@ const AIAnalysisManager = ({
           } : null,
           opinionStats: rawSimulationData?.agents ? calculateOpinionStats() : null,
           clusterDistribution: rawSimulationData?.agents ? calculateClusterDistribution() : null,
-          timeSeriesData: timeSeriesData?.slice(-10) // Последние 10 точек
+          timeSeriesData: getTrendSeries().slice(-10) // Последние 10 точек
         };
 
       case 'network':
         return {
           ...baseData,
-          networkMetrics,
+          // Без поузловых массивов: центральности передаются ниже как топ-узлы
+          networkMetrics: networkMetrics ? {
+            nodeCount: networkMetrics.nodeCount,
+            edgeCount: networkMetrics.edgeCount,
+            density: networkMetrics.density,
+            averageDegree: networkMetrics.averageDegree,
+            clusteringCoefficient: networkMetrics.clusteringCoefficient,
+            modularity: networkMetrics.modularity,
+            connectedComponents: networkMetrics.connectedComponents?.length,
+            largestComponent: networkMetrics.largestComponent
+          } : null,
           connectionMatrix: rawSimulationData?.connections ? 
             summarizeConnectionMatrix(rawSimulationData.connections) : null,
           centralityStats: networkMetrics ? {
@@ -158,7 +180,7 @@ const AIAnalysisManager = ({
       case 'trends':
         return {
           ...baseData,
-          timeSeriesData,
+          timeSeriesData: sampleSeries(getTrendSeries(), 30),
           trendAnalysis: analyzeTrends(),
           seasonalityDetection: detectSeasonality(),
           changePoints: detectChangePoints()
@@ -204,15 +226,16 @@ const AIAnalysisManager = ({
   };
 
   const summarizeConnectionMatrix = (connections) => {
-    const totalConnections = connections.flat().filter(c => c > 0).length / 2;
-    const possibleConnections = (connections.length * (connections.length - 1)) / 2;
+    const store = asConnectionStore(connections);
+    const totalConnections = store.edgeCount();
+    const possibleConnections = (store.size * (store.size - 1)) / 2;
     const density = totalConnections / possibleConnections;
 
     return {
       totalConnections,
       possibleConnections,
       density: density.toFixed(3),
-      averageConnectionsPerAgent: (totalConnections * 2 / connections.length).toFixed(2)
+      averageConnectionsPerAgent: (totalConnections * 2 / store.size).toFixed(2)
     };
   };
 
@@ -321,6 +344,116 @@ const AIAnalysisManager = ({
     });
   };
 
+  // Временной ряд: переданный извне или восстановленный из истории симуляции
+  const getTrendSeries = () => {
+    if (timeSeriesData?.length) return timeSeriesData;
+    return historyToTimeSeries(rawSimulationData?.history, topicSettings?.topics);
+  };
+
+  // Равномерное прореживание ряда, чтобы промпт не разрастался
+  const sampleSeries = (series, maxPoints) => {
+    if (series.length <= maxPoints) return series;
+    const step = Math.ceil(series.length / maxPoints);
+    return series.filter((_, index) => index % step === 0 || index === series.length - 1);
+  };
+
+  const getTrendMetrics = (series) => {
+    const metrics = [
+      { key: 'networkDensity', name: 'Плотность сети' },
+      { key: 'meanStrength', name: 'Средняя сила связи' }
+    ];
+    topicSettings?.topics?.forEach((topic, index) => {
+      metrics.push({ key: `topic_${index}`, name: `Мнение: ${topic.name}` });
+    });
+    return metrics.filter(metric => typeof series[0]?.[metric.key] === 'number');
+  };
+
+  // Наклон линейной регрессии (МНК) значения по номеру цикла
+  const calculateLinearSlope = (xs, ys) => {
+    const n = xs.length;
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    for (let i = 0; i < n; i++) {
+      numerator += (xs[i] - meanX) * (ys[i] - meanY);
+      denominator += (xs[i] - meanX) ** 2;
+    }
+    return denominator === 0 ? 0 : numerator / denominator;
+  };
+
+  const analyzeTrends = () => {
+    const series = getTrendSeries();
+    if (series.length < 2) return null;
+
+    const cyclesAxis = series.map(row => row.cycle);
+    return getTrendMetrics(series).map(({ key, name }) => {
+      const values = series.map(row => row[key]);
+      const slope = calculateLinearSlope(cyclesAxis, values);
+      return {
+        metric: name,
+        start: values[0].toFixed(3),
+        end: values[values.length - 1].toFixed(3),
+        change: (values[values.length - 1] - values[0]).toFixed(3),
+        slopePerCycle: slope.toFixed(5),
+        direction: slope > 1e-4 ? 'рост' : slope < -1e-4 ? 'снижение' : 'стабильно'
+      };
+    });
+  };
+
+  // Периодичность: автокорреляция приращений плотности по лагам
+  const detectSeasonality = () => {
+    const series = getTrendSeries();
+    if (series.length < 6) return null;
+
+    const diffs = series.slice(1).map((row, i) => row.networkDensity - series[i].networkDensity);
+    const mean = diffs.reduce((sum, d) => sum + d, 0) / diffs.length;
+    const variance = diffs.reduce((sum, d) => sum + (d - mean) ** 2, 0);
+    if (variance === 0) return { isSeasonal: false, lag: null, autocorrelation: 0 };
+
+    let best = { lag: null, autocorrelation: 0 };
+    for (let lag = 2; lag <= Math.floor(diffs.length / 2); lag++) {
+      let covariance = 0;
+      for (let i = lag; i < diffs.length; i++) {
+        covariance += (diffs[i] - mean) * (diffs[i - lag] - mean);
+      }
+      const autocorrelation = covariance / variance;
+      if (autocorrelation > best.autocorrelation) {
+        best = { lag, autocorrelation };
+      }
+    }
+
+    return {
+      isSeasonal: best.autocorrelation > 0.5,
+      lag: best.lag,
+      autocorrelation: best.autocorrelation.toFixed(3)
+    };
+  };
+
+  // Точки перелома: скачки метрик больше двух стандартных отклонений
+  const detectChangePoints = () => {
+    const series = getTrendSeries();
+    if (series.length < 3) return null;
+
+    const changePoints = [];
+    getTrendMetrics(series).forEach(({ key, name }) => {
+      const diffs = series.slice(1).map((row, i) => row[key] - series[i][key]);
+      const mean = diffs.reduce((sum, d) => sum + d, 0) / diffs.length;
+      const std = Math.sqrt(diffs.reduce((sum, d) => sum + (d - mean) ** 2, 0) / diffs.length);
+      if (std === 0) return;
+
+      diffs.forEach((diff, i) => {
+        if (Math.abs(diff - mean) > 2 * std) {
+          changePoints.push({ metric: name, cycle: series[i + 1].cycle, change: diff.toFixed(4) });
+        }
+      });
+    });
+
+    return changePoints
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+      .slice(0, 10);
+  };
+
   // Генерация промпта для AI анализа
   const generatePrompt = (type, data) => {
     const basePrompt = `Вы - эксперт по анализу агентного моделирования и социальной динамики. Проанализируйте следующие данные симуляции и предоставьте детальные инсайты.
@@ -609,9 +742,7 @@ ${JSON.stringify(data, null, 2)}
                 </div>
                 <div className="text-center">
                   <div className="text-lg font-bold text-orange-600">
-                    {rawSimulationData?.connections ? 
-                      Math.round(rawSimulationData.connections.flat().filter(c => c > 0).length / 2) : 0
-                    }
+                    {networkMetrics?.edgeCount ?? 0}
                   </div>
                   <div className="text-gray-600">Связей</div>
                 </div>
@@ -18,6 +18,13 @@ import {
   Download, FileText, Table, Image, FileSpreadsheet, FileJson
 } from 'lucide-react';
 import Papa from 'papaparse';
+import { historyToTimeSeries } from '../lib/simulationHistory';
+import {
+  computeNetworkMetrics,
+  networkDensity,
+  degreeCentrality,
+  averageClustering,
+} from '../lib/networkMetrics';
 
 const AdvancedAnalyticsWithExport = ({ 
   rawSimulationData,
@@ -59,6 +66,13 @@ const AdvancedAnalyticsWithExport = ({
   const calculateTimeSeriesData = () => {
     if (!rawSimulationData?.agents || !topicSettings?.topics || rawSimulationData.agents.length === 0) return;
 
+    // Если симуляция записала историю — показываем реальную динамику по циклам
+    if (rawSimulationData.history) {
+      setTimeSeriesData(historyToTimeSeries(rawSimulationData.history, topicSettings.topics));
+      return;
+    }
+
+    // Без истории доступно только итоговое состояние — оно повторяется для каждого цикла
     const data = [];
     const cycles = simulationParams?.cycles || 10;
     
@@ -88,33 +102,11 @@ const AdvancedAnalyticsWithExport = ({
     setTimeSeriesData(data);
   };
 
-  // Расчет сетевых метрик
+  // Расчет сетевых метрик (ребра — связи не слабее порога отображения, как на графе сети)
   const calculateNetworkMetrics = () => {
-    if (!rawSimulationData?.agents || !rawSimulationData?.connections || rawSimulationData.agents.length === 0 || rawSimulationData.connections.length === 0) return;
-
-    const { agents, connections } = rawSimulationData;
-    const metrics = {};
-
-    // Базовые метрики
-    metrics.nodeCount = agents.length;
-    metrics.edgeCount = connections.flat().filter(c => c > 0).length / 2;
-    metrics.density = calculateNetworkDensity();
-    metrics.averageDegree = (metrics.edgeCount * 2) / metrics.nodeCount;
-
-    // Центральность узлов
-    metrics.degreeCentrality = calculateDegreeCentrality(connections);
-    metrics.betweennessCentrality = calculateBetweennessCentrality(connections);
-    metrics.closenessCentrality = calculateClosenessCentrality(connections);
-
-    // Кластеризация
-    metrics.clusteringCoefficient = calculateClusteringCoefficient();
-    metrics.modularity = calculateModularity(connections, agents);
+    if (!rawSimulationData?.agents || !rawSimulationData?.connections || rawSimulationData.agents.length === 0) return;
 
-    // Компоненты связности
-    metrics.connectedComponents = findConnectedComponents(connections);
-    metrics.largestComponent = Math.max(...metrics.connectedComponents.map(c => c.length));
-
-    setNetworkMetrics(metrics);
+    setNetworkMetrics(computeNetworkMetrics(rawSimulationData.connections, rawSimulationData.agents, getEdgeOptions()));
   };
 
   // Выполнение статистических тестов
@@ -133,224 +125,22 @@ const AdvancedAnalyticsWithExport = ({
   };
 
   // Вспомогательные функции
+  const getEdgeOptions = () => ({ threshold: simulationParams?.edgeThreshold ?? 0 });
+
   const calculateNetworkDensity = () => {
     if (!rawSimulationData?.connections) return 0;
-    const { connections } = rawSimulationData;
-    const n = connections.length;
-    const actualEdges = connections.flat().filter(c => c > 0).length / 2;
-    const possibleEdges = (n * (n - 1)) / 2;
-    return possibleEdges > 0 ? actualEdges / possibleEdges : 0;
+    return networkDensity(rawSimulationData.connections, getEdgeOptions());
   };
 
   const calculateAverageConnections = () => {
     if (!rawSimulationData?.connections) return 0;
-    const { connections } = rawSimulationData;
-    const totalConnections = connections.reduce((sum, row) => 
-      sum + row.filter(c => c > 0).length, 0
-    );
-    return connections.length > 0 ? totalConnections / connections.length : 0;
+    const degrees = degreeCentrality(rawSimulationData.connections, getEdgeOptions());
+    return degrees.length > 0 ? degrees.reduce((sum, degree) => sum + degree, 0) / degrees.length : 0;
   };
 
   const calculateClusteringCoefficient = () => {
     if (!rawSimulationData?.connections) return 0;
-    const { connections } = rawSimulationData;
-    const n = connections.length;
-    let totalClustering = 0;
-
-    for (let i = 0; i < n; i++) {
-      const neighbors = [];
-      for (let j = 0; j < n; j++) {
-        if (i !== j && connections[i][j] > 0) {
-          neighbors.push(j);
-        }
-      }
-
-      if (neighbors.length < 2) continue;
-
-      let triangles = 0;
-      for (let j = 0; j < neighbors.length; j++) {
-        for (let k = j + 1; k < neighbors.length; k++) {
-          if (connections[neighbors[j]][neighbors[k]] > 0) {
-            triangles++;
-          }
-        }
-      }
-
-      const possibleTriangles = (neighbors.length * (neighbors.length - 1)) / 2;
-      totalClustering += possibleTriangles > 0 ? triangles / possibleTriangles : 0;
-    }
-
-    return n > 0 ? totalClustering / n : 0;
-  };
-
-  const calculateDegreeCentrality = (connections) => {
-    return connections.map(row => row.filter(c => c > 0).length);
-  };
-
-  const calculateBetweennessCentrality = (connections) => {
-    const n = connections.length;
-    const betweenness = new Array(n).fill(0);
-    
-    // Улучшенный алгоритм Брандеса (упрощенная версия)
-    for (let s = 0; s < n; s++) {
-      // Стек для обратного прохода
-      const stack = [];
-      // Предшественники
-      const predecessors = Array(n).fill().map(() => []);
-      // Расстояния
-      const distances = new Array(n).fill(-1);
-      // Количество кратчайших путей
-      const sigma = new Array(n).fill(0);
-      // Зависимости
-      const delta = new Array(n).fill(0);
-      
-      distances[s] = 0;
-      sigma[s] = 1;
-      
-      const queue = [s];
-      
-      // Прямой проход (BFS)
-      while (queue.length > 0) {
-        const v = queue.shift();
-        stack.push(v);
-        
-        for (let w = 0; w < n; w++) {
-          if (connections[v][w] > 0) { // Есть связь
-            // Первое обнаружение w?
-            if (distances[w] < 0) {
-              queue.push(w);
-              distances[w] = distances[v] + 1;
-            }
-            // Кратчайший путь к w через v?
-            if (distances[w] === distances[v] + 1) {
-              sigma[w] += sigma[v];
-              predecessors[w].push(v);
-            }
-          }
-        }
-      }
-      
-      // Обратный проход
-      while (stack.length > 0) {
-        const w = stack.pop();
-        for (const v of predecessors[w]) {
-          delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
-        }
-        if (w !== s) {
-          betweenness[w] += delta[w];
-        }
-      }
-    }
-    
-    // Нормализация для неориентированного графа
-    const normalizationFactor = n > 2 ? 2.0 / ((n - 1) * (n - 2)) : 1;
-    return betweenness.map(b => b * normalizationFactor);
-  };
-
-  const calculateClosenessCentrality = (connections) => {
-    const n = connections.length;
-    return connections.map((_, i) => {
-      let totalDistance = 0;
-      let reachableNodes = 0;
-      
-      for (let j = 0; j < n; j++) {
-        if (i !== j) {
-          const distance = findShortestPathDistance(connections, i, j);
-          if (distance < Infinity) {
-            totalDistance += distance;
-            reachableNodes++;
-          }
-        }
-      }
-      
-      return reachableNodes > 0 ? reachableNodes / totalDistance : 0;
-    });
-  };
-
-  const calculateModularity = (connections, agents) => {
-    const n = connections.length;
-    const m = connections.flat().filter(c => c > 0).length / 2;
-    
-    if (m === 0) return 0;
-    
-    let modularity = 0;
-    
-    for (let i = 0; i < n; i++) {
-      for (let j = 0; j < n; j++) {
-        const ki = connections[i].filter(c => c > 0).length;
-        const kj = connections[j].filter(c => c > 0).length;
-        const delta = agents[i].cluster === agents[j].cluster ? 1 : 0;
-        
-        modularity += (connections[i][j] - (ki * kj) / (2 * m)) * delta;
-      }
-    }
-    
-    return modularity / (2 * m);
-  };
-
-  const findConnectedComponents = (connections) => {
-    const n = connections.length;
-    const visited = new Array(n).fill(false);
-    const components = [];
-    
-    const dfs = (node, component) => {
-      visited[node] = true;
-      component.push(node);
-      
-      for (let i = 0; i < n; i++) {
-        if (!visited[i] && connections[node][i] > 0) {
-          dfs(i, component);
-        }
-      }
-    };
-    
-    for (let i = 0; i < n; i++) {
-      if (!visited[i]) {
-        const component = [];
-        dfs(i, component);
-        components.push(component);
-      }
-    }
-    
-    return components;
-  };
-
-  const findShortestPath = (connections, start, end) => {
-    const n = connections.length;
-    const visited = new Array(n).fill(false);
-    const parent = new Array(n).fill(-1);
-    const queue = [start];
-    visited[start] = true;
-    
-    while (queue.length > 0) {
-      const node = queue.shift();
-      
-      if (node === end) {
-        // Восстанавливаем путь
-        const path = [];
-        let current = end;
-        while (current !== -1) {
-          path.unshift(current);
-          current = parent[current];
-        }
-        return path;
-      }
-      
-      for (let i = 0; i < n; i++) {
-        if (!visited[i] && connections[node][i] > 0) {
-          visited[i] = true;
-          parent[i] = node;
-          queue.push(i);
-        }
-      }
-    }
-    
-    return [];
-  };
-
-  const findShortestPathDistance = (connections, start, end) => {
-    const path = findShortestPath(connections, start, end);
-    return path.length > 0 ? path.length - 1 : Infinity;
+    return averageClustering(rawSimulationData.connections, getEdgeOptions());
   };
 
   const performNormalityTests = () => {
@@ -626,7 +416,9 @@ const AdvancedAnalyticsWithExport = ({
     report += `ПАРАМЕТРЫ СИМУЛЯЦИИ:\n`;
     report += `- Количество агентов: ${simulationParams?.agentCount || 'N/A'}\n`;
     report += `- Циклы симуляции: ${simulationParams?.cycles || 'N/A'}\n`;
-    report += `- Порог отображения: ${simulationParams?.threshold || 'N/A'}\n`;
+    report += `- Допуск согласия мнений: ${simulationParams?.agreementTolerance ?? 'N/A'}\n`;
+    report += `- Порог связи: ${simulationParams?.edgeThreshold ?? 'N/A'}\n`;
+    report += `- Порог сильной связи: ${simulationParams?.strongTieThreshold ?? 'N/A'}\n`;
     report += `- Размерность вектора: ${simulationParams?.vectorDimension || 'N/A'}\n`;
     report += `- Количество кластеров: ${simulationParams?.numClusters || 'N/A'}\n\n`;
 
@@ -672,7 +464,9 @@ const AdvancedAnalyticsWithExport = ({
     report += `|----------|----------|\n`;
     report += `| Количество агентов | ${simulationParams?.agentCount || 'N/A'} |\n`;
     report += `| Циклы симуляции | ${simulationParams?.cycles || 'N/A'} |\n`;
-    report += `| Порог отображения | ${simulationParams?.threshold || 'N/A'} |\n`;
+    report += `| Допуск согласия мнений | ${simulationParams?.agreementTolerance ?? 'N/A'} |\n`;
+    report += `| Порог связи | ${simulationParams?.edgeThreshold ?? 'N/A'} |\n`;
+    report += `| Порог сильной связи | ${simulationParams?.strongTieThreshold ?? 'N/A'} |\n`;
     report += `| Размерность вектора | ${simulationParams?.vectorDimension || 'N/A'} |\n`;
     report += `| Количество кластеров | ${simulationParams?.numClusters || 'N/A'} |\n\n`;
 
@@ -723,6 +517,11 @@ const AdvancedAnalyticsWithExport = ({
   };
 
   const getTimeSeriesChartData = () => {
+    if (rawSimulationData?.history) {
+      // Прореживаем длинные ряды до ~100 точек, сохраняя последний цикл
+      const step = Math.ceil(timeSeriesData.length / 100);
+      return timeSeriesData.filter((_, index) => index % step === 0 || index === timeSeriesData.length - 1);
+    }
     return timeSeriesData.slice(0, 20); // Ограничиваем для читаемости
   };
 
@@ -868,6 +667,39 @@ const AdvancedAnalyticsWithExport = ({
               </ResponsiveContainer>
             </Card>
 
+            {rawSimulationData?.history && (
+              <Card className="p-4">
+                <h4 className="font-medium mb-4 flex items-center gap-2">
+                  <Network className="h-4 w-4" />
+                  Динамика структуры сети
+                </h4>
+                <ResponsiveContainer width="100%" height={300}>
+                  <LineChart data={getTimeSeriesChartData()}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="cycle" />
+                    <YAxis domain={[0, 1]} />
+                    <Tooltip />
+                    <Line
+                      type="monotone"
+                      dataKey="networkDensity"
+                      stroke={colors[0]}
+                      strokeWidth={2}
+                      dot={false}
+                      name="Плотность сети"
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="meanStrength"
+                      stroke={colors[1]}
+                      strokeWidth={2}
+                      dot={false}
+                      name="Средняя сила связи"
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </Card>
+            )}
+
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <Card className="p-4">
                 <h5 className="font-medium mb-2">Плотность сети</h5>
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { AGENT_ATTRIBUTES, ATTRIBUTE_DISTRIBUTIONS } from '../lib/agentAttributes';
+
+const FIELD_LABELS = {
+  value: 'значение',
+  min: 'от',
+  max: 'до',
+  mean: 'среднее',
+  sd: 'ст. откл.',
+};
+
+// Начальные параметры распределения: значение по умолчанию атрибута (для емкости — 10 связей)
+const createSpec = (attribute, distribution) => {
+  const base = attribute.default ?? 10;
+  switch (distribution) {
+    case 'uniform':
+      return { distribution, min: base, max: base };
+    case 'normal':
+      return { distribution, mean: base, sd: 0 };
+    default:
+      return { distribution: 'fixed', value: base };
+  }
+};
+
+const AgentAttributesEditor = ({ numClusters, agentAttributeSettings, onChange, uploadedAgentAttributes }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const clusterAttributes = agentAttributeSettings?.clusterAttributes || {};
+  const configuredCount = Object.values(clusterAttributes)
+    .reduce((sum, specs) => sum + Object.keys(specs || {}).length, 0);
+  const uploadedKeys = uploadedAgentAttributes
+    ? AGENT_ATTRIBUTES.filter(({ key }) => uploadedAgentAttributes.some(row => typeof row[key] === 'number'))
+    : [];
+
+  const updateSpec = (cluster, key, spec) => {
+    const specs = { ...(clusterAttributes[cluster] || {}) };
+    if (spec) specs[key] = spec;
+    else delete specs[key];
+    onChange({ ...agentAttributeSettings, clusterAttributes: { ...clusterAttributes, [cluster]: specs } });
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 mb-4">
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={() => setIsOpen(!isOpen)}
+          className="text-left font-medium text-gray-800"
+        >
+          {isOpen ? '▾' : '▸'} Атрибуты агентов
+          {configuredCount > 0 && <span className="ml-2 text-xs text-blue-600">заданы</span>}
+        </button>
+        {isOpen && configuredCount > 0 && (
+          <button
+            type="button"
+            onClick={() => onChange({ ...agentAttributeSettings, clusterAttributes: {} })}
+            className="text-sm text-gray-600 hover:text-gray-900 underline"
+          >
+            Сбросить
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          <p className="text-xs text-gray-500">
+            {AGENT_ATTRIBUTES.map(({ label, description }) => `${label} — ${description.toLowerCase()}`).join('; ')}.
+            Без настроек атрибуты нейтральны и агенты ведут себя одинаково.
+          </p>
+          <p className="text-xs text-gray-500">
+            В CSV агентов атрибуты задаются столбцами {AGENT_ATTRIBUTES.map(({ key }) => key).join(', ')} рядом с v1..vN;
+            значения из файла важнее распределений кластера.
+          </p>
+          {uploadedKeys.length > 0 && (
+            <p className="text-sm text-green-600">
+              Из CSV загружены: {uploadedKeys.map(({ label }) => label).join(', ')}
+            </p>
+          )}
+
+          {Array.from({ length: numClusters }, (_, cluster) => (
+            <div key={cluster}>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Кластер {cluster + 1}</h4>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {AGENT_ATTRIBUTES.map(attribute => {
+                  const spec = clusterAttributes[cluster]?.[attribute.key];
+                  const distribution = ATTRIBUTE_DISTRIBUTIONS.find(option => option.id === spec?.distribution);
+                  return (
+                    <div key={attribute.key} className="flex flex-wrap items-center gap-2">
+                      <label className="text-xs font-medium text-gray-700 w-32">{attribute.label}</label>
+                      <select
+                        aria-label={`${attribute.label}: кластер ${cluster + 1}`}
+                        value={spec?.distribution || ''}
+                        onChange={(e) => updateSpec(cluster, attribute.key, e.target.value ? createSpec(attribute, e.target.value) : null)}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                      >
+                        <option value="">По умолчанию</option>
+                        {ATTRIBUTE_DISTRIBUTIONS.map(option => (
+                          <option key={option.id} value={option.id}>{option.name}</option>
+                        ))}
+                      </select>
+                      {distribution?.fields.map(field => (
+                        <input
+                          key={field}
+                          type="number"
+                          title={FIELD_LABELS[field]}
+                          aria-label={`${attribute.label}, ${FIELD_LABELS[field]}: кластер ${cluster + 1}`}
+                          min={field === 'sd' ? 0 : attribute.min}
+                          max={attribute.max}
+                          step={attribute.step}
+                          value={spec[field]}
+                          onChange={(e) => {
+                            const numeric = parseFloat(e.target.value);
+                            updateSpec(cluster, attribute.key, { ...spec, [field]: Number.isFinite(numeric) ? numeric : 0 });
+                          }}
+                          className="w-20 border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        />
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AgentAttributesEditor;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { AGENT_ROLES, SPECIAL_ROLE_IDS, getRoleName } from '../lib/agentRoles';
+
+const SPECIAL_ROLES = AGENT_ROLES.filter(role => SPECIAL_ROLE_IDS.includes(role.id));
+
+const AgentRolesEditor = ({ agentCount, topicNames, roleSettings, onChange, uploadedAgentRoles }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const counts = roleSettings?.counts || {};
+  const agendas = roleSettings?.agendas || {};
+  const assignments = Object.entries(roleSettings?.assignments || {});
+  const configured = Object.values(counts).some(count => count > 0) || assignments.length > 0;
+  const uploadedCount = uploadedAgentRoles?.filter(entry => entry.role !== 'regular').length || 0;
+
+  const update = (field, role, value) => {
+    const next = { ...(roleSettings?.[field] || {}) };
+    if (value === null) delete next[role];
+    else next[role] = value;
+    onChange({ ...roleSettings, [field]: next });
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 mb-4">
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={() => setIsOpen(!isOpen)}
+          className="text-left font-medium text-gray-800"
+        >
+          {isOpen ? '▾' : '▸'} Особые роли
+          {configured && <span className="ml-2 text-xs text-blue-600">заданы</span>}
+        </button>
+        {isOpen && configured && (
+          <button
+            type="button"
+            onClick={() => onChange({ counts: {}, agendas: {}, assignments: {} })}
+            className="text-sm text-gray-600 hover:text-gray-900 underline"
+          >
+            Сбросить
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          <p className="text-xs text-gray-500">
+            {SPECIAL_ROLES.map(({ name, description }) => `${name} — ${description.toLowerCase()}`).join('; ')}.
+            Особые агенты не меняют своих мнений и ценностей.
+          </p>
+          <p className="text-xs text-gray-500">
+            Роли назначаются случайным агентам до заданного числа, столбцом role (и agenda — номер темы с нуля)
+            в CSV агентов или выбором роли у агента, выбранного на графе результатов; выбор на графе важнее CSV.
+          </p>
+          {uploadedCount > 0 && (
+            <p className="text-sm text-green-600">Из CSV загружено особых агентов: {uploadedCount}</p>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            {SPECIAL_ROLES.map(({ id, name }) => (
+              <div key={id} className="space-y-2">
+                <label className="block text-xs font-medium text-gray-700">
+                  {name}: количество
+                  <input
+                    type="number"
+                    aria-label={`${name}: количество`}
+                    min={0}
+                    max={agentCount}
+                    step={1}
+                    value={counts[id] || 0}
+                    onChange={(e) => {
+                      const count = parseInt(e.target.value, 10);
+                      update('counts', id, Number.isFinite(count) && count > 0 ? Math.min(count, agentCount) : null);
+                    }}
+                    className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                </label>
+                {id !== 'zealot' && (
+                  <label className="block text-xs font-medium text-gray-700">
+                    Повестка
+                    <select
+                      aria-label={`${name}: повестка`}
+                      value={agendas[id] ?? ''}
+                      onChange={(e) => update('agendas', id, e.target.value === '' ? null : Number(e.target.value))}
+                      className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    >
+                      <option value="">Тема самого решительного мнения</option>
+                      {topicNames.map((topicName, index) => (
+                        <option key={index} value={index}>{topicName}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {assignments.length > 0 && (
+            <div className="text-sm text-gray-700">
+              <span className="font-medium">Назначено на графе: </span>
+              {assignments.map(([agentId, role]) => `агент ${agentId} — ${getRoleName(role).toLowerCase()}`).join(', ')}
+              <button
+                type="button"
+                onClick={() => onChange({ ...roleSettings, assignments: {} })}
+                className="ml-2 text-sm text-gray-600 hover:text-gray-900 underline"
+              >
+                Очистить
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AgentRolesEditor;
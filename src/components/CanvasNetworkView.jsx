@@ -0,0 +1,296 @@
+import React, { useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import {
+  linkEndpoint,
+  createNodeIndex,
+  selectVisibleEdges,
+  groupCentroids,
+  bundledEdgePoints,
+  nodeSymbol,
+} from '../lib/canvasNetwork';
+
+const BUNDLE_BETA = 0.85; // сила пучков: 0 — прямые линии, 1 — путь точно через центры групп
+const LABEL_LIMIT = 300; // подписи рисуются, только если в окне не больше узлов
+
+const nodeRadius = d => Math.sqrt(d.degree) + 2;
+
+// Не больше одной перерисовки на кадр браузера
+const scheduleDraw = (frameRequestRef, drawRef) => {
+  if (frameRequestRef.current !== null) return;
+  frameRequestRef.current = requestAnimationFrame(() => {
+    frameRequestRef.current = null;
+    drawRef.current();
+  });
+};
+
+// Сеть на canvas для больших графов: раскладка d3-force без DOM-элементов на узел,
+// поиск узла под курсором по квадродереву, отсечение связей по окну и масштабу, пучки связей между группами.
+// groups — группа каждого узла для цвета и подсветки (groupLabel — ее название в подсказке, если это не кластер);
+// fixedPositions — закрепленные позиции узлов (Map id -> { x, y }), остальные узлы раскладываются силами;
+// frame — кадр воспроизведения со своими связями и кластерами; linkColor(link) — цвет связи (по умолчанию серый);
+// zoomTransform — внешний масштаб для синхронизации нескольких видов (onZoomChange(k, transform) сообщает о своем).
+// ref: { resetZoom(), centerOn(id), toDataURL(), positions() }
+const CanvasNetworkView = ({
+  ref,
+  data,
+  width,
+  height,
+  groups,
+  groupLabel = null,
+  colors,
+  onAgentClick,
+  selectedAgent = null,
+  highlightMode = 'none',
+  showLabels = false,
+  bundling = false,
+  fixedPositions = null,
+  frame = null,
+  linkColor = null,
+  zoomTransform = null,
+  onZoomChange,
+}) => {
+  const canvasRef = useRef(null);
+  const layoutRef = useRef({ nodes: [], index: null });
+  const transformRef = useRef(d3.zoomIdentity);
+  const zoomRef = useRef(null);
+  const drawRef = useRef(() => {});
+  const frameRequestRef = useRef(null);
+  const onZoomChangeRef = useRef(onZoomChange);
+  const [hovered, setHovered] = useState(null); // { node, left, top }
+
+  // Связи по убыванию силы: при отсечении остаются сильнейшие
+  const sortedLinks = useMemo(
+    () => [...(frame ? frame.links : data.links)].sort((a, b) => b.strength - a.strength),
+    [data, frame]
+  );
+
+  // Соседи выбранного агента по всем связям, а не только нарисованным
+  const neighbours = useMemo(() => {
+    if (highlightMode !== 'connections' || selectedAgent === null) return null;
+    const result = new Set([selectedAgent]);
+    sortedLinks.forEach(link => {
+      const source = linkEndpoint(link.source);
+      const target = linkEndpoint(link.target);
+      if (source === selectedAgent) result.add(target);
+      if (target === selectedAgent) result.add(source);
+    });
+    return result;
+  }, [sortedLinks, highlightMode, selectedAgent]);
+
+  const draw = () => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!ctx) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const t = transformRef.current;
+    const { nodes } = layoutRef.current;
+    const groupOf = id => (frame ? frame.clusters[id] : groups[id]);
+
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = '#fafafa';
+    ctx.fillRect(0, 0, width, height);
+    if (!nodes.length) return;
+    ctx.setTransform(dpr * t.k, 0, 0, dpr * t.k, dpr * t.x, dpr * t.y);
+
+    // Видимая область в координатах раскладки
+    const viewport = { x0: -t.x / t.k, y0: -t.y / t.k, x1: (width - t.x) / t.k, y1: (height - t.y) / t.k };
+    const edges = selectVisibleEdges(sortedLinks, nodes, { viewport, scale: t.k });
+    const centroids = bundling ? groupCentroids(nodes, node => groupOf(node.id)) : null;
+    const curve = d3.line().curve(d3.curveBundle.beta(BUNDLE_BETA)).context(ctx);
+
+    ctx.strokeStyle = '#999';
+    edges.forEach(link => {
+      const source = linkEndpoint(link.source);
+      const target = linkEndpoint(link.target);
+      let alpha = link.strength * 0.6;
+      if (highlightMode === 'cluster' && groupOf(source) !== groupOf(target)) alpha *= 0.2;
+      if (neighbours && source !== selectedAgent && target !== selectedAgent) alpha = 0.05;
+
+      ctx.globalAlpha = alpha;
+      if (linkColor) ctx.strokeStyle = linkColor(link);
+      ctx.lineWidth = Math.sqrt(link.strength) * 1.5;
+      ctx.beginPath();
+      if (centroids) {
+        curve(bundledEdgePoints(nodes[source], nodes[target], centroids.get(groupOf(source)), centroids.get(groupOf(target))));
+      } else {
+        ctx.moveTo(nodes[source].x, nodes[source].y);
+        ctx.lineTo(nodes[target].x, nodes[target].y);
+      }
+      ctx.stroke();
+    });
+
+    const visibleNodes = nodes.filter(node =>
+      node.x >= viewport.x0 - 10 && node.x <= viewport.x1 + 10 &&
+      node.y >= viewport.y0 - 10 && node.y <= viewport.y1 + 10
+    );
+
+    visibleNodes.forEach(node => {
+      ctx.globalAlpha = neighbours && !neighbours.has(node.id) ? 0.3 : 1;
+      ctx.fillStyle = colors[groupOf(node.id) % colors.length];
+      // Форма узла — по роли агента: обычные агенты круглые
+      ctx.beginPath();
+      if (node.role) {
+        ctx.save();
+        ctx.translate(node.x, node.y);
+        nodeSymbol(node.role, nodeRadius(node)).context(ctx)();
+        ctx.restore();
+      } else {
+        ctx.arc(node.x, node.y, nodeRadius(node), 0, 2 * Math.PI);
+      }
+      ctx.fill();
+    });
+
+    // Выбранный агент и агент под курсором
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = '#000';
+    [selectedAgent, hovered?.node.id].forEach((id, i) => {
+      if (id === null || id === undefined || !nodes[id]) return;
+      ctx.lineWidth = (i === 0 ? 3 : 2) / t.k;
+      ctx.beginPath();
+      ctx.arc(nodes[id].x, nodes[id].y, nodeRadius(nodes[id]) + 1 / t.k, 0, 2 * Math.PI);
+      ctx.stroke();
+    });
+
+    if (showLabels && visibleNodes.length <= LABEL_LIMIT) {
+      ctx.fillStyle = '#333';
+      ctx.font = '10px sans-serif';
+      visibleNodes.forEach(node => ctx.fillText(String(node.id), node.x + nodeRadius(node) + 2, node.y + 4));
+    }
+  };
+
+  // Отрисовка всегда видит актуальные свойства
+  useEffect(() => {
+    drawRef.current = draw;
+    onZoomChangeRef.current = onZoomChange;
+    scheduleDraw(frameRequestRef, drawRef);
+  });
+
+  // Размер холста с учетом плотности пикселей
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    scheduleDraw(frameRequestRef, drawRef);
+  }, [width, height]);
+
+  // Раскладка: перерисовка на каждом тике, квадродерево строится заново при следующем наведении
+  useEffect(() => {
+    const nodes = data.nodes.map(d => {
+      const fixed = fixedPositions?.get(d.id);
+      return fixed ? { ...d, x: fixed.x, y: fixed.y, fx: fixed.x, fy: fixed.y } : { ...d };
+    });
+    const links = data.links.map(d => ({ source: linkEndpoint(d.source), target: linkEndpoint(d.target), strength: d.strength }));
+    layoutRef.current = { nodes, index: null };
+
+    const sim = d3.forceSimulation(nodes)
+      .force('link', d3.forceLink(links).id(d => d.id).distance(d => 30 + (1 - d.strength) * 60).strength(d => d.strength * 0.3))
+      .force('charge', d3.forceManyBody().strength(-30).distanceMax(300))
+      .force('center', d3.forceCenter(width / 2, height / 2))
+      .alphaDecay(0.05)
+      .on('tick', () => {
+        layoutRef.current.index = null;
+        scheduleDraw(frameRequestRef, drawRef);
+      });
+
+    return () => sim.stop();
+  }, [data, width, height, fixedPositions]);
+
+  // Масштабирование и панорамирование
+  useEffect(() => {
+    const zoom = d3.zoom()
+      .scaleExtent([0.05, 20])
+      .on('zoom', (event) => {
+        transformRef.current = event.transform;
+        onZoomChangeRef.current?.(event.transform.k, event.transform);
+        scheduleDraw(frameRequestRef, drawRef);
+      });
+    const canvas = d3.select(canvasRef.current);
+    zoomRef.current = zoom;
+    canvas.call(zoom);
+    return () => canvas.on('.zoom', null);
+  }, []);
+
+  // Внешний масштаб применяется, только если отличается от текущего, чтобы связанные виды не зацикливались
+  useEffect(() => {
+    const t = transformRef.current;
+    if (!zoomTransform || (zoomTransform.k === t.k && zoomTransform.x === t.x && zoomTransform.y === t.y)) return;
+    d3.select(canvasRef.current).call(zoomRef.current.transform, zoomTransform);
+  }, [zoomTransform]);
+
+  useEffect(() => () => {
+    cancelAnimationFrame(frameRequestRef.current);
+    frameRequestRef.current = null;
+  }, []);
+
+  useImperativeHandle(ref, () => ({
+    resetZoom: () => {
+      d3.select(canvasRef.current).transition().duration(750).call(zoomRef.current.transform, d3.zoomIdentity);
+    },
+    centerOn: (id) => {
+      const node = layoutRef.current.nodes[id];
+      if (!node) return;
+      const scale = 2;
+      d3.select(canvasRef.current).transition().duration(750).call(
+        zoomRef.current.transform,
+        d3.zoomIdentity.translate(width / 2 - scale * node.x, height / 2 - scale * node.y).scale(scale)
+      );
+    },
+    toDataURL: () => canvasRef.current.toDataURL('image/png'),
+    positions: () => new Map(layoutRef.current.nodes.map(node => [node.id, { x: node.x, y: node.y }])),
+  }), [width, height]);
+
+  // Узел под курсором: ближайший по квадродереву и только если курсор внутри круга
+  const nodeAt = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const t = transformRef.current;
+    const [x, y] = t.invert([event.clientX - rect.left, event.clientY - rect.top]);
+    const layout = layoutRef.current;
+    if (!layout.index) layout.index = createNodeIndex(layout.nodes);
+    const node = layout.index.find(x, y);
+    if (!node || Math.hypot(node.x - x, node.y - y) > nodeRadius(node) + 3 / t.k) return null;
+    return { node, left: event.clientX - rect.left, top: event.clientY - rect.top };
+  };
+
+  const handleMouseMove = (event) => {
+    const hit = nodeAt(event);
+    setHovered(current => (current?.node === hit?.node ? current : hit));
+  };
+
+  const handleClick = (event) => {
+    const hit = nodeAt(event);
+    if (hit && onAgentClick) onAgentClick(hit.node.id);
+  };
+
+  const hoveredGroup = hovered && (frame ? frame.clusters[hovered.node.id] : groups[hovered.node.id]);
+
+  return (
+    <div className="relative" style={{ width, minWidth: '320px' }}>
+      <canvas
+        ref={canvasRef}
+        style={{ width, height, display: 'block', cursor: hovered ? 'pointer' : 'grab' }}
+        className="touch-pan-y"
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHovered(null)}
+        onClick={handleClick}
+      />
+      {hovered && (
+        <div
+          className="absolute pointer-events-none rounded px-2 py-1 text-xs text-white"
+          style={{ left: hovered.left + 10, top: hovered.top - 10, background: 'rgba(0, 0, 0, 0.8)', zIndex: 1000 }}
+        >
+          <strong>Агент {hovered.node.id}</strong><br />
+          Кластер: {hovered.node.cluster + 1}<br />
+          {frame
+            ? <>Кластер на цикле {frame.cycle}: {hoveredGroup + 1}<br /></>
+            : groupLabel && <>{groupLabel}: {hoveredGroup + 1}<br /></>}
+          Связей: {hovered.node.degree}<br />
+          Клик для подробностей
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CanvasNetworkView;
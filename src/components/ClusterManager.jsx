@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
 import { Button } from './ui/button';
@@ -7,23 +7,128 @@ import { Label } from './ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { Badge } from './ui/badge';
 import { Separator } from './ui/separator';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
-import { Layers, TrendingUp, Users, Network, Save, History } from 'lucide-react';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, ReferenceLine, Sankey } from 'recharts';
+import { Layers, TrendingUp, Users, Network, Save, History, Target, GitBranch } from 'lucide-react';
+import { Switch } from './ui/switch';
+import { communityStatistics, degreeCentrality } from '../lib/networkMetrics';
+import { clusterVectors, silhouetteScore, daviesBouldinScore, evaluateClusterCounts, PAIRWISE_CLUSTERING_LIMIT } from '../lib/clustering';
+import { buildLineageFlows, describeClusterEvent } from '../lib/clusterLineage';
+import { AUTO_CLUSTER_RANGE } from '../lib/simulationPipeline';
+import { createRandom } from '../lib/random';
+import { CLUSTERING_METHODS, DEFAULT_MODEL_PARAMS, PARAM_CONSTRAINTS } from '../lib/simulationConfig';
+
+const DENDROGRAM_LEAVES = 30;
+const LINEAGE_WINDOW = 8; // пересчетов на диаграмме потоков
+
+/**
+ * Coordinates of the top merges of a dendrogram (the last maxLeaves − 1 merges; the subtrees
+ * below them are drawn as leaves labeled with their size)
+ */
+function dendrogramLayout(merges, n, maxLeaves) {
+  const firstShown = Math.max(0, merges.length - (maxLeaves - 1));
+  const leaves = [];
+  const lines = [];
+  let maxDistance = 0;
+
+  const place = (node) => {
+    const t = node - n;
+    if (t < firstShown) {
+      const size = t >= 0 ? merges[t].size : 1;
+      leaves.push({ x: leaves.length, size, label: t >= 0 ? `(${size})` : `${node}` });
+      return { x: leaves.length - 1, y: 0 };
+    }
+    const { left, right, distance } = merges[t];
+    const a = place(left);
+    const b = place(right);
+    maxDistance = Math.max(maxDistance, distance);
+    lines.push({ a, b, y: distance });
+    return { x: (a.x + b.x) / 2, y: distance };
+  };
+
+  if (merges.length > 0) place(n + merges.length - 1);
+  return { leaves, lines, maxDistance };
+}
+
+const DendrogramChart = ({ merges, n, numClusters }) => {
+  const { leaves, lines, maxDistance } = dendrogramLayout(merges, n, DENDROGRAM_LEAVES);
+  const width = 600;
+  const height = 240;
+  const padding = { left: 40, right: 10, top: 10, bottom: 30 };
+  const scaleX = (x) => padding.left + ((x + 0.5) / leaves.length) * (width - padding.left - padding.right);
+  const scaleY = (y) => height - padding.bottom - (y / (maxDistance || 1)) * (height - padding.top - padding.bottom);
+
+  // Линия разреза между слиянием, дающим k кластеров, и следующим
+  const cut = merges.length >= numClusters && numClusters > 1
+    ? (merges[merges.length - numClusters].distance + merges[merges.length - numClusters + 1].distance) / 2
+    : null;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+      <line x1={padding.left} y1={scaleY(0)} x2={padding.left} y2={scaleY(maxDistance)} stroke="#9CA3AF" />
+      {[0, 0.5, 1].map(share => (
+        <text key={share} x={padding.left - 4} y={scaleY(share * maxDistance) + 3} fontSize="9" textAnchor="end" fill="#6B7280">
+          {(share * maxDistance).toFixed(2)}
+        </text>
+      ))}
+      {lines.map(({ a, b, y }, index) => (
+        <path
+          key={index}
+          d={`M${scaleX(a.x)},${scaleY(a.y)} V${scaleY(y)} H${scaleX(b.x)} V${scaleY(b.y)}`}
+          fill="none"
+          stroke="#3B82F6"
+        />
+      ))}
+      {leaves.map(leaf => (
+        <text key={leaf.x} x={scaleX(leaf.x)} y={height - padding.bottom + 12} fontSize="8" textAnchor="middle" fill="#374151">
+          {leaf.label}
+        </text>
+      ))}
+      {cut !== null && (
+        <line
+          x1={padding.left}
+          x2={width - padding.right}
+          y1={scaleY(cut)}
+          y2={scaleY(cut)}
+          stroke="#EF4444"
+          strokeDasharray="4 3"
+        />
+      )}
+    </svg>
+  );
+};
+
+// Узел диаграммы потоков: кластер на шаге пересчета, цвет — по номеру кластера
+const LineageNode = ({ x, y, width, height, payload, colors }) => (
+  <g>
+    <rect x={x} y={y} width={width} height={height} fill={colors[payload.cluster % colors.length]} />
+    {height > 10 && (
+      <text x={x + width + 4} y={y + height / 2} fontSize="10" dominantBaseline="middle" fill="#374151">
+        К{payload.cluster + 1}
+      </text>
+    )}
+  </g>
+);
 
 const ClusterManager = ({ 
   simulationParams, 
   onParamsChange,
   rawSimulationData,
+  agentVectors,
   onSaveClusterHistory 
 }) => {
   const [clusterHistory, setClusterHistory] = useState([]);
   const [currentClusterConfig, setCurrentClusterConfig] = useState({
     numClusters: simulationParams.numClusters,
     recalculateAfter: simulationParams.recalculateClustersAfter,
-    method: 'kmeans'
+    method: simulationParams.clusteringMethod ?? DEFAULT_MODEL_PARAMS.clusteringMethod
   });
   const [clusterStats, setClusterStats] = useState(null);
   const [selectedHistoryItem, setSelectedHistoryItem] = useState(null);
+  const [kRange, setKRange] = useState({ min: AUTO_CLUSTER_RANGE[0], max: AUTO_CLUSTER_RANGE[1] });
+  const [kEvaluation, setKEvaluation] = useState(null);
+  const [kEvaluationError, setKEvaluationError] = useState(null);
+  const [isEvaluatingK, setIsEvaluatingK] = useState(false);
+  const [lineageStart, setLineageStart] = useState(0);
 
   const clusterColors = [
     '#3B82F6', '#EF4444', '#10B981', '#F59E0B', 
@@ -41,18 +146,24 @@ const ClusterManager = ({
     if (!rawSimulationData || !rawSimulationData.agents) return;
 
     const { agents, connections } = rawSimulationData;
+    // Ребра — связи не слабее порога отображения, как на графе сети и в аналитике
+    const edgeOptions = { threshold: simulationParams.edgeThreshold ?? 0 };
+    const communityStats = communityStatistics(connections, agents.map(agent => agent.cluster), edgeOptions);
+    const degrees = degreeCentrality(connections, edgeOptions);
     const clusterData = {};
 
-    // Инициализация данных кластеров
-    for (let i = 0; i < simulationParams.numClusters; i++) {
+    // Инициализация данных кластеров (после пересчетов номера кластеров могут идти с пропусками)
+    const clusterIds = [...new Set(agents.map(agent => agent.cluster))].sort((a, b) => a - b);
+    for (const i of clusterIds) {
+      const stats = communityStats[i];
       clusterData[i] = {
         id: i,
         agents: [],
-        internalConnections: 0,
-        externalConnections: 0,
-        density: 0,
+        internalConnections: stats?.internalEdges || 0,
+        externalConnections: stats?.externalEdges || 0,
+        density: stats?.density || 0,
         hubs: [],
-        avgConnectionStrength: 0
+        avgConnectionStrength: stats?.internalEdges ? stats.internalStrength / stats.internalEdges : 0
       };
     }
 
@@ -63,38 +174,11 @@ const ClusterManager = ({
       }
     });
 
-    // Анализ связей
-    connections.forEach((row, i) => {
-      const agentI = agents[i];
-      if (!agentI) return;
-
-      row.forEach((strength, j) => {
-        if (i !== j && strength > 0) {
-          const agentJ = agents[j];
-          if (!agentJ) return;
-
-          if (agentI.cluster === agentJ.cluster) {
-            clusterData[agentI.cluster].internalConnections++;
-          } else {
-            clusterData[agentI.cluster].externalConnections++;
-          }
-        }
-      });
-    });
-
-    // Расчет плотности и поиск хабов
+    // Поиск хабов (агентов с большим количеством связей)
     Object.values(clusterData).forEach(cluster => {
       const clusterSize = cluster.agents.length;
-      if (clusterSize > 1) {
-        const maxPossibleConnections = clusterSize * (clusterSize - 1);
-        cluster.density = cluster.internalConnections / maxPossibleConnections;
-      }
-
-      // Поиск хабов (агентов с большим количеством связей)
       cluster.agents.forEach(agent => {
-        const agentConnections = connections[agent.id].reduce((sum, strength) => 
-          sum + (strength > 0 ? 1 : 0), 0
-        );
+        const agentConnections = degrees[agent.id];
         
         if (agentConnections > clusterSize * 0.3) { // Порог для хаба
           cluster.hubs.push({
@@ -103,10 +187,6 @@ const ClusterManager = ({
           });
         }
       });
-
-      // Средняя сила связей
-      const totalStrength = connections[cluster.agents[0]?.id]?.reduce((sum, strength) => sum + strength, 0) || 0;
-      cluster.avgConnectionStrength = totalStrength / clusterSize;
     });
 
     setClusterStats(clusterData);
@@ -120,9 +200,101 @@ const ClusterManager = ({
       onParamsChange({ numClusters: parseInt(value) });
     } else if (key === 'recalculateAfter') {
       onParamsChange({ recalculateClustersAfter: parseInt(value) });
+    } else if (key === 'method') {
+      onParamsChange({ clusteringMethod: value });
     }
   };
 
+  const handleDbscanChange = (key, value) => {
+    const numeric = parseFloat(value);
+    onParamsChange({ [key]: Number.isFinite(numeric) ? numeric : DEFAULT_MODEL_PARAMS[key] });
+  };
+
+  const getMethodName = (methodId) =>
+    CLUSTERING_METHODS.find(method => method.id === methodId)?.name || methodId;
+
+  // Качество текущего разбиения агентов по их ценностям
+  const clusterQuality = useMemo(() => {
+    const agents = rawSimulationData?.agents;
+    if (!agents?.length) return null;
+    const vectors = agents.map(agent => agent.values);
+    const labels = agents.map(agent => agent.cluster);
+    return {
+      silhouette: silhouetteScore(vectors, labels),
+      daviesBouldin: daviesBouldinScore(vectors, labels),
+    };
+  }, [rawSimulationData]);
+
+  // Дендрограмма ценностей агентов для иерархического метода
+  const dendrogram = useMemo(() => {
+    const agents = rawSimulationData?.agents;
+    if (currentClusterConfig.method !== 'agglomerative' || !agents?.length || agents.length > PAIRWISE_CLUSTERING_LIMIT) {
+      return null;
+    }
+    return clusterVectors(agents.map(agent => agent.values), 1, 'agglomerative').dendrogram;
+  }, [rawSimulationData, currentClusterConfig.method]);
+
+  // События пересчета кластеров последнего прогона (есть при recalculateClustersAfter > 0)
+  const clusterEvents = useMemo(() => rawSimulationData?.clusterEvents || [], [rawSimulationData]);
+
+  useEffect(() => {
+    setLineageStart(0);
+  }, [clusterEvents]);
+
+  const lineageFlows = useMemo(
+    () => buildLineageFlows(clusterEvents, { start: lineageStart, count: LINEAGE_WINDOW }),
+    [clusterEvents, lineageStart]
+  );
+
+  // Размеры и дрейф центроидов кластеров по циклам пересчета
+  const lineageSeries = useMemo(() => {
+    if (clusterEvents.length === 0) return null;
+    const ids = [...new Set(clusterEvents.flatMap(event => [...event.from, ...event.to]))].sort((a, b) => a - b);
+    const first = clusterEvents[0];
+    const sizes = [{ cycle: 0 }, ...clusterEvents.map(event => ({ cycle: event.cycle }))];
+    const drift = clusterEvents.map(event => ({ cycle: event.cycle }));
+
+    ids.forEach(id => {
+      const key = `К${id + 1}`;
+      const initial = first.from.indexOf(id);
+      sizes[0][key] = initial >= 0 ? first.previousSizes[initial] : 0;
+      clusterEvents.forEach((event, e) => {
+        const j = event.to.indexOf(id);
+        sizes[e + 1][key] = j >= 0 ? event.sizes[j] : 0;
+        drift[e][key] = j >= 0 ? event.drift[j] : null;
+      });
+    });
+
+    return { ids, sizes, drift };
+  }, [clusterEvents]);
+
+  // Векторы для подбора k: загруженные агенты, иначе ценности агентов последнего прогона
+  const evaluationVectors = agentVectors?.length
+    ? agentVectors
+    : rawSimulationData?.agents?.map(agent => agent.values) || null;
+
+  const runKEvaluation = () => {
+    if (!evaluationVectors) return;
+    setIsEvaluatingK(true);
+    setKEvaluationError(null);
+    // Даем интерфейсу отрисовать индикатор перед долгим расчетом
+    setTimeout(() => {
+      try {
+        setKEvaluation(evaluateClusterCounts(evaluationVectors, {
+          kMin: kRange.min,
+          kMax: kRange.max,
+          method: currentClusterConfig.method,
+          rng: createRandom(simulationParams.seed ?? 0),
+        }));
+      } catch (error) {
+        setKEvaluation(null);
+        setKEvaluationError(error.message);
+      } finally {
+        setIsEvaluatingK(false);
+      }
+    }, 0);
+  };
+
   const saveCurrentClusterState = () => {
     if (!rawSimulationData) return;
 
@@ -152,7 +324,8 @@ const ClusterManager = ({
     setSelectedHistoryItem(historyItem);
     onParamsChange({
       numClusters: historyItem.config.numClusters,
-      recalculateClustersAfter: historyItem.config.recalculateAfter
+      recalculateClustersAfter: historyItem.config.recalculateAfter,
+      clusteringMethod: historyItem.config.method
     });
   };
 
@@ -203,9 +376,11 @@ const ClusterManager = ({
       </CardHeader>
       <CardContent>
         <Tabs defaultValue="config" className="w-full">
-          <TabsList className="grid w-full grid-cols-4">
+          <TabsList className="grid w-full grid-cols-6">
             <TabsTrigger value="config">Настройка</TabsTrigger>
+            <TabsTrigger value="choose-k">Подбор k</TabsTrigger>
             <TabsTrigger value="stats">Статистика</TabsTrigger>
+            <TabsTrigger value="lineage">Эволюция</TabsTrigger>
             <TabsTrigger value="visualization">Визуализация</TabsTrigger>
             <TabsTrigger value="history">История</TabsTrigger>
           </TabsList>
@@ -253,13 +428,47 @@ const ClusterManager = ({
                     <SelectValue />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="kmeans">K-means</SelectItem>
-                    <SelectItem value="hierarchical">Иерархическая</SelectItem>
-                    <SelectItem value="dbscan">DBSCAN</SelectItem>
+                    {CLUSTERING_METHODS.map(method => (
+                      <SelectItem key={method.id} value={method.id}>{method.name}</SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
+                <p className="text-xs text-gray-500">
+                  Применяется к загруженным векторам агентов и при пересчете кластеров во время симуляции
+                </p>
               </div>
 
+              {currentClusterConfig.method === 'dbscan' && (
+                <div className="grid grid-cols-2 gap-2">
+                  <div className="space-y-2">
+                    <Label htmlFor="dbscan-eps">Радиус окрестности (косинус)</Label>
+                    <Input
+                      id="dbscan-eps"
+                      type="number"
+                      min={PARAM_CONSTRAINTS.dbscanEps.min}
+                      max={PARAM_CONSTRAINTS.dbscanEps.max}
+                      step={PARAM_CONSTRAINTS.dbscanEps.step}
+                      value={simulationParams.dbscanEps ?? DEFAULT_MODEL_PARAMS.dbscanEps}
+                      onChange={(e) => handleDbscanChange('dbscanEps', e.target.value)}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="dbscan-min-points">Минимум соседей</Label>
+                    <Input
+                      id="dbscan-min-points"
+                      type="number"
+                      min={PARAM_CONSTRAINTS.dbscanMinPoints.min}
+                      max={PARAM_CONSTRAINTS.dbscanMinPoints.max}
+                      value={simulationParams.dbscanMinPoints ?? DEFAULT_MODEL_PARAMS.dbscanMinPoints}
+                      onChange={(e) => handleDbscanChange('dbscanMinPoints', e.target.value)}
+                    />
+                  </div>
+                  <p className="col-span-2 text-xs text-gray-500">
+                    DBSCAN сам определяет число кластеров; агенты вне плотных областей относятся к ближайшему кластеру
+                  </p>
+                </div>
+              )}
+
               <div className="flex items-end">
                 <Button 
                   onClick={saveCurrentClusterState}
@@ -284,13 +493,174 @@ const ClusterManager = ({
                   Пересчет: {currentClusterConfig.recalculateAfter || 'Никогда'}
                 </Badge>
                 <Badge variant="outline">
-                  Метод: {currentClusterConfig.method}
+                  Метод: {getMethodName(currentClusterConfig.method)}
                 </Badge>
                 <Badge variant="outline">
                   Агентов: {rawSimulationData?.agents?.length || 0}
                 </Badge>
               </div>
             </div>
+
+            {clusterQuality && (
+              <div className="space-y-2">
+                <h4 className="font-medium">Качество кластеризации</h4>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <Card className="p-4">
+                    <div className="text-2xl font-bold text-blue-600">
+                      {clusterQuality.silhouette === null ? '—' : clusterQuality.silhouette.toFixed(3)}
+                    </div>
+                    <div className="text-sm text-gray-600">Силуэт (от −1 до 1, выше — лучше)</div>
+                  </Card>
+                  <Card className="p-4">
+                    <div className="text-2xl font-bold text-purple-600">
+                      {clusterQuality.daviesBouldin === null ? '—' : clusterQuality.daviesBouldin.toFixed(3)}
+                    </div>
+                    <div className="text-sm text-gray-600">Индекс Дэвиса–Боулдина (ниже — лучше)</div>
+                  </Card>
+                </div>
+                <p className="text-xs text-gray-500">
+                  Оценки текущего разбиения агентов по их ценностям. Сравните их при разном числе кластеров:
+                  лучшее k дает наибольший силуэт и наименьший индекс Дэвиса–Боулдина.
+                  {clusterQuality.silhouette !== null && clusterQuality.silhouette < 0.25 &&
+                    ' Силуэт ниже 0.25: кластеры заметно перекрываются.'}
+                </p>
+              </div>
+            )}
+
+            {dendrogram && (
+              <Card className="p-4">
+                <h4 className="font-medium mb-2">Дендрограмма ({dendrogram.linkage} linkage)</h4>
+                <DendrogramChart
+                  merges={dendrogram.merges}
+                  n={rawSimulationData.agents.length}
+                  numClusters={currentClusterConfig.numClusters}
+                />
+                <p className="text-xs text-gray-500 mt-2">
+                  Высота слияния — косинусное расстояние между группами; показаны верхние {DENDROGRAM_LEAVES - 1} слияний,
+                  в скобках — размер поддерева. Красная линия разрезает дерево на {currentClusterConfig.numClusters} кластеров.
+                </p>
+              </Card>
+            )}
+          </TabsContent>
+
+          <TabsContent value="choose-k" className="space-y-4">
+            <div className="flex items-center justify-between gap-4 p-3 border rounded-lg">
+              <div>
+                <Label htmlFor="auto-clusters">Подбирать число кластеров автоматически</Label>
+                <p className="text-xs text-gray-500">
+                  Перед запуском загруженные векторы агентов кластеризуются для k от {AUTO_CLUSTER_RANGE[0]} до {AUTO_CLUSTER_RANGE[1]},
+                  и симуляция использует рекомендованное k
+                </p>
+              </div>
+              <Switch
+                id="auto-clusters"
+                checked={!!simulationParams.autoClusters}
+                onCheckedChange={(checked) => onParamsChange({ autoClusters: checked })}
+              />
+            </div>
+
+            {rawSimulationData?.agentData?.clusterSelection && (
+              <Badge variant="secondary">
+                Последний прогон: выбрано k = {rawSimulationData.agentData.clusterSelection.suggestedK}
+              </Badge>
+            )}
+
+            {currentClusterConfig.method === 'dbscan' ? (
+              <div className="text-center py-8 text-gray-500">
+                DBSCAN сам определяет число кластеров — выберите другой метод, чтобы сравнить значения k
+              </div>
+            ) : (
+              <>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+                  <div className="space-y-2">
+                    <Label htmlFor="k-min">k от</Label>
+                    <Input
+                      id="k-min"
+                      type="number"
+                      min="2"
+                      max="10"
+                      value={kRange.min}
+                      onChange={(e) => setKRange({ ...kRange, min: parseInt(e.target.value) || 2 })}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="k-max">k до</Label>
+                    <Input
+                      id="k-max"
+                      type="number"
+                      min="2"
+                      max="10"
+                      value={kRange.max}
+                      onChange={(e) => setKRange({ ...kRange, max: parseInt(e.target.value) || 10 })}
+                    />
+                  </div>
+                  <Button onClick={runKEvaluation} disabled={!evaluationVectors || isEvaluatingK}>
+                    <Target className="h-4 w-4 mr-2" />
+                    {isEvaluatingK ? 'Расчет...' : 'Оценить k'}
+                  </Button>
+                </div>
+
+                <p className="text-xs text-gray-500">
+                  {agentVectors?.length
+                    ? `Загруженные векторы: ${agentVectors.length} агентов`
+                    : evaluationVectors
+                      ? `Ценности агентов последнего прогона: ${evaluationVectors.length}`
+                      : 'Загрузите векторы агентов или запустите симуляцию'}
+                  {evaluationVectors?.length > 1000 && ' (оценка по случайной выборке из 1000)'}
+                  . Метод: {getMethodName(currentClusterConfig.method)}.
+                </p>
+
+                {kEvaluationError && (
+                  <div className="p-2 bg-red-50 border border-red-200 rounded text-sm text-red-800">{kEvaluationError}</div>
+                )}
+
+                {kEvaluation && (
+                  <div className="space-y-4">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <Badge variant="outline">Локоть: k = {kEvaluation.suggestions.elbow}</Badge>
+                      <Badge variant="outline">Силуэт: k = {kEvaluation.suggestions.silhouette ?? '—'}</Badge>
+                      <Badge variant="outline">Gap: k = {kEvaluation.suggestions.gap}</Badge>
+                      <Badge variant="outline">Дэвис–Боулдин: k = {kEvaluation.suggestions.daviesBouldin ?? '—'}</Badge>
+                      <Button
+                        size="sm"
+                        onClick={() => handleClusterConfigChange('numClusters', kEvaluation.suggestedK.toString())}
+                        disabled={kEvaluation.suggestedK === Number(currentClusterConfig.numClusters)}
+                      >
+                        Применить k = {kEvaluation.suggestedK}
+                      </Button>
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+                      {[
+                        { key: 'dispersion', title: 'Локоть: внутрикластерный разброс', color: '#3B82F6', suggestion: kEvaluation.suggestions.elbow },
+                        { key: 'silhouette', title: 'Силуэт (выше — лучше)', color: '#10B981', suggestion: kEvaluation.suggestions.silhouette },
+                        { key: 'gap', title: 'Gap-статистика', color: '#8B5CF6', suggestion: kEvaluation.suggestions.gap },
+                      ].map(({ key, title, color, suggestion }) => (
+                        <Card key={key} className="p-4">
+                          <h4 className="font-medium mb-2 text-sm">{title}</h4>
+                          <ResponsiveContainer width="100%" height={180}>
+                            <LineChart data={kEvaluation.rows}>
+                              <CartesianGrid strokeDasharray="3 3" />
+                              <XAxis dataKey="k" />
+                              <YAxis domain={['auto', 'auto']} tickFormatter={(value) => value.toFixed(2)} />
+                              <Tooltip formatter={(value) => (typeof value === 'number' ? value.toFixed(3) : value)} />
+                              {suggestion !== null && <ReferenceLine x={suggestion} stroke="#EF4444" strokeDasharray="4 3" />}
+                              <Line type="monotone" dataKey={key} stroke={color} dot />
+                            </LineChart>
+                          </ResponsiveContainer>
+                        </Card>
+                      ))}
+                    </div>
+
+                    <p className="text-xs text-gray-500">
+                      Рекомендация — k, на котором сходится большинство критериев (локоть, силуэт, gap);
+                      при расхождении предпочитается силуэт. Gap-статистика сравнивает разброс с равномерными
+                      опорными данными и выбирает наименьшее k, после которого выигрыш не превышает погрешности.
+                    </p>
+                  </div>
+                )}
+              </>
+            )}
           </TabsContent>
 
           <TabsContent value="stats" className="space-y-4">
@@ -374,6 +744,128 @@ const ClusterManager = ({
             )}
           </TabsContent>
 
+          <TabsContent value="lineage" className="space-y-4">
+            {lineageSeries ? (
+              <div className="space-y-6">
+                <Card className="p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                    <h4 className="font-medium flex items-center gap-2">
+                      <GitBranch className="h-4 w-4" />
+                      Потоки агентов между кластерами
+                    </h4>
+                    {clusterEvents.length > LINEAGE_WINDOW && (
+                      <Select value={lineageStart.toString()} onValueChange={(value) => setLineageStart(parseInt(value))}>
+                        <SelectTrigger className="w-56">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {clusterEvents.slice(0, clusterEvents.length - LINEAGE_WINDOW + 1).map((event, index) => (
+                            <SelectItem key={event.cycle} value={index.toString()}>
+                              Пересчеты с цикла {event.cycle}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    )}
+                  </div>
+                  <ResponsiveContainer width="100%" height={320}>
+                    <Sankey
+                      data={lineageFlows}
+                      node={<LineageNode colors={clusterColors} />}
+                      link={{ stroke: '#CBD5E1' }}
+                      nodePadding={12}
+                      margin={{ top: 10, right: 40, bottom: 10, left: 10 }}
+                    >
+                      <Tooltip />
+                    </Sankey>
+                  </ResponsiveContainer>
+                  <p className="text-xs text-gray-500 mt-2">
+                    Столбцы — состояние кластеров до и после каждого пересчета, ширина потока — число перешедших агентов.
+                    Кластеры сопоставляются между пересчетами по центроидам (венгерский алгоритм), поэтому номер
+                    кластера сохраняется, пока его центр остается ближайшим.
+                  </p>
+                </Card>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <Card className="p-4">
+                    <h4 className="font-medium mb-4 flex items-center gap-2">
+                      <Users className="h-4 w-4" />
+                      Размеры кластеров
+                    </h4>
+                    <ResponsiveContainer width="100%" height={220}>
+                      <LineChart data={lineageSeries.sizes}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="cycle" />
+                        <YAxis />
+                        <Tooltip />
+                        {lineageSeries.ids.map(id => (
+                          <Line key={id} type="monotone" dataKey={`К${id + 1}`} stroke={clusterColors[id % clusterColors.length]} dot={false} />
+                        ))}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </Card>
+
+                  <Card className="p-4">
+                    <h4 className="font-medium mb-4 flex items-center gap-2">
+                      <TrendingUp className="h-4 w-4" />
+                      Дрейф центроидов (косинусное расстояние)
+                    </h4>
+                    <ResponsiveContainer width="100%" height={220}>
+                      <LineChart data={lineageSeries.drift}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="cycle" />
+                        <YAxis tickFormatter={(value) => value.toFixed(3)} />
+                        <Tooltip formatter={(value) => (typeof value === 'number' ? value.toFixed(4) : value)} />
+                        {lineageSeries.ids.map(id => (
+                          <Line key={id} type="monotone" dataKey={`К${id + 1}`} stroke={clusterColors[id % clusterColors.length]} dot />
+                        ))}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </Card>
+                </div>
+
+                <Card className="p-4">
+                  <h4 className="font-medium mb-4">Пересчеты</h4>
+                  <div className="space-y-2 text-sm">
+                    {clusterEvents.map(event => {
+                      const { splits, merges } = describeClusterEvent(event);
+                      const moved = event.counts.reduce((sum, row, i) =>
+                        sum + row.reduce((rowSum, count, j) => rowSum + (event.from[i] === event.to[j] ? 0 : count), 0), 0);
+                      return (
+                        <div key={event.cycle} className="flex flex-wrap items-center gap-2 border-b pb-2">
+                          <span className="font-medium w-24">Цикл {event.cycle}</span>
+                          <Badge variant="outline">Кластеров: {event.to.length}</Badge>
+                          <Badge variant="outline">Сменили кластер: {moved}</Badge>
+                          {splits.map(split => (
+                            <Badge key={`split-${split.from}`} variant="secondary">
+                              К{split.from + 1} → {split.into.map(id => `К${id + 1}`).join(' + ')}
+                            </Badge>
+                          ))}
+                          {merges.map(merge => (
+                            <Badge key={`merge-${merge.into}`} variant="secondary">
+                              {merge.from.map(id => `К${id + 1}`).join(' + ')} → К{merge.into + 1}
+                            </Badge>
+                          ))}
+                          {event.born.map(id => (
+                            <Badge key={`born-${id}`}>Новый К{id + 1}</Badge>
+                          ))}
+                          {event.vanished.map(id => (
+                            <Badge key={`vanished-${id}`} variant="destructive">Исчез К{id + 1}</Badge>
+                          ))}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </Card>
+              </div>
+            ) : (
+              <div className="text-center py-8 text-gray-500">
+                Включите пересчет кластеров («Пересчет кластеров каждые (циклы)» на вкладке «Настройка») и запустите
+                симуляцию, чтобы увидеть, как кластеры делятся и сливаются
+              </div>
+            )}
+          </TabsContent>
+
           <TabsContent value="visualization" className="space-y-4">
             {clusterStats ? (
               <div className="space-y-6">
@@ -473,7 +965,7 @@ const ClusterManager = ({
                             {item.config.numClusters} кластеров
                           </Badge>
                           <Badge variant="outline" size="sm">
-                            {item.config.method}
+                            {getMethodName(item.config.method)}
                           </Badge>
                         </div>
                       </div>
@@ -506,7 +998,7 @@ const ClusterManager = ({
                     <ul className="mt-1 space-y-1">
                       <li>Кластеров: {selectedHistoryItem.config.numClusters}</li>
                       <li>Пересчет: {selectedHistoryItem.config.recalculateAfter || 'Никогда'}</li>
-                      <li>Метод: {selectedHistoryItem.config.method}</li>
+                      <li>Метод: {getMethodName(selectedHistoryItem.config.method)}</li>
                     </ul>
                   </div>
                   <div>
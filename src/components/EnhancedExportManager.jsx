@@ -1,4 +1,4 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './ui/tabs';
 import { Button } from './ui/button';
@@ -10,9 +10,21 @@ import { Separator } from './ui/separator';
 import { Badge } from './ui/badge';
 import { 
   Download, FileImage, FileText, FileSpreadsheet, 
-  Settings, Camera, BarChart3, Network, Table 
+  Settings, Camera, BarChart3, Network, Table, Film
 } from 'lucide-react';
 import * as d3 from 'd3';
+import { historyToTimeSeries, historyFrames } from '../lib/simulationHistory';
+import {
+  REPLAY_FPS_RANGE,
+  selectReplayFrames,
+  replayOverlayText,
+  buildGifPalette,
+  createGifEncoder,
+  recordWebm,
+} from '../lib/replayExport';
+import { asConnectionStore } from '../lib/connectionStore';
+import { resolveThresholds } from '../lib/simulationConfig';
+import { exportRunInputs } from '../lib/exportUtils';
 
 const EnhancedExportManager = ({ 
   simulationData,
@@ -20,6 +32,7 @@ const EnhancedExportManager = ({
   simulationParams,
   topicSettings,
   opinionSettings,
+  runInputs,
   simulationReport,
   onError 
 }) => {
@@ -35,6 +48,27 @@ const EnhancedExportManager = ({
   const [exportProgress, setExportProgress] = useState(null);
   const canvasRef = useRef(null);
 
+  // Анимация: кадры истории в диапазоне циклов (null — от первого / до последнего снимка)
+  const [animationSettings, setAnimationSettings] = useState({
+    fps: 4,
+    resolution: 'low',
+    startCycle: null,
+    endCycle: null,
+    overlayCycle: true,
+    overlayDensity: true
+  });
+
+  // С автоподбором числа кластеров прогон использует выбранное k, а не numClusters из настроек
+  const runParams = {
+    ...simulationParams,
+    numClusters: rawSimulationData?.agentData?.clusterSelection?.suggestedK ?? simulationParams.numClusters,
+  };
+
+  const replayFrames = useMemo(
+    () => historyFrames(rawSimulationData?.history, simulationParams.edgeThreshold ?? 0),
+    [rawSimulationData, simulationParams.edgeThreshold]
+  );
+
   const exportFormats = {
     images: ['png', 'jpeg', 'svg', 'pdf'],
     data: ['csv', 'xlsx', 'json'],
@@ -57,13 +91,14 @@ const EnhancedExportManager = ({
     setExportProgress('Подготовка матрицы связей...');
 
     try {
-      const { connections, agents } = rawSimulationData;
+      const { agents } = rawSimulationData;
+      const connections = asConnectionStore(rawSimulationData.connections);
       let content, filename, mimeType;
 
       if (exportSettings.matrixFormat === 'symmetric') {
         // Симметричная матрица
         const headers = ['Agent_ID', ...agents.map((_, i) => `Agent_${i}`)];
-        const rows = connections.map((row, i) => [i, ...row]);
+        const rows = agents.map((_, i) => [i, ...connections.row(i)]);
         
         if (format === 'csv') {
           content = [headers, ...rows].map(row => row.join(',')).join('\\n');
@@ -76,7 +111,7 @@ const EnhancedExportManager = ({
             data: rows,
             metadata: {
               agentCount: agents.length,
-              threshold: simulationParams.threshold,
+              edgeThreshold: simulationParams.edgeThreshold,
               exportTime: new Date().toISOString()
             }
           }, null, 2);
@@ -86,17 +121,15 @@ const EnhancedExportManager = ({
       } else {
         // Развернутая матрица "все связи агента"
         const expandedData = [];
-        connections.forEach((row, i) => {
-          row.forEach((strength, j) => {
-            if (i !== j && strength > 0) {
-              expandedData.push({
-                source_agent: i,
-                target_agent: j,
-                connection_strength: strength,
-                source_cluster: agents[i]?.cluster || 0,
-                target_cluster: agents[j]?.cluster || 0
-              });
-            }
+        agents.forEach((_, i) => {
+          connections.forEachNeighbour(i, (j, strength) => {
+            expandedData.push({
+              source_agent: i,
+              target_agent: j,
+              connection_strength: strength,
+              source_cluster: agents[i]?.cluster || 0,
+              target_cluster: agents[j]?.cluster || 0
+            });
           });
         });
 
@@ -113,7 +146,7 @@ const EnhancedExportManager = ({
             metadata: {
               totalConnections: expandedData.length,
               agentCount: agents.length,
-              threshold: simulationParams.threshold,
+              edgeThreshold: simulationParams.edgeThreshold,
               exportTime: new Date().toISOString()
             }
           }, null, 2);
@@ -131,6 +164,37 @@ const EnhancedExportManager = ({
     }
   };
 
+  // Экспорт истории по циклам: сводные метрики или разреженный дифф связей
+  const exportHistory = (kind) => {
+    const history = rawSimulationData?.history;
+    if (!history) {
+      onError('История не записана: включите запись истории в настройках и перезапустите симуляцию');
+      return;
+    }
+
+    try {
+      let content, filename;
+
+      if (kind === 'timeseries') {
+        const rows = historyToTimeSeries(history, rawSimulationData.topics || []);
+        const headers = Object.keys(rows[0] || {});
+        content = [headers, ...rows.map(row => headers.map(h => row[h]))].map(row => row.join(',')).join('\n');
+        filename = 'simulation_history.csv';
+      } else {
+        const rows = [['cycle', 'source_agent', 'target_agent', 'connection_strength']];
+        history.snapshots.forEach(snapshot => {
+          snapshot.changes.forEach(([i, j, value]) => rows.push([snapshot.cycle, i, j, value]));
+        });
+        content = rows.map(row => row.join(',')).join('\n');
+        filename = 'simulation_edge_changes.csv';
+      }
+
+      downloadFile(content, filename, 'text/csv');
+    } catch (error) {
+      onError(`Ошибка экспорта истории: ${error.message}`);
+    }
+  };
+
   const exportNetworkVisualization = async (format) => {
     if (!simulationData) {
       onError('Нет данных для экспорта визуализации');
@@ -227,8 +291,25 @@ const EnhancedExportManager = ({
     return svg.node().outerHTML;
   };
 
-  const generateCanvasVisualization = async (resolution, format) => {
+  // Раскладка узлов итоговой сети (силовая модель, 300 шагов); общая для всех кадров анимации
+  const computeExportLayout = (width, height) => {
+    const nodes = simulationData.nodes.map(d => ({ ...d }));
+    const links = simulationData.links.map(d => ({ ...d }));
+    const simulation = d3.forceSimulation(nodes)
+      .force('link', d3.forceLink(links).id(d => d.id).distance(50))
+      .force('charge', d3.forceManyBody().strength(-100))
+      .force('center', d3.forceCenter(width / 2, height / 2))
+      .stop();
+
+    for (let i = 0; i < 300; ++i) simulation.tick();
+    return nodes;
+  };
+
+  // options.frame — кадр истории (связи и кластеры на цикле), options.overlay — подпись в углу
+  const generateCanvasVisualization = async (resolution, format, options = {}) => {
     const { width, height } = resolution;
+    const { frame = null, overlay = '' } = options;
+    const layout = options.layout || computeExportLayout(width, height);
     const canvas = document.createElement('canvas');
     canvas.width = width;
     canvas.height = height;
@@ -238,43 +319,43 @@ const EnhancedExportManager = ({
     ctx.fillStyle = 'white';
     ctx.fillRect(0, 0, width, height);
 
-    const { nodes, links } = simulationData;
+    const links = frame ? frame.links : simulationData.links;
     const clusterColors = ['#3B82F6', '#EF4444', '#10B981', '#F59E0B', '#8B5CF6'];
+    const endpoint = (ref) => layout[typeof ref === 'object' ? ref.id : ref];
 
     // Масштабирование координат
     const scaleX = d3.scaleLinear()
-      .domain(d3.extent(nodes, d => d.x))
+      .domain(d3.extent(layout, d => d.x))
       .range([50, width - 50]);
     
     const scaleY = d3.scaleLinear()
-      .domain(d3.extent(nodes, d => d.y))
+      .domain(d3.extent(layout, d => d.y))
       .range([50, height - 50]);
 
     // Рисуем связи
     ctx.strokeStyle = '#999';
     ctx.globalAlpha = 0.6;
     links.forEach(link => {
-      const sourceX = scaleX(link.source.x);
-      const sourceY = scaleY(link.source.y);
-      const targetX = scaleX(link.target.x);
-      const targetY = scaleY(link.target.y);
+      const source = endpoint(link.source);
+      const target = endpoint(link.target);
 
-      ctx.lineWidth = Math.sqrt(link.value) * 2;
+      ctx.lineWidth = Math.sqrt(link.strength) * 2;
       ctx.beginPath();
-      ctx.moveTo(sourceX, sourceY);
-      ctx.lineTo(targetX, targetY);
+      ctx.moveTo(scaleX(source.x), scaleY(source.y));
+      ctx.lineTo(scaleX(target.x), scaleY(target.y));
       ctx.stroke();
     });
 
     // Рисуем узлы
     ctx.globalAlpha = 1;
     ctx.lineWidth = 2;
-    nodes.forEach(node => {
+    layout.forEach(node => {
       const x = scaleX(node.x);
       const y = scaleY(node.y);
+      const cluster = frame ? frame.clusters[node.id] : node.cluster;
 
       // Заливка
-      ctx.fillStyle = clusterColors[node.cluster % clusterColors.length];
+      ctx.fillStyle = clusterColors[cluster % clusterColors.length];
       ctx.beginPath();
       ctx.arc(x, y, 8, 0, 2 * Math.PI);
       ctx.fill();
@@ -291,9 +372,82 @@ const EnhancedExportManager = ({
       }
     });
 
+    // Подпись кадра (цикл, плотность) на светлой подложке
+    if (overlay) {
+      const fontSize = Math.round(width / 40);
+      ctx.font = `bold ${fontSize}px Arial`;
+      const textWidth = ctx.measureText(overlay).width;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+      ctx.fillRect(10, 10, textWidth + fontSize, fontSize * 1.8);
+      ctx.fillStyle = '#111827';
+      ctx.fillText(overlay, 10 + fontSize / 2, 10 + fontSize * 1.3);
+    }
+
     return canvas;
   };
 
+  // Экспорт воспроизведения в GIF или WebM; кадры рисуются generateCanvasVisualization при общей раскладке
+  const exportAnimation = async (kind) => {
+    if (!simulationData || replayFrames.length === 0) {
+      onError('История не записана: включите запись истории в настройках и перезапустите симуляцию');
+      return;
+    }
+
+    const { fps, startCycle, endCycle, overlayCycle, overlayDensity } = animationSettings;
+    const frames = selectReplayFrames(replayFrames, startCycle ?? -Infinity, endCycle ?? Infinity);
+    if (frames.length === 0) {
+      onError('В выбранном диапазоне циклов нет снимков истории');
+      return;
+    }
+
+    const resolution = resolutionSettings[animationSettings.resolution];
+    const { width, height } = resolution;
+    const agentCount = simulationData.nodes.length;
+    // Даем интерфейсу обновить индикатор прогресса между кадрами
+    const yieldToUi = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    try {
+      setExportProgress('Раскладка сети...');
+      await yieldToUi();
+      const layout = computeExportLayout(width, height);
+      const renderFrame = (frame) => generateCanvasVisualization(resolution, 'png', {
+        layout,
+        frame,
+        overlay: replayOverlayText(frame, agentCount, { cycle: overlayCycle, density: overlayDensity })
+      });
+      const pixels = (canvas) => canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+      if (kind === 'gif') {
+        // Общая палитра по первому и последнему кадру
+        const samples = [pixels(await renderFrame(frames[0])), pixels(await renderFrame(frames[frames.length - 1]))];
+        const encoder = createGifEncoder(width, height, { palette: buildGifPalette(samples), fps });
+        for (const [index, frame] of frames.entries()) {
+          setExportProgress(`Кадр ${index + 1} из ${frames.length}...`);
+          await yieldToUi();
+          encoder.addFrame(pixels(await renderFrame(frame)));
+        }
+        downloadFile(encoder.finish(), 'network_replay.gif', 'image/gif');
+      } else {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const video = await recordWebm(canvas, frames.length, async (index) => {
+          ctx.drawImage(await renderFrame(frames[index]), 0, 0);
+        }, {
+          fps,
+          onProgress: (done, total) => setExportProgress(`Запись кадра ${done} из ${total}...`)
+        });
+        downloadFile(video, 'network_replay.webm', 'video/webm');
+      }
+
+      setExportProgress(null);
+    } catch (error) {
+      onError(`Ошибка экспорта анимации: ${error.message}`);
+      setExportProgress(null);
+    }
+  };
+
   const exportStatisticsReport = async (format) => {
     if (!rawSimulationData) {
       onError('Нет данных для экспорта отчета');
@@ -335,16 +489,20 @@ const EnhancedExportManager = ({
   };
 
   const generateDetailedStatistics = () => {
-    const { agents, connections } = rawSimulationData;
+    const { agents } = rawSimulationData;
+    const connections = asConnectionStore(rawSimulationData.connections);
+    const { edgeThreshold, strongTieThreshold } = resolveThresholds(simulationParams);
     
-    // Базовая статистика
+    // Базовая статистика: связи не слабее порога связи
     const totalAgents = agents.length;
-    const totalConnections = connections.flat().filter(c => c > 0).length / 2; // Деление на 2 для симметричной матрицы
+    const totalConnections = connections.edgeCount(edgeThreshold);
+    const strongConnections = connections.edgeCount(strongTieThreshold);
     const avgConnectionsPerAgent = totalConnections * 2 / totalAgents;
 
-    // Статистика по кластерам
+    // Статистика по кластерам (после пересчетов номера кластеров могут идти с пропусками)
     const clusterStats = {};
-    for (let i = 0; i < simulationParams.numClusters; i++) {
+    const clusterIds = [...new Set(agents.map(agent => agent.cluster))].sort((a, b) => a - b);
+    for (const i of clusterIds) {
       const clusterAgents = agents.filter(a => a.cluster === i);
       clusterStats[i] = {
         size: clusterAgents.length,
@@ -355,19 +513,16 @@ const EnhancedExportManager = ({
     }
 
     // Подсчет связей
-    connections.forEach((row, i) => {
+    connections.forEachEdge((i, j, strength) => { // Каждая пара учитывается один раз
+      if (strength < edgeThreshold) return;
       const agentI = agents[i];
-      row.forEach((strength, j) => {
-        if (i < j && strength > 0) { // Избегаем двойного подсчета
-          const agentJ = agents[j];
-          if (agentI.cluster === agentJ.cluster) {
-            clusterStats[agentI.cluster].internalConnections++;
-          } else {
-            clusterStats[agentI.cluster].externalConnections++;
-            clusterStats[agentJ.cluster].externalConnections++;
-          }
-        }
-      });
+      const agentJ = agents[j];
+      if (agentI.cluster === agentJ.cluster) {
+        clusterStats[agentI.cluster].internalConnections++;
+      } else {
+        clusterStats[agentI.cluster].externalConnections++;
+        clusterStats[agentJ.cluster].externalConnections++;
+      }
     });
 
     // Статистика по темам и мнениям
@@ -385,12 +540,13 @@ const EnhancedExportManager = ({
       basic: {
         totalAgents,
         totalConnections,
+        strongConnections,
         avgConnectionsPerAgent: avgConnectionsPerAgent.toFixed(2),
         networkDensity: (totalConnections / (totalAgents * (totalAgents - 1) / 2) * 100).toFixed(2)
       },
       clusters: clusterStats,
       topics: topicStats,
-      parameters: simulationParams,
+      parameters: runParams,
       exportTime: new Date().toISOString()
     };
   };
@@ -412,7 +568,8 @@ const EnhancedExportManager = ({
 ## Основная статистика
 
 - **Общее количество агентов:** ${stats.basic.totalAgents}
-- **Общее количество связей:** ${stats.basic.totalConnections}
+- **Общее количество связей:** ${stats.basic.totalConnections} (порог ${stats.parameters.edgeThreshold})
+- **Сильных связей:** ${stats.basic.strongConnections} (порог ${stats.parameters.strongTieThreshold})
 - **Среднее количество связей на агента:** ${stats.basic.avgConnectionsPerAgent}
 - **Плотность сети:** ${stats.basic.networkDensity}%
 
@@ -437,7 +594,9 @@ ${stats.topics.map((topic, i) => `
 ## Параметры симуляции
 
 - Количество циклов: ${stats.parameters.cycles}
-- Порог связи: ${stats.parameters.threshold}
+- Допуск согласия мнений: ${stats.parameters.agreementTolerance}
+- Порог связи: ${stats.parameters.edgeThreshold}
+- Порог сильной связи: ${stats.parameters.strongTieThreshold}
 - Размерность вектора: ${stats.parameters.vectorDimension}
 - Количество кластеров: ${stats.parameters.numClusters}
 
@@ -515,6 +674,7 @@ ${'='.repeat(50)}
 ОСНОВНАЯ СТАТИСТИКА:
 - Всего агентов: ${stats.basic.totalAgents}
 - Всего связей: ${stats.basic.totalConnections}
+- Сильных связей: ${stats.basic.strongConnections}
 - Среднее связей на агента: ${stats.basic.avgConnectionsPerAgent}
 - Плотность сети: ${stats.basic.networkDensity}%
 
@@ -530,7 +690,9 @@ ${stats.topics.map(topic =>
 
 ПАРАМЕТРЫ:
 - Циклы: ${stats.parameters.cycles}
-- Порог: ${stats.parameters.threshold}
+- Допуск согласия: ${stats.parameters.agreementTolerance}
+- Порог связи: ${stats.parameters.edgeThreshold}
+- Порог сильной связи: ${stats.parameters.strongTieThreshold}
 - Размерность: ${stats.parameters.vectorDimension}
 - Кластеры: ${stats.parameters.numClusters}
 
@@ -561,9 +723,10 @@ ${stats.topics.map(topic =>
           version: '1.0',
           description: 'Полный экспорт данных симуляции агентного моделирования'
         },
-        parameters: simulationParams,
+        parameters: { ...runParams, seed: rawSimulationData?.seed ?? simulationParams.seed },
         topicSettings,
         opinionSettings,
+        ...exportRunInputs(runInputs),
         rawData: rawSimulationData,
         visualizationData: simulationData,
         statistics: generateDetailedStatistics(),
@@ -663,7 +826,7 @@ ${stats.topics.map(topic =>
                   </Button>
                   <Button 
                     onClick={() => {
-                      const content = JSON.stringify(simulationParams, null, 2);
+                      const content = JSON.stringify({ ...runParams, seed: rawSimulationData?.seed ?? simulationParams.seed }, null, 2);
                       downloadFile(content, 'simulation_settings.json', 'application/json');
                     }}
                     variant="outline"
@@ -671,6 +834,22 @@ ${stats.topics.map(topic =>
                   >
                     Настройки модели
                   </Button>
+                  <Button 
+                    onClick={() => exportHistory('timeseries')}
+                    disabled={!rawSimulationData?.history || exportProgress}
+                    variant="outline"
+                    size="sm"
+                  >
+                    Динамика по циклам (CSV)
+                  </Button>
+                  <Button 
+                    onClick={() => exportHistory('changes')}
+                    disabled={!rawSimulationData?.history || exportProgress}
+                    variant="outline"
+                    size="sm"
+                  >
+                    Изменения связей по циклам (CSV)
+                  </Button>
                 </div>
               </div>
             </div>
@@ -752,6 +931,137 @@ ${stats.topics.map(topic =>
                    Разрешение: {resolutionSettings[exportSettings.resolution].width}×{resolutionSettings[exportSettings.resolution].height}, 
                    DPI: {resolutionSettings[exportSettings.resolution].dpi}</p>
               </div>
+
+              <Separator />
+
+              <div className="space-y-4">
+                <h4 className="font-medium flex items-center gap-2">
+                  <Film className="h-4 w-4" />
+                  Анимация сети по циклам
+                </h4>
+
+                {replayFrames.length > 0 ? (
+                  <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                      <div>
+                        <Label htmlFor="animation-fps">Кадров в секунду</Label>
+                        <Input
+                          id="animation-fps"
+                          type="number"
+                          min={REPLAY_FPS_RANGE[0]}
+                          max={REPLAY_FPS_RANGE[1]}
+                          value={animationSettings.fps}
+                          onChange={(e) => {
+                            const fps = parseInt(e.target.value);
+                            if (Number.isFinite(fps)) {
+                              setAnimationSettings(prev => ({
+                                ...prev,
+                                fps: Math.min(REPLAY_FPS_RANGE[1], Math.max(REPLAY_FPS_RANGE[0], fps))
+                              }));
+                            }
+                          }}
+                        />
+                      </div>
+
+                      <div>
+                        <Label>Разрешение</Label>
+                        <Select
+                          value={animationSettings.resolution}
+                          onValueChange={(value) => setAnimationSettings(prev => ({ ...prev, resolution: value }))}
+                        >
+                          <SelectTrigger>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="low">Низкое (800×600)</SelectItem>
+                            <SelectItem value="medium">Среднее (1200×900)</SelectItem>
+                            <SelectItem value="high">Высокое (1920×1440)</SelectItem>
+                          </SelectContent>
+                        </Select>
+                      </div>
+
+                      <div>
+                        <Label htmlFor="animation-start">С цикла</Label>
+                        <Input
+                          id="animation-start"
+                          type="number"
+                          min="0"
+                          placeholder={String(replayFrames[0].cycle)}
+                          value={animationSettings.startCycle ?? ''}
+                          onChange={(e) => setAnimationSettings(prev => ({
+                            ...prev,
+                            startCycle: e.target.value === '' ? null : parseInt(e.target.value)
+                          }))}
+                        />
+                      </div>
+
+                      <div>
+                        <Label htmlFor="animation-end">По цикл</Label>
+                        <Input
+                          id="animation-end"
+                          type="number"
+                          min="0"
+                          placeholder={String(replayFrames[replayFrames.length - 1].cycle)}
+                          value={animationSettings.endCycle ?? ''}
+                          onChange={(e) => setAnimationSettings(prev => ({
+                            ...prev,
+                            endCycle: e.target.value === '' ? null : parseInt(e.target.value)
+                          }))}
+                        />
+                      </div>
+                    </div>
+
+                    <div className="flex flex-wrap gap-6">
+                      <div className="flex items-center space-x-2">
+                        <Checkbox
+                          id="overlay-cycle"
+                          checked={animationSettings.overlayCycle}
+                          onCheckedChange={(checked) => setAnimationSettings(prev => ({ ...prev, overlayCycle: checked }))}
+                        />
+                        <Label htmlFor="overlay-cycle">Подпись: номер цикла</Label>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <Checkbox
+                          id="overlay-density"
+                          checked={animationSettings.overlayDensity}
+                          onCheckedChange={(checked) => setAnimationSettings(prev => ({ ...prev, overlayDensity: checked }))}
+                        />
+                        <Label htmlFor="overlay-density">Подпись: плотность сети</Label>
+                      </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <Button
+                        onClick={() => exportAnimation('gif')}
+                        disabled={!simulationData || exportProgress}
+                        className="flex items-center gap-2"
+                      >
+                        <Film className="h-4 w-4" />
+                        Экспорт GIF
+                      </Button>
+                      <Button
+                        onClick={() => exportAnimation('webm')}
+                        disabled={!simulationData || exportProgress}
+                        variant="outline"
+                        className="flex items-center gap-2"
+                      >
+                        <Film className="h-4 w-4" />
+                        Экспорт WebM
+                      </Button>
+                    </div>
+
+                    <p className="text-sm text-gray-600">
+                      Снимков в истории: {replayFrames.length}. Кадры кодируются в браузере: GIF — сразу,
+                      WebM записывается в реальном времени (длительность равна числу кадров, деленному на частоту).
+                      Узлы остаются на местах итоговой раскладки, цвет узла — кластер на данном цикле.
+                    </p>
+                  </>
+                ) : (
+                  <p className="text-sm text-gray-500">
+                    Для экспорта анимации включите запись истории (снимок каждые k циклов) и перезапустите симуляцию.
+                  </p>
+                )}
+              </div>
             </div>
           </TabsContent>
 
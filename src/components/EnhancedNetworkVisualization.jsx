@@ -1,5 +1,128 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
+import { asConnectionStore, createConnections } from '../lib/connectionStore';
+import { COMMUNITY_METHODS, detectCommunities, compareWithClusters } from '../lib/communityDetection';
+import { historyFrames } from '../lib/simulationHistory';
+import { shouldUseCanvasRenderer, nodeSymbol } from '../lib/canvasNetwork';
+import { AGENT_ROLES, getRoleName } from '../lib/agentRoles';
+import CanvasNetworkView from './CanvasNetworkView';
+import { LAYOUT_MODES, pcaLayout, circularLayout, serializeLayout, parseLayout } from '../lib/networkLayout';
+import { exportGraphData, downloadFile } from '../lib/exportUtils';
+
+// Цветовая схема для кластеров и сообществ
+const clusterColors = [
+  '#3b82f6', // Синий
+  '#ef4444', // Красный
+  '#10b981', // Зеленый
+  '#8b5cf6', // Фиолетовый
+  '#f59e0b', // Янтарный
+  '#ec4899', // Розовый
+  '#f97316', // Оранжевый
+  '#6b7280', // Серый
+  '#eab308', // Желтый
+  '#06b6d4'  // Голубой
+];
+
+// Граф отображаемых связей (индексы узлов совпадают с id агентов)
+const linksToConnections = (nodes, links) => {
+  const store = asConnectionStore(createConnections(nodes.length, 'sparse'));
+  links.forEach(link => {
+    const source = typeof link.source === 'object' ? link.source.id : link.source;
+    const target = typeof link.target === 'object' ? link.target.id : link.target;
+    store.set(source, target, link.strength);
+  });
+  return store.data;
+};
+
+const REPLAY_SPEEDS = [0.5, 1, 2, 4]; // кадров в секунду
+
+const SAVED_LAYOUT_KEY = 'network_saved_layout';
+
+// Сохраненная раскладка из localStorage (null, если ее нет или она повреждена)
+const readSavedLayout = () => {
+  try {
+    const text = localStorage.getItem(SAVED_LAYOUT_KEY);
+    return text ? parseLayout(text) : null;
+  } catch {
+    return null;
+  }
+};
+
+const RENDERERS = [
+  { id: 'auto', name: 'Отрисовка: авто' },
+  { id: 'svg', name: 'Отрисовка: SVG' },
+  { id: 'canvas', name: 'Отрисовка: canvas' },
+];
+
+// Кадр воспроизведения поверх закрепленных узлов: связи кадра и цвет узлов по кластеру на этом цикле.
+// Появившиеся и усилившиеся связи вспыхивают зеленым, ослабевшие и исчезающие — красным.
+// Без кадра возвращает итоговую сеть и открепляет узлы
+const renderReplayFrame = (scene, frame, duration) => {
+  const { nodes, node, link, replayLinks } = scene;
+
+  if (!frame) {
+    replayLinks.selectAll('line').interrupt().remove();
+    link.style('display', null);
+    // Узлы, закрепленные раскладкой, остаются на месте
+    nodes.forEach(d => {
+      d.fx = d.pinned ? d.x : null;
+      d.fy = d.pinned ? d.y : null;
+    });
+    node.interrupt().attr('fill', d => clusterColors[d.group % clusterColors.length]);
+    return;
+  }
+
+  link.style('display', 'none');
+  nodes.forEach(d => { d.fx = d.x; d.fy = d.y; });
+
+  const width = d => Math.sqrt(d.strength) * 3;
+  const opacity = d => d.strength * 0.8;
+  const position = selection => selection
+    .attr('x1', d => d.source.x)
+    .attr('y1', d => d.source.y)
+    .attr('x2', d => d.target.x)
+    .attr('y2', d => d.target.y);
+
+  const lines = replayLinks.selectAll('line')
+    .data(frame.links.map(l => ({
+      key: `${l.source}-${l.target}`,
+      source: nodes[l.source],
+      target: nodes[l.target],
+      strength: l.strength,
+    })), d => d.key);
+
+  lines.exit()
+    .transition().duration(duration)
+    .attr('stroke', '#ef4444')
+    .attr('stroke-opacity', 0)
+    .remove();
+
+  lines
+    .attr('stroke', function(d) {
+      const before = Number(this.getAttribute('data-strength'));
+      if (d.strength > before) return '#10b981';
+      return d.strength < before ? '#ef4444' : '#999';
+    })
+    .attr('data-strength', d => d.strength)
+    .call(position)
+    .transition().duration(duration)
+    .attr('stroke', '#999')
+    .attr('stroke-opacity', opacity)
+    .attr('stroke-width', width);
+
+  lines.enter().append('line')
+    .attr('stroke', '#10b981')
+    .attr('stroke-opacity', 0)
+    .attr('stroke-width', width)
+    .attr('data-strength', d => d.strength)
+    .call(position)
+    .transition().duration(duration)
+    .attr('stroke', '#999')
+    .attr('stroke-opacity', opacity);
+
+  node.transition().duration(duration)
+    .attr('fill', (d, i) => clusterColors[frame.clusters[i] % clusterColors.length]);
+};
 
 const Button = ({ children, onClick, className = '', variant = 'primary', disabled = false }) => {
   const baseClasses = 'px-4 py-2 rounded-md font-medium transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed'
@@ -27,7 +150,11 @@ const EnhancedNetworkVisualization = ({
   onAgentClick,
   selectedAgent,
   scenario,
-  cycles 
+  cycles,
+  history,
+  historyInterval = 0,
+  onEnableHistory,
+  edgeThreshold = 0
 }) => {
   const [dimensions, setDimensions] = useState({ width, height });
 
@@ -48,9 +175,62 @@ const EnhancedNetworkVisualization = ({
   const [zoomLevel, setZoomLevel] = useState(1);
   const [showLabels, setShowLabels] = useState(false);
   const [highlightMode, setHighlightMode] = useState('none'); // 'none', 'cluster', 'connections'
+  const [colorMode, setColorMode] = useState('cluster'); // 'cluster' или метод из COMMUNITY_METHODS
+  const [replayIndex, setReplayIndex] = useState(null); // кадр истории; null — итоговая сеть
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [replaySpeed, setReplaySpeed] = useState(2);
+  const [renderer, setRenderer] = useState('auto'); // 'auto' — canvas для больших сетей
+  const [bundling, setBundling] = useState(false);
+  const [layoutMode, setLayoutMode] = useState('force');
+  const [savedLayout, setSavedLayout] = useState(readSavedLayout);
+  const sceneRef = useRef(null);
+  const canvasViewRef = useRef(null);
+  const replayFrameRef = useRef(null);
+  const positionsRef = useRef(new Map()); // позиции узлов сохраняются между перерисовками графа
+
+  // Кадры воспроизведения по снимкам истории
+  const frames = useMemo(() => historyFrames(history, edgeThreshold), [history, edgeThreshold]);
+
+  // Тысячи SVG-элементов не успевают перерисовываться, поэтому большие сети рисуются на canvas
+  const useCanvas = renderer === 'canvas' ||
+    (renderer === 'auto' && shouldUseCanvasRenderer(data?.nodes?.length ?? 0, data?.links?.length ?? 0));
+
+  // Сообщества, сложившиеся в итоговой взвешенной сети, и их сходство с кластерами ценностей
+  const communities = useMemo(() => {
+    if (colorMode === 'cluster' || !data?.nodes || !data?.links) return null;
+    const result = detectCommunities(linksToConnections(data.nodes, data.links), colorMode);
+    return { ...result, ...compareWithClusters(result.labels, data.nodes) };
+  }, [data, colorMode]);
+
+  // Закрепленные позиции узлов (null — силовая раскладка); сохраненная раскладка закрепляет
+  // только известные ей узлы, остальные раскладываются силами
+  const fixedPositions = useMemo(() => {
+    if (!data?.nodes) return null;
+    if (layoutMode === 'pca') return pcaLayout(data.nodes, dimensions.width, dimensions.height);
+    if (layoutMode === 'circular') {
+      return circularLayout(data.nodes, dimensions.width, dimensions.height, {
+        groupOf: (node, index) => (communities ? communities.labels[index] : node.cluster),
+      });
+    }
+    if (layoutMode === 'saved') return savedLayout;
+    return null;
+  }, [data, layoutMode, savedLayout, communities, dimensions.width, dimensions.height]);
+
+  // Новый прогон — новая раскладка и выход из воспроизведения
+  useEffect(() => {
+    positionsRef.current = new Map();
+  }, [data]);
 
   useEffect(() => {
-    if (!data || !data.nodes || !data.links) return;
+    setReplayIndex(null);
+    setIsPlaying(false);
+  }, [frames]);
+
+  useEffect(() => {
+    if (!data || !data.nodes || !data.links || useCanvas) {
+      sceneRef.current = null;
+      return;
+    }
 
     const svg = d3.select(svgRef.current);
     svg.selectAll('*').remove();
@@ -68,24 +248,18 @@ const EnhancedNetworkVisualization = ({
 
     svg.call(zoom);
 
-    // Подготовка данных
-    const nodes = data.nodes.map(d => ({ ...d }));
+    // Подготовка данных (group — кластер ценностей или найденное сообщество, по нему раскрашиваются узлы)
+    const nodes = data.nodes.map((d, index) => {
+      const fixed = fixedPositions?.get(d.id);
+      return {
+        ...d,
+        group: communities ? communities.labels[index] : d.cluster,
+        ...positionsRef.current.get(d.id),
+        ...(fixed && { x: fixed.x, y: fixed.y, fx: fixed.x, fy: fixed.y, pinned: true }),
+      };
+    });
     const links = data.links.map(d => ({ ...d }));
 
-    // Цветовая схема для кластеров
-    const clusterColors = [
-      '#3b82f6', // Синий
-      '#ef4444', // Красный
-      '#10b981', // Зеленый
-      '#8b5cf6', // Фиолетовый
-      '#f59e0b', // Оранжевый
-      '#ec4899', // Розовый
-      '#f59e0b', // Янтарный
-      '#6b7280', // Серый
-      '#eab308', // Желтый
-      '#06b6d4'  // Голубой
-    ];
-    
     // Создание симуляции
     const sim = d3.forceSimulation(nodes)
       .force('link', d3.forceLink(links).id(d => d.id).distance(d => 50 + (1 - d.strength) * 100))
@@ -105,16 +279,19 @@ const EnhancedNetworkVisualization = ({
       .attr('stroke-opacity', d => d.strength * 0.8)
       .attr('stroke-width', d => Math.sqrt(d.strength) * 3);
 
-    // Создание узлов
+    // Связи кадра воспроизведения (под узлами)
+    const replayLinks = g.append('g').attr('class', 'replay-links');
+
+    // Создание узлов; форма узла — по роли агента (обычные агенты круглые)
     const node = g.append('g')
       .attr('class', 'nodes')
-      .selectAll('circle')
+      .selectAll('path')
       .data(nodes)
-      .enter().append('circle')
-      .attr('r', d => Math.sqrt(d.degree) * 2 + 4)
-      .attr('fill', d => clusterColors[d.cluster % clusterColors.length])
-      .attr('stroke', '#fff')
-      .attr('stroke-width', 2)
+      .enter().append('path')
+      .attr('d', d => nodeSymbol(d.role, Math.sqrt(d.degree) * 2 + 4)())
+      .attr('fill', d => clusterColors[d.group % clusterColors.length])
+      .attr('stroke', d => d.id === selectedAgent ? '#000' : '#fff')
+      .attr('stroke-width', d => d.id === selectedAgent ? 4 : 2)
       .style('cursor', 'pointer')
       .call(d3.drag()
         .on('start', dragstarted)
@@ -165,6 +342,8 @@ const EnhancedNetworkVisualization = ({
       tooltip.html(`
         <strong>Агент ${d.id}</strong><br/>
         Кластер: ${d.cluster + 1}<br/>
+        ${d.role ? `Роль: ${getRoleName(d.role)}<br/>` : ''}
+        ${communities ? `Сообщество: ${d.group + 1}<br/>` : ''}
         Связей: ${d.degree}<br/>
         Клик для подробностей
       `)
@@ -190,13 +369,19 @@ const EnhancedNetworkVisualization = ({
         .attr('x2', d => d.target.x)
         .attr('y2', d => d.target.y);
 
-      node
-        .attr('cx', d => d.x)
-        .attr('cy', d => d.y);
+      node.attr('transform', d => `translate(${d.x},${d.y})`);
 
       labels
         .attr('x', d => d.x)
         .attr('y', d => d.y);
+
+      replayLinks.selectAll('line')
+        .attr('x1', d => d.source.x)
+        .attr('y1', d => d.source.y)
+        .attr('x2', d => d.target.x)
+        .attr('y2', d => d.target.y);
+
+      nodes.forEach(d => positionsRef.current.set(d.id, { x: d.x, y: d.y }));
     });
 
     // Функции перетаскивания
@@ -213,6 +398,8 @@ const EnhancedNetworkVisualization = ({
 
     function dragended(event, d) {
       if (!event.active) sim.alphaTarget(0);
+      // Во время воспроизведения и в закрепленной раскладке узел остается там, куда его перетащили
+      if (replayFrameRef.current || d.pinned) return;
       d.fx = null;
       d.fy = null;
     }
@@ -222,7 +409,7 @@ const EnhancedNetworkVisualization = ({
       if (highlightMode === 'cluster') {
         node.attr('opacity', 1);
         link.attr('opacity', l => 
-          nodes[l.source.index].cluster === nodes[l.target.index].cluster ? 1 : 0.2
+          nodes[l.source.index].group === nodes[l.target.index].group ? 1 : 0.2
         );
       } else if (highlightMode === 'connections' && selectedAgent !== null) {
         node.attr('opacity', n => 
@@ -243,13 +430,65 @@ const EnhancedNetworkVisualization = ({
 
     updateHighlight();
 
+    sceneRef.current = { nodes, node, link, replayLinks };
+    if (replayFrameRef.current) {
+      renderReplayFrame(sceneRef.current, replayFrameRef.current, 0);
+    }
+
     // Cleanup
     return () => {
       if (sim) sim.stop();
     };
-  }, [data, dimensions.width, dimensions.height, showLabels, highlightMode, selectedAgent]);
+  }, [data, dimensions.width, dimensions.height, showLabels, highlightMode, selectedAgent, communities, useCanvas, fixedPositions]);
+
+  // Отрисовка кадра; при воспроизведении переход занимает большую часть интервала между кадрами
+  useEffect(() => {
+    const frame = replayIndex === null ? null : frames[replayIndex] ?? null;
+    replayFrameRef.current = frame;
+    if (sceneRef.current) {
+      renderReplayFrame(sceneRef.current, frame, isPlaying ? 800 / replaySpeed : 0);
+    }
+  }, [replayIndex, frames, isPlaying, replaySpeed]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timer = setInterval(() => {
+      setReplayIndex(index => Math.min((index ?? 0) + 1, frames.length - 1));
+    }, 1000 / replaySpeed);
+    return () => clearInterval(timer);
+  }, [isPlaying, replaySpeed, frames.length]);
+
+  // Остановка на последнем кадре
+  useEffect(() => {
+    if (isPlaying && replayIndex === frames.length - 1) setIsPlaying(false);
+  }, [isPlaying, replayIndex, frames.length]);
+
+  const togglePlay = () => {
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
+    }
+    if (replayIndex === null || replayIndex >= frames.length - 1) setReplayIndex(0);
+    setIsPlaying(true);
+  };
+
+  const scrubTo = (index) => {
+    setIsPlaying(false);
+    setReplayIndex(index);
+  };
+
+  const exitReplay = () => {
+    setIsPlaying(false);
+    setReplayIndex(null);
+  };
+
+  const replayFrame = replayIndex === null ? null : frames[replayIndex];
 
   const resetZoom = () => {
+    if (useCanvas) {
+      canvasViewRef.current?.resetZoom();
+      return;
+    }
     const svg = d3.select(svgRef.current);
     svg.transition().duration(750).call(
       d3.zoom().transform,
@@ -258,6 +497,10 @@ const EnhancedNetworkVisualization = ({
   };
 
   const centerOnAgent = (agentId) => {
+    if (useCanvas) {
+      canvasViewRef.current?.centerOn(agentId);
+      return;
+    }
     if (!simulation || !data.nodes) return;
     
     const agent = data.nodes.find(n => n.id === agentId);
@@ -273,7 +516,31 @@ const EnhancedNetworkVisualization = ({
     );
   };
 
+  // Позиции узлов на экране сейчас
+  const currentPositions = () => (useCanvas ? canvasViewRef.current?.positions() : positionsRef.current) ?? new Map();
+
+  const saveLayout = () => {
+    const positions = currentPositions();
+    localStorage.setItem(SAVED_LAYOUT_KEY, serializeLayout(positions));
+    setSavedLayout(positions);
+  };
+
+  // GEXF и GraphML с текущими координатами узлов
+  const exportGraph = (format) => {
+    const content = exportGraphData(data.nodes, data.links, format, { positions: currentPositions() });
+    downloadFile(content, `network.${format}`, 'application/xml');
+  };
+
   const exportNetwork = () => {
+    if (useCanvas) {
+      if (!canvasViewRef.current) return;
+      const link = document.createElement('a');
+      link.download = 'network_graph.png';
+      link.href = canvasViewRef.current.toDataURL();
+      link.click();
+      return;
+    }
+
     const svg = svgRef.current;
     if (!svg) return;
 
@@ -323,10 +590,62 @@ const EnhancedNetworkVisualization = ({
             className="border border-gray-300 rounded-md px-3 py-2 text-sm"
           >
             <option value="none">Обычный вид</option>
-            <option value="cluster">Подсветить кластеры</option>
+            <option value="cluster">{communities ? 'Подсветить сообщества' : 'Подсветить кластеры'}</option>
             <option value="connections">Подсветить связи</option>
           </select>
+
+          <select
+            value={colorMode}
+            onChange={(e) => setColorMode(e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="cluster">Цвет: кластеры ценностей</option>
+            {COMMUNITY_METHODS.map(method => (
+              <option key={method.id} value={method.id}>Цвет: сообщества — {method.name}</option>
+            ))}
+          </select>
           
+          <select
+            value={renderer}
+            onChange={(e) => setRenderer(e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            {RENDERERS.map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+
+          <select
+            value={layoutMode}
+            onChange={(e) => setLayoutMode(e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            aria-label="Раскладка"
+          >
+            {LAYOUT_MODES.map(mode => (
+              <option key={mode.id} value={mode.id} disabled={mode.id === 'saved' && !savedLayout}>
+                Раскладка: {mode.name}
+              </option>
+            ))}
+          </select>
+
+          <Button
+            onClick={saveLayout}
+            variant="outline"
+            className="text-sm"
+          >
+            Сохранить раскладку
+          </Button>
+
+          {useCanvas && (
+            <Button
+              onClick={() => setBundling(!bundling)}
+              variant={bundling ? 'primary' : 'outline'}
+              className="text-sm"
+            >
+              {bundling ? 'Прямые связи' : 'Пучки связей'}
+            </Button>
+          )}
+
           <Button
             onClick={resetZoom}
             variant="outline"
@@ -354,9 +673,72 @@ const EnhancedNetworkVisualization = ({
           >
             Экспорт PNG
           </Button>
+          <Button
+            onClick={() => exportGraph('gexf')}
+            variant="outline"
+            className="text-sm flex-1 sm:flex-none"
+          >
+            GEXF
+          </Button>
+          <Button
+            onClick={() => exportGraph('graphml')}
+            variant="outline"
+            className="text-sm flex-1 sm:flex-none"
+          >
+            GraphML
+          </Button>
         </div>
       </div>
 
+      {/* Воспроизведение по циклам */}
+      {frames.length > 1 ? (
+        <div className="flex flex-col sm:flex-row gap-3 items-start sm:items-center bg-gray-50 p-4 rounded-lg">
+          <Button onClick={togglePlay} className="text-sm">
+            {isPlaying ? 'Пауза' : 'Воспроизвести'}
+          </Button>
+          <input
+            type="range"
+            min="0"
+            max={frames.length - 1}
+            value={replayIndex ?? frames.length - 1}
+            onChange={(e) => scrubTo(parseInt(e.target.value))}
+            className="flex-1 w-full"
+            aria-label="Цикл воспроизведения"
+          />
+          <span className="text-sm text-gray-700 whitespace-nowrap">
+            Цикл {(replayFrame ?? frames[frames.length - 1]).cycle} из {frames[frames.length - 1].cycle}
+          </span>
+          <select
+            value={replaySpeed}
+            onChange={(e) => setReplaySpeed(parseFloat(e.target.value))}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            {REPLAY_SPEEDS.map(speed => (
+              <option key={speed} value={speed}>{speed} кадр/с</option>
+            ))}
+          </select>
+          {replayIndex !== null && (
+            <Button onClick={exitReplay} variant="outline" className="text-sm">
+              Итоговая сеть
+            </Button>
+          )}
+        </div>
+      ) : (
+        // История записывается только по запросу: снимки каждого цикла занимают память на больших сетях
+        <div className="flex flex-col sm:flex-row gap-3 items-start sm:items-center text-sm text-gray-500">
+          <p>
+            {historyInterval > 0
+              ? 'Запись истории включена: перезапустите симуляцию, чтобы воспроизвести формирование сети по циклам.'
+              : 'Чтобы воспроизвести формирование сети по циклам, включите запись истории (снимок каждые k циклов) и перезапустите симуляцию.'}
+          </p>
+          {onEnableHistory && !(historyInterval > 0) && (
+            <Button onClick={onEnableHistory} variant="outline" className="text-sm whitespace-nowrap">
+              Включить запись истории
+            </Button>
+          )}
+        </div>
+      )}
+
       {/* Информационная панель */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-sm">
         <div className="bg-blue-50 rounded-lg p-3">
@@ -365,30 +747,93 @@ const EnhancedNetworkVisualization = ({
         </div>
         <div className="bg-green-50 rounded-lg p-3">
           <div className="font-medium text-green-800">Связей</div>
-          <div className="text-xl font-bold text-green-600">{data.links.length}</div>
+          <div className="text-xl font-bold text-green-600">{replayFrame ? replayFrame.links.length : data.links.length}</div>
         </div>
         <div className="bg-purple-50 rounded-lg p-3">
           <div className="font-medium text-purple-800">Масштаб</div>
           <div className="text-xl font-bold text-purple-600">{(zoomLevel * 100).toFixed(0)}%</div>
         </div>
         <div className="bg-orange-50 rounded-lg p-3">
-          <div className="font-medium text-orange-800">Кластеров</div>
+          <div className="font-medium text-orange-800">{communities ? 'Сообществ' : 'Кластеров'}</div>
           <div className="text-xl font-bold text-orange-600">
-            {Math.max(...data.nodes.map(n => n.cluster)) + 1}
+            {communities ? communities.count : Math.max(...data.nodes.map(n => n.cluster)) + 1}
           </div>
         </div>
       </div>
 
+      {/* Формы узлов особых ролей */}
+      {data.nodes.some(n => n.role) && (
+        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+          {AGENT_ROLES.map(role => (
+            <span key={role.id} className="flex items-center gap-1" title={role.description}>
+              <svg width="16" height="16" viewBox="-8 -8 16 16" aria-hidden="true">
+                <path d={nodeSymbol(role.id, 6)()} fill="#6b7280" />
+              </svg>
+              {role.name}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Сравнение сообществ с кластерами ценностей */}
+      {communities && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 text-sm">
+          <h5 className="font-medium mb-2">Сообщества сети и кластеры ценностей</h5>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <div className="text-gray-600">Модулярность разбиения</div>
+              <div className="text-lg font-bold">{communities.modularity.toFixed(3)}</div>
+            </div>
+            <div>
+              <div className="text-gray-600">NMI с кластерами</div>
+              <div className="text-lg font-bold">{communities.nmi.toFixed(3)}</div>
+            </div>
+            <div>
+              <div className="text-gray-600">ARI с кластерами</div>
+              <div className="text-lg font-bold">{communities.ari.toFixed(3)}</div>
+            </div>
+          </div>
+          <p className="text-gray-600 mt-2">
+            {communities.nmi > 0.7
+              ? 'Социальная структура в основном повторяет ценностную: сообщества совпадают с кластерами.'
+              : communities.nmi > 0.3
+                ? 'Социальная структура частично следует ценностной: сообщества смешивают кластеры.'
+                : 'Социальная структура почти не связана с ценностной.'}
+            {' '}NMI и ARI равны 1 при полном совпадении разбиений, ARI около 0 — при случайном.
+          </p>
+        </div>
+      )}
+
       {/* Граф */}
       <div className="border border-gray-200 rounded-lg overflow-hidden">
         <div className="w-full overflow-x-auto">
-          <svg
-            ref={svgRef}
-            width={dimensions.width}
-            height={dimensions.height}
-            style={{ background: '#fafafa', minWidth: '320px' }}
-            className="touch-pan-y"
-          />
+          {useCanvas ? (
+            <CanvasNetworkView
+              ref={canvasViewRef}
+              data={data}
+              width={dimensions.width}
+              height={dimensions.height}
+              groups={communities ? communities.labels : data.nodes.map(n => n.cluster)}
+              groupLabel={communities ? 'Сообщество' : null}
+              colors={clusterColors}
+              onAgentClick={onAgentClick}
+              selectedAgent={selectedAgent}
+              highlightMode={highlightMode}
+              showLabels={showLabels}
+              bundling={bundling}
+              fixedPositions={fixedPositions}
+              frame={replayFrame}
+              onZoomChange={setZoomLevel}
+            />
+          ) : (
+            <svg
+              ref={svgRef}
+              width={dimensions.width}
+              height={dimensions.height}
+              style={{ background: '#fafafa', minWidth: '320px' }}
+              className="touch-pan-y"
+            />
+          )}
         </div>
       </div>
 
@@ -397,13 +842,16 @@ const EnhancedNetworkVisualization = ({
         <h5 className="font-medium mb-3">Легенда</h5>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
           <div>
-            <h6 className="font-medium mb-2">Кластеры</h6>
+            <h6 className="font-medium mb-2">{communities ? 'Сообщества' : 'Кластеры'}</h6>
             <div className="space-y-1">
-              {['Синий кластер', 'Красный кластер', 'Зеленый кластер'].map((name, i) => (
+              {(communities
+                ? Array.from({ length: Math.min(communities.count, clusterColors.length) }, (_, i) => `Сообщество ${i + 1}`)
+                : ['Синий кластер', 'Красный кластер', 'Зеленый кластер']
+              ).map((name, i) => (
                 <div key={i} className="flex items-center space-x-2">
                   <div 
                     className="w-4 h-4 rounded-full"
-                    style={{ backgroundColor: ['#3b82f6', '#ef4444', '#10b981'][i] }}
+                    style={{ backgroundColor: clusterColors[i] }}
                   />
                   <span>{name}</span>
                 </div>
@@ -416,7 +864,21 @@ const EnhancedNetworkVisualization = ({
               <div>• Размер узла = количество связей</div>
               <div>• Толщина линии = сила связи</div>
               <div>• Клик по узлу = детали агента</div>
-              <div>• Перетаскивание = изменение позиции</div>
+              {useCanvas ? (
+                <>
+                  <div>• Перетаскивание и колесо = сдвиг и масштаб</div>
+                  <div>• При отдалении показаны только сильнейшие связи, при приближении — все</div>
+                  {bundling && <div>• Связи между группами собраны в пучки через центры групп</div>}
+                </>
+              ) : (
+                <div>• Перетаскивание = изменение позиции</div>
+              )}
+              {layoutMode !== 'force' && (
+                <div>• Раскладка закреплена: одинаковые позиции в любом прогоне; GEXF и GraphML сохраняют координаты для Gephi</div>
+              )}
+              {frames.length > 1 && (
+                <div>• Воспроизведение: зеленые связи — новые и усилившиеся, красные — ослабевшие и исчезающие</div>
+              )}
             </div>
           </div>
         </div>
@@ -15,6 +15,16 @@ import {
   Edit3, Play, Pause, RotateCcw, Zap, Brain 
 } from 'lucide-react';
 import TextVectorizer from './TextVectorizer';
+import TopicTimelineEditor from './TopicTimelineEditor';
+import {
+  resolveModelParams,
+  resolveThresholds,
+  getScenarioModelParams,
+  getSettingsFileParams,
+  PARTNER_STRATEGIES,
+} from '../lib/simulationConfig';
+import { normalizeTopicSettings } from '../lib/topicAgenda';
+import { importRunInputs } from '../lib/exportUtils';
 
 const EnhancedScenarioManager = ({ 
   simulationParams, 
@@ -23,6 +33,7 @@ const EnhancedScenarioManager = ({
   setTopicSettings,
   opinionSettings,
   setOpinionSettings,
+  onRunInputsImport,
   onError 
 }) => {
   const [scenarios, setScenarios] = useState([]);
@@ -42,7 +53,10 @@ const EnhancedScenarioManager = ({
         type: 'convergent',
         strength: 0.8
       },
-      opinionDistribution: 'normal'
+      opinionDistribution: 'normal',
+      config: {
+        partnerSelection: 'uniform'
+      }
     },
     {
       id: 'polarization',
@@ -53,7 +67,10 @@ const EnhancedScenarioManager = ({
         type: 'divergent',
         strength: 0.9
       },
-      opinionDistribution: 'bimodal'
+      opinionDistribution: 'bimodal',
+      config: {
+        partnerSelection: 'homophily'
+      }
     },
     {
       id: 'echo_chambers',
@@ -64,7 +81,10 @@ const EnhancedScenarioManager = ({
         type: 'cluster_isolated',
         strength: 0.7
       },
-      opinionDistribution: 'cluster_based'
+      opinionDistribution: 'cluster_based',
+      config: {
+        partnerSelection: 'friend_of_friend'
+      }
     },
     {
       id: 'information_cascade',
@@ -75,10 +95,16 @@ const EnhancedScenarioManager = ({
         type: 'cascade',
         strength: 0.6
       },
-      opinionDistribution: 'random'
+      opinionDistribution: 'random',
+      config: {
+        partnerSelection: 'neighbour'
+      }
     }
   ];
 
+  const getStrategyName = (strategyId) =>
+    PARTNER_STRATEGIES.find(strategy => strategy.id === strategyId)?.name || strategyId;
+
   useEffect(() => {
     // Инициализация с предустановленными сценариями
     setScenarios(presetScenarios);
@@ -93,6 +119,14 @@ const EnhancedScenarioManager = ({
   }, [currentScenario]);
 
   const generateTopicsFromScenario = (scenario) => {
+    // Темы и мнения импортированного файла применяются вместо сгенерированных по сценарию
+    const imported = scenario.importedSettings;
+    if (imported) {
+      if (imported.topicSettings) setTopicSettings(imported.topicSettings);
+      if (imported.opinionSettings) setOpinionSettings(imported.opinionSettings);
+      return;
+    }
+
     const topics = [];
     
     for (let i = 0; i < scenario.topics; i++) {
@@ -192,6 +226,9 @@ const EnhancedScenarioManager = ({
         strength: 0.5
       },
       opinionDistribution: 'normal',
+      config: {
+        partnerSelection: 'uniform'
+      },
       customLogic: '',
       isCustom: true
     };
@@ -208,6 +245,9 @@ const EnhancedScenarioManager = ({
 
     setScenarios(updatedScenarios);
     setCurrentScenario(editingScenario);
+    if (editingScenario.config) {
+      onParamsChange(getScenarioModelParams(editingScenario));
+    }
     setEditingScenario(null);
   };
 
@@ -227,12 +267,15 @@ const EnhancedScenarioManager = ({
 
   const exportScenario = (scenario) => {
     const exportData = {
-      scenario,
+      // Темы и мнения файла, из которого сценарий импортирован, выгружаются отдельными полями
+      scenario: { ...scenario, importedSettings: undefined },
       topicSettings,
       opinionSettings,
       simulationParams: {
         vectorDimension: simulationParams.vectorDimension,
-        numClusters: simulationParams.numClusters
+        numClusters: simulationParams.numClusters,
+        seed: simulationParams.seed ?? null,
+        ...resolveModelParams(simulationParams)
       }
     };
 
@@ -255,23 +298,57 @@ const EnhancedScenarioManager = ({
     reader.onload = (e) => {
       try {
         const importData = JSON.parse(e.target.result);
-        const importedScenario = {
-          ...importData.scenario,
-          id: `imported_${Date.now()}`,
-          isCustom: true
-        };
+        const fileParams = getSettingsFileParams(importData);
+        if (!fileParams && !importData.topicSettings && !importData.opinionSettings) {
+          throw new Error('файл не содержит параметров симуляции');
+        }
 
-        setScenarios(prev => [...prev, importedScenario]);
-        setCurrentScenario(importedScenario);
+        // Шаблон сценария хранит темы как topicCount/topicNames/topicTimeline — приводим к списку тем
+        const importedTopicSettings = importData.topicSettings ? normalizeTopicSettings(importData.topicSettings) : null;
+        // Мнения шаблона (initialDistribution) задаются распределением: редактор начинает с нулевых мнений
+        const importedOpinionSettings = importData.opinionSettings
+          ? { clusterOpinions: {}, customMatrix: null, ...importData.opinionSettings }
+          : null;
+
+        // Полный экспорт результатов не содержит описания сценария; в шаблоне нет полей карточки сценария
+        if (importData.scenario) {
+          const importedScenario = {
+            topics: importedTopicSettings?.numTopics ?? topicSettings.numTopics,
+            proximitySettings: { type: 'random', strength: 0.5 },
+            opinionDistribution: 'normal',
+            ...importData.scenario,
+            id: `imported_${Date.now()}`,
+            isCustom: true,
+            importedSettings: importedTopicSettings || importedOpinionSettings
+              ? { topicSettings: importedTopicSettings, opinionSettings: importedOpinionSettings }
+              : null
+          };
+
+          setScenarios(prev => [...prev, importedScenario]);
+          setCurrentScenario(importedScenario);
+        }
 
-        if (importData.topicSettings) {
-          setTopicSettings(importData.topicSettings);
+        if (importedTopicSettings) {
+          setTopicSettings(importedTopicSettings);
+        }
+        if (importedOpinionSettings) {
+          setOpinionSettings(importedOpinionSettings);
+        }
+        // Полный экспорт хранит загруженные векторы, атрибуты и роли агентов прогона
+        const runInputs = importRunInputs(importData);
+        if (Object.keys(runInputs).length > 0) {
+          onRunInputsImport?.(runInputs);
         }
-        if (importData.opinionSettings) {
-          setOpinionSettings(importData.opinionSettings);
+        // Полный экспорт хранит параметры (включая seed) в поле parameters, model_settings.json — в modelParameters;
+        // поля scenario.config (reinforcementFactor и др.) задают коэффициенты модели
+        const importedParams = { ...fileParams };
+        // Файлы, сохраненные до разделения порога, содержат единый threshold: он задает допуск согласия и порог связи
+        if (importedParams.threshold !== undefined) {
+          Object.assign(importedParams, resolveThresholds(importedParams));
+          delete importedParams.threshold;
         }
-        if (importData.simulationParams) {
-          onParamsChange(importData.simulationParams);
+        if (Object.keys(importedParams).length > 0) {
+          onParamsChange(importedParams);
         }
 
       } catch (error) {
@@ -371,9 +448,10 @@ const EnhancedScenarioManager = ({
       </CardHeader>
       <CardContent>
         <Tabs defaultValue="scenarios" className="w-full">
-          <TabsList className="grid w-full grid-cols-4">
+          <TabsList className="grid w-full grid-cols-5">
             <TabsTrigger value="scenarios">Сценарии</TabsTrigger>
             <TabsTrigger value="topics">Темы</TabsTrigger>
+            <TabsTrigger value="agenda">Повестка</TabsTrigger>
             <TabsTrigger value="opinions">Мнения</TabsTrigger>
             <TabsTrigger value="vectorizer">Векторизация</TabsTrigger>
           </TabsList>
@@ -419,6 +497,9 @@ const EnhancedScenarioManager = ({
                     setCurrentScenario(scenario);
                     // Всегда применяем настройки сценария при выборе
                     generateTopicsFromScenario(scenario);
+                    if (scenario.config) {
+                      onParamsChange(getScenarioModelParams(scenario));
+                    }
                   }}
                 >
                   <div className="flex justify-between items-start mb-2">
@@ -468,6 +549,11 @@ const EnhancedScenarioManager = ({
                     <Badge variant="outline" size="sm">
                       {scenario.proximitySettings.type}
                     </Badge>
+                    {scenario.config?.partnerSelection && (
+                      <Badge variant="outline" size="sm">
+                        {getStrategyName(scenario.config.partnerSelection)}
+                      </Badge>
+                    )}
                     {scenario.isCustom && (
                       <Badge variant="secondary" size="sm">
                         Пользовательский
@@ -493,6 +579,9 @@ const EnhancedScenarioManager = ({
                       <li>Тип: {currentScenario.proximitySettings.type}</li>
                       <li>Сила: {currentScenario.proximitySettings.strength}</li>
                       <li>Распределение: {currentScenario.opinionDistribution}</li>
+                      {currentScenario.config?.partnerSelection && (
+                        <li>Выбор собеседника: {getStrategyName(currentScenario.config.partnerSelection)}</li>
+                      )}
                     </ul>
                   </div>
                 </div>
@@ -586,6 +675,15 @@ const EnhancedScenarioManager = ({
             </div>
           </TabsContent>
 
+          <TabsContent value="agenda" className="space-y-4">
+            <h4 className="font-medium">Динамическая повестка</h4>
+            <TopicTimelineEditor
+              topics={topicSettings.topics}
+              cycles={simulationParams.cycles}
+              onChange={(index, salience) => handleTopicChange(index, 'salience', salience)}
+            />
+          </TabsContent>
+
           <TabsContent value="opinions" className="space-y-4">
             <div className="flex justify-between items-center">
               <h4 className="font-medium">Распределение мнений по кластерам</h4>
@@ -593,6 +691,12 @@ const EnhancedScenarioManager = ({
                 Значения от -1 (против) до +1 (за)
               </div>
             </div>
+            {resolveModelParams(simulationParams).valueOpinionWeight >= 1 && (
+              <p className="text-sm text-gray-500">
+                Сейчас мнения в общении берутся только из ценностей: чтобы заданные мнения влияли на связи,
+                уменьшите «Вес мнения из ценностей» в параметрах модели.
+              </p>
+            )}
 
             <div className="space-y-4">
               {Array.from({ length: simulationParams.numClusters }, (_, cluster) => (
@@ -793,6 +897,29 @@ const EnhancedScenarioManager = ({
                       </SelectContent>
                     </Select>
                   </div>
+
+                  <div>
+                    <Label>Выбор собеседника</Label>
+                    <Select 
+                      value={editingScenario.config?.partnerSelection || 'uniform'}
+                      onValueChange={(value) => setEditingScenario({
+                        ...editingScenario,
+                        config: {
+                          ...editingScenario.config,
+                          partnerSelection: value
+                        }
+                      })}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {PARTNER_STRATEGIES.map(strategy => (
+                          <SelectItem key={strategy.id} value={strategy.id}>{strategy.name}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
                 </div>
 
                 <div>
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import {
+  DEFAULT_MODEL_PARAMS,
+  OPINION_RULES,
+  PARTNER_STRATEGIES,
+  CLUSTERING_METHODS,
+  PARAM_CONSTRAINTS,
+  PARAM_LABELS,
+  validateParams,
+} from '../lib/simulationConfig';
+
+const CHOICE_OPTIONS = {
+  opinionRule: OPINION_RULES,
+  partnerSelection: PARTNER_STRATEGIES,
+  clusteringMethod: CLUSTERING_METHODS,
+};
+
+const PARAM_GROUPS = [
+  {
+    title: 'Вероятность общения',
+    params: ['alpha', 'beta', 'gamma', 'maxInteractionProbability', 'interactionsPerAgent'],
+  },
+  {
+    title: 'Выбор собеседника',
+    params: ['partnerSelection', 'partnerExploration'],
+  },
+  {
+    title: 'Изменение связей',
+    params: ['reinforcementMin', 'reinforcementMax', 'reinforcementFactor', 'decayMin', 'decayMax', 'disagreementPenalty', 'tieCapacityStrength'],
+  },
+  {
+    title: 'Начальное состояние',
+    params: ['initialConnectionMin', 'initialConnectionMax', 'initialConnectionDensity'],
+  },
+  {
+    title: 'Динамика мнений',
+    params: ['opinionRule', 'opinionChangeRate', 'valueChangeRate', 'confidenceBound', 'valueOpinionWeight'],
+  },
+  {
+    title: 'Особые роли',
+    params: ['botActivity', 'mediaReachStrength', 'mediaInfluence'],
+  },
+  {
+    title: 'Кластеризация',
+    params: ['clusteringMethod', 'dbscanEps', 'dbscanMinPoints'],
+  },
+];
+
+const ModelParamsEditor = ({ simulationParams, onParamsChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const { errors } = validateParams(simulationParams);
+  const modelErrors = errors.filter(error =>
+    Object.keys(DEFAULT_MODEL_PARAMS).some(key => error.startsWith(key))
+  );
+  const isDefault = Object.keys(DEFAULT_MODEL_PARAMS).every(
+    key => (simulationParams[key] ?? DEFAULT_MODEL_PARAMS[key]) === DEFAULT_MODEL_PARAMS[key]
+  );
+
+  const handleChange = (key, value) => {
+    const numeric = parseFloat(value);
+    onParamsChange({ [key]: Number.isFinite(numeric) ? numeric : DEFAULT_MODEL_PARAMS[key] });
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 mb-4">
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={() => setIsOpen(!isOpen)}
+          className="text-left font-medium text-gray-800"
+        >
+          {isOpen ? '▾' : '▸'} Параметры модели
+          {!isDefault && <span className="ml-2 text-xs text-blue-600">изменены</span>}
+        </button>
+        {isOpen && !isDefault && (
+          <button
+            type="button"
+            onClick={() => onParamsChange({ ...DEFAULT_MODEL_PARAMS })}
+            className="text-sm text-gray-600 hover:text-gray-900 underline"
+          >
+            Сбросить
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          <p className="text-xs text-gray-500">
+            Вероятность общения = α·сходство ценностей + β·совпадение по темам + γ
+            (с учетом текущей связи, не выше предела)
+          </p>
+          <p className="text-xs text-gray-500">
+            После каждого общения мнения по теме (и ценности) агентов сдвигаются по выбранному правилу;
+            при нулевых скоростях мнения и ценности не меняются
+          </p>
+
+          {PARAM_GROUPS.map(group => (
+            <div key={group.title}>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">{group.title}</h4>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                {group.params.map(key => {
+                  if (CHOICE_OPTIONS[key]) {
+                    return (
+                      <div key={key}>
+                        <label className="block text-xs font-medium text-gray-700 mb-1">
+                          {PARAM_LABELS[key]}
+                        </label>
+                        <select
+                          value={simulationParams[key] ?? DEFAULT_MODEL_PARAMS[key]}
+                          onChange={(e) => onParamsChange({ [key]: e.target.value })}
+                          className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        >
+                          {CHOICE_OPTIONS[key].map(option => (
+                            <option key={option.id} value={option.id}>{option.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    );
+                  }
+
+                  const { min, max, step } = PARAM_CONSTRAINTS[key];
+                  return (
+                    <div key={key}>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">
+                        {PARAM_LABELS[key]}
+                      </label>
+                      <input
+                        type="number"
+                        min={min}
+                        max={max}
+                        step={step}
+                        value={simulationParams[key] ?? DEFAULT_MODEL_PARAMS[key]}
+                        onChange={(e) => handleChange(key, e.target.value)}
+                        className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+
+          {modelErrors.length > 0 && (
+            <div className="p-2 bg-red-50 border border-red-200 rounded text-sm text-red-800">
+              {modelErrors.map(error => <p key={error}>{error}</p>)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelParamsEditor;
@@ -1,5 +1,9 @@
 import React, { useEffect, useRef } from 'react';
 import * as d3 from 'd3';
+import { shouldUseCanvasRenderer } from '../lib/canvasNetwork';
+import CanvasNetworkView from './CanvasNetworkView';
+
+const CLUSTER_COLORS = ['#3b82f6', '#ef4444', '#10b981']; // синий, красный, зеленый
 
 const NetworkVisualization = ({ 
   data, 
@@ -9,9 +13,11 @@ const NetworkVisualization = ({
   cycles = 10 
 }) => {
   const svgRef = useRef();
+  // Большие сети рисуются на canvas
+  const useCanvas = shouldUseCanvasRenderer(data?.nodes?.length ?? 0, data?.links?.length ?? 0);
 
   useEffect(() => {
-    if (!data || !data.nodes || !data.links) return;
+    if (!data || !data.nodes || !data.links || useCanvas) return;
 
     const svg = d3.select(svgRef.current);
     svg.selectAll("*").remove(); // Очищаем предыдущую визуализацию
@@ -31,7 +37,7 @@ const NetworkVisualization = ({
     // Цветовая схема для кластеров
     const colorScale = d3.scaleOrdinal()
       .domain([0, 1, 2])
-      .range(['#3b82f6', '#ef4444', '#10b981']); // синий, красный, зеленый
+      .range(CLUSTER_COLORS);
 
     // Масштаб для размера узлов (по количеству связей)
     const maxDegree = d3.max(data.nodes, d => d.degree) || 1;
@@ -179,7 +185,7 @@ const NetworkVisualization = ({
       d3.selectAll('.tooltip').remove();
     };
 
-  }, [data, width, height]);
+  }, [data, width, height, useCanvas]);
 
   return (
     <div className="relative">
@@ -195,7 +201,19 @@ const NetworkVisualization = ({
         </p>
       </div>
       
-      <svg ref={svgRef} className="border border-gray-300 rounded-lg bg-white"></svg>
+      {useCanvas ? (
+        <div className="border border-gray-300 rounded-lg overflow-hidden inline-block">
+          <CanvasNetworkView
+            data={data}
+            width={width}
+            height={height}
+            groups={data.nodes.map(n => n.cluster)}
+            colors={CLUSTER_COLORS}
+          />
+        </div>
+      ) : (
+        <svg ref={svgRef} className="border border-gray-300 rounded-lg bg-white"></svg>
+      )}
       
       {/* Легенда */}
       <div className="mt-4 flex flex-wrap justify-center gap-4 text-sm">
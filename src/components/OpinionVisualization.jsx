@@ -1,6 +1,7 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
 import { Tooltip, TooltipTrigger, TooltipContent } from './ui/tooltip';
+import { getAgentOpinion, summarizeOpinionChange } from '../lib/opinionDynamics';
 
 const Button = ({ children, onClick, className = '', variant = 'primary', disabled = false }) => {
   const baseClasses = 'px-4 py-2 rounded-md font-medium transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed'
@@ -21,9 +22,31 @@ const Button = ({ children, onClick, className = '', variant = 'primary', disabl
   )
 }
 
+// Мнения агентов по темам (сохраненные мнения с учетом динамики; без них — по ценностям)
+const collectOpinions = (agents, topicList) => {
+  const opinions = [];
+  agents.forEach(agent => {
+    topicList.forEach((topic, topicIndex) => {
+      const stored = agent.opinions?.[topic.id];
+      if (typeof stored !== 'number' && !topic.vector) return;
+
+      opinions.push({
+        agentId: agent.id,
+        topicId: topicIndex,
+        opinion: typeof stored === 'number' ? stored : getAgentOpinion(agent, topic),
+        cluster: agent.cluster,
+      });
+    });
+  });
+  return opinions;
+};
+
 const OpinionVisualization = ({ 
   opinionStats, 
   agents, 
+  topics,
+  initialOpinions,
+  initialValues,
   topicSettings, 
   clusterStats,
   uploadedTopicNames 
@@ -43,43 +66,46 @@ const OpinionVisualization = ({
   const clusterRef = useRef();
   const topicRef = useRef();
 
-  // Генерируем мнения агентов для визуализации
-  const generateAgentOpinions = () => {
-    const opinions = [];
-    const numTopics = topicSettings?.numTopics || 10;
-    
-    agents.forEach(agent => {
-      for (let topicId = 0; topicId < numTopics; topicId++) {
-        // ИСПРАВЛЕНО: Используем равномерное распределение для всех кластеров
-        // Создаем базовое мнение на основе кластера и темы
-        const clusterFactor = (agent.cluster / Math.max(1, (topicSettings?.numClusters || 10) - 1)) * 2 - 1; // от -1 до 1
-        const topicFactor = Math.sin(topicId * Math.PI / numTopics) * Math.cos(agent.cluster * Math.PI / numTopics);
-        
-        // Комбинируем факторы с добавлением случайности
-        const baseOpinion = (clusterFactor * 0.4 + topicFactor * 0.4) + (Math.random() - 0.5) * 0.6;
-        const clampedOpinion = Math.max(-1, Math.min(1, baseOpinion));
-        
-        opinions.push({
-          agentId: agent.id,
-          topicId,
-          opinion: clampedOpinion,
-          cluster: agent.cluster,
-          topicName: uploadedTopicNames?.[topicId] || topicSettings?.topics?.[topicId]?.name || predefinedTopicNames[topicId] || `Тема ${topicId + 1}`
-        });
-      }
-    });
-    
-    return opinions;
-  };
+  // Темы прогона; без них — темы по настройкам (только сохраненные мнения)
+  const numSettingsTopics = topicSettings?.numTopics || 10;
+  const topicList = useMemo(
+    () => (topics?.length ? topics : Array.from({ length: numSettingsTopics }, (_, i) => ({ id: i }))),
+    [topics, numSettingsTopics]
+  );
+
+  const getTopicName = (topicIndex) =>
+    uploadedTopicNames?.[topicIndex] || topicList[topicIndex]?.name || topicSettings?.topics?.[topicIndex]?.name
+      || predefinedTopicNames[topicIndex] || `Тема ${topicIndex + 1}`;
+
+  const agentOpinions = useMemo(() => collectOpinions(agents, topicList), [agents, topicList]);
+
+  // Состояние до первого цикла (есть у результатов runSimulation)
+  const initialAgents = useMemo(() => {
+    if (!initialOpinions) return null;
+    return agents.map((agent, index) => ({
+      ...agent,
+      opinions: initialOpinions[index],
+      values: initialValues?.[index] || agent.values,
+    }));
+  }, [agents, initialOpinions, initialValues]);
+
+  const initialAgentOpinions = useMemo(
+    () => (initialAgents ? collectOpinions(initialAgents, topicList) : null),
+    [initialAgents, topicList]
+  );
 
-  const agentOpinions = generateAgentOpinions();
+  const opinionChange = useMemo(() => {
+    if (!initialOpinions || !topics?.length) return null;
+    const change = summarizeOpinionChange(agents, { opinions: initialOpinions, values: initialValues || [] }, topics);
+    return change && (change.maxShift > 0 || change.valueDrift > 1e-9) ? change : null;
+  }, [agents, initialOpinions, initialValues, topics]);
 
   // Создание общей гистограммы мнений
   useEffect(() => {
     if (selectedView === 'overall' && overallRef.current) {
       createOverallHistogram();
     }
-  }, [selectedView, agentOpinions]);
+  }, [selectedView, agentOpinions, initialAgentOpinions, opinionChange]);
 
   // Создание гистограммы по кластерам
   useEffect(() => {
@@ -121,8 +147,12 @@ const OpinionVisualization = ({
       .domain([-1, 1])
       .range([0, width]);
 
+    const initialBins = opinionChange
+      ? d3.histogram().domain([-1, 1]).thresholds(20)(initialAgentOpinions.map(d => d.opinion))
+      : null;
+
     const y = d3.scaleLinear()
-      .domain([0, d3.max(bins, d => d.length)])
+      .domain([0, d3.max([...bins, ...(initialBins || [])], d => d.length)])
       .range([height, 0]);
 
     // Создание столбцов
@@ -142,6 +172,32 @@ const OpinionVisualization = ({
       })
       .attr('opacity', 0.7);
 
+    // Начальное распределение (до динамики мнений) — пунктирный контур
+    if (initialBins) {
+      const line = d3.line()
+        .x(d => x(d[0]))
+        .y(d => y(d[1]))
+        .curve(d3.curveStepAfter);
+      const points = initialBins.map(d => [d.x0, d.length]);
+      points.push([initialBins[initialBins.length - 1].x1, initialBins[initialBins.length - 1].length]);
+
+      g.append('path')
+        .datum(points)
+        .attr('fill', 'none')
+        .attr('stroke', '#1f2937')
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', '4,3')
+        .attr('d', line);
+
+      g.append('text')
+        .attr('x', width - 4)
+        .attr('y', 12)
+        .attr('text-anchor', 'end')
+        .style('font-size', '12px')
+        .attr('fill', '#1f2937')
+        .text('- - - до симуляции');
+    }
+
     // Оси
     g.append('g')
       .attr('transform', `translate(0,${height})`)
@@ -263,7 +319,7 @@ const OpinionVisualization = ({
     container.selectAll('*').remove();
 
     const topicOpinions = agentOpinions.filter(d => d.topicId === selectedTopic);
-    const topicName = uploadedTopicNames?.[selectedTopic] || topicSettings?.topics?.[selectedTopic]?.name || predefinedTopicNames[selectedTopic] || `Тема ${selectedTopic + 1}`;
+    const topicName = getTopicName(selectedTopic);
 
     const margin = { top: 20, right: 30, bottom: 40, left: 50 };
     const width = 800 - margin.left - margin.right;
@@ -400,7 +456,7 @@ const OpinionVisualization = ({
   };
 
   const numClusters = Math.max(...agents.map(a => a.cluster)) + 1;
-  const numTopics = topicSettings?.numTopics || 10;
+  const numTopics = topicList.length;
 
   return (
     <div className="space-y-6">
@@ -481,6 +537,42 @@ const OpinionVisualization = ({
               </div>
             </div>
           </div>
+
+          {/* Изменение мнений за симуляцию */}
+          {opinionChange && (
+            <div className="mt-4">
+              <div className="flex items-center gap-2 mb-2">
+                <h5 className="text-sm font-medium text-gray-700">Изменение за симуляцию</h5>
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <span className="cursor-help text-gray-500 text-xs">ⓘ</span>
+                  </TooltipTrigger>
+                  <TooltipContent className="max-w-xs bg-gray-900 text-white">
+                    <p>Сдвиг мнений и ценностей агентов по правилу динамики мнений: сравнение с состоянием до первого цикла</p>
+                  </TooltipContent>
+                </Tooltip>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div className="bg-blue-50 rounded-lg p-4">
+                  <div className="text-lg font-bold text-blue-600">{opinionChange.meanShift.toFixed(3)}</div>
+                  <div className="text-sm text-blue-800">Средний сдвиг мнения</div>
+                </div>
+                <div className="bg-blue-50 rounded-lg p-4">
+                  <div className="text-lg font-bold text-blue-600">{opinionChange.maxShift.toFixed(3)}</div>
+                  <div className="text-sm text-blue-800">Максимальный сдвиг</div>
+                </div>
+                <div className="bg-blue-50 rounded-lg p-4">
+                  <div className="text-lg font-bold text-blue-600">{Math.round(opinionChange.changedShare * 100)}%</div>
+                  <div className="text-sm text-blue-800">Изменившихся мнений</div>
+                </div>
+                <div className="bg-purple-50 rounded-lg p-4">
+                  <div className="text-lg font-bold text-purple-600">{opinionChange.valueDrift.toFixed(4)}</div>
+                  <div className="text-sm text-purple-800">Дрейф ценностей</div>
+                  <div className="text-xs text-purple-600 mt-1">(1 − cos с начальным вектором)</div>
+                </div>
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -531,7 +623,7 @@ const OpinionVisualization = ({
               >
                 {Array.from({ length: numTopics }, (_, i) => (
                   <option key={i} value={i}>
-                    {uploadedTopicNames?.[i] || topicSettings?.topics?.[i]?.name || predefinedTopicNames[i] || `Тема ${i + 1}`}
+                    {getTopicName(i)}
                   </option>
                 ))}
               </select>
@@ -545,6 +637,12 @@ const OpinionVisualization = ({
             </Button>
           </div>
           <div ref={topicRef}></div>
+          {opinionChange?.perTopic[selectedTopic] && (
+            <p className="mt-2 text-sm text-gray-600">
+              Среднее мнение: {opinionChange.perTopic[selectedTopic].initialMean.toFixed(3)} до симуляции →{' '}
+              {opinionChange.perTopic[selectedTopic].finalMean.toFixed(3)} после
+            </p>
+          )}
         </div>
       )}
 
@@ -0,0 +1,396 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Badge } from './ui/badge';
+import { Progress } from './ui/progress';
+import {
+  ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { SlidersHorizontal, Play, Square, Download, Plus, Trash2 } from 'lucide-react';
+import * as d3 from 'd3';
+import { PARAM_CONSTRAINTS, PARAM_LABELS } from '../lib/simulationConfig';
+import { createRunControl } from '../lib/simulationPipeline';
+import { downloadFile } from '../lib/exportUtils';
+import {
+  SWEEPABLE_PARAMS,
+  SWEEP_METRICS,
+  runSweep,
+  buildSweepGrid,
+  computeSensitivity,
+  exportSweepCsv,
+} from '../lib/parameterSweep';
+
+const LINE_COLORS = ['#3B82F6', '#EF4444', '#10B981', '#F59E0B', '#8B5CF6', '#06B6D4', '#EC4899', '#6B7280'];
+
+const getParamLabel = (param) => PARAM_LABELS[param] || param;
+
+const createAxis = (param, simulationParams) => {
+  const { min, max, step } = PARAM_CONSTRAINTS[param];
+  if (min === 0 && max === 1) {
+    return { param, from: 0.1, to: 0.9, steps: 5 };
+  }
+
+  // По умолчанию — от половины до двойного текущего значения
+  const current = simulationParams[param] ?? min;
+  const clampToStep = (value) => Number(Math.min(max, Math.max(min, Math.round(value / step) * step)).toFixed(4));
+  return {
+    param,
+    from: clampToStep(current / 2),
+    to: clampToStep(current > 0 ? current * 2 : min + step * 10),
+    steps: 5,
+  };
+};
+
+const ParameterSweepManager = ({
+  simulationParams,
+  topicSettings,
+  opinionSettings,
+  uploadedAgents,
+  uploadedTopics,
+  uploadedTopicNames,
+  uploadedAgentAttributes,
+  agentAttributeSettings,
+  uploadedAgentRoles,
+  roleSettings,
+  onError
+}) => {
+  const [axes, setAxes] = useState(() => [createAxis('agreementTolerance', simulationParams)]);
+  const [replicates, setReplicates] = useState(3);
+  const [baseSeed, setBaseSeed] = useState(1);
+  const [progress, setProgress] = useState(null);
+  const [sweep, setSweep] = useState(null);
+  const [selectedMetric, setSelectedMetric] = useState('density');
+  const controlRef = useRef(null);
+
+  // Останавливаем прогон при уходе со страницы
+  useEffect(() => () => controlRef.current?.cancel(), []);
+
+  let pointCount = 0;
+  try {
+    pointCount = buildSweepGrid(axes).length;
+  } catch {
+    pointCount = 0;
+  }
+
+  const updateAxis = (index, changes) => {
+    setAxes(prev => prev.map((axis, i) => {
+      if (i !== index) return axis;
+      return changes.param ? createAxis(changes.param, simulationParams) : { ...axis, ...changes };
+    }));
+  };
+
+  const addAxis = () => {
+    const unused = SWEEPABLE_PARAMS.find(param => !axes.some(axis => axis.param === param));
+    if (unused) setAxes(prev => [...prev, createAxis(unused, simulationParams)]);
+  };
+
+  const startSweep = async () => {
+    const control = createRunControl();
+    controlRef.current = control;
+    setSweep(null);
+
+    try {
+      const result = await runSweep(
+        {
+          simulationParams,
+          topicSettings,
+          opinionSettings,
+          uploadedAgents,
+          uploadedTopics,
+          uploadedTopicNames,
+          uploadedAgentAttributes,
+          agentAttributeSettings,
+          uploadedAgentRoles,
+          roleSettings,
+        },
+        axes.map(axis => ({ ...axis, from: Number(axis.from), to: Number(axis.to), steps: Number(axis.steps) })),
+        {
+          replicates: Number(replicates),
+          baseSeed: Number(baseSeed),
+          control,
+          onProgress: (done, total) => setProgress({ done, total }),
+        }
+      );
+      if (result) setSweep(result);
+    } catch (error) {
+      onError(`Ошибка при анализе чувствительности: ${error.message}`);
+    } finally {
+      controlRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const exportSweep = () => {
+    downloadFile(exportSweepCsv(sweep), 'parameter_sweep.csv', 'text/csv');
+  };
+
+  const metricLabel = SWEEP_METRICS.find(metric => metric.key === selectedMetric)?.label;
+
+  // Данные линейного графика: ось X — первый параметр, линии — значения второго
+  const getLineChartData = () => {
+    const [xAxis, groupAxis] = sweep.axes;
+    const groups = groupAxis
+      ? [...new Set(sweep.points.map(point => point.params[groupAxis.param]))]
+      : [null];
+
+    const xValues = [...new Set(sweep.points.map(point => point.params[xAxis.param]))];
+    const data = xValues.map(x => {
+      const row = { x };
+      groups.forEach((group, g) => {
+        const point = sweep.points.find(p =>
+          p.params[xAxis.param] === x && (!groupAxis || p.params[groupAxis.param] === group)
+        );
+        if (!point) return;
+        const { mean, lower, upper } = point.summary[selectedMetric];
+        row[`mean_${g}`] = mean;
+        row[`band_${g}`] = [lower, upper];
+      });
+      return row;
+    });
+
+    return { data, groups, xAxis, groupAxis };
+  };
+
+  const renderLineChart = () => {
+    const { data, groups, xAxis, groupAxis } = getLineChartData();
+
+    return (
+      <ResponsiveContainer width="100%" height={320}>
+        <ComposedChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="x" label={{ value: getParamLabel(xAxis.param), position: 'insideBottom', offset: -5 }} />
+          <YAxis />
+          <Tooltip formatter={(value) => (Array.isArray(value)
+            ? `${value[0].toFixed(3)} – ${value[1].toFixed(3)}`
+            : value.toFixed(3))}
+          />
+          <Legend />
+          {groups.map((group, g) => (
+            <Area
+              key={`band_${g}`}
+              dataKey={`band_${g}`}
+              stroke="none"
+              fill={LINE_COLORS[g % LINE_COLORS.length]}
+              fillOpacity={0.15}
+              name={groupAxis ? `95% ДИ (${getParamLabel(groupAxis.param)} = ${group})` : '95% ДИ'}
+              legendType="none"
+            />
+          ))}
+          {groups.map((group, g) => (
+            <Line
+              key={`mean_${g}`}
+              dataKey={`mean_${g}`}
+              stroke={LINE_COLORS[g % LINE_COLORS.length]}
+              strokeWidth={2}
+              name={groupAxis ? `${getParamLabel(groupAxis.param)} = ${group}` : metricLabel}
+            />
+          ))}
+        </ComposedChart>
+      </ResponsiveContainer>
+    );
+  };
+
+  const renderHeatmap = () => {
+    const [yAxis, xAxis] = sweep.axes;
+    const xValues = [...new Set(sweep.points.map(point => point.params[xAxis.param]))];
+    const yValues = [...new Set(sweep.points.map(point => point.params[yAxis.param]))];
+    const means = sweep.points.map(point => point.summary[selectedMetric].mean);
+    const color = d3.scaleSequential(d3.interpolateViridis).domain([Math.min(...means), Math.max(...means) || 1]);
+
+    return (
+      <div className="overflow-x-auto">
+        <table className="text-xs border-collapse">
+          <thead>
+            <tr>
+              <th className="p-2 text-left text-gray-500">
+                {getParamLabel(yAxis.param)} \ {getParamLabel(xAxis.param)}
+              </th>
+              {xValues.map(x => <th key={x} className="p-2">{x}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {yValues.map(y => (
+              <tr key={y}>
+                <th className="p-2 text-right">{y}</th>
+                {xValues.map(x => {
+                  const point = sweep.points.find(p => p.params[yAxis.param] === y && p.params[xAxis.param] === x);
+                  const summary = point?.summary[selectedMetric];
+                  const background = summary ? color(summary.mean) : '#F3F4F6';
+                  const textColor = d3.hsl(background).l > 0.5 ? '#111827' : '#FFFFFF';
+                  return (
+                    <td
+                      key={x}
+                      className="p-2 text-center min-w-16"
+                      style={{ background, color: textColor }}
+                      title={summary ? `95% ДИ: ${summary.lower.toFixed(3)} – ${summary.upper.toFixed(3)}` : ''}
+                    >
+                      {summary ? summary.mean.toFixed(3) : '—'}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <Card className="w-full">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <SlidersHorizontal className="h-5 w-5" />
+          Анализ чувствительности параметров
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="space-y-3">
+          {axes.map((axis, index) => {
+            const { min, max, step } = PARAM_CONSTRAINTS[axis.param];
+            return (
+              <div key={index} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+                <div className="md:col-span-2">
+                  <Label>Параметр {index + 1}</Label>
+                  <Select value={axis.param} onValueChange={(param) => updateAxis(index, { param })}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {SWEEPABLE_PARAMS.filter(param => param === axis.param || !axes.some(a => a.param === param))
+                        .map(param => (
+                          <SelectItem key={param} value={param}>{getParamLabel(param)}</SelectItem>
+                        ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div>
+                  <Label>От</Label>
+                  <Input type="number" min={min} max={max} step={step} value={axis.from}
+                    onChange={(e) => updateAxis(index, { from: e.target.value })} />
+                </div>
+                <div>
+                  <Label>До</Label>
+                  <Input type="number" min={min} max={max} step={step} value={axis.to}
+                    onChange={(e) => updateAxis(index, { to: e.target.value })} />
+                </div>
+                <div className="flex gap-2 items-end">
+                  <div className="flex-1">
+                    <Label>Точек</Label>
+                    <Input type="number" min={1} max={20} value={axis.steps}
+                      onChange={(e) => updateAxis(index, { steps: e.target.value })} />
+                  </div>
+                  {axes.length > 1 && (
+                    <Button variant="outline" size="icon" onClick={() => setAxes(prev => prev.filter((_, i) => i !== index))}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+
+          {axes.length < 2 && (
+            <Button variant="outline" size="sm" onClick={addAxis}>
+              <Plus className="h-4 w-4 mr-1" />
+              Добавить параметр (тепловая карта)
+            </Button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+          <div>
+            <Label>Повторов на точку</Label>
+            <Input type="number" min={1} max={30} value={replicates}
+              onChange={(e) => setReplicates(e.target.value)} />
+          </div>
+          <div>
+            <Label>Начальный seed</Label>
+            <Input type="number" min={0} value={baseSeed}
+              onChange={(e) => setBaseSeed(e.target.value)} />
+          </div>
+          <div className="text-sm text-gray-600">
+            Точек: {pointCount}, прогонов: {pointCount * Number(replicates || 0)}
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          {progress ? (
+            <Button variant="outline" onClick={() => controlRef.current?.cancel()}>
+              <Square className="h-4 w-4 mr-1" />
+              Остановить
+            </Button>
+          ) : (
+            <Button onClick={startSweep} disabled={pointCount === 0}>
+              <Play className="h-4 w-4 mr-1" />
+              Запустить анализ
+            </Button>
+          )}
+          {sweep && !progress && (
+            <Button variant="outline" onClick={exportSweep}>
+              <Download className="h-4 w-4 mr-1" />
+              Экспорт CSV
+            </Button>
+          )}
+        </div>
+
+        {progress && (
+          <div className="space-y-1">
+            <Progress value={progress.total > 0 ? (progress.done / progress.total) * 100 : 0} />
+            <p className="text-xs text-gray-500">Прогон {progress.done} из {progress.total}</p>
+          </div>
+        )}
+
+        {sweep && (
+          <div className="space-y-6">
+            <div className="flex flex-wrap gap-2">
+              {SWEEP_METRICS.map(metric => (
+                <Button
+                  key={metric.key}
+                  size="sm"
+                  variant={selectedMetric === metric.key ? 'default' : 'outline'}
+                  onClick={() => setSelectedMetric(metric.key)}
+                >
+                  {metric.label}
+                </Button>
+              ))}
+            </div>
+
+            {sweep.axes.length === 2 && (
+              <div>
+                <h4 className="font-medium mb-2">{metricLabel}: тепловая карта средних</h4>
+                {renderHeatmap()}
+              </div>
+            )}
+
+            <div>
+              <h4 className="font-medium mb-2">{metricLabel}: среднее и 95% доверительный интервал</h4>
+              {renderLineChart()}
+            </div>
+
+            <div>
+              <h4 className="font-medium mb-2">Чувствительность (размах средних по значениям параметра)</h4>
+              <div className="space-y-1">
+                {computeSensitivity(sweep).map(row => (
+                  <div key={`${row.param}_${row.metric}`} className="flex justify-between text-sm border-b py-1">
+                    <span>
+                      {getParamLabel(row.param)} → {SWEEP_METRICS.find(metric => metric.key === row.metric).label}
+                    </span>
+                    <Badge variant="outline">
+                      {row.min.toFixed(3)} – {row.max.toFixed(3)} (Δ {row.range.toFixed(3)})
+                    </Badge>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ParameterSweepManager;
@@ -1,8 +1,12 @@
 import React, { useState, useRef } from 'react';
 import EnhancedNetworkVisualization from './EnhancedNetworkVisualization';
 import OpinionVisualization from './OpinionVisualization';
+import ValueSpaceProjection from './ValueSpaceProjection';
 import * as d3 from 'd3';
 import { Tooltip, TooltipTrigger, TooltipContent } from './ui/tooltip';
+import { asConnectionStore } from '../lib/connectionStore';
+import { AGENT_ATTRIBUTES, getAgentAttribute } from '../lib/agentAttributes';
+import { AGENT_ROLES, getAgentRole, getRoleName } from '../lib/agentRoles';
 
 const Button = ({ children, onClick, className = '', variant = 'primary', disabled = false }) => {
   const baseClasses = 'px-4 py-2 rounded-md font-medium transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed'
@@ -29,7 +33,10 @@ const ResultsTabs = ({
   simulationParams, 
   topicSettings,
   opinionSettings,
-  uploadedTopicNames 
+  uploadedTopicNames,
+  roleAssignments,
+  onAgentRoleChange,
+  onEnableHistory
 }) => {
   const [activeTab, setActiveTab] = useState('summary');
   const [selectedAgent, setSelectedAgent] = useState(null);
@@ -53,11 +60,11 @@ const ResultsTabs = ({
   const totalConnections = links.length;
   const connectionDensity = (totalConnections / (totalAgents * (totalAgents - 1) / 2) * 100).toFixed(1);
   
-  // Статистика по кластерам
+  // Статистика по кластерам (после пересчетов номера кластеров могут идти с пропусками)
   const clusterStats = {};
-  const numClusters = simulationParams.numClusters || 3;
-  
-  for (let i = 0; i < numClusters; i++) {
+  const clusterIds = [...new Set(nodes.map(node => node.cluster))].sort((a, b) => a - b);
+
+  for (const i of clusterIds) {
     const clusterAgents = nodes.filter(node => node.cluster === i);
     const clusterConnections = links.filter(link => 
       nodes[link.source].cluster === i && nodes[link.target].cluster === i
@@ -277,6 +284,10 @@ const ResultsTabs = ({
                   height={Math.min(800, window.innerHeight - 200)}
                   scenario={simulationParams.scenario}
                   cycles={simulationParams.cycles}
+                  history={rawSimulationData.history}
+                  historyInterval={simulationParams.historyInterval}
+                  onEnableHistory={onEnableHistory}
+                  edgeThreshold={simulationParams.edgeThreshold}
                   onAgentClick={setSelectedAgent}
                   selectedAgent={selectedAgent}
                 />
@@ -287,13 +298,34 @@ const ResultsTabs = ({
             {selectedAgent !== null && (
               <AgentDetails 
                 agent={agents[selectedAgent]}
-                connections={connections[selectedAgent]}
+                connections={asConnectionStore(connections).row(selectedAgent)}
                 agents={agents}
                 topicSettings={topicSettings}
                 opinionSettings={opinionSettings}
+                edgeThreshold={simulationParams.edgeThreshold}
+                strongTieThreshold={simulationParams.strongTieThreshold}
+                topics={rawSimulationData.topics}
+                nextRole={roleAssignments?.[selectedAgent]}
+                onRoleChange={onAgentRoleChange && (role => onAgentRoleChange(selectedAgent, role))}
               />
             )}
 
+            {/* Проекция пространства ценностей; выбор агента общий с графом */}
+            <div>
+              <h4 className="text-lg font-medium mb-4">Пространство ценностей</h4>
+              <ValueSpaceProjection
+                agents={agents}
+                topics={rawSimulationData.topics}
+                topicNames={rawSimulationData.topics?.map((topic, index) =>
+                  uploadedTopicNames?.[index] || topicSettings?.topics?.[index]?.name
+                ) ?? []}
+                selectedAgent={selectedAgent}
+                onAgentClick={setSelectedAgent}
+                width={Math.min(1000, window.innerWidth - 100)}
+                height={500}
+              />
+            </div>
+
             {/* Подробная статистика кластеров */}
             <div>
               <h4 className="text-lg font-medium mb-4">Подробная статистика кластеров</h4>
@@ -320,6 +352,9 @@ const ResultsTabs = ({
               <OpinionVisualization 
                 opinionStats={opinionStats}
                 agents={agents}
+                topics={rawSimulationData.topics}
+                initialOpinions={rawSimulationData.initialOpinions}
+                initialValues={rawSimulationData.initialValues}
                 topicSettings={topicSettings}
                 clusterStats={clusterStats}
                 uploadedTopicNames={uploadedTopicNames}
@@ -337,18 +372,28 @@ const ResultsTabs = ({
   );
 };
 
-// Компонент для отображения деталей агента
-const AgentDetails = ({ agent, connections, agents, topicSettings, opinionSettings }) => {
+// Компонент для отображения деталей агента: связи не слабее порога связи, сильные — от порога сильной связи.
+// onRoleChange назначает агенту роль на следующий запуск (nextRole — уже назначенная)
+const AgentDetails = ({ agent, connections, agents, topicSettings, opinionSettings, edgeThreshold = 0.5, strongTieThreshold = 0.7, topics, nextRole, onRoleChange }) => {
+  const role = getAgentRole(agent);
+  const agendaName = agent.agenda !== undefined
+    ? topics?.find(topic => topic.id === agent.agenda)?.name || `Тема ${agent.agenda + 1}`
+    : null;
+
   const ownClusterConnections = connections.filter((strength, idx) => 
-    idx !== agent.id && strength > 0.3 && agents[idx].cluster === agent.cluster
+    idx !== agent.id && strength >= edgeThreshold && agents[idx].cluster === agent.cluster
   ).length;
   
   const otherClusterConnections = connections.filter((strength, idx) => 
-    idx !== agent.id && strength > 0.3 && agents[idx].cluster !== agent.cluster
+    idx !== agent.id && strength >= edgeThreshold && agents[idx].cluster !== agent.cluster
+  ).length;
+
+  const strongConnections = connections.filter((strength, idx) =>
+    idx !== agent.id && strength >= strongTieThreshold
   ).length;
   
   const avgStrength = connections.reduce((sum, strength, idx) => 
-    idx !== agent.id && strength > 0.3 ? sum + strength : sum, 0
+    idx !== agent.id && strength >= edgeThreshold ? sum + strength : sum, 0
   ) / (ownClusterConnections + otherClusterConnections || 1);
 
   return (
@@ -360,10 +405,48 @@ const AgentDetails = ({ agent, connections, agents, topicSettings, opinionSettin
           <div className="space-y-1 text-sm">
             <div>В своем кластере: {ownClusterConnections}</div>
             <div>В других кластерах: {otherClusterConnections}</div>
+            <div>Сильных (≥ {strongTieThreshold}): {strongConnections}</div>
             <div>Средняя сила связи: {avgStrength.toFixed(3)}</div>
             <div>Кластер: {agent.cluster + 1}</div>
           </div>
         </div>
+        <div>
+          <h6 className="font-medium text-sm mb-2">Роль</h6>
+          <div className="space-y-1 text-sm">
+            <div>{getRoleName(role)}{agendaName && ` — повестка «${agendaName}»`}</div>
+            {onRoleChange && (
+              <label className="flex items-center gap-2">
+                <span>В следующем запуске:</span>
+                <select
+                  aria-label={`Роль агента ${agent.id} в следующем запуске`}
+                  value={nextRole ?? role}
+                  onChange={(e) => onRoleChange(e.target.value)}
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                >
+                  {AGENT_ROLES.map(option => (
+                    <option key={option.id} value={option.id}>{option.name}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+        </div>
+        {agent.attributes && (
+          <div>
+            <h6 className="font-medium text-sm mb-2">Атрибуты</h6>
+            <div className="space-y-1 text-sm">
+              {AGENT_ATTRIBUTES.map(({ key, label, description }) => {
+                const value = getAgentAttribute(agent, key);
+                return (
+                  <div key={key} className="flex justify-between" title={description}>
+                    <span>{label}:</span>
+                    <span>{value === null ? 'без ограничения' : Number(value.toFixed(2))}</span>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
         <div>
           <h6 className="font-medium text-sm mb-2">Мнения по темам</h6>
           <div className="space-y-1 text-sm max-h-32 overflow-y-auto">
@@ -0,0 +1,459 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Badge } from './ui/badge';
+import { Library, GitCompare, Download, FileText, Trash2 } from 'lucide-react';
+import { PARAM_LABELS, resolveThresholds } from '../lib/simulationConfig';
+import { prepareVisualizationData } from '../lib/agentSimulation';
+import { pcaLayout } from '../lib/networkLayout';
+import { downloadFile } from '../lib/exportUtils';
+import {
+  openRunLibrary,
+  compareRunMetrics,
+  diffRunEdges,
+  diffRunParams,
+  exportEdgeDiffCsv,
+} from '../lib/runLibrary';
+import CanvasNetworkView from './CanvasNetworkView';
+
+const CLUSTER_COLORS = [
+  '#3b82f6', '#ef4444', '#10b981', '#8b5cf6', '#f59e0b',
+  '#ec4899', '#f97316', '#6b7280', '#eab308', '#06b6d4'
+];
+
+// Связи, которые есть только в одном из запусков, и общие связи
+const DIFF_COLORS = { A: '#2563eb', B: '#ea580c', shared: '#d1d5db' };
+const GRAPH_WIDTH = 480;
+const GRAPH_HEIGHT = 400;
+const DIFF_LIST_LIMIT = 20;
+
+const edgeKey = (source, target) => (source < target ? `${source}-${target}` : `${target}-${source}`);
+const formatValue = (value) => (value === undefined ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// Граф запуска для сравнения: общая раскладка, связи только этого запуска выделены цветом
+const buildComparisonGraph = (run, threshold, onlyKeys, onlyDiff) => {
+  const { nodes, links } = prepareVisualizationData(run.agents, run.connections, threshold);
+  const kept = onlyDiff ? links.filter(link => onlyKeys.has(edgeKey(link.source, link.target))) : links;
+  return { nodes, links: kept };
+};
+
+// Библиотека завершенных запусков (IndexedDB) и сравнение двух из них:
+// различия параметров, таблица изменений метрик, синхронные графы и список связей, возникших только в одном запуске
+// settings — { autoSave, keep }: сохранять ли завершенные запуски и сколько последних хранить
+const RunLibraryManager = ({ settings, onSettingsChange, onError }) => {
+  const libraryRef = useRef(null);
+  const [runs, setRuns] = useState(null);
+  const [unavailable, setUnavailable] = useState(false);
+  const [selection, setSelection] = useState([]); // id запусков A и B в порядке выбора
+  const [comparison, setComparison] = useState(null); // { a, b } — полные данные запусков
+  const [threshold, setThreshold] = useState(0.5);
+  const [onlyDiff, setOnlyDiff] = useState(false);
+  const [selectedAgent, setSelectedAgent] = useState(null);
+  const [zoomTransform, setZoomTransform] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    openRunLibrary()
+      .then(async library => {
+        if (cancelled) {
+          library.close();
+          return;
+        }
+        libraryRef.current = library;
+        const list = await library.listRuns();
+        if (!cancelled) setRuns(list);
+      })
+      .catch(() => {
+        if (!cancelled) setUnavailable(true);
+      });
+    return () => {
+      cancelled = true;
+      libraryRef.current?.close();
+      libraryRef.current = null;
+    };
+  }, []);
+
+  const refresh = async () => setRuns(await libraryRef.current.listRuns());
+
+  const toggleSelection = (id) => {
+    setSelection(prev => {
+      if (prev.includes(id)) return prev.filter(item => item !== id);
+      // Третий выбранный запуск заменяет запуск B
+      return prev.length < 2 ? [...prev, id] : [prev[0], id];
+    });
+  };
+
+  const handleRename = async (id, name) => {
+    try {
+      await libraryRef.current.renameRun(id, name);
+      await refresh();
+    } catch (error) {
+      onError?.(`Не удалось переименовать запуск: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await libraryRef.current.deleteRun(id);
+      setSelection(prev => prev.filter(item => item !== id));
+      if (comparison && (comparison.a.id === id || comparison.b.id === id)) setComparison(null);
+      await refresh();
+    } catch (error) {
+      onError?.(`Не удалось удалить запуск: ${error.message}`);
+    }
+  };
+
+  const downloadReport = async (id) => {
+    try {
+      const run = await libraryRef.current.getRun(id);
+      downloadFile(run.report, `simulation_report_${id}.md`, 'text/markdown');
+    } catch (error) {
+      onError?.(`Не удалось загрузить отчет: ${error.message}`);
+    }
+  };
+
+  const startComparison = async () => {
+    try {
+      const [a, b] = await Promise.all(selection.map(id => libraryRef.current.getRun(id)));
+      setComparison({ a, b });
+      setThreshold(resolveThresholds(a.params).edgeThreshold);
+      setSelectedAgent(null);
+      setZoomTransform(d3.zoomIdentity);
+    } catch (error) {
+      onError?.(`Не удалось загрузить запуски: ${error.message}`);
+    }
+  };
+
+  const metricRows = useMemo(
+    () => comparison && compareRunMetrics(comparison.a.metrics, comparison.b.metrics),
+    [comparison]
+  );
+  const paramRows = useMemo(
+    () => comparison && diffRunParams(comparison.a.params, comparison.b.params),
+    [comparison]
+  );
+  const edgeDiff = useMemo(
+    () => comparison && diffRunEdges(comparison.a.connections, comparison.b.connections, threshold),
+    [comparison, threshold]
+  );
+
+  // Одна раскладка на оба графа: агент занимает одно место в обоих запусках
+  const positions = useMemo(() => {
+    if (!comparison) return null;
+    const { a, b } = comparison;
+    const agents = a.agents.length >= b.agents.length ? a.agents : [...a.agents, ...b.agents.slice(a.agents.length)];
+    return pcaLayout(agents, GRAPH_WIDTH, GRAPH_HEIGHT);
+  }, [comparison]);
+
+  const graphs = useMemo(() => {
+    if (!comparison) return null;
+    const onlyA = new Set(edgeDiff.onlyA.map(edge => edgeKey(edge.source, edge.target)));
+    const onlyB = new Set(edgeDiff.onlyB.map(edge => edgeKey(edge.source, edge.target)));
+    return [
+      { key: 'A', run: comparison.a, only: onlyA, data: buildComparisonGraph(comparison.a, threshold, onlyA, onlyDiff) },
+      { key: 'B', run: comparison.b, only: onlyB, data: buildComparisonGraph(comparison.b, threshold, onlyB, onlyDiff) },
+    ];
+  }, [comparison, edgeDiff, threshold, onlyDiff]);
+
+  const exportDiff = () => {
+    downloadFile(exportEdgeDiffCsv(edgeDiff), `edge_diff_${comparison.a.id}_${comparison.b.id}.csv`, 'text/csv');
+  };
+
+  const renderDiffList = (title, edges, color) => (
+    <div>
+      <h4 className="font-medium mb-2" style={{ color }}>{title}: {edges.length}</h4>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1">Связь</th>
+            <th className="py-1 text-right">Сила в A</th>
+            <th className="py-1 text-right">Сила в B</th>
+          </tr>
+        </thead>
+        <tbody>
+          {edges.slice(0, DIFF_LIST_LIMIT).map(edge => (
+            <tr key={edgeKey(edge.source, edge.target)} className="border-t border-gray-100">
+              <td className="py-1">
+                <button type="button" className="text-blue-600 hover:underline" onClick={() => setSelectedAgent(edge.source)}>
+                  {edge.source}
+                </button>
+                {' — '}
+                <button type="button" className="text-blue-600 hover:underline" onClick={() => setSelectedAgent(edge.target)}>
+                  {edge.target}
+                </button>
+              </td>
+              <td className="py-1 text-right">{edge.strengthA.toFixed(3)}</td>
+              <td className="py-1 text-right">{edge.strengthB.toFixed(3)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {edges.length > DIFF_LIST_LIMIT && (
+        <p className="text-xs text-gray-500 mt-1">Показаны {DIFF_LIST_LIMIT} сильнейших, полный список — в CSV</p>
+      )}
+    </div>
+  );
+
+  const renderComparison = () => {
+    const { a, b } = comparison;
+    const diffTotal = edgeDiff.onlyA.length + edgeDiff.onlyB.length + edgeDiff.shared.length;
+
+    return (
+      <div className="space-y-6 border-t pt-6">
+        <div>
+          <h3 className="font-semibold mb-2">Различия параметров</h3>
+          {paramRows.length === 0 ? (
+            <p className="text-sm text-gray-600">Параметры запусков совпадают</p>
+          ) : (
+            <table className="text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 pr-6">Параметр</th>
+                  <th className="py-1 pr-6">A: {a.name}</th>
+                  <th className="py-1">B: {b.name}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {paramRows.map(row => (
+                  <tr key={row.key} className="border-t border-gray-100">
+                    <td className="py-1 pr-6">{PARAM_LABELS[row.key] || row.key}</td>
+                    <td className="py-1 pr-6">{formatValue(row.a)}</td>
+                    <td className="py-1">{formatValue(row.b)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div>
+          <h3 className="font-semibold mb-2">Метрики</h3>
+          <table className="text-sm" aria-label="Изменение метрик">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-6">Метрика</th>
+                <th className="py-1 pr-6 text-right">A</th>
+                <th className="py-1 pr-6 text-right">B</th>
+                <th className="py-1 pr-6 text-right">Δ (B − A)</th>
+                <th className="py-1 text-right">Δ, %</th>
+              </tr>
+            </thead>
+            <tbody>
+              {metricRows.map(row => (
+                <tr key={row.key} className="border-t border-gray-100">
+                  <td className="py-1 pr-6">{row.label}</td>
+                  <td className="py-1 pr-6 text-right">{row.a.toFixed(3)}</td>
+                  <td className="py-1 pr-6 text-right">{row.b.toFixed(3)}</td>
+                  <td className={`py-1 pr-6 text-right ${row.delta > 0 ? 'text-green-700' : row.delta < 0 ? 'text-red-700' : ''}`}>
+                    {row.delta > 0 ? '+' : ''}{row.delta.toFixed(3)}
+                  </td>
+                  <td className="py-1 text-right">
+                    {row.relative === null ? '—' : `${row.relative > 0 ? '+' : ''}${(row.relative * 100).toFixed(1)}%`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-1">Метрики рассчитаны при пороге связи каждого запуска</p>
+        </div>
+
+        <div className="flex flex-wrap gap-4 items-end">
+          <div>
+            <Label>Порог связи для сравнения</Label>
+            <Input
+              type="number"
+              min={0}
+              max={1}
+              step={0.05}
+              value={threshold}
+              onChange={(e) => setThreshold(Math.min(1, Math.max(0, parseFloat(e.target.value) || 0)))}
+              className="w-32"
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={onlyDiff} onChange={(e) => setOnlyDiff(e.target.checked)} />
+            Только различающиеся связи
+          </label>
+          <Button variant="outline" onClick={() => setZoomTransform(d3.zoomIdentity)}>
+            Сбросить масштаб
+          </Button>
+          <Button variant="outline" onClick={exportDiff}>
+            <Download className="h-4 w-4 mr-1" />
+            Различия связей (CSV)
+          </Button>
+        </div>
+
+        {a.agents.length !== b.agents.length && (
+          <p className="text-sm text-amber-700">
+            В запусках разное число агентов ({a.agents.length} и {b.agents.length}): связи сравниваются только
+            для агентов 0–{Math.min(a.agents.length, b.agents.length) - 1}.
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+          {graphs.map(graph => (
+            <div key={graph.key} className="space-y-1">
+              <div className="text-sm font-medium">
+                {graph.key}: {graph.run.name}
+                <span className="ml-2 font-normal" style={{ color: DIFF_COLORS[graph.key] }}>
+                  — только в {graph.key}: {graph.only.size}
+                </span>
+              </div>
+              <div className="border border-gray-200 rounded-lg overflow-hidden">
+                <CanvasNetworkView
+                  data={graph.data}
+                  width={GRAPH_WIDTH}
+                  height={GRAPH_HEIGHT}
+                  groups={graph.data.nodes.map(node => node.cluster)}
+                  colors={CLUSTER_COLORS}
+                  fixedPositions={positions}
+                  linkColor={link => (graph.only.has(edgeKey(link.source, link.target)) ? DIFF_COLORS[graph.key] : DIFF_COLORS.shared)}
+                  selectedAgent={selectedAgent}
+                  onAgentClick={setSelectedAgent}
+                  highlightMode={selectedAgent === null ? 'none' : 'connections'}
+                  zoomTransform={zoomTransform}
+                  onZoomChange={(k, transform) => setZoomTransform(transform)}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500">
+          Оба графа используют одну раскладку (PCA ценностей) и общий масштаб; клик по агенту выделяет его связи в обоих запусках.
+          Общих связей: {edgeDiff.shared.length}
+          {diffTotal > 0 && ` (сходство Жаккара ${(edgeDiff.shared.length / diffTotal).toFixed(3)})`}.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {renderDiffList('Только в A', edgeDiff.onlyA, DIFF_COLORS.A)}
+          {renderDiffList('Только в B', edgeDiff.onlyB, DIFF_COLORS.B)}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Card className="w-full">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Library className="h-5 w-5" />
+          Библиотека запусков
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {unavailable && (
+          <p className="text-sm text-red-700">Хранилище IndexedDB недоступно в этом браузере — запуски не сохраняются.</p>
+        )}
+        {settings && (
+          <div className="flex flex-wrap gap-4 items-end">
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={settings.autoSave}
+                onChange={(e) => onSettingsChange({ autoSave: e.target.checked })}
+              />
+              Сохранять завершенные запуски
+            </label>
+            <div>
+              <Label htmlFor="run-library-keep">Хранить последних запусков</Label>
+              <Input
+                id="run-library-keep"
+                type="number"
+                min={1}
+                step={1}
+                value={settings.keep}
+                disabled={!settings.autoSave}
+                onChange={(e) => onSettingsChange({ keep: Math.max(1, parseInt(e.target.value) || 1) })}
+                className="w-32"
+              />
+            </div>
+          </div>
+        )}
+        {runs?.length === 0 && (
+          <p className="text-sm text-gray-600">
+            Библиотека пуста: завершенные запуски сохраняются сюда, если включено сохранение; более старые удаляются.
+          </p>
+        )}
+
+        {runs?.length > 0 && (
+          <>
+            <p className="text-sm text-gray-600">Отметьте два запуска: первый отмеченный — A, второй — B.</p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-2 w-12"></th>
+                    <th className="py-2">Название</th>
+                    <th className="py-2">Дата</th>
+                    <th className="py-2 text-right">Seed</th>
+                    <th className="py-2 text-right">Агентов</th>
+                    <th className="py-2 text-right">Связей</th>
+                    <th className="py-2 text-right">Плотность</th>
+                    <th className="py-2 text-right">Модулярность</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {runs.map(run => {
+                    const position = selection.indexOf(run.id);
+                    return (
+                      <tr key={run.id} className="border-t border-gray-100">
+                        <td className="py-2">
+                          <label className="flex items-center gap-1">
+                            <input
+                              type="checkbox"
+                              checked={position >= 0}
+                              onChange={() => toggleSelection(run.id)}
+                              aria-label={`Выбрать запуск ${run.name}`}
+                            />
+                            {position >= 0 && <Badge variant="secondary">{position === 0 ? 'A' : 'B'}</Badge>}
+                          </label>
+                        </td>
+                        <td className="py-2">
+                          <Input
+                            key={run.name}
+                            defaultValue={run.name}
+                            onBlur={(e) => e.target.value.trim() && e.target.value !== run.name && handleRename(run.id, e.target.value.trim())}
+                            className="h-8"
+                            aria-label="Название запуска"
+                          />
+                        </td>
+                        <td className="py-2 whitespace-nowrap">{new Date(run.createdAt).toLocaleString()}</td>
+                        <td className="py-2 text-right">{run.seed}</td>
+                        <td className="py-2 text-right">{run.agentCount}</td>
+                        <td className="py-2 text-right">{run.edgeCount}</td>
+                        <td className="py-2 text-right">{run.metrics.density.toFixed(3)}</td>
+                        <td className="py-2 text-right">{run.metrics.modularity.toFixed(3)}</td>
+                        <td className="py-2">
+                          <div className="flex justify-end gap-1">
+                            <Button variant="outline" size="icon" onClick={() => downloadReport(run.id)} title="Скачать отчет">
+                              <FileText className="h-4 w-4" />
+                            </Button>
+                            <Button variant="outline" size="icon" onClick={() => handleDelete(run.id)} title="Удалить">
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <Button onClick={startComparison} disabled={selection.length !== 2}>
+              <GitCompare className="h-4 w-4 mr-1" />
+              Сравнить A и B
+            </Button>
+          </>
+        )}
+
+        {comparison && renderComparison()}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RunLibraryManager;
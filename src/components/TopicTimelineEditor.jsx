@@ -0,0 +1,170 @@
+import React from 'react';
+import { SALIENCE_CURVES, DEFAULT_TOPIC_SALIENCE, normalizeSalience, agendaTimeline } from '../lib/topicAgenda';
+
+const TOPIC_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#8b5cf6', '#f59e0b', '#ec4899', '#6b7280', '#eab308', '#06b6d4', '#84cc16'];
+
+const FIELD_LABELS = {
+  halfLife: 'Полураспад, циклов',
+  period: 'Период, циклов',
+};
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 24;
+
+// График значимости тем по циклам
+const TimelineChart = ({ topics, cycles }) => {
+  const timeline = agendaTimeline(topics, cycles);
+  const maxSalience = Math.max(1, ...timeline.flat());
+  const x = cycle => CHART_PADDING + (cycles > 1 ? cycle / (cycles - 1) : 0) * (CHART_WIDTH - 2 * CHART_PADDING);
+  const y = value => CHART_HEIGHT - CHART_PADDING - (value / maxSalience) * (CHART_HEIGHT - 2 * CHART_PADDING);
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full border border-gray-200 rounded-md bg-white"
+      role="img"
+      aria-label="Значимость тем по циклам"
+    >
+      <line x1={CHART_PADDING} y1={y(0)} x2={CHART_WIDTH - CHART_PADDING} y2={y(0)} stroke="#d1d5db" />
+      <text x={CHART_PADDING} y={CHART_HEIGHT - 6} fontSize="10" fill="#6b7280">0</text>
+      <text x={CHART_WIDTH - CHART_PADDING} y={CHART_HEIGHT - 6} fontSize="10" fill="#6b7280" textAnchor="end">
+        {cycles - 1}
+      </text>
+      {timeline.map((values, index) => (
+        <polyline
+          key={index}
+          fill="none"
+          stroke={TOPIC_COLORS[index % TOPIC_COLORS.length]}
+          strokeWidth="2"
+          points={values.map((value, cycle) => `${x(cycle)},${y(value)}`).join(' ')}
+        >
+          <title>{topics[index].name}</title>
+        </polyline>
+      ))}
+    </svg>
+  );
+};
+
+// Редактор динамической повестки: вход и выход темы и кривая ее значимости
+const TopicTimelineEditor = ({ topics, cycles, onChange }) => {
+  const update = (index, changes) => {
+    onChange(index, { ...normalizeSalience(topics[index].salience), ...changes });
+  };
+
+  const numberValue = (text, fallback) => {
+    const numeric = parseFloat(text);
+    return Number.isFinite(numeric) ? numeric : fallback;
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Тема обсуждается с вероятностью, пропорциональной ее близости к ценностям собеседников и значимости
+        в повестке текущего цикла. Циклы считаются с нуля; без выхода тема остается в повестке до конца.
+        {' '}{SALIENCE_CURVES.map(({ name, description }) => `${name} — ${description.toLowerCase()}`).join('; ')}.
+      </p>
+
+      <TimelineChart topics={topics} cycles={Math.max(1, cycles)} />
+
+      <div className="space-y-3 max-h-96 overflow-y-auto">
+        {topics.map((topic, index) => {
+          const salience = normalizeSalience(topic.salience);
+          const curve = SALIENCE_CURVES.find(option => option.id === salience.curve);
+          return (
+            <div key={topic.id ?? index} className="border border-gray-200 rounded-md p-3">
+              <div className="flex items-center justify-between mb-2">
+                <span className="flex items-center gap-2 font-medium text-sm">
+                  <span
+                    className="inline-block w-3 h-3 rounded-full"
+                    style={{ backgroundColor: TOPIC_COLORS[index % TOPIC_COLORS.length] }}
+                  />
+                  {topic.name}
+                </span>
+                {topic.salience && (
+                  <button
+                    type="button"
+                    onClick={() => onChange(index, null)}
+                    className="text-xs text-gray-600 hover:text-gray-900 underline"
+                  >
+                    Сбросить
+                  </button>
+                )}
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-xs">
+                <label className="flex flex-col gap-1">
+                  Вес
+                  <input
+                    type="number"
+                    aria-label={`Вес: ${topic.name}`}
+                    min={0}
+                    step={0.1}
+                    value={salience.weight}
+                    onChange={(e) => update(index, { weight: Math.max(0, numberValue(e.target.value, DEFAULT_TOPIC_SALIENCE.weight)) })}
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                </label>
+                <label className="flex flex-col gap-1">
+                  Вход, цикл
+                  <input
+                    type="number"
+                    aria-label={`Вход в повестку: ${topic.name}`}
+                    min={0}
+                    step={1}
+                    value={salience.entryCycle}
+                    onChange={(e) => update(index, { entryCycle: Math.max(0, Math.round(numberValue(e.target.value, 0))) })}
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                </label>
+                <label className="flex flex-col gap-1">
+                  Выход, цикл
+                  <input
+                    type="number"
+                    aria-label={`Выход из повестки: ${topic.name}`}
+                    min={0}
+                    step={1}
+                    placeholder="до конца"
+                    value={salience.exitCycle ?? ''}
+                    onChange={(e) => update(index, {
+                      exitCycle: e.target.value === '' ? null : Math.max(0, Math.round(numberValue(e.target.value, 0))),
+                    })}
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                </label>
+                <label className="flex flex-col gap-1">
+                  Кривая
+                  <select
+                    aria-label={`Кривая значимости: ${topic.name}`}
+                    value={salience.curve}
+                    onChange={(e) => update(index, { curve: e.target.value })}
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  >
+                    {SALIENCE_CURVES.map(option => (
+                      <option key={option.id} value={option.id}>{option.name}</option>
+                    ))}
+                  </select>
+                </label>
+                {curve.fields.map(field => (
+                  <label key={field} className="flex flex-col gap-1">
+                    {FIELD_LABELS[field]}
+                    <input
+                      type="number"
+                      aria-label={`${FIELD_LABELS[field]}: ${topic.name}`}
+                      min={1}
+                      step={1}
+                      value={salience[field]}
+                      onChange={(e) => update(index, { [field]: Math.max(1, numberValue(e.target.value, DEFAULT_TOPIC_SALIENCE[field])) })}
+                      className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TopicTimelineEditor;
@@ -0,0 +1,188 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import * as d3 from 'd3';
+import { PROJECTION_METHODS, projectValueSpace } from '../lib/valueProjection';
+import { clusterCentroids } from '../lib/clusterLineage';
+
+// Те же цвета кластеров, что и в графе сети
+const clusterColors = [
+  '#3b82f6', '#ef4444', '#10b981', '#8b5cf6', '#f59e0b',
+  '#ec4899', '#f97316', '#6b7280', '#eab308', '#06b6d4'
+];
+
+// Мнение от -1 (против) до +1 (за)
+const opinionColor = d3.scaleLinear().domain([-1, 0, 1]).range(['#ef4444', '#e5e7eb', '#10b981']).clamp(true);
+
+const STAR_PATH = d3.symbol(d3.symbolStar, 220)();
+const CROSS_PATH = d3.symbol(d3.symbolCross, 140)();
+const MARGIN = 36;
+
+// Проекция пространства ценностей на плоскость: агенты (по итоговым ценностям), центры кластеров
+// и темы-звезды. Выбор агента общий с графом сети (selectedAgent / onAgentClick)
+const ValueSpaceProjection = ({
+  agents,
+  topics = [],
+  topicNames = [],
+  selectedAgent = null,
+  onAgentClick,
+  width = 800,
+  height = 500,
+}) => {
+  const [method, setMethod] = useState('pca');
+  const [colorBy, setColorBy] = useState('cluster'); // 'cluster' или индекс темы
+  const [projection, setProjection] = useState(null);
+  const [computing, setComputing] = useState(false);
+
+  const centers = useMemo(() => {
+    const centroids = clusterCentroids(agents.map(agent => agent.values), agents.map(agent => agent.cluster));
+    return [...centroids].map(([cluster, vector]) => ({ cluster, vector }));
+  }, [agents]);
+
+  useEffect(() => {
+    setComputing(true);
+    // Расчет откладывается, чтобы индикатор успел отрисоваться до долгих t-SNE и UMAP
+    const timer = setTimeout(() => {
+      setProjection(projectValueSpace({ agents, centers, topics }, method));
+      setComputing(false);
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [agents, centers, topics, method]);
+
+  const scales = useMemo(() => {
+    if (!projection) return null;
+    const points = [...projection.agents, ...projection.centers, ...projection.topics];
+    const [x0, x1] = d3.extent(points, point => point.x);
+    const [y0, y1] = d3.extent(points, point => point.y);
+    return {
+      x: d3.scaleLinear().domain([x0, x1 === x0 ? x0 + 1 : x1]).range([MARGIN, width - MARGIN]),
+      y: d3.scaleLinear().domain([y0, y1 === y0 ? y0 + 1 : y1]).range([height - MARGIN, MARGIN]),
+    };
+  }, [projection, width, height]);
+
+  const topicName = index => topicNames[index] || `Тема ${index + 1}`;
+  const colorTopic = colorBy === 'cluster' ? null : topics[colorBy];
+  const colorOf = (agent) => (colorTopic
+    ? opinionColor(agent.opinions?.[colorTopic.id] ?? 0)
+    : clusterColors[agent.cluster % clusterColors.length]);
+
+  // Выбранный агент рисуется поверх остальных
+  const agentPoints = projection
+    ? [...projection.agents].sort((a, b) => (a.id === selectedAgent) - (b.id === selectedAgent))
+    : [];
+  const selectedShown = projection?.agents.some(point => point.id === selectedAgent);
+  const methodInfo = PROJECTION_METHODS.find(m => m.id === method);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2 items-center bg-gray-50 p-4 rounded-lg">
+        <select
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          aria-label="Метод проекции"
+        >
+          {PROJECTION_METHODS.map(m => (
+            <option key={m.id} value={m.id}>Проекция: {m.name}</option>
+          ))}
+        </select>
+        <select
+          value={colorBy}
+          onChange={(e) => setColorBy(e.target.value === 'cluster' ? 'cluster' : parseInt(e.target.value))}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          aria-label="Цвет точек"
+        >
+          <option value="cluster">Цвет: кластер</option>
+          {topics.map((topic, index) => (
+            <option key={topic.id} value={index}>Цвет: мнение — {topicName(index)}</option>
+          ))}
+        </select>
+        {computing && <span className="text-sm text-gray-500">Вычисление проекции…</span>}
+        {projection?.explained && (
+          <span className="text-sm text-gray-600">
+            Объяснено дисперсии: PC1 {(projection.explained[0] * 100).toFixed(1)}%, PC2 {(projection.explained[1] * 100).toFixed(1)}%
+          </span>
+        )}
+      </div>
+
+      {projection?.sampled && (
+        <p className="text-sm text-gray-500">
+          {methodInfo.name} строится по случайной выборке из {methodInfo.maxPoints} агентов
+          {selectedAgent !== null && !selectedShown && ` — агент ${selectedAgent} в нее не попал`}.
+        </p>
+      )}
+
+      <div className="border border-gray-200 rounded-lg overflow-x-auto">
+        <svg width={width} height={height} style={{ background: '#fafafa', minWidth: '320px' }} role="img" aria-label="Проекция пространства ценностей">
+          {scales && (
+            <>
+              {projection.explained && (
+                <>
+                  <text x={width / 2} y={height - 8} textAnchor="middle" fontSize="11" fill="#6b7280">PC1</text>
+                  <text x={12} y={height / 2} textAnchor="middle" fontSize="11" fill="#6b7280" transform={`rotate(-90 12 ${height / 2})`}>PC2</text>
+                </>
+              )}
+              <g>
+                {agentPoints.map(point => {
+                  const agent = agents[point.id];
+                  const selected = point.id === selectedAgent;
+                  return (
+                    <circle
+                      key={point.id}
+                      cx={scales.x(point.x)}
+                      cy={scales.y(point.y)}
+                      r={selected ? 7 : 3.5}
+                      fill={colorOf(agent)}
+                      fillOpacity={selected ? 1 : 0.8}
+                      stroke={selected ? '#000' : 'none'}
+                      strokeWidth={2}
+                      style={{ cursor: 'pointer' }}
+                      onClick={() => onAgentClick?.(point.id)}
+                      data-agent={point.id}
+                    >
+                      <title>
+                        {`Агент ${point.id} · Кластер ${agent.cluster + 1}`}
+                        {colorTopic ? ` · Мнение ${(agent.opinions?.[colorTopic.id] ?? 0).toFixed(2)}` : ''}
+                      </title>
+                    </circle>
+                  );
+                })}
+              </g>
+              <g>
+                {projection.centers.map(center => (
+                  <g key={center.cluster} transform={`translate(${scales.x(center.x)},${scales.y(center.y)})`}>
+                    <path d={CROSS_PATH} fill={clusterColors[center.cluster % clusterColors.length]} stroke="#111" strokeWidth={1.5} />
+                    <text x={10} y={-8} fontSize="11" fontWeight="600" fill="#111">Центр {center.cluster + 1}</text>
+                  </g>
+                ))}
+              </g>
+              <g>
+                {projection.topics.map((point, index) => (
+                  <g key={point.id} transform={`translate(${scales.x(point.x)},${scales.y(point.y)})`}>
+                    <path d={STAR_PATH} fill="#facc15" stroke="#92400e" strokeWidth={1.5} />
+                    <text x={11} y={4} fontSize="11" fill="#92400e">{topicName(index)}</text>
+                  </g>
+                ))}
+              </g>
+            </>
+          )}
+        </svg>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+        <span>● агент (клик — выбор в графе сети)</span>
+        <span>✚ центр кластера</span>
+        <span>★ тема</span>
+        <span>
+          {colorTopic
+            ? 'Цвет: красный — против темы, серый — нейтрально, зеленый — за'
+            : 'Цвет: кластер ценностей'}
+        </span>
+      </div>
+      <p className="text-xs text-gray-500">
+        PCA сохраняет расстояния вдоль главных осей и одинаково проецирует агентов и темы;
+        t-SNE и UMAP сохраняют соседство, но расстояния между далекими группами в них условны.
+      </p>
+    </div>
+  );
+};
+
+export default ValueSpaceProjection;
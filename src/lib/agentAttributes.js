@@ -0,0 +1,147 @@
+/**
+ * Agent Attributes Module
+ * Optional per-agent behaviour attributes: activity, stubbornness, openness to other clusters,
+ * influence and tie capacity. Values come from named columns of the agents CSV or are drawn from
+ * per-cluster distributions; agents without attributes behave like the original homogeneous model.
+ */
+
+/**
+ * Attributes with their defaults and ranges. The defaults are neutral: with them runSimulation
+ * behaves as if the agents had no attributes.
+ */
+export const AGENT_ATTRIBUTES = [
+  { key: 'activity', label: 'Активность', description: 'Относительная частота, с которой агент начинает общение', default: 1, min: 0, max: 10, step: 0.1 },
+  { key: 'stubbornness', label: 'Упрямство', description: 'Доля собственного мнения, которую агент сохраняет при влиянии', default: 0, min: 0, max: 1, step: 0.05 },
+  { key: 'openness', label: 'Открытость', description: 'Готовность общаться с агентами других кластеров', default: 1, min: 0, max: 1, step: 0.05 },
+  { key: 'influence', label: 'Влияние', description: 'Вес мнения агента для собеседников', default: 1, min: 0, max: 10, step: 0.1 },
+  { key: 'tieCapacity', label: 'Максимум связей', description: 'Сколько связей не слабее tieCapacityStrength агент может поддерживать', default: null, min: 1, max: 10000, step: 1 },
+];
+
+export const AGENT_ATTRIBUTE_KEYS = AGENT_ATTRIBUTES.map(attribute => attribute.key);
+
+const ATTRIBUTES_BY_KEY = Object.fromEntries(AGENT_ATTRIBUTES.map(attribute => [attribute.key, attribute]));
+
+/**
+ * Distributions of the per-cluster attribute settings
+ */
+export const ATTRIBUTE_DISTRIBUTIONS = [
+  { id: 'fixed', name: 'Значение', fields: ['value'] },
+  { id: 'uniform', name: 'Равномерное', fields: ['min', 'max'] },
+  { id: 'normal', name: 'Нормальное', fields: ['mean', 'sd'] },
+];
+
+/**
+ * Clamp an attribute value to its range; tie capacity is a whole number
+ */
+function clampAttribute(key, value) {
+  const { min, max } = ATTRIBUTES_BY_KEY[key];
+  const clamped = Math.max(min, Math.min(max, value));
+  return key === 'tieCapacity' ? Math.round(clamped) : clamped;
+}
+
+/**
+ * Standard normal draw (Box–Muller)
+ */
+function normalDraw(rng) {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Draw an attribute value from a distribution spec
+ * @param {string} key - Attribute key
+ * @param {Object} spec - { distribution: 'fixed', value } | { distribution: 'uniform', min, max } | { distribution: 'normal', mean, sd }
+ * @param {Function} rng - Random number generator
+ * @returns {number|null} - Value clamped to the attribute range, or null for an empty spec
+ */
+export function drawAttributeValue(key, spec, rng = Math.random) {
+  if (!spec) return null;
+
+  switch (spec.distribution) {
+    case 'uniform': {
+      const { min = 0, max = min } = spec;
+      return clampAttribute(key, min + rng() * (max - min));
+    }
+    case 'normal': {
+      const { mean = 0, sd = 0 } = spec;
+      return clampAttribute(key, mean + normalDraw(rng) * sd);
+    }
+    default:
+      return typeof spec.value === 'number' ? clampAttribute(key, spec.value) : null;
+  }
+}
+
+/**
+ * Read the attribute columns of a parsed agents CSV
+ * @param {Array<string>|null} header - Header row of the CSV
+ * @param {Array<Array<string>>} dataRows - Data rows aligned with the header
+ * @returns {Object} - { columns: indices of the attribute columns, attributes: per-row objects or null }
+ */
+export function readAttributeColumns(header, dataRows) {
+  const columns = [];
+  const keys = [];
+  (header || []).forEach((name, index) => {
+    const key = AGENT_ATTRIBUTE_KEYS.find(attributeKey => attributeKey.toLowerCase() === name.toLowerCase());
+    if (key) {
+      columns.push(index);
+      keys.push(key);
+    }
+  });
+  if (columns.length === 0) return { columns, attributes: null };
+
+  const attributes = dataRows.map(row => {
+    const values = {};
+    columns.forEach((column, k) => {
+      const text = String(row[column] ?? '').trim();
+      if (text !== '' && Number.isFinite(Number(text))) values[keys[k]] = clampAttribute(keys[k], Number(text));
+    });
+    return values;
+  });
+
+  return { columns, attributes };
+}
+
+/**
+ * Assign attributes to the agents: CSV values first, then the distribution of the agent's cluster.
+ * Agents end up with a full attributes object (missing values take the neutral defaults).
+ * @param {Array} agents - Agents (mutated in place)
+ * @param {Object} options - { uploaded: per-agent attribute objects from the CSV, clusterSettings: { [cluster]: { [key]: spec } }, rng }
+ */
+export function assignAgentAttributes(agents, { uploaded = null, clusterSettings = null, rng = Math.random } = {}) {
+  agents.forEach((agent, index) => {
+    const fromFile = uploaded?.[index] || {};
+    const specs = clusterSettings?.[agent.cluster] || {};
+    const attributes = {};
+
+    AGENT_ATTRIBUTES.forEach(({ key, default: fallback }) => {
+      if (typeof fromFile[key] === 'number') {
+        attributes[key] = fromFile[key];
+        return;
+      }
+      const drawn = drawAttributeValue(key, specs[key], rng);
+      attributes[key] = drawn ?? fallback;
+    });
+
+    agent.attributes = attributes;
+  });
+}
+
+/**
+ * Attribute value of an agent or its neutral default
+ * @param {Object} agent - Agent
+ * @param {string} key - Attribute key
+ * @returns {number|null}
+ */
+export function getAgentAttribute(agent, key) {
+  const value = agent.attributes?.[key];
+  return typeof value === 'number' ? value : ATTRIBUTES_BY_KEY[key].default;
+}
+
+/**
+ * Check whether any agent deviates from the default of an attribute
+ */
+export function hasCustomAttribute(agents, key) {
+  const fallback = ATTRIBUTES_BY_KEY[key].default;
+  return agents.some(agent => getAgentAttribute(agent, key) !== fallback);
+}
@@ -0,0 +1,234 @@
+/**
+ * Agent Roles Module
+ * Special agents for information-operation studies: zealots never change, bots interact at a high
+ * rate on a fixed agenda and media accounts broadcast their agenda topic to everyone tied to them.
+ * Roles come from a role column of the agents CSV, from explicit per-agent assignments (a node
+ * clicked in the results) or from role counts filled with random regular agents.
+ */
+
+import { asConnectionStore, toSparseConnections } from './connectionStore.js';
+import { modularity } from './networkMetrics.js';
+import { getAgentOpinion } from './opinionDynamics.js';
+
+/**
+ * Roles; 'regular' is the ordinary agent of the model
+ */
+export const AGENT_ROLES = [
+  { id: 'regular', name: 'Обычный', description: 'Обычный агент модели' },
+  { id: 'zealot', name: 'Фанатик', description: 'Никогда не меняет мнения и ценности' },
+  { id: 'bot', name: 'Бот', description: 'Общается во много раз чаще остальных и всегда обсуждает тему своей повестки' },
+  { id: 'media', name: 'СМИ', description: 'Каждый цикл вещает тему своей повестки всем, кто с ним связан' },
+];
+
+export const SPECIAL_ROLE_IDS = ['zealot', 'bot', 'media'];
+
+const ROLE_NAMES = Object.fromEntries(AGENT_ROLES.map(role => [role.id, role.name]));
+
+/**
+ * Role of an agent ('regular' when none is set)
+ */
+export function getAgentRole(agent) {
+  return SPECIAL_ROLE_IDS.includes(agent.role) ? agent.role : 'regular';
+}
+
+/**
+ * Display name of a role
+ */
+export function getRoleName(role) {
+  return ROLE_NAMES[role] || ROLE_NAMES.regular;
+}
+
+/**
+ * Check whether an agent keeps its opinions and values: every special role holds its position
+ */
+export function hasFixedOpinions(agent) {
+  return getAgentRole(agent) !== 'regular';
+}
+
+/**
+ * Parse a role cell: role id or its Russian name, case-insensitive; anything else is a regular agent
+ * @param {string} text - Cell text
+ * @returns {string} - Role id
+ */
+export function parseRole(text) {
+  const value = String(text ?? '').trim().toLowerCase();
+  const role = AGENT_ROLES.find(({ id, name }) => id === value || name.toLowerCase() === value);
+  return role ? role.id : 'regular';
+}
+
+/**
+ * Read the role and agenda columns of a parsed agents CSV
+ * @param {Array<string>|null} header - Header row of the CSV
+ * @param {Array<Array<string>>} dataRows - Data rows aligned with the header
+ * @returns {Object} - { columns: indices of the role columns, roles: per-row { role, agenda } or null }
+ */
+export function readRoleColumns(header, dataRows) {
+  const names = (header || []).map(name => name.toLowerCase());
+  const roleColumn = names.indexOf('role');
+  const agendaColumn = names.indexOf('agenda');
+  const columns = [roleColumn, agendaColumn].filter(index => index >= 0);
+  if (roleColumn < 0) return { columns, roles: null };
+
+  const roles = dataRows.map(row => {
+    const agenda = agendaColumn >= 0 ? String(row[agendaColumn] ?? '').trim() : '';
+    return {
+      role: parseRole(row[roleColumn]),
+      agenda: agenda !== '' && Number.isInteger(Number(agenda)) ? Number(agenda) : null,
+    };
+  });
+
+  return { columns, roles };
+}
+
+/**
+ * Default agenda of a bot or a media account: the topic of its most decided opinion
+ */
+function defaultAgenda(agent, topics) {
+  let best = topics[0];
+  let bestStrength = -1;
+  topics.forEach(topic => {
+    const strength = Math.abs(agent.opinions?.[topic.id] ?? 0);
+    if (strength > bestStrength) {
+      best = topic;
+      bestStrength = strength;
+    }
+  });
+  return best?.id ?? 0;
+}
+
+/**
+ * Assign roles to the agents. Explicit assignments override the CSV roles; the role counts are then
+ * filled with randomly chosen regular agents that were not explicitly assigned. Bots and media
+ * get an agenda topic: from the CSV, the per-role agenda of the settings or their most decided topic.
+ * @param {Array} agents - Agents (mutated in place: role and agenda)
+ * @param {Array} topics - Topics
+ * @param {Object} options - { uploaded: per-agent { role, agenda } from the CSV,
+ *   roleSettings: { counts: { zealot, bot, media }, agendas: { bot, media }, assignments: { [agentId]: role } }, rng }
+ */
+export function assignAgentRoles(agents, topics, { uploaded = null, roleSettings = null, rng = Math.random } = {}) {
+  const topicIds = new Set(topics.map(topic => topic.id));
+  const agendas = new Map();
+
+  agents.forEach((agent, index) => {
+    const fromFile = uploaded?.[index];
+    const assigned = roleSettings?.assignments?.[agent.id];
+    const role = assigned ? parseRole(assigned) : fromFile ? fromFile.role : 'regular';
+    if (role !== 'regular') agent.role = role;
+    else delete agent.role;
+    if (!assigned && topicIds.has(fromFile?.agenda)) agendas.set(index, fromFile.agenda);
+  });
+
+  // Добор ролей до заданного числа случайными обычными агентами
+  const regular = agents.map((agent, index) => index)
+    .filter(index => !agents[index].role && !roleSettings?.assignments?.[agents[index].id]);
+  SPECIAL_ROLE_IDS.forEach(role => {
+    const present = agents.filter(agent => agent.role === role).length;
+    const missing = Math.min(regular.length, Math.max(0, (roleSettings?.counts?.[role] || 0) - present));
+    for (let k = 0; k < missing; k++) {
+      const pick = k + Math.floor(rng() * (regular.length - k));
+      [regular[k], regular[pick]] = [regular[pick], regular[k]];
+      agents[regular[k]].role = role;
+    }
+    regular.splice(0, missing);
+  });
+
+  agents.forEach((agent, index) => {
+    if (agent.role === 'bot' || agent.role === 'media') {
+      const configured = roleSettings?.agendas?.[agent.role];
+      agent.agenda = agendas.get(index) ?? (topicIds.has(configured) ? configured : defaultAgenda(agent, topics));
+    } else {
+      delete agent.agenda;
+    }
+  });
+}
+
+/**
+ * Check whether any agent has a special role
+ */
+export function hasSpecialRoles(agents) {
+  return agents.some(agent => getAgentRole(agent) !== 'regular');
+}
+
+/**
+ * Reach of the special agents and their effect on the cluster structure
+ * @param {Array} agents - Agents after the run
+ * @param {Array|Object} connections - Final ties
+ * @param {Object} options - { topics, roleActivity (result.roleActivity of runSimulation), initialOpinions, edgeThreshold }
+ * @returns {Object|null} - { roles: per-role { role, name, count, contacts, reach, audienceShift },
+ *   agents: per special agent { id, role, agenda, contacts, reach, degree }, modularity, modularityWithout,
+ *   crossClusterShare, roleCrossClusterShare } or null without special agents
+ */
+export function summarizeRoles(agents, connections, { topics = [], roleActivity = [], initialOpinions = null, edgeThreshold = 0.5 } = {}) {
+  if (!hasSpecialRoles(agents)) return null;
+
+  const store = asConnectionStore(connections);
+  const activity = new Map(roleActivity.map(entry => [entry.id, entry]));
+  const topicsById = new Map(topics.map(topic => [topic.id, topic]));
+  const special = agents.filter(agent => getAgentRole(agent) !== 'regular');
+
+  const perAgent = special.map(agent => ({
+    id: agent.id,
+    role: agent.role,
+    agenda: agent.agenda ?? null,
+    contacts: activity.get(agent.id)?.contacts ?? 0,
+    reach: activity.get(agent.id)?.reach ?? 0,
+    degree: store.degree(agent.id, edgeThreshold),
+    reached: activity.get(agent.id)?.reached ?? [],
+  }));
+
+  // Сдвиг мнений охваченных агентов по теме повестки в сторону позиции особого агента
+  const audienceShift = (entry) => {
+    const topic = topicsById.get(entry.agenda);
+    if (!topic || !initialOpinions || entry.reached.length === 0) return null;
+    const position = getAgentOpinion(agents[entry.id], topic);
+    const shifts = entry.reached
+      .filter(k => getAgentRole(agents[k]) === 'regular' && typeof initialOpinions[k]?.[topic.id] === 'number')
+      .map(k => Math.abs(initialOpinions[k][topic.id] - position) - Math.abs(getAgentOpinion(agents[k], topic) - position));
+    return shifts.length > 0 ? shifts.reduce((sum, shift) => sum + shift, 0) / shifts.length : null;
+  };
+
+  const roles = SPECIAL_ROLE_IDS.map(role => {
+    const members = perAgent.filter(entry => entry.role === role);
+    if (members.length === 0) return null;
+    const reached = new Set(members.flatMap(entry => entry.reached));
+    const shifts = members.map(audienceShift).filter(shift => shift !== null);
+    return {
+      role,
+      name: getRoleName(role),
+      count: members.length,
+      contacts: members.reduce((sum, entry) => sum + entry.contacts, 0),
+      reach: reached.size,
+      audienceShift: shifts.length > 0 ? shifts.reduce((sum, shift) => sum + shift, 0) / shifts.length : null,
+    };
+  }).filter(Boolean);
+
+  // Структура кластеров: модулярность с особыми агентами и без их связей, доля межкластерных связей
+  const clusters = agents.map(agent => agent.cluster);
+  const specialIds = new Set(special.map(agent => agent.id));
+  const without = asConnectionStore(toSparseConnections(connections));
+  specialIds.forEach(id => without.neighbours(id).forEach(([k]) => without.set(id, k, 0)));
+
+  let edges = 0;
+  let crossEdges = 0;
+  let roleEdges = 0;
+  let roleCrossEdges = 0;
+  store.forEachEdge((i, j, strength) => {
+    if (strength < edgeThreshold) return;
+    const cross = clusters[i] !== clusters[j];
+    edges++;
+    if (cross) crossEdges++;
+    if (specialIds.has(i) || specialIds.has(j)) {
+      roleEdges++;
+      if (cross) roleCrossEdges++;
+    }
+  });
+
+  return {
+    roles,
+    agents: perAgent.map(entry => ({ id: entry.id, role: entry.role, agenda: entry.agenda, contacts: entry.contacts, reach: entry.reach, degree: entry.degree })),
+    modularity: modularity(connections, clusters, { threshold: edgeThreshold }),
+    modularityWithout: modularity(without, clusters, { threshold: edgeThreshold }),
+    crossClusterShare: edges > 0 ? crossEdges / edges : 0,
+    roleCrossClusterShare: roleEdges > 0 ? roleCrossEdges / roleEdges : 0,
+  };
+}
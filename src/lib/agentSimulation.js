@@ -1,11 +1,26 @@
 // Алгоритм симуляции агентного моделирования
 // Основан на статье Андреюк, Кругликов, Сагайдако (2023)
+//
+// Все случайные величины берутся из генератора rng (по умолчанию Math.random).
+// Чтобы прогон был воспроизводимым, передайте один и тот же createRandom(seed)
+// во все этапы: генерацию агентов, тем и саму симуляцию.
+
+import { normalizeHistoryOptions, createHistoryRecorder } from './simulationHistory.js';
+import { resolveModelParams } from './simulationConfig.js';
+import { applyOpinionUpdate, getAgentOpinion, getInteractionOpinion, snapshotOpinionState } from './opinionDynamics.js';
+import { selectPartner } from './partnerSelection.js';
+import { asConnectionStore, createConnections } from './connectionStore.js';
+import { clusterVectors } from './clustering.js';
+import { clusterCentroids, matchClusterIds, createClusterEvent } from './clusterLineage.js';
+import { getAgentAttribute, hasCustomAttribute } from './agentAttributes.js';
+import { getAgentRole, getRoleName, hasFixedOpinions } from './agentRoles.js';
+import { hasAgendaTimeline, topicSalience } from './topicAgenda.js';
 
 // Генерация случайного вектора заданной размерности
-function generateRandomVector(dimension) {
+function generateRandomVector(dimension, rng = Math.random) {
   const vector = [];
   for (let i = 0; i < dimension; i++) {
-    vector.push(Math.random() * 2 - 1); // значения от -1 до 1
+    vector.push(rng() * 2 - 1); // значения от -1 до 1
   }
   return vector;
 }
@@ -53,7 +68,11 @@ export function cosineSimilarity(vec1, vec2) {
 }
 
 // Генерация популяции агентов
-export function generateAgentPopulation(N = 150, dimension, numClusters = 3, initialAgentVectors = null) {
+// options.model.clusteringMethod — метод кластеризации загруженных векторов (см. CLUSTERING_METHODS);
+// сгенерированные агенты относятся к кластеру ближайшего из центров, вокруг которых они созданы
+export function generateAgentPopulation(N = 150, dimension, numClusters = 3, initialAgentVectors = null, options = {}) {
+  const { rng = Math.random } = options;
+  const model = resolveModelParams(options.model);
   const agents = [];
   let finalN = N;
   let finalDimension = dimension;
@@ -66,58 +85,24 @@ export function generateAgentPopulation(N = 150, dimension, numClusters = 3, ini
 
   // Создаем центры кластеров
   let clusterCenters = [];
+  let uploadedClusters = null;
   
-  if (initialAgentVectors && initialAgentVectors.length >= numClusters) {
-    // Для загруженных данных используем K-means подход
-    // Выбираем первые агентов как начальные центры кластеров
-    for (let i = 0; i < numClusters; i++) {
-      const centerIndex = Math.floor((i * finalN) / numClusters);
-      clusterCenters.push(normalizeVector([...initialAgentVectors[centerIndex]]));
-    }
-    
-    // Улучшаем центры кластеров итеративно
-    for (let iter = 0; iter < 5; iter++) {
-      const clusters = Array(numClusters).fill().map(() => []);
-      
-      // Назначаем агентов к кластерам
-      for (let i = 0; i < finalN; i++) {
-        const agentVector = normalizeVector(initialAgentVectors[i]);
-        let bestCluster = 0;
-        let maxSimilarity = -1;
-        
-        for (let c = 0; c < numClusters; c++) {
-          const similarity = cosineSimilarity(agentVector, clusterCenters[c]);
-          if (similarity > maxSimilarity) {
-            maxSimilarity = similarity;
-            bestCluster = c;
-          }
-        }
-        clusters[bestCluster].push(agentVector);
-      }
-      
-      // Пересчитываем центры кластеров
-      for (let c = 0; c < numClusters; c++) {
-        if (clusters[c].length > 0) {
-          const newCenter = Array(finalDimension).fill(0);
-          for (const agent of clusters[c]) {
-            for (let j = 0; j < finalDimension; j++) {
-              newCenter[j] += agent[j];
-            }
-          }
-          for (let j = 0; j < finalDimension; j++) {
-            newCenter[j] /= clusters[c].length;
-          }
-          clusterCenters[c] = normalizeVector(newCenter);
-        }
-      }
-    }
+  if (initialAgentVectors) {
+    // Загруженные данные кластеризуются выбранным методом (model.clusteringMethod)
+    const clustering = clusterVectors(initialAgentVectors, numClusters, model.clusteringMethod, {
+      rng,
+      eps: model.dbscanEps,
+      minPoints: model.dbscanMinPoints,
+    });
+    clusterCenters = clustering.centers;
+    uploadedClusters = clustering.labels;
   } else {
     // Для сгенерированных данных используем старый алгоритм
     for (let i = 0; i < numClusters; i++) {
       const center = [];
       for (let j = 0; j < finalDimension; j++) {
         const baseValue = (i / (numClusters - 1)) * 2 - 1; // от -1 до 1
-        const variation = (Math.random() - 0.5) * 1.5; // больше вариации
+        const variation = (rng() - 0.5) * 1.5; // больше вариации
         center.push(baseValue + variation);
       }
       clusterCenters.push(normalizeVector(center));
@@ -136,29 +121,23 @@ export function generateAgentPopulation(N = 150, dimension, numClusters = 3, ini
       // Увеличиваем разнообразие внутри кластеров
       const noiseLevel = 0.4 + (clusterId / numClusters) * 0.3; // от 0.4 до 0.7
       agentValues = center.map(val => {
-        const noise = (Math.random() - 0.5) * noiseLevel;
+        const noise = (rng() - 0.5) * noiseLevel;
         return val + noise;
       });
     }
 
-    // Определяем кластер для агента
+    // Определяем кластер для агента: метка кластеризации или ближайший центр
     let agentCluster = 0;
-    let maxSimilarity = -1;
-    
-    for (let c = 0; c < numClusters; c++) {
-      const similarity = cosineSimilarity(normalizeVector(agentValues), clusterCenters[c]);
-      if (similarity > maxSimilarity) {
-        maxSimilarity = similarity;
-        agentCluster = c;
-      }
-    }
-    
-    // Для загруженных данных добавляем принудительное распределение
-    if (initialAgentVectors && numClusters > 1) {
-      // Принудительно распределяем агентов по кластерам для разнообразия
-      const forcedCluster = i % numClusters;
-      if (maxSimilarity < 0.7) { // Если сходство не очень высокое
-        agentCluster = forcedCluster;
+    if (uploadedClusters) {
+      agentCluster = uploadedClusters[i];
+    } else {
+      let maxSimilarity = -1;
+      for (let c = 0; c < numClusters; c++) {
+        const similarity = cosineSimilarity(normalizeVector(agentValues), clusterCenters[c]);
+        if (similarity > maxSimilarity) {
+          maxSimilarity = similarity;
+          agentCluster = c;
+        }
       }
     }
 
@@ -174,7 +153,8 @@ export function generateAgentPopulation(N = 150, dimension, numClusters = 3, ini
 }
 
 // Генерация тем информационной повестки
-export function generateTopics(dimension, scenario, clusterCenters = [], initialTopicVectors = null, customScenario = null, numClusters, recalculateClustersAfter, agents) {
+export function generateTopics(dimension, scenario, clusterCenters = [], initialTopicVectors = null, customScenario = null, numClusters, recalculateClustersAfter, agents, options = {}) {
+  const { rng = Math.random } = options;
   const topics = [];
 
   // Если есть пользовательский сценарий
@@ -187,7 +167,7 @@ export function generateTopics(dimension, scenario, clusterCenters = [], initial
       if (Array.isArray(customTopics)) {
         return customTopics.map((topic, index) => ({
           id: index,
-          vector: Array.isArray(topic) ? normalizeVector(topic) : normalizeVector(topic.vector || generateRandomVector(dimension))
+          vector: Array.isArray(topic) ? normalizeVector(topic) : normalizeVector(topic.vector || generateRandomVector(dimension, rng))
         }));
       }
     } catch (error) {
@@ -211,7 +191,7 @@ export function generateTopics(dimension, scenario, clusterCenters = [], initial
       for (let j = 0; j < dimension; j++) {
         // Используем различные распределения для создания разнообразия
         const baseValue = Math.sin(i * Math.PI / 5) * Math.cos(j * Math.PI / dimension);
-        const randomComponent = (Math.random() - 0.5) * 2;
+        const randomComponent = (rng() - 0.5) * 2;
         topicVector.push(baseValue + randomComponent);
       }
       
@@ -223,11 +203,11 @@ export function generateTopics(dimension, scenario, clusterCenters = [], initial
 
     // В сценарии B одна тема близка к одному из кластеров
     if (scenario === 'B' && clusterCenters.length > 0) {
-      const targetCluster = Math.floor(Math.random() * clusterCenters.length);
+      const targetCluster = Math.floor(rng() * clusterCenters.length);
       const targetCenter = clusterCenters[targetCluster];
 
       // Создаем тему очень близкую к центру кластера (почти идентичную)
-      const closeVector = targetCenter.map(val => val + (Math.random() - 0.5) * 0.05); // очень малый шум
+      const closeVector = targetCenter.map(val => val + (rng() - 0.5) * 0.05); // очень малый шум
 
       topics[0] = {
         id: 0,
@@ -237,7 +217,7 @@ export function generateTopics(dimension, scenario, clusterCenters = [], initial
       };
 
       // Добавляем еще одну близкую тему для усиления эффекта
-      const closeVector2 = targetCenter.map(val => val + (Math.random() - 0.5) * 0.08);
+      const closeVector2 = targetCenter.map(val => val + (rng() - 0.5) * 0.08);
       topics[1] = {
         id: 1,
         vector: normalizeVector(closeVector2),
@@ -272,19 +252,27 @@ function calculateConnectionStrength(agent1, agent2, topics, alpha = 0.4, beta =
   return Math.max(0, Math.min(1, probability));
 }
 
-// Выбор темы для общения
-function selectTopicForCommunication(agent1, agent2, topics) {
-  const topicWeights = topics.map(topic => {
+// Выбор темы для общения: вес темы — ее близость к ценностям собеседников,
+// умноженная на значимость в повестке текущего цикла (salience, см. topicAgenda.js).
+// Возвращает null, если в повестке цикла нет ни одной темы
+function selectTopicForCommunication(agent1, agent2, topics, rng = Math.random, salience = null) {
+  const topicWeights = topics.map((topic, i) => {
     const alignment1 = Math.max(0, cosineSimilarity(agent1.values, topic.vector));
     const alignment2 = Math.max(0, cosineSimilarity(agent2.values, topic.vector));
-    return (alignment1 + alignment2) / 2;
+    const alignment = (alignment1 + alignment2) / 2;
+    return salience ? alignment * salience[i] : alignment;
   });
   
   // Выбираем тему пропорционально весам
   const totalWeight = topicWeights.reduce((sum, weight) => sum + weight, 0);
-  if (totalWeight === 0) return topics[0];
+  if (totalWeight === 0) {
+    if (!salience) return topics[0];
+    // Ни одна тема повестки не близка собеседникам: обсуждается самая значимая
+    const top = salience.indexOf(Math.max(...salience));
+    return salience[top] > 0 ? topics[top] : null;
+  }
   
-  let random = Math.random() * totalWeight;
+  let random = rng() * totalWeight;
   for (let i = 0; i < topics.length; i++) {
     random -= topicWeights[i];
     if (random <= 0) return topics[i];
@@ -293,147 +281,362 @@ function selectTopicForCommunication(agent1, agent2, topics) {
   return topics[topics.length - 1];
 }
 
-// Основная симуляция
-export function runSimulation(agents, topics, cycles = 20, threshold = 0.3, recalculateClustersAfter = 0) {
+// Пересчет кластеров по текущим ценностям агентов методом model.clusteringMethod.
+// K-means и GMM стартуют от центров текущих кластеров; новые кластеры сопоставляются с прежними
+// венгерским алгоритмом по центроидам, чтобы кластеры сохраняли номера (и цвета) между пересчетами.
+// Кластеры без пары получают новые номера начиная с nextClusterId. Возвращает событие пересчета
+// (см. clusterLineage.js)
+function recalculateClusters(agents, model, rng, cycle, nextClusterId) {
+  const previous = agents.map(agent => agent.cluster);
+  const vectors = agents.map(agent => agent.values);
+  const previousCenters = clusterCentroids(vectors, previous);
+
+  const { labels, centers } = clusterVectors(vectors, previousCenters.size, model.clusteringMethod, {
+    rng,
+    initialCenters: [...previousCenters.values()],
+    eps: model.dbscanEps,
+    minPoints: model.dbscanMinPoints,
+  });
+  const ids = matchClusterIds(previousCenters, centers, nextClusterId);
+  labels.forEach((label, i) => { agents[i].cluster = ids[label]; });
+
+  return createClusterEvent(cycle, vectors, previous, agents.map(agent => agent.cluster), previousCenters);
+}
+
+// Пошаговая симуляция: каждый вызов step() выполняет ровно один цикл.
+// Используется runSimulation и воркером симуляции (прогресс, пауза и отмена между циклами).
+// Параметры и options — те же, что у runSimulation.
+export function createSimulationRun(agents, topics, cycles = 20, agreementTolerance = 0.3, recalculateClustersAfter = 0, options = {}) {
+  const { rng = Math.random } = options;
+  const model = resolveModelParams(options.model);
+  const historyOptions = normalizeHistoryOptions(options.history);
   const N = agents.length;
-  const connections = Array(N).fill().map(() => Array(N).fill(0));
+  const connections = asConnectionStore(createConnections(N, options.connectionFormat));
   
   // Инициализируем слабые связи с небольшой вариацией
-  for (let i = 0; i < N; i++) {
-    for (let j = i + 1; j < N; j++) {
-      connections[i][j] = connections[j][i] = 0.1 + Math.random() * 0.2; // от 0.1 до 0.3
+  // (при неполной начальной плотности часть пар стартует без связи)
+  const initialRange = model.initialConnectionMax - model.initialConnectionMin;
+  const density = model.initialConnectionDensity;
+  if (connections.format === 'sparse' && density < 1) {
+    // Разреженное хранилище: пары выбираются геометрическими пропусками (Batagelj–Brandes),
+    // за время, пропорциональное числу связей, а не N²
+    if (density > 0) {
+      const logSkip = Math.log(1 - density);
+      let i = 1;
+      let j = -1;
+      while (i < N) {
+        j += 1 + Math.floor(Math.log(1 - rng()) / logSkip);
+        while (j >= i && i < N) {
+          j -= i;
+          i++;
+        }
+        if (i < N) {
+          connections.set(i, j, model.initialConnectionMin + rng() * initialRange);
+        }
+      }
+    }
+  } else {
+    for (let i = 0; i < N; i++) {
+      for (let j = i + 1; j < N; j++) {
+        if (density < 1 && rng() >= density) continue;
+        connections.set(i, j, model.initialConnectionMin + rng() * initialRange);
+      }
     }
   }
-  
-  // Запускаем симуляцию
-  for (let cycle = 0; cycle < cycles; cycle++) {
-    // Пересчет кластеров, если необходимо
-    if (recalculateClustersAfter > 0 && cycle > 0 && cycle % recalculateClustersAfter === 0) {
-      // Получаем уникальные кластеры
-      const uniqueClusters = [...new Set(agents.map(a => a.cluster))];
-      const numClusters = uniqueClusters.length;
-      
-      // Вычисляем новые центры кластеров на основе текущих векторов агентов
-      const newClusterCenters = [];
-      for (let c = 0; c < numClusters; c++) {
-        const clusterAgents = agents.filter(a => a.cluster === c);
-        if (clusterAgents.length > 0) {
-          const dimension = clusterAgents[0].values.length;
-          const center = Array(dimension).fill(0);
-          
-          for (const agent of clusterAgents) {
-            for (let j = 0; j < dimension; j++) {
-              center[j] += agent.values[j];
-            }
-          }
-          
-          for (let j = 0; j < dimension; j++) {
-            center[j] /= clusterAgents.length;
-          }
-          
-          newClusterCenters.push(normalizeVector(center));
+
+  // Индивидуальные атрибуты агентов (см. agentAttributes.js); при значениях по умолчанию модель не меняется.
+  // Активность: инициатор общения выбирается с вероятностью, пропорциональной активности
+  // (у ботов она умножается на botActivity, см. agentRoles.js)
+  const roles = agents.map(getAgentRole);
+  const hasBots = roles.includes('bot');
+  const activityTotals = hasCustomAttribute(agents, 'activity') || hasBots ? [] : null;
+  if (activityTotals) {
+    let total = 0;
+    agents.forEach((agent, k) => {
+      total += getAgentAttribute(agent, 'activity') * (roles[k] === 'bot' ? model.botActivity : 1);
+      activityTotals.push(total);
+    });
+  }
+  const pickInitiator = () => {
+    if (!activityTotals) return Math.floor(rng() * N);
+    const total = activityTotals[N - 1];
+    if (total <= 0) return -1;
+    const target = rng() * total;
+    let low = 0;
+    let high = N - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (activityTotals[mid] > target) high = mid;
+      else low = mid + 1;
+    }
+    return low;
+  };
+
+  // Емкость связей: сколько связей не слабее tieCapacityStrength агент может поддерживать
+  const capacities = agents.map(agent => getAgentAttribute(agent, 'tieCapacity'));
+  const tieCounts = capacities.some(capacity => capacity !== null)
+    ? agents.map((agent, k) => connections.degree(k, model.tieCapacityStrength))
+    : null;
+  const atCapacity = k => capacities[k] !== null && tieCounts[k] >= capacities[k];
+
+  // Начальная сеть может превышать емкость: у агента остаются самые сильные связи, лишние обнуляются
+  if (tieCounts) {
+    agents.forEach((agent, k) => {
+      if (capacities[k] === null || tieCounts[k] <= capacities[k]) return;
+      const strongTies = [];
+      connections.forEachNeighbour(k, (j, strength) => {
+        if (strength >= model.tieCapacityStrength) strongTies.push([j, strength]);
+      });
+      strongTies.sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+      strongTies.slice(capacities[k]).forEach(([j]) => {
+        connections.set(k, j, 0);
+        tieCounts[k]--;
+        tieCounts[j]--;
+      });
+    });
+  }
+
+  // Изменение связи после разговора: при согласии связь усиливается, при несогласии ослабляется
+  const adjustTie = (i, j, agree) => {
+    const currentConnection = connections.get(i, j);
+    if (agree) {
+      const strengthIncrease = (model.reinforcementMin + rng() * (model.reinforcementMax - model.reinforcementMin))
+        * model.reinforcementFactor;
+      const strengthened = Math.min(1, currentConnection + strengthIncrease);
+      const formsTie = tieCounts && currentConnection < model.tieCapacityStrength && strengthened >= model.tieCapacityStrength;
+      // Агент с исчерпанной емкостью не заводит новых связей: связь остается прежней
+      if (!formsTie || (!atCapacity(i) && !atCapacity(j))) {
+        connections.set(i, j, strengthened);
+        if (formsTie) {
+          tieCounts[i]++;
+          tieCounts[j]++;
         }
       }
-      
-      // Переназначаем агентов к ближайшим кластерам
-      for (const agent of agents) {
-        let bestCluster = agent.cluster;
-        let maxSimilarity = -1;
-        
-        for (let c = 0; c < newClusterCenters.length; c++) {
-          const similarity = cosineSimilarity(agent.values, newClusterCenters[c]);
-          if (similarity > maxSimilarity) {
-            maxSimilarity = similarity;
-            bestCluster = c;
-          }
-        }
-        
-        agent.cluster = bestCluster;
+    } else {
+      const strengthDecrease = (model.decayMin + rng() * (model.decayMax - model.decayMin))
+        * model.disagreementPenalty;
+      const weakened = Math.max(0, currentConnection - strengthDecrease);
+      connections.set(i, j, weakened);
+      if (tieCounts && currentConnection >= model.tieCapacityStrength && weakened < model.tieCapacityStrength) {
+        tieCounts[i]--;
+        tieCounts[j]--;
       }
     }
+  };
+
+  // Особые роли (см. agentRoles.js): боты всегда обсуждают тему своей повестки,
+  // СМИ в конце каждого цикла вещают ее всем, кто связан с ними не слабее mediaReachStrength.
+  // roleActivity — число разговоров и охваченные агенты каждого особого агента
+  const topicsById = new Map(topics.map(topic => [topic.id, topic]));
+  const agendaTopic = agent => topicsById.get(agent.agenda) || topics[0];
+  const mediaIndices = roles.flatMap((role, k) => (role === 'media' ? [k] : []));
+
+  // Динамическая повестка: значимость тем меняется по циклам (без настроек все темы значимы одинаково)
+  const agendaActive = hasAgendaTimeline(topics);
+  const roleActivity = new Map();
+  roles.forEach((role, k) => {
+    if (role !== 'regular') roleActivity.set(k, { contacts: 0, reached: new Set() });
+  });
+  const recordContact = (k, other) => {
+    const entry = roleActivity.get(k);
+    if (!entry) return;
+    entry.contacts++;
+    entry.reached.add(other);
+  };
+
+  function broadcast(m) {
+    const media = agents[m];
+    const topic = agendaTopic(media);
+    const position = getInteractionOpinion(media, topic, model.valueOpinionWeight);
+    const audience = connections.neighbours(m).filter(([, strength]) => strength >= model.mediaReachStrength);
+
+    audience.forEach(([k, strength]) => {
+      const listener = agents[k];
+      const opinion = getInteractionOpinion(listener, topic, model.valueOpinionWeight);
+      recordContact(m, k);
+      adjustTie(m, k, Math.abs(position - opinion) < agreementTolerance);
+
+      // Аудитория сдвигается к позиции СМИ пропорционально силе связи, влиянию СМИ и восприимчивости
+      if (model.mediaInfluence > 0 && !hasFixedOpinions(listener)) {
+        const own = getAgentOpinion(listener, topic);
+        const step = model.mediaInfluence * strength * getAgentAttribute(media, 'influence')
+          * (1 - getAgentAttribute(listener, 'stubbornness'));
+        if (!listener.opinions) listener.opinions = {};
+        listener.opinions[topic.id] = Math.max(-1, Math.min(1, own + step * (position - own)));
+      }
+    });
+  }
+
+  // Начальные мнения и ценности для сравнения с итоговыми
+  const opinionDynamicsEnabled = model.opinionChangeRate > 0 || model.valueChangeRate > 0;
+  const initialState = snapshotOpinionState(agents);
+
+  // История запускается после инициализации, чтобы снимок цикла 0 содержал начальные связи
+  const recorder = historyOptions ? createHistoryRecorder(connections, agents, topics, historyOptions) : null;
+  
+  let currentCycle = 0;
+
+  // События пересчета кластеров; номера исчезнувших кластеров повторно не выдаются
+  const clusterEvents = [];
+  let nextClusterId = agents.reduce((max, agent) => Math.max(max, agent.cluster + 1), 0);
+
+  // Один цикл симуляции
+  function runCycle(cycle) {
+    // Пересчет кластеров, если необходимо
+    if (recalculateClustersAfter > 0 && cycle > 0 && cycle % recalculateClustersAfter === 0) {
+      const event = recalculateClusters(agents, model, rng, cycle, nextClusterId);
+      nextClusterId = Math.max(nextClusterId, ...event.to.map(id => id + 1));
+      clusterEvents.push(event);
+    }
+
+    // Значимость тем в повестке этого цикла
+    const salience = agendaActive ? topics.map(topic => topicSalience(topic.salience, cycle)) : null;
 
-    // Случайные пары агентов пытаются общаться
-    const numInteractions = Math.floor(N * 2); // количество попыток общения за цикл
+    // Случайный агент выбирает собеседника по стратегии выбора партнера
+    const numInteractions = Math.floor(N * model.interactionsPerAgent); // количество попыток общения за цикл
     
     for (let interaction = 0; interaction < numInteractions; interaction++) {
-      const i = Math.floor(Math.random() * N);
-      const j = Math.floor(Math.random() * N);
+      const i = pickInitiator();
+      if (i < 0) continue;
+      const j = selectPartner(i, agents, connections, model, rng);
       
       if (i === j) continue;
       
       const agent1 = agents[i];
       const agent2 = agents[j];
-      const currentConnection = connections[i][j];
+      const currentConnection = connections.get(i, j);
       
       // Вероятность общения зависит от потенциальной совместимости и текущей связи
-      const baseProbability = calculateConnectionStrength(agent1, agent2, topics);
+      const baseProbability = calculateConnectionStrength(agent1, agent2, topics, model.alpha, model.beta, model.gamma);
       const connectionBonus = currentConnection * 0.5; // бонус от существующей связи
-      const finalProbability = Math.min(0.8, baseProbability * 0.3 + connectionBonus + 0.2);
+      let finalProbability = Math.min(model.maxInteractionProbability, baseProbability * 0.3 + connectionBonus + 0.2);
+
+      // Общение с другим кластером должны принять оба агента: вероятность умножается на их открытость
+      if (agent1.cluster !== agent2.cluster) {
+        finalProbability *= getAgentAttribute(agent1, 'openness') * getAgentAttribute(agent2, 'openness');
+      }
       
-      if (Math.random() < finalProbability) {
-        // Общение происходит
-        const topic = selectTopicForCommunication(agent1, agent2, topics);
+      if (rng() < finalProbability) {
+        // Общение происходит; бот переводит разговор на тему своей повестки
+        const topic = roles[i] === 'bot' ? agendaTopic(agent1)
+          : roles[j] === 'bot' ? agendaTopic(agent2)
+            : selectTopicForCommunication(agent1, agent2, topics, rng, salience);
+        if (!topic) continue;
+        recordContact(i, j);
+        recordContact(j, i);
         
-        // Вычисляем мнения агентов по выбранной теме
+        // Мнения агентов по выбранной теме: заданные (матрица мнений, настройки кластеров, динамика мнений),
+        // смешанные с мнением из ценностей с весом valueOpinionWeight; без заданных мнений — из ценностей
         // Мнения используют полный диапазон от -1 до 1 (против/нейтрален/за)
-        let opinion1 = cosineSimilarity(agent1.values, topic.vector);
-        let opinion2 = cosineSimilarity(agent2.values, topic.vector);
+        let opinion1 = getInteractionOpinion(agent1, topic, model.valueOpinionWeight);
+        let opinion2 = getInteractionOpinion(agent2, topic, model.valueOpinionWeight);
         
         // Добавляем небольшую случайность для предотвращения концентрации в крайних значениях
-        const randomFactor1 = (Math.random() - 0.5) * 0.2; // ±0.1
-        const randomFactor2 = (Math.random() - 0.5) * 0.2; // ±0.1
+        const randomFactor1 = (rng() - 0.5) * 0.2; // ±0.1
+        const randomFactor2 = (rng() - 0.5) * 0.2; // ±0.1
         
         opinion1 = Math.max(-1, Math.min(1, opinion1 + randomFactor1));
         opinion2 = Math.max(-1, Math.min(1, opinion2 + randomFactor2));
         
         const opinionDifference = Math.abs(opinion1 - opinion2);
         
-        // Корректируем связь
-        if (opinionDifference < threshold) {
-          // Мнения близки - связь усиливается
-          const strengthIncrease = 0.15 + Math.random() * 0.1; // от 0.15 до 0.25
-          connections[i][j] = connections[j][i] = Math.min(1, currentConnection + strengthIncrease);
-        } else {
-          // Мнения различаются - связь ослабляется
-          const strengthDecrease = 0.08 + Math.random() * 0.05; // от 0.08 до 0.13
-          connections[i][j] = connections[j][i] = Math.max(0, currentConnection - strengthDecrease);
+        // Корректируем связь: близкие мнения ее усиливают, различающиеся — ослабляют
+        adjustTie(i, j, opinionDifference < agreementTolerance);
+
+        // Общение меняет мнения (и ценности) агентов по правилу динамики мнений
+        if (opinionDynamicsEnabled) {
+          applyOpinionUpdate(agents, i, j, topic, connections, model);
         }
       }
     }
+
+    mediaIndices.forEach(broadcast);
+  }
+
+  return {
+    totalCycles: cycles,
+    getCurrentCycle: () => currentCycle,
+    isDone: () => currentCycle >= cycles,
+
+    step() {
+      if (currentCycle >= cycles) return currentCycle;
+
+      runCycle(currentCycle);
+      currentCycle++;
+
+      if (recorder && recorder.shouldRecord(currentCycle, cycles)) {
+        recorder.record(currentCycle, connections, agents);
+      }
+      return currentCycle;
+    },
+
+    getResult() {
+      const result = { connections: connections.data, agents, initialOpinions: initialState.opinions, initialValues: initialState.values };
+      if (recalculateClustersAfter > 0) result.clusterEvents = clusterEvents;
+      if (roleActivity.size > 0) {
+        result.roleActivity = [...roleActivity].map(([id, { contacts, reached }]) => ({
+          id, contacts, reach: reached.size, reached: [...reached],
+        }));
+      }
+      return recorder ? { ...result, history: recorder.history } : result;
+    }
+  };
+}
+
+// Основная симуляция
+// agreementTolerance — допуск согласия: связь усиливается, если мнения по теме расходятся меньше чем на него
+//   (порог модели; пороги отображения и анализа связей — edgeThreshold и strongTieThreshold, см. resolveThresholds)
+// options.rng — генератор случайных чисел (см. createRandom в random.js)
+// options.model — коэффициенты модели, правило динамики мнений и стратегия выбора собеседника
+//   (см. DEFAULT_MODEL_PARAMS в simulationConfig.js)
+// agent.attributes — индивидуальные активность, упрямство, открытость, влияние и емкость связей
+//   (см. agentAttributes.js); без них все агенты ведут себя одинаково
+// topic.salience — время входа в повестку и выхода из нее и кривая значимости темы (см. topicAgenda.js);
+//   без него тема значима всегда и одинаково
+// agent.role и agent.agenda — особые роли: фанатики, боты и СМИ (см. agentRoles.js);
+//   при них result.roleActivity — разговоры и охват каждого особого агента ({ id, contacts, reach, reached })
+// Возвращает итоговые связи и агентов (с обновленными мнениями и ценностями),
+// а также initialOpinions/initialValues — состояние агентов до первого цикла
+// options.history — запись снимков по циклам: true, интервал k или { every, edgeThreshold }
+// options.connectionFormat — хранение связей: 'auto' (по умолчанию), 'dense' или 'sparse' (см. connectionStore.js);
+//   result.connections — матрица N×N или разреженные данные, доступ через asConnectionStore
+// При recalculateClustersAfter > 0 result.clusterEvents — события пересчета кластеров (см. clusterLineage.js)
+export function runSimulation(agents, topics, cycles = 20, agreementTolerance = 0.3, recalculateClustersAfter = 0, options = {}) {
+  const run = createSimulationRun(agents, topics, cycles, agreementTolerance, recalculateClustersAfter, options);
+  while (!run.isDone()) {
+    run.step();
   }
-  
-  return { connections, agents };
+  return run.getResult();
 }
 
 
 
-// Подготовка данных для визуализации
-export function prepareVisualizationData(agents, connections, threshold = 0.5) {
+// Подготовка данных для визуализации: связи не слабее порога edgeThreshold
+export function prepareVisualizationData(agents, connections, edgeThreshold = 0.5) {
+  const store = asConnectionStore(connections);
   const nodes = agents.map(agent => {
     // Подсчитываем количество значимых связей
-    const degree = connections[agent.id].filter(strength => strength >= threshold).length;
+    const degree = store.degree(agent.id, edgeThreshold);
     
     return {
       id: agent.id,
       cluster: agent.cluster,
       degree: degree,
-      values: agent.values
+      values: agent.values,
+      ...(agent.role ? { role: agent.role } : {})
     };
   });
   
   const links = [];
-  for (let i = 0; i < agents.length; i++) {
-    for (let j = i + 1; j < agents.length; j++) {
-      const strength = connections[i][j];
-      if (strength >= threshold) {
-        links.push({
-          source: i,
-          target: j,
-          strength: strength
-        });
-      }
+  store.forEachEdge((i, j, strength) => {
+    if (strength >= edgeThreshold) {
+      links.push({
+        source: i,
+        target: j,
+        strength: strength
+      });
     }
-  }
+  });
   
   return { nodes, links };
 }
@@ -441,8 +644,12 @@ export function prepareVisualizationData(agents, connections, threshold = 0.5) {
 
 
 // Генерация подробного текстового отчета о результатах симуляции
-export function generateSimulationReport(agents, connections, topics, scenario, cycles, threshold) {
-  const { nodes, links } = prepareVisualizationData(agents, connections, threshold);
+// edgeThreshold — порог связи; options.strongTieThreshold — порог сильной связи,
+// options.agreementTolerance — допуск согласия модели (выводится в отчете, если задан),
+// options.roleSummary — охват особых агентов (см. summarizeRoles в agentRoles.js), выводится отдельным разделом
+export function generateSimulationReport(agents, connections, topics, scenario, cycles, edgeThreshold, options = {}) {
+  const { strongTieThreshold = Math.max(0.7, edgeThreshold), agreementTolerance = null, roleSummary = null } = options;
+  const { nodes, links } = prepareVisualizationData(agents, connections, edgeThreshold);
   
   // Анализ общей структуры сети
   const totalAgents = agents.length;
@@ -478,7 +685,7 @@ export function generateSimulationReport(agents, connections, topics, scenario,
   // Анализ силы связей
   const connectionStrengths = links.map(link => link.strength);
   const avgStrength = connectionStrengths.reduce((sum, str) => sum + str, 0) / connectionStrengths.length || 0;
-  const strongConnections = links.filter(link => link.strength > 0.7).length;
+  const strongConnections = links.filter(link => link.strength >= strongTieThreshold).length;
   const weakConnections = links.filter(link => link.strength < 0.4).length;
   
   // Анализ межкластерных связей
@@ -494,13 +701,16 @@ export function generateSimulationReport(agents, connections, topics, scenario,
   report += `**Сценарий:** ${scenario === 'A' ? 'Нейтральная информационная повестка' : 'Ценностно-близкая тема в повестке'}\n`;
   report += `**Количество циклов симуляции:** ${cycles}\n`;
   report += `**Общее количество агентов:** ${totalAgents}\n`;
-  report += `**Сформировавшихся связей:** ${totalConnections} (порог отображения: ${threshold})\n`;
+  if (agreementTolerance !== null) {
+    report += `**Допуск согласия мнений (модель):** ${agreementTolerance}\n`;
+  }
+  report += `**Сформировавшихся связей:** ${totalConnections} (порог связи: ${edgeThreshold})\n`;
   report += `**Плотность сети:** ${connectionDensity}% от максимально возможной\n`;
   report += `**Средняя сила связи:** ${avgStrength.toFixed(3)}\n\n`;
   
   report += `### Распределение связей по силе\n\n`;
-  report += `- **Сильные связи** (>0.7): ${strongConnections} (${(strongConnections/totalConnections*100).toFixed(1)}%)\n`;
-  report += `- **Средние связи** (0.4-0.7): ${totalConnections - strongConnections - weakConnections} (${((totalConnections - strongConnections - weakConnections)/totalConnections*100).toFixed(1)}%)\n`;
+  report += `- **Сильные связи** (≥${strongTieThreshold}): ${strongConnections} (${(strongConnections/totalConnections*100).toFixed(1)}%)\n`;
+  report += `- **Средние связи** (0.4–${strongTieThreshold}): ${totalConnections - strongConnections - weakConnections} (${((totalConnections - strongConnections - weakConnections)/totalConnections*100).toFixed(1)}%)\n`;
   report += `- **Слабые связи** (<0.4): ${weakConnections} (${(weakConnections/totalConnections*100).toFixed(1)}%)\n\n`;
   
   report += `### Структура кластеров\n\n`;
@@ -535,6 +745,34 @@ export function generateSimulationReport(agents, connections, topics, scenario,
     report += `${index + 1}. **Агент ${agent.id}** (${clusterNameLower} кластер) — ${agent.degree} связей\n`;
   });
   report += `\n`;
+
+  if (roleSummary) {
+    const topicName = id => topics.find(topic => topic.id === id)?.name || `Тема ${id + 1}`;
+    report += `### Особые роли\n\n`;
+    roleSummary.roles.forEach(entry => {
+      report += `**${entry.name}** (${entry.count}):\n`;
+      report += `- Разговоров и эфиров: ${entry.contacts}\n`;
+      report += `- Охват: ${entry.reach} агентов (${(entry.reach / totalAgents * 100).toFixed(1)}%)\n`;
+      if (entry.audienceShift !== null) {
+        report += `- Сдвиг мнений охваченных к позиции по теме повестки: ${entry.audienceShift >= 0 ? '+' : ''}${entry.audienceShift.toFixed(3)}\n`;
+      }
+      report += `\n`;
+    });
+    roleSummary.agents
+      .filter(entry => entry.agenda !== null)
+      .forEach(entry => {
+        report += `- Агент ${entry.id} (${getRoleName(entry.role).toLowerCase()}): повестка «${topicName(entry.agenda)}», охват ${entry.reach}, связей ${entry.degree}\n`;
+      });
+    report += `\n**Модулярность кластеров:** ${roleSummary.modularity.toFixed(3)} (без связей особых агентов: ${roleSummary.modularityWithout.toFixed(3)})\n`;
+    report += `**Доля межкластерных связей:** ${(roleSummary.crossClusterShare * 100).toFixed(1)}% всех связей, ${(roleSummary.roleCrossClusterShare * 100).toFixed(1)}% связей особых агентов\n\n`;
+    if (roleSummary.modularityWithout - roleSummary.modularity > 0.01) {
+      report += `Особые агенты связывают кластеры между собой и размывают их границы.\n\n`;
+    } else if (roleSummary.modularity - roleSummary.modularityWithout > 0.01) {
+      report += `Особые агенты замыкают связи внутри кластеров и усиливают их обособленность.\n\n`;
+    } else {
+      report += `Связи особых агентов почти не меняют структуру кластеров.\n\n`;
+    }
+  }
   
   report += `### Интерпретация результатов\n\n`;
   
@@ -0,0 +1,141 @@
+/**
+ * Canvas Network Module
+ * Helpers of the canvas renderer used for large networks: the choice of renderer, quadtree
+ * hit-testing, level-of-detail edge culling, cluster-based edge bundling and the node shapes
+ * shared with the SVG view.
+ */
+
+import { quadtree, symbol, symbolCircle, symbolSquare, symbolTriangle, symbolDiamond } from 'd3';
+
+/**
+ * Node shape of each agent role (see agentRoles.js)
+ */
+export const ROLE_SYMBOLS = {
+  regular: symbolCircle,
+  zealot: symbolSquare,
+  bot: symbolTriangle,
+  media: symbolDiamond,
+};
+
+/**
+ * Symbol generator of a node centred at the origin, with the area of a circle of the given radius
+ * @param {string} role - Agent role (circle when unknown or missing)
+ * @param {number} radius - Radius of the equivalent circle
+ * @returns {Function} - d3.symbol generator: call it for an SVG path, or use .context(ctx) for a canvas
+ */
+export function nodeSymbol(role, radius) {
+  return symbol(ROLE_SYMBOLS[role] || symbolCircle, Math.PI * radius * radius);
+}
+
+/**
+ * Above these counts the network views draw on a canvas instead of SVG elements
+ */
+export const CANVAS_RENDERER_LIMITS = {
+  nodes: 1000,
+  links: 3000,
+};
+
+/**
+ * Whether a network is large enough for the canvas renderer
+ * @param {number} nodeCount - Number of nodes
+ * @param {number} linkCount - Number of shown links
+ * @param {Object} limits - { nodes, links } (default CANVAS_RENDERER_LIMITS)
+ * @returns {boolean}
+ */
+export function shouldUseCanvasRenderer(nodeCount, linkCount, limits = CANVAS_RENDERER_LIMITS) {
+  return nodeCount > limits.nodes || linkCount > limits.links;
+}
+
+/**
+ * Node index of a link end (d3.forceLink replaces indices with node objects)
+ */
+export function linkEndpoint(ref) {
+  return typeof ref === 'object' ? ref.id : ref;
+}
+
+/**
+ * Spatial index of laid-out nodes for hover and click
+ * @param {Array} nodes - Nodes with x, y
+ * @returns {Object} - { find(x, y, radius) -> nearest node within radius or null, size }
+ */
+export function createNodeIndex(nodes) {
+  const tree = quadtree(
+    nodes.filter(node => Number.isFinite(node.x) && Number.isFinite(node.y)),
+    node => node.x,
+    node => node.y
+  );
+  return {
+    find: (x, y, radius = Infinity) => tree.find(x, y, radius) ?? null,
+    size: tree.size(),
+  };
+}
+
+/**
+ * Level-of-detail edge selection: links outside the viewport are culled, and of the rest only
+ * the strongest budget·scale² are kept, so zooming in reveals the weaker ties
+ * @param {Array} links - Links sorted by decreasing strength
+ * @param {Array} nodes - Laid-out nodes indexed by id
+ * @param {Object} options - { viewport: { x0, y0, x1, y1 } in layout coordinates, scale = 1, budget = 4000 }
+ * @returns {Array} - Links to draw
+ */
+export function selectVisibleEdges(links, nodes, { viewport = null, scale = 1, budget = 4000 } = {}) {
+  const limit = Math.round(budget * Math.max(1, scale * scale));
+  const visible = [];
+
+  for (const link of links) {
+    if (visible.length >= limit) break;
+    const source = nodes[linkEndpoint(link.source)];
+    const target = nodes[linkEndpoint(link.target)];
+    if (viewport && (
+      Math.max(source.x, target.x) < viewport.x0 || Math.min(source.x, target.x) > viewport.x1 ||
+      Math.max(source.y, target.y) < viewport.y0 || Math.min(source.y, target.y) > viewport.y1
+    )) {
+      continue;
+    }
+    visible.push(link);
+  }
+
+  return visible;
+}
+
+/**
+ * Centroid of the laid-out nodes of every group
+ * @param {Array} nodes - Laid-out nodes
+ * @param {Function} groupOf - node => group (default node.cluster)
+ * @returns {Map} - Group -> { x, y }
+ */
+export function groupCentroids(nodes, groupOf = node => node.cluster) {
+  const sums = new Map();
+  nodes.forEach(node => {
+    const group = groupOf(node);
+    if (!sums.has(group)) sums.set(group, { x: 0, y: 0, count: 0 });
+    const sum = sums.get(group);
+    sum.x += node.x;
+    sum.y += node.y;
+    sum.count++;
+  });
+
+  return new Map([...sums].map(([group, { x, y, count }]) => [group, { x: x / count, y: y / count }]));
+}
+
+/**
+ * Control points of a bundled edge (two-level hierarchical edge bundling, Holten 2006): ties
+ * between groups are routed through the centroids of both groups, ties inside a group stay
+ * straight. Meant for d3.curveBundle, whose beta sets the bundling strength.
+ * @param {Object} source - Source node { x, y }
+ * @param {Object} target - Target node { x, y }
+ * @param {Object} sourceCentroid - Centroid of the source group
+ * @param {Object} targetCentroid - Centroid of the target group
+ * @returns {Array} - [[x, y], ...]
+ */
+export function bundledEdgePoints(source, target, sourceCentroid, targetCentroid) {
+  if (!sourceCentroid || !targetCentroid || sourceCentroid === targetCentroid) {
+    return [[source.x, source.y], [target.x, target.y]];
+  }
+  return [
+    [source.x, source.y],
+    [sourceCentroid.x, sourceCentroid.y],
+    [targetCentroid.x, targetCentroid.y],
+    [target.x, target.y],
+  ];
+}
@@ -0,0 +1,280 @@
+/**
+ * Cluster Lineage Module
+ * Keeps cluster identities across the recalculations of a run and records every recalculation
+ * as an event: cluster sizes, centroid drift and the agent-migration matrix.
+ *
+ * Event format (result.clusterEvents of runSimulation when recalculateClustersAfter > 0):
+ * {
+ *   cycle,                // cycle at which the clusters were recalculated
+ *   from: [id],           // cluster ids before the recalculation (ascending)
+ *   to: [id],             // cluster ids after it (ascending)
+ *   counts: [[n]],        // counts[i][j] — agents that moved from cluster from[i] to to[j]
+ *   previousSizes: [n],   // size per from
+ *   sizes: [n],           // size per to
+ *   centers: [vector],    // unit centroid per to
+ *   drift: [d|null],      // cosine distance between the old and new centroid of to[j] (null for new clusters)
+ *   born: [id],           // ids that appeared
+ *   vanished: [id],       // ids that disappeared
+ * }
+ */
+
+function normalize(vector) {
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return magnitude === 0 ? [...vector] : vector.map(value => value / magnitude);
+}
+
+function cosineDistance(a, b) {
+  return 1 - a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+/**
+ * Minimum-cost assignment (Hungarian algorithm, Kuhn–Munkres with potentials, O(n²m))
+ * @param {Array} cost - cost[row][column]; the matrix may be rectangular
+ * @returns {Array} - Assigned column per row, −1 for rows left without a column
+ */
+export function hungarianAssignment(cost) {
+  const rows = cost.length;
+  const columns = rows > 0 ? cost[0].length : 0;
+  if (rows === 0 || columns === 0) return new Array(rows).fill(-1);
+
+  // Алгоритм требует строк не больше, чем столбцов: иначе решаем транспонированную задачу
+  if (rows > columns) {
+    const transposed = Array.from({ length: columns }, (_, j) => cost.map(row => row[j]));
+    const byColumn = hungarianAssignment(transposed);
+    const assignment = new Array(rows).fill(-1);
+    byColumn.forEach((row, column) => {
+      if (row >= 0) assignment[row] = column;
+    });
+    return assignment;
+  }
+
+  const u = new Array(rows + 1).fill(0);
+  const v = new Array(columns + 1).fill(0);
+  const owner = new Array(columns + 1).fill(0); // строка (с 1), занявшая столбец
+  const way = new Array(columns + 1).fill(0);
+
+  for (let i = 1; i <= rows; i++) {
+    owner[0] = i;
+    let column = 0;
+    const minValue = new Array(columns + 1).fill(Infinity);
+    const used = new Array(columns + 1).fill(false);
+
+    do {
+      used[column] = true;
+      const row = owner[column];
+      let delta = Infinity;
+      let nextColumn = 0;
+      for (let j = 1; j <= columns; j++) {
+        if (used[j]) continue;
+        const reduced = cost[row - 1][j - 1] - u[row] - v[j];
+        if (reduced < minValue[j]) {
+          minValue[j] = reduced;
+          way[j] = column;
+        }
+        if (minValue[j] < delta) {
+          delta = minValue[j];
+          nextColumn = j;
+        }
+      }
+      for (let j = 0; j <= columns; j++) {
+        if (used[j]) {
+          u[owner[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minValue[j] -= delta;
+        }
+      }
+      column = nextColumn;
+    } while (owner[column] !== 0);
+
+    do {
+      const previous = way[column];
+      owner[column] = owner[previous];
+      column = previous;
+    } while (column !== 0);
+  }
+
+  const assignment = new Array(rows).fill(-1);
+  for (let j = 1; j <= columns; j++) {
+    if (owner[j] > 0) assignment[owner[j] - 1] = j - 1;
+  }
+  return assignment;
+}
+
+/**
+ * Unit centroid of the vectors of every cluster
+ * @param {Array} vectors - Value vectors
+ * @param {Array} labels - Cluster id per vector
+ * @returns {Map} - Cluster id -> unit centroid (ids in ascending order)
+ */
+export function clusterCentroids(vectors, labels) {
+  const sums = new Map();
+  vectors.forEach((vector, i) => {
+    const unit = normalize(vector);
+    if (!sums.has(labels[i])) sums.set(labels[i], new Array(unit.length).fill(0));
+    const sum = sums.get(labels[i]);
+    unit.forEach((value, j) => { sum[j] += value; });
+  });
+  return new Map([...sums.keys()].sort((a, b) => a - b).map(id => [id, normalize(sums.get(id))]));
+}
+
+/**
+ * Match new clusters to the previous ones by their centroids (Hungarian assignment on cosine
+ * distance). Matched clusters keep the previous id, the others get fresh ids from nextId on.
+ * @param {Map} previousCenters - Previous cluster id -> centroid
+ * @param {Array} centers - Centroid per new cluster label (0..k-1)
+ * @param {number} nextId - First id that was never used in the run
+ * @returns {Array} - Cluster id per new label
+ */
+export function matchClusterIds(previousCenters, centers, nextId) {
+  const previousIds = [...previousCenters.keys()];
+  const cost = centers.map(center => previousIds.map(id => cosineDistance(center, previousCenters.get(id))));
+  const assignment = hungarianAssignment(cost);
+
+  let fresh = nextId;
+  return assignment.map(column => (column >= 0 ? previousIds[column] : fresh++));
+}
+
+/**
+ * Describe one recalculation (see the event format at the top of the module)
+ * @param {number} cycle - Cycle of the recalculation
+ * @param {Array} vectors - Value vectors of the agents
+ * @param {Array} previousLabels - Cluster id per agent before the recalculation
+ * @param {Array} labels - Cluster id per agent after it
+ * @param {Map} previousCenters - Centroids before the recalculation (see clusterCentroids)
+ * @returns {Object} - Cluster event
+ */
+export function createClusterEvent(cycle, vectors, previousLabels, labels, previousCenters) {
+  const centers = clusterCentroids(vectors, labels);
+  const from = [...previousCenters.keys()];
+  const to = [...centers.keys()];
+  const fromIndex = new Map(from.map((id, i) => [id, i]));
+  const toIndex = new Map(to.map((id, j) => [id, j]));
+
+  const counts = from.map(() => new Array(to.length).fill(0));
+  labels.forEach((id, agent) => {
+    counts[fromIndex.get(previousLabels[agent])][toIndex.get(id)]++;
+  });
+
+  return {
+    cycle,
+    from,
+    to,
+    counts,
+    previousSizes: counts.map(row => row.reduce((sum, count) => sum + count, 0)),
+    sizes: to.map((_, j) => counts.reduce((sum, row) => sum + row[j], 0)),
+    centers: to.map(id => centers.get(id)),
+    drift: to.map(id => (previousCenters.has(id) ? cosineDistance(centers.get(id), previousCenters.get(id)) : null)),
+    born: to.filter(id => !fromIndex.has(id)),
+    vanished: from.filter(id => !toIndex.has(id)),
+  };
+}
+
+/**
+ * Splits and merges of an event: a cluster splits when at least `share` of its agents go to each
+ * of two or more clusters; a cluster is a merge when at least `share` of its agents come from
+ * each of two or more clusters
+ * @param {Object} event - Cluster event
+ * @param {number} share - Smallest share of a cluster that counts as a part (default 0.2)
+ * @returns {Object} - { splits: [{ from, into: [id] }], merges: [{ into, from: [id] }] }
+ */
+export function describeClusterEvent(event, share = 0.2) {
+  const splits = [];
+  event.from.forEach((id, i) => {
+    const into = event.to.filter((_, j) => event.previousSizes[i] > 0 && event.counts[i][j] / event.previousSizes[i] >= share);
+    if (into.length > 1) splits.push({ from: id, into });
+  });
+
+  const merges = [];
+  event.to.forEach((id, j) => {
+    const from = event.from.filter((_, i) => event.sizes[j] > 0 && event.counts[i][j] / event.sizes[j] >= share);
+    if (from.length > 1) merges.push({ into: id, from });
+  });
+
+  return { splits, merges };
+}
+
+/**
+ * Nodes and links of a Sankey (alluvial) diagram over consecutive events
+ * @param {Array} events - Cluster events of a run
+ * @param {Object} options - { start = 0, count = events.length } window of events to show
+ * @returns {Object} - { nodes: [{ name, cluster, stage, cycle }], links: [{ source, target, value }] }
+ *   Stage 0 is the state before the first event of the window
+ */
+export function buildLineageFlows(events, { start = 0, count = events.length } = {}) {
+  const window = events.slice(start, start + count);
+  const nodes = [];
+  const links = [];
+  if (window.length === 0) return { nodes, links };
+
+  const addStage = (ids, sizes, stage, cycle) => {
+    const index = new Map();
+    ids.forEach((id, i) => {
+      if (sizes[i] === 0) return;
+      index.set(id, nodes.length);
+      nodes.push({ name: `Кластер ${id + 1}`, cluster: id, stage, cycle });
+    });
+    return index;
+  };
+
+  const previousCycle = start > 0 ? events[start - 1].cycle : 0;
+  let sourceIndex = addStage(window[0].from, window[0].previousSizes, 0, previousCycle);
+  window.forEach((event, e) => {
+    const targetIndex = addStage(event.to, event.sizes, e + 1, event.cycle);
+    event.counts.forEach((row, i) => {
+      row.forEach((value, j) => {
+        if (value > 0) {
+          links.push({ source: sourceIndex.get(event.from[i]), target: targetIndex.get(event.to[j]), value });
+        }
+      });
+    });
+    sourceIndex = targetIndex;
+  });
+
+  return { nodes, links };
+}
+
+/**
+ * Per-cluster lineage table as CSV: cycle, cluster, size, previous size, drift and status
+ * @param {Array} events - Cluster events of a run
+ * @returns {string} - CSV content
+ */
+export function exportClusterLineage(events) {
+  let csv = 'cycle,cluster,size,previous_size,drift,status\n';
+  events.forEach(event => {
+    const rows = new Map();
+    event.to.forEach((id, j) => {
+      const previous = event.from.indexOf(id);
+      rows.set(id, [
+        event.sizes[j],
+        previous >= 0 ? event.previousSizes[previous] : 0,
+        event.drift[j] === null ? '' : event.drift[j].toFixed(4),
+        previous >= 0 ? 'kept' : 'born',
+      ]);
+    });
+    event.vanished.forEach(id => {
+      rows.set(id, [0, event.previousSizes[event.from.indexOf(id)], '', 'vanished']);
+    });
+    [...rows.keys()].sort((a, b) => a - b).forEach(id => {
+      csv += `${event.cycle},${id},${rows.get(id).join(',')}\n`;
+    });
+  });
+  return csv;
+}
+
+/**
+ * Agent migrations of every event as CSV: cycle, source cluster, target cluster, agents
+ * @param {Array} events - Cluster events of a run
+ * @returns {string} - CSV content
+ */
+export function exportClusterMigrations(events) {
+  let csv = 'cycle,from_cluster,to_cluster,agents\n';
+  events.forEach(event => {
+    event.counts.forEach((row, i) => {
+      row.forEach((value, j) => {
+        if (value > 0) csv += `${event.cycle},${event.from[i]},${event.to[j]},${value}\n`;
+      });
+    });
+  });
+  return csv;
+}
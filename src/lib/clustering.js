@@ -0,0 +1,755 @@
+/**
+ * Clustering Module
+ * Groups agent value vectors into clusters (k-means++, spherical k-means, agglomerative,
+ * DBSCAN, Gaussian mixture) and scores the partitions (silhouette, Davies–Bouldin).
+ *
+ * Value vectors are compared by direction, as everywhere in the model: every method works on
+ * unit-normalized copies of the input, and the returned centers are unit vectors.
+ */
+
+import { createRandom } from './random.js';
+
+/**
+ * Largest number of vectors for the methods that need all pairwise distances
+ * (agglomerative clustering keeps an n·(n−1)/2 distance matrix, DBSCAN scans all pairs)
+ */
+export const PAIRWISE_CLUSTERING_LIMIT = 5000;
+
+/**
+ * Linkage criteria of agglomerative clustering
+ */
+export const LINKAGES = ['average', 'complete', 'single'];
+
+function normalize(vector) {
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return magnitude === 0 ? [...vector] : vector.map(value => value / magnitude);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+/**
+ * Cosine distance of two unit vectors, in [0, 2]
+ */
+function cosineDistance(a, b) {
+  return Math.max(0, 1 - dot(a, b));
+}
+
+/**
+ * Mean vector of the members of every label (labels below 0 are skipped)
+ * @returns {Array} - Mean per label 0..k-1 (null for empty labels)
+ */
+function labelMeans(vectors, labels, k) {
+  const dimension = vectors[0]?.length ?? 0;
+  const sums = Array.from({ length: k }, () => new Array(dimension).fill(0));
+  const counts = new Array(k).fill(0);
+  vectors.forEach((vector, i) => {
+    const label = labels[i];
+    if (label < 0) return;
+    counts[label]++;
+    for (let j = 0; j < dimension; j++) sums[label][j] += vector[j];
+  });
+  return sums.map((sum, label) => (counts[label] > 0 ? sum.map(value => value / counts[label]) : null));
+}
+
+/**
+ * Renumber labels to 0..k-1 keeping their order (labels below 0 are kept)
+ */
+function compactLabels(labels) {
+  const ids = [...new Set(labels.filter(label => label >= 0))].sort((a, b) => a - b);
+  const index = new Map(ids.map((label, position) => [label, position]));
+  return labels.map(label => (label < 0 ? label : index.get(label)));
+}
+
+/**
+ * Index of the nearest center by cosine similarity
+ */
+function nearestCenter(vector, centers) {
+  let best = 0;
+  let bestSimilarity = -Infinity;
+  centers.forEach((center, c) => {
+    const similarity = dot(vector, center);
+    if (similarity > bestSimilarity) {
+      bestSimilarity = similarity;
+      best = c;
+    }
+  });
+  return best;
+}
+
+/**
+ * k-means++ seeding (Arthur & Vassilvitskii, 2007): every next seed is drawn with
+ * probability proportional to its squared distance from the nearest chosen seed
+ */
+function kmeansPlusPlusSeeds(unit, k, rng) {
+  const n = unit.length;
+  const seeds = [unit[Math.floor(rng() * n)]];
+  const nearest = unit.map(vector => squaredDistance(vector, seeds[0]));
+
+  while (seeds.length < k) {
+    const total = nearest.reduce((sum, value) => sum + value, 0);
+    let index;
+    if (total === 0) {
+      // Все оставшиеся точки совпадают с уже выбранными центрами
+      index = Math.floor(rng() * n);
+    } else {
+      let target = rng() * total;
+      index = 0;
+      while (index < n - 1 && target >= nearest[index]) {
+        target -= nearest[index];
+        index++;
+      }
+    }
+    seeds.push(unit[index]);
+    unit.forEach((vector, i) => {
+      nearest[i] = Math.min(nearest[i], squaredDistance(vector, unit[index]));
+    });
+  }
+
+  return seeds.map(seed => [...seed]);
+}
+
+/**
+ * Lloyd iterations until no agent changes cluster or no center moves by more than tolerance
+ * @returns {Object} - { labels, centers, inertia, iterations, converged }
+ */
+function lloyd(unit, initialCenters, { spherical, maxIterations, tolerance }) {
+  const n = unit.length;
+  const k = initialCenters.length;
+  let centers = initialCenters.map(center => (spherical ? normalize(center) : [...center]));
+  const labels = new Array(n).fill(-1);
+  const distanceTo = (vector, center) => (spherical ? cosineDistance(vector, center) : squaredDistance(vector, center));
+
+  const assign = () => {
+    let changed = false;
+    unit.forEach((vector, i) => {
+      let best = 0;
+      let bestDistance = Infinity;
+      for (let c = 0; c < k; c++) {
+        const distance = distanceTo(vector, centers[c]);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = c;
+        }
+      }
+      if (labels[i] !== best) {
+        labels[i] = best;
+        changed = true;
+      }
+    });
+    return changed;
+  };
+
+  let iterations = 0;
+  let converged = false;
+  while (iterations < maxIterations) {
+    iterations++;
+    if (!assign() && iterations > 1) {
+      converged = true;
+      break;
+    }
+
+    const means = labelMeans(unit, labels, k);
+    // Пустой кластер получает точку, хуже всего описанную своим центром
+    means.forEach((mean, c) => {
+      if (mean) return;
+      let worst = 0;
+      let worstDistance = -1;
+      unit.forEach((vector, i) => {
+        const distance = distanceTo(vector, centers[labels[i]]);
+        if (distance > worstDistance) {
+          worstDistance = distance;
+          worst = i;
+        }
+      });
+      labels[worst] = c;
+      means[c] = [...unit[worst]];
+    });
+
+    const next = means.map(mean => (spherical ? normalize(mean) : mean));
+    const shift = Math.max(...next.map((center, c) => Math.sqrt(squaredDistance(center, centers[c]))));
+    centers = next;
+    if (shift <= tolerance) {
+      assign();
+      converged = true;
+      break;
+    }
+  }
+
+  const inertia = unit.reduce((sum, vector, i) => sum + distanceTo(vector, centers[labels[i]]), 0);
+  return { labels, centers, inertia, iterations, converged };
+}
+
+/**
+ * k-means with k-means++ seeding; the best of `restarts` runs (lowest inertia) is kept
+ */
+function kmeansClustering(unit, k, { spherical = false, rng, initialCenters = null, restarts = 1, maxIterations = 100, tolerance = 1e-6 }) {
+  const runs = initialCenters ? 1 : Math.max(1, restarts);
+  let best = null;
+  for (let run = 0; run < runs; run++) {
+    const seeds = initialCenters || kmeansPlusPlusSeeds(unit, k, rng);
+    const result = lloyd(unit, seeds, { spherical, maxIterations, tolerance });
+    if (!best || result.inertia < best.inertia) best = result;
+  }
+  return best;
+}
+
+/**
+ * Agglomerative clustering by the nearest-neighbour chain algorithm with Lance–Williams updates
+ * on cosine distances (O(n²) time and memory)
+ * @returns {Array} - Merges { left, right, distance, size } sorted by distance. Leaves are
+ *   nodes 0..n-1, merge t creates node n + t (the layout of SciPy's linkage matrix)
+ */
+function agglomerativeMerges(unit, linkage) {
+  const n = unit.length;
+  if (n < 2) return [];
+
+  const index = (i, j) => (i < j ? n * i - (i * (i + 1)) / 2 + j - i - 1 : n * j - (j * (j + 1)) / 2 + i - j - 1);
+  const distances = new Float64Array((n * (n - 1)) / 2);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) distances[index(i, j)] = cosineDistance(unit[i], unit[j]);
+  }
+
+  const size = new Array(n).fill(1);
+  const active = new Uint8Array(n).fill(1);
+  const chain = [];
+  const raw = [];
+
+  for (let step = 0; step < n - 1; step++) {
+    if (chain.length === 0) chain.push(active.indexOf(1));
+
+    let x;
+    let y;
+    let nearestDistance;
+    for (;;) {
+      x = chain[chain.length - 1];
+      y = chain.length > 1 ? chain[chain.length - 2] : -1;
+      // При равных расстояниях предпочитается предыдущий элемент цепочки
+      nearestDistance = y >= 0 ? distances[index(x, y)] : Infinity;
+      let nearest = y;
+      for (let i = 0; i < n; i++) {
+        if (!active[i] || i === x) continue;
+        const distance = distances[index(x, i)];
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = i;
+        }
+      }
+      if (nearest === y) break;
+      chain.push(nearest);
+    }
+    chain.length -= 2;
+
+    raw.push({ a: x, b: y, distance: nearestDistance });
+    const sizeX = size[x];
+    const sizeY = size[y];
+    for (let i = 0; i < n; i++) {
+      if (!active[i] || i === x || i === y) continue;
+      const toX = distances[index(i, x)];
+      const toY = distances[index(i, y)];
+      let merged;
+      if (linkage === 'single') merged = Math.min(toX, toY);
+      else if (linkage === 'complete') merged = Math.max(toX, toY);
+      else merged = (sizeX * toX + sizeY * toY) / (sizeX + sizeY);
+      distances[index(i, y)] = merged;
+    }
+    active[x] = 0;
+    size[y] = sizeX + sizeY;
+  }
+
+  // Цепочка находит слияния не по порядку: сортируем и нумеруем узлы через union-find
+  raw.sort((a, b) => a.distance - b.distance);
+  const parent = Int32Array.from({ length: 2 * n - 1 }, (_, i) => i);
+  const nodeSize = new Array(2 * n - 1).fill(1);
+  const find = (node) => {
+    let root = node;
+    while (parent[root] !== root) root = parent[root];
+    while (parent[node] !== root) {
+      const next = parent[node];
+      parent[node] = root;
+      node = next;
+    }
+    return root;
+  };
+
+  return raw.map(({ a, b, distance }, t) => {
+    const left = find(a);
+    const right = find(b);
+    const node = n + t;
+    parent[left] = parent[right] = node;
+    nodeSize[node] = nodeSize[left] + nodeSize[right];
+    return { left: Math.min(left, right), right: Math.max(left, right), distance, size: nodeSize[node] };
+  });
+}
+
+/**
+ * Cut a dendrogram into k clusters by undoing its last k − 1 merges
+ * @param {Array} merges - Merges from agglomerative clustering (see clusterVectors)
+ * @param {number} n - Number of leaves
+ * @param {number} k - Number of clusters
+ * @returns {Array} - Cluster label per leaf, numbered by first appearance
+ */
+export function cutDendrogram(merges, n, k) {
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (node) => {
+    while (parent[node] !== node) {
+      parent[node] = parent[parent[node]];
+      node = parent[node];
+    }
+    return node;
+  };
+
+  // Представитель каждого узла дендрограммы — любой из его листьев
+  const representative = Array.from({ length: n }, (_, i) => i);
+  merges.forEach(({ left, right }, t) => {
+    representative[n + t] = representative[left];
+    if (t < n - Math.max(1, k)) {
+      parent[find(representative[right])] = find(representative[left]);
+    }
+  });
+
+  const ids = new Map();
+  return Array.from({ length: n }, (_, i) => {
+    const root = find(i);
+    if (!ids.has(root)) ids.set(root, ids.size);
+    return ids.get(root);
+  });
+}
+
+/**
+ * DBSCAN (Ester et al., 1996) on cosine distance
+ * @returns {Array} - Cluster label per point, −1 for noise
+ */
+function dbscanLabels(unit, eps, minPoints) {
+  const n = unit.length;
+  const labels = new Array(n).fill(undefined);
+  const regionQuery = (i) => {
+    const neighbours = [];
+    for (let j = 0; j < n; j++) {
+      if (cosineDistance(unit[i], unit[j]) <= eps) neighbours.push(j);
+    }
+    return neighbours;
+  };
+
+  let cluster = 0;
+  for (let i = 0; i < n; i++) {
+    if (labels[i] !== undefined) continue;
+    const neighbours = regionQuery(i);
+    if (neighbours.length < minPoints) {
+      labels[i] = -1;
+      continue;
+    }
+
+    labels[i] = cluster;
+    const queue = [];
+    const enqueue = (j) => {
+      if (labels[j] === -1) labels[j] = cluster; // точка шума становится пограничной
+      if (labels[j] !== undefined) return;
+      labels[j] = cluster;
+      queue.push(j);
+    };
+    neighbours.forEach(enqueue);
+    for (let q = 0; q < queue.length; q++) {
+      const reach = regionQuery(queue[q]);
+      if (reach.length >= minPoints) reach.forEach(enqueue);
+    }
+    cluster++;
+  }
+
+  return labels;
+}
+
+/**
+ * Gaussian mixture with diagonal covariances fitted by expectation–maximization,
+ * initialized from k-means
+ * @returns {Object} - { labels, means, weights, logLikelihood, bic, iterations, converged }
+ */
+function gaussianMixture(unit, k, { rng, initialCenters = null, maxIterations = 100, tolerance = 1e-4, varianceFloor = 1e-4 }) {
+  const n = unit.length;
+  const dimension = unit[0].length;
+  const start = kmeansClustering(unit, k, { rng, initialCenters });
+
+  let means = start.centers.map(center => [...center]);
+  const counts = new Array(k).fill(0);
+  const variances = Array.from({ length: k }, () => new Array(dimension).fill(0));
+  unit.forEach((vector, i) => {
+    const c = start.labels[i];
+    counts[c]++;
+    for (let j = 0; j < dimension; j++) variances[c][j] += (vector[j] - means[c][j]) ** 2;
+  });
+  let vars = variances.map((row, c) => row.map(value => Math.max(varianceFloor, value / Math.max(1, counts[c]))));
+  let weights = counts.map(count => Math.max(count, 1) / n);
+
+  const responsibilities = Array.from({ length: n }, () => new Array(k).fill(0));
+  let logLikelihood = -Infinity;
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < maxIterations) {
+    iterations++;
+
+    // E-шаг в логарифмах (log-sum-exp)
+    const logNorms = vars.map((row, c) =>
+      Math.log(weights[c]) - 0.5 * row.reduce((sum, value) => sum + Math.log(2 * Math.PI * value), 0)
+    );
+    let total = 0;
+    unit.forEach((vector, i) => {
+      const logs = means.map((mean, c) => {
+        let quadratic = 0;
+        for (let j = 0; j < dimension; j++) quadratic += (vector[j] - mean[j]) ** 2 / vars[c][j];
+        return logNorms[c] - 0.5 * quadratic;
+      });
+      const maxLog = Math.max(...logs);
+      const sum = logs.reduce((acc, value) => acc + Math.exp(value - maxLog), 0);
+      const logSum = maxLog + Math.log(sum);
+      total += logSum;
+      logs.forEach((value, c) => { responsibilities[i][c] = Math.exp(value - logSum); });
+    });
+
+    const improvement = (total - logLikelihood) / n;
+    logLikelihood = total;
+    if (improvement < tolerance) {
+      converged = true;
+      break;
+    }
+
+    // M-шаг; компонента без вклада сохраняет прежние параметры
+    const mass = new Array(k).fill(0);
+    responsibilities.forEach(row => row.forEach((value, c) => { mass[c] += value; }));
+    const nextMeans = means.map((mean, c) => {
+      if (mass[c] < 1e-10) return mean;
+      const next = new Array(dimension).fill(0);
+      unit.forEach((vector, i) => {
+        for (let j = 0; j < dimension; j++) next[j] += responsibilities[i][c] * vector[j];
+      });
+      return next.map(value => value / mass[c]);
+    });
+    vars = vars.map((row, c) => {
+      if (mass[c] < 1e-10) return row;
+      const next = new Array(dimension).fill(0);
+      unit.forEach((vector, i) => {
+        for (let j = 0; j < dimension; j++) next[j] += responsibilities[i][c] * (vector[j] - nextMeans[c][j]) ** 2;
+      });
+      return next.map(value => Math.max(varianceFloor, value / mass[c]));
+    });
+    means = nextMeans;
+    weights = mass.map(value => Math.max(value, 1e-10) / n);
+  }
+
+  const labels = responsibilities.map(row => row.indexOf(Math.max(...row)));
+  const parameterCount = k * 2 * dimension + (k - 1);
+  return {
+    labels,
+    means,
+    weights,
+    logLikelihood,
+    bic: -2 * logLikelihood + parameterCount * Math.log(n),
+    iterations,
+    converged,
+  };
+}
+
+/**
+ * Cluster value vectors
+ * @param {Array} vectors - Value vectors (compared by direction)
+ * @param {number} k - Number of clusters (ignored by DBSCAN, capped by the number of vectors)
+ * @param {string} method - Id from CLUSTERING_METHODS (simulationConfig.js)
+ * @param {Object} options - {
+ *   rng,                 // random generator of the k-means++ seeding (default createRandom(0))
+ *   initialCenters,      // warm start of k-means, spherical k-means and GMM instead of seeding
+ *   restarts,            // k-means++ restarts, the lowest inertia wins (default 1)
+ *   maxIterations, tolerance,
+ *   linkage,             // agglomerative: 'average' (default), 'complete' or 'single'
+ *   eps, minPoints       // DBSCAN: neighbourhood radius in cosine distance and core size
+ * }
+ * @returns {Object} - { method, labels, centers, count } plus per method: inertia, iterations and
+ *   converged (k-means, GMM); dendrogram (agglomerative); noise — points DBSCAN left out of every
+ *   cluster, labeled with the nearest cluster; logLikelihood and bic (GMM)
+ */
+export function clusterVectors(vectors, k, method = 'kmeans', options = {}) {
+  const { rng = createRandom(0), initialCenters = null, linkage = 'average', eps = 0.3, minPoints = 5, ...rest } = options;
+  const n = vectors.length;
+  if (n === 0) throw new Error('Нет векторов для кластеризации.');
+
+  const unit = vectors.map(normalize);
+  const clusters = Math.max(1, Math.min(Math.round(k) || 1, n));
+  const warmStart = initialCenters?.length ? initialCenters.map(normalize) : null;
+  if ((method === 'agglomerative' || method === 'dbscan') && n > PAIRWISE_CLUSTERING_LIMIT) {
+    throw new Error(`Method "${method}" supports at most ${PAIRWISE_CLUSTERING_LIMIT} vectors`);
+  }
+
+  let result;
+  if (method === 'kmeans' || method === 'spherical_kmeans') {
+    const { labels, inertia, iterations, converged } = kmeansClustering(unit, warmStart?.length || clusters, {
+      ...rest,
+      rng,
+      initialCenters: warmStart,
+      spherical: method === 'spherical_kmeans',
+    });
+    result = { labels, inertia, iterations, converged };
+  } else if (method === 'agglomerative') {
+    if (!LINKAGES.includes(linkage)) throw new Error(`Unknown linkage "${linkage}"`);
+    const merges = agglomerativeMerges(unit, linkage);
+    result = { labels: cutDendrogram(merges, n, clusters), dendrogram: { linkage, merges } };
+  } else if (method === 'dbscan') {
+    const raw = compactLabels(dbscanLabels(unit, eps, minPoints));
+    const noise = raw.filter(label => label < 0).length;
+    const found = raw.reduce((max, label) => Math.max(max, label + 1), 0);
+    // Агентам нужен кластер: шум относится к ближайшему найденному кластеру (или все — к одному)
+    const centers = labelMeans(unit, raw, found).map(normalize);
+    const labels = found === 0 ? raw.map(() => 0) : raw.map((label, i) => (label >= 0 ? label : nearestCenter(unit[i], centers)));
+    result = { labels, noise };
+  } else if (method === 'gmm') {
+    const { labels, logLikelihood, bic, iterations, converged } = gaussianMixture(unit, warmStart?.length || clusters, {
+      ...rest,
+      rng,
+      initialCenters: warmStart,
+    });
+    result = { labels, logLikelihood, bic, iterations, converged };
+  } else {
+    throw new Error(`Unknown clustering method "${method}"`);
+  }
+
+  // Метки без единого агента (GMM, теплый старт) убираются, центры — нормированные средние
+  const labels = compactLabels(result.labels);
+  const count = labels.reduce((max, label) => Math.max(max, label + 1), 0);
+  return {
+    ...result,
+    method,
+    labels,
+    centers: labelMeans(unit, labels, count).map(normalize),
+    count,
+  };
+}
+
+/**
+ * Mean silhouette coefficient on cosine distance (Rousseeuw, 1987): near 1 for compact,
+ * well separated clusters, near 0 for overlapping ones, negative for misassigned points.
+ * Singleton clusters contribute 0; labels below 0 (noise) are skipped.
+ * @param {Array} vectors - Value vectors
+ * @param {Array} labels - Cluster label per vector
+ * @param {Object} options - { sampleSize = 2000, rng } — larger inputs are scored on a random sample
+ * @returns {number|null} - Mean silhouette, or null with fewer than two clusters
+ */
+export function silhouetteScore(vectors, labels, { sampleSize = 2000, rng = createRandom(0) } = {}) {
+  let points = labels.map((_, i) => i).filter(i => labels[i] >= 0);
+  if (new Set(points.map(i => labels[i])).size < 2) return null;
+
+  if (points.length > sampleSize) {
+    for (let i = 0; i < sampleSize; i++) {
+      const j = i + Math.floor(rng() * (points.length - i));
+      [points[i], points[j]] = [points[j], points[i]];
+    }
+    points = points.slice(0, sampleSize);
+  }
+
+  const unit = vectors.map(normalize);
+  const sizes = new Map();
+  points.forEach(i => sizes.set(labels[i], (sizes.get(labels[i]) || 0) + 1));
+
+  let total = 0;
+  points.forEach(i => {
+    if (sizes.get(labels[i]) === 1) return;
+    const sums = new Map();
+    points.forEach(j => {
+      if (j === i) return;
+      sums.set(labels[j], (sums.get(labels[j]) || 0) + cosineDistance(unit[i], unit[j]));
+    });
+    const own = sums.get(labels[i]) / (sizes.get(labels[i]) - 1);
+    let other = Infinity;
+    sums.forEach((sum, label) => {
+      if (label !== labels[i]) other = Math.min(other, sum / sizes.get(label));
+    });
+    const spread = Math.max(own, other);
+    total += spread > 0 ? (other - own) / spread : 0;
+  });
+
+  return total / points.length;
+}
+
+/**
+ * Davies–Bouldin index (1979) on the unit-normalized vectors: the average, over clusters, of the
+ * worst ratio (scatter_i + scatter_j) / distance(center_i, center_j). Lower is better.
+ * Labels below 0 (noise) are skipped.
+ * @param {Array} vectors - Value vectors
+ * @param {Array} labels - Cluster label per vector
+ * @returns {number|null} - Index, or null with fewer than two clusters
+ */
+export function daviesBouldinScore(vectors, labels) {
+  const unit = vectors.map(normalize);
+  const ids = [...new Set(labels.filter(label => label >= 0))];
+  if (ids.length < 2) return null;
+
+  const position = new Map(ids.map((label, index) => [label, index]));
+  const indexed = labels.map(label => (label >= 0 ? position.get(label) : -1));
+  const centers = labelMeans(unit, indexed, ids.length);
+  const scatter = new Array(ids.length).fill(0);
+  const counts = new Array(ids.length).fill(0);
+  unit.forEach((vector, i) => {
+    const c = indexed[i];
+    if (c < 0) return;
+    scatter[c] += Math.sqrt(squaredDistance(vector, centers[c]));
+    counts[c]++;
+  });
+  scatter.forEach((sum, c) => { scatter[c] = sum / counts[c]; });
+
+  const worst = centers.map((center, c) => {
+    let ratio = 0;
+    centers.forEach((other, d) => {
+      if (d === c) return;
+      const separation = Math.sqrt(squaredDistance(center, other));
+      ratio = Math.max(ratio, separation > 0 ? (scatter[c] + scatter[d]) / separation : Infinity);
+    });
+    return ratio;
+  });
+  return worst.reduce((sum, value) => sum + value, 0) / worst.length;
+}
+
+/**
+ * Within-cluster dispersion W_k: sum of squared distances of the unit vectors to their cluster means
+ */
+function withinDispersion(unit, labels) {
+  const k = labels.reduce((max, label) => Math.max(max, label + 1), 0);
+  const means = labelMeans(unit, labels, k);
+  return unit.reduce((sum, vector, i) => sum + squaredDistance(vector, means[labels[i]]), 0);
+}
+
+/**
+ * Random sample of the vectors (all of them when there are at most size)
+ */
+function sampleVectors(vectors, size, rng) {
+  if (vectors.length <= size) return vectors;
+  const indices = Array.from({ length: vectors.length }, (_, i) => i);
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(rng() * (indices.length - i));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices.slice(0, size).map(i => vectors[i]);
+}
+
+/**
+ * Elbow of a decreasing curve: the point farthest below the chord between its ends
+ */
+function elbowPoint(ks, values) {
+  if (ks.length < 3) return ks[0];
+  const [first, last] = [values[0], values[values.length - 1]];
+  const span = first - last || 1;
+  let best = ks[0];
+  let bestDistance = -Infinity;
+  ks.forEach((k, i) => {
+    const x = i / (ks.length - 1);
+    const y = (values[i] - last) / span;
+    // Хорда идет из (0, 1) в (1, 0): расстояние под ней пропорционально 1 − x − y
+    const distance = 1 - x - y;
+    if (distance > bestDistance) {
+      bestDistance = distance;
+      best = k;
+    }
+  });
+  return best;
+}
+
+/**
+ * Cluster the vectors for every k in a range and score the results to help choose k
+ * @param {Array} vectors - Value vectors
+ * @param {Object} options - {
+ *   kMin = 2, kMax = 10,  // range of k (kMax is capped by the number of vectors − 1)
+ *   method = 'kmeans',    // any method of clusterVectors except 'dbscan', which finds k itself
+ *   rng,                  // random generator of sampling, seeding and the gap references
+ *   references = 5,       // reference data sets of the gap statistic
+ *   sampleSize = 1000,    // larger inputs are evaluated on a random sample
+ *   ...                   // other options of clusterVectors (linkage, restarts, ...)
+ * }
+ * @returns {Object} - {
+ *   method, sampleSize,
+ *   rows: [{ k, dispersion, silhouette, daviesBouldin, gap, gapError }],
+ *   suggestions: { elbow, silhouette, daviesBouldin, gap },
+ *   suggestedK            // k proposed by most of elbow, silhouette and gap (silhouette on ties)
+ * }
+ */
+export function evaluateClusterCounts(vectors, options = {}) {
+  const { kMin = 2, kMax = 10, method = 'kmeans', rng = createRandom(0), references = 5, sampleSize = 1000, ...rest } = options;
+  if (method === 'dbscan') throw new Error('DBSCAN determines the number of clusters itself');
+
+  const sample = sampleVectors(vectors, sampleSize, rng);
+  const unit = sample.map(normalize);
+  const n = unit.length;
+  const from = Math.max(1, Math.round(kMin));
+  const to = Math.min(Math.round(kMax), n - 1);
+  if (to < from) throw new Error(`Not enough vectors to evaluate k from ${from} to ${kMax}`);
+  const ks = Array.from({ length: to - from + 1 }, (_, i) => from + i);
+  const methodOptions = { restarts: 3, ...rest, rng };
+
+  // Иерархическое дерево строится один раз и разрезается на любое k
+  const labelsForK = (data) => {
+    if (method === 'agglomerative') {
+      const { dendrogram } = clusterVectors(data, 1, method, methodOptions);
+      return (k) => cutDendrogram(dendrogram.merges, data.length, k);
+    }
+    return (k) => clusterVectors(data, k, method, methodOptions).labels;
+  };
+
+  const labelsOf = labelsForK(unit);
+  const partitions = ks.map(k => labelsOf(k));
+  const logDispersions = partitions.map(labels => Math.log(Math.max(withinDispersion(unit, labels), 1e-12)));
+
+  // Опорные данные для gap-статистики: равномерно в охватывающем параллелепипеде выборки
+  const dimension = unit[0].length;
+  const low = Array.from({ length: dimension }, (_, j) => Math.min(...unit.map(vector => vector[j])));
+  const high = Array.from({ length: dimension }, (_, j) => Math.max(...unit.map(vector => vector[j])));
+  const referenceLogs = Array.from({ length: references }, () => {
+    const reference = unit.map(() => low.map((value, j) => value + rng() * (high[j] - value)));
+    const referenceUnit = reference.map(normalize);
+    const referenceLabels = labelsForK(referenceUnit);
+    return ks.map(k => Math.log(Math.max(withinDispersion(referenceUnit, referenceLabels(k)), 1e-12)));
+  });
+
+  const rows = ks.map((k, index) => {
+    const logs = referenceLogs.map(row => row[index]);
+    const mean = logs.reduce((sum, value) => sum + value, 0) / logs.length;
+    const deviation = Math.sqrt(logs.reduce((sum, value) => sum + (value - mean) ** 2, 0) / logs.length);
+    return {
+      k,
+      dispersion: Math.exp(logDispersions[index]),
+      silhouette: silhouetteScore(unit, partitions[index], { rng }),
+      daviesBouldin: daviesBouldinScore(unit, partitions[index]),
+      gap: mean - logDispersions[index],
+      gapError: deviation * Math.sqrt(1 + 1 / references),
+    };
+  });
+
+  const best = (key, better) => rows.reduce((winner, row) =>
+    (row[key] !== null && (winner === null || better(row[key], winner[key])) ? row : winner), null)?.k ?? null;
+
+  // Gap: наименьшее k с gap(k) ≥ gap(k+1) − s(k+1) (Tibshirani et al., 2001)
+  const gapRow = rows.find((row, i) => i < rows.length - 1 && row.gap >= rows[i + 1].gap - rows[i + 1].gapError);
+  const suggestions = {
+    elbow: elbowPoint(ks, rows.map(row => row.dispersion)),
+    silhouette: best('silhouette', (a, b) => a > b),
+    daviesBouldin: best('daviesBouldin', (a, b) => a < b),
+    gap: gapRow ? gapRow.k : best('gap', (a, b) => a > b),
+  };
+
+  const votes = new Map();
+  [suggestions.silhouette, suggestions.elbow, suggestions.gap].forEach(k => {
+    if (k !== null) votes.set(k, (votes.get(k) || 0) + 1);
+  });
+  const maxVotes = Math.max(...votes.values());
+  const suggestedK = votes.get(suggestions.silhouette) === maxVotes
+    ? suggestions.silhouette
+    : [...votes.keys()].find(k => votes.get(k) === maxVotes);
+
+  return { method, sampleSize: n, rows, suggestions, suggestedK };
+}
@@ -0,0 +1,299 @@
+/**
+ * Community Detection Module
+ * Finds the communities that formed in the connection graph (Louvain, label propagation)
+ * and compares them with the value-space clusters of the agents (NMI, ARI).
+ */
+
+import { buildAdjacency, modularity } from './networkMetrics.js';
+import { createRandom } from './random.js';
+
+/**
+ * Available community detection methods
+ */
+export const COMMUNITY_METHODS = [
+  { id: 'louvain', name: 'Louvain (максимизация модулярности)' },
+  { id: 'label_propagation', name: 'Распространение меток' },
+];
+
+/**
+ * Random permutation of 0..n-1 (Fisher–Yates)
+ */
+function shuffledOrder(n, rng) {
+  const order = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * Renumber labels to 0..k-1 by decreasing community size (ties by first appearance)
+ */
+function relabelBySize(labels) {
+  const sizes = new Map();
+  labels.forEach(label => sizes.set(label, (sizes.get(label) || 0) + 1));
+  const ranking = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a));
+  const index = new Map(ranking.map((label, rank) => [label, rank]));
+  return labels.map(label => index.get(label));
+}
+
+/**
+ * Local moving phase of Louvain on an aggregated graph
+ * @returns {Array|null} - Community per node, or null when no node moved
+ */
+function louvainLevel(graph, resolution, rng) {
+  const { neighbours, selfLoops } = graph;
+  const n = neighbours.length;
+  const degree = neighbours.map((list, i) =>
+    list.reduce((sum, [, weight]) => sum + weight, 2 * selfLoops[i])
+  );
+  const twiceTotal = degree.reduce((sum, value) => sum + value, 0);
+  if (twiceTotal === 0) return null;
+
+  const community = Array.from({ length: n }, (_, i) => i);
+  const communityDegree = [...degree];
+  let movedAny = false;
+  let moved = true;
+
+  while (moved) {
+    moved = false;
+    for (const i of shuffledOrder(n, rng)) {
+      const current = community[i];
+      const links = new Map();
+      neighbours[i].forEach(([j, weight]) => {
+        links.set(community[j], (links.get(community[j]) || 0) + weight);
+      });
+
+      communityDegree[current] -= degree[i];
+      const gain = (target) =>
+        (links.get(target) || 0) - (resolution * communityDegree[target] * degree[i]) / twiceTotal;
+
+      let best = current;
+      let bestGain = gain(current);
+      links.forEach((_, target) => {
+        const candidate = gain(target);
+        if (candidate > bestGain + 1e-12) {
+          best = target;
+          bestGain = candidate;
+        }
+      });
+
+      communityDegree[best] += degree[i];
+      if (best !== current) {
+        community[i] = best;
+        moved = true;
+        movedAny = true;
+      }
+    }
+  }
+
+  return movedAny ? community : null;
+}
+
+/**
+ * Collapse the communities of a level into the nodes of the next level
+ */
+function aggregateGraph(graph, community) {
+  const ids = new Map();
+  community.forEach(label => {
+    if (!ids.has(label)) ids.set(label, ids.size);
+  });
+
+  const size = ids.size;
+  const selfLoops = new Array(size).fill(0);
+  const weights = Array.from({ length: size }, () => new Map());
+
+  graph.neighbours.forEach((list, i) => {
+    const a = ids.get(community[i]);
+    selfLoops[a] += graph.selfLoops[i];
+    list.forEach(([j, weight]) => {
+      if (j < i) return;
+      const b = ids.get(community[j]);
+      if (a === b) {
+        selfLoops[a] += weight;
+      } else {
+        weights[a].set(b, (weights[a].get(b) || 0) + weight);
+        weights[b].set(a, (weights[b].get(a) || 0) + weight);
+      }
+    });
+  });
+
+  return {
+    graph: { neighbours: weights.map(map => [...map.entries()]), selfLoops },
+    mapping: community.map(label => ids.get(label)),
+  };
+}
+
+/**
+ * Louvain community detection (Blondel et al., 2008)
+ * @param {Array|Object} connections - Connection data (see connectionStore.js)
+ * @param {Object} options - { threshold, weighted = true, resolution = 1, rng }
+ * @returns {Array} - Community label per node (0 = largest community)
+ */
+export function louvainCommunities(connections, { threshold = 0, weighted = true, resolution = 1, rng = createRandom(0) } = {}) {
+  const adjacency = buildAdjacency(connections, threshold);
+  let graph = {
+    neighbours: adjacency.map(list => list.map(([j, strength]) => [j, weighted ? strength : 1])),
+    selfLoops: new Array(adjacency.length).fill(0),
+  };
+  let labels = Array.from({ length: adjacency.length }, (_, i) => i);
+
+  for (;;) {
+    const community = louvainLevel(graph, resolution, rng);
+    if (!community) break;
+    const next = aggregateGraph(graph, community);
+    labels = labels.map(node => next.mapping[node]);
+    graph = next.graph;
+  }
+
+  return relabelBySize(labels);
+}
+
+/**
+ * Asynchronous label propagation (Raghavan et al., 2007): every node takes the label with the
+ * largest total tie strength among its neighbours until no label changes
+ * @param {Array|Object} connections - Connection data
+ * @param {Object} options - { threshold, weighted = true, maxIterations = 100, rng }
+ * @returns {Array} - Community label per node (0 = largest community)
+ */
+export function labelPropagationCommunities(connections, { threshold = 0, weighted = true, maxIterations = 100, rng = createRandom(0) } = {}) {
+  const adjacency = buildAdjacency(connections, threshold);
+  const labels = Array.from({ length: adjacency.length }, (_, i) => i);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false;
+
+    for (const i of shuffledOrder(adjacency.length, rng)) {
+      if (adjacency[i].length === 0) continue;
+
+      const scores = new Map();
+      adjacency[i].forEach(([j, strength]) => {
+        scores.set(labels[j], (scores.get(labels[j]) || 0) + (weighted ? strength : 1));
+      });
+
+      const bestScore = Math.max(...scores.values());
+      // Текущая метка сохраняется, если она среди лучших; иначе — случайная из лучших
+      if (scores.get(labels[i]) === bestScore) continue;
+      const candidates = [...scores.keys()].filter(label => scores.get(label) === bestScore);
+      labels[i] = candidates[Math.floor(rng() * candidates.length)];
+      changed = true;
+    }
+
+    if (!changed) break;
+  }
+
+  return relabelBySize(labels);
+}
+
+/**
+ * Run a community detection method
+ * @param {Array|Object} connections - Connection data
+ * @param {string} method - Id from COMMUNITY_METHODS
+ * @param {Object} options - { threshold, weighted, seed } plus the options of the method
+ * @returns {Object} - { labels, count, modularity }
+ */
+export function detectCommunities(connections, method = 'louvain', options = {}) {
+  const { seed = 0, ...rest } = options;
+  const methodOptions = { rng: createRandom(seed), ...rest };
+
+  let labels;
+  if (method === 'louvain') {
+    labels = louvainCommunities(connections, methodOptions);
+  } else if (method === 'label_propagation') {
+    labels = labelPropagationCommunities(connections, methodOptions);
+  } else {
+    throw new Error(`Unknown community detection method "${method}"`);
+  }
+
+  return {
+    labels,
+    count: labels.reduce((max, label) => Math.max(max, label + 1), 0),
+    modularity: modularity(connections, labels, { threshold: rest.threshold, weighted: rest.weighted ?? true }),
+  };
+}
+
+/**
+ * Contingency table of two labelings
+ * @returns {Object} - { cells: [{ count, row, column }], rows: Map label -> count, columns: Map label -> count }
+ */
+function contingency(a, b) {
+  const cells = new Map();
+  const rows = new Map();
+  const columns = new Map();
+  a.forEach((label, i) => {
+    const key = `${label}\u0000${b[i]}`;
+    if (!cells.has(key)) cells.set(key, { count: 0, row: label, column: b[i] });
+    cells.get(key).count++;
+    rows.set(label, (rows.get(label) || 0) + 1);
+    columns.set(b[i], (columns.get(b[i]) || 0) + 1);
+  });
+  return { cells: [...cells.values()], rows, columns };
+}
+
+function entropy(counts, n) {
+  let sum = 0;
+  counts.forEach(count => { sum -= (count / n) * Math.log(count / n); });
+  return sum;
+}
+
+/**
+ * Normalized mutual information of two partitions (arithmetic normalization:
+ * 2·I(A;B) / (H(A) + H(B))); 1 for identical partitions up to renaming
+ * @param {Array} a - Label per node
+ * @param {Array} b - Label per node
+ * @returns {number} - NMI in [0, 1]
+ */
+export function normalizedMutualInformation(a, b) {
+  const n = a.length;
+  if (n === 0) return 1;
+
+  const { cells, rows, columns } = contingency(a, b);
+  const rowEntropy = entropy(rows, n);
+  const columnEntropy = entropy(columns, n);
+  if (rowEntropy === 0 && columnEntropy === 0) return 1;
+
+  const mutualInformation = cells.reduce((sum, { count, row, column }) =>
+    sum + (count / n) * Math.log((count * n) / (rows.get(row) * columns.get(column))), 0);
+
+  return Math.max(0, Math.min(1, (2 * mutualInformation) / (rowEntropy + columnEntropy)));
+}
+
+/**
+ * Adjusted Rand index of two partitions (Hubert & Arabie): 1 for identical partitions,
+ * about 0 for independent ones, negative below chance
+ * @param {Array} a - Label per node
+ * @param {Array} b - Label per node
+ * @returns {number} - ARI
+ */
+export function adjustedRandIndex(a, b) {
+  const n = a.length;
+  const pairs = (count) => (count * (count - 1)) / 2;
+  const { cells, rows, columns } = contingency(a, b);
+
+  const index = cells.reduce((sum, { count }) => sum + pairs(count), 0);
+  const rowPairs = [...rows.values()].reduce((sum, count) => sum + pairs(count), 0);
+  const columnPairs = [...columns.values()].reduce((sum, count) => sum + pairs(count), 0);
+  const totalPairs = pairs(n);
+  if (totalPairs === 0) return 1;
+
+  const expected = (rowPairs * columnPairs) / totalPairs;
+  const maximum = (rowPairs + columnPairs) / 2;
+  // Обе разбивки тривиальны (все в одном сообществе или все поодиночке)
+  if (maximum === expected) return 1;
+  return (index - expected) / (maximum - expected);
+}
+
+/**
+ * Compare detected communities with the value-space clusters of the agents
+ * @param {Array} labels - Community label per agent
+ * @param {Array} agents - Agents (agent.cluster is the reference partition)
+ * @returns {Object} - { nmi, ari }
+ */
+export function compareWithClusters(labels, agents) {
+  const clusters = agents.map(agent => agent.cluster);
+  return {
+    nmi: normalizedMutualInformation(labels, clusters),
+    ari: adjustedRandIndex(labels, clusters),
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * Connection Store Module
+ * Shared interface over the symmetric tie-strength data of a simulation run.
+ *
+ * Two storage formats are supported:
+ * - dense: the classic N×N array of arrays (runs up to DENSE_STORE_LIMIT agents);
+ * - sparse: { format: 'sparse', size, indices, weights } with, per agent, the sorted indices of
+ *   its nonzero ties and their strengths. Only nonzero ties are kept, so memory grows with the
+ *   number of ties rather than N². Plain arrays keep it usable in a Web Worker, IndexedDB and JSON.
+ *
+ * The simulation, analytics and exports access both formats through asConnectionStore().
+ */
+
+/**
+ * Largest agent count that gets a dense matrix in 'auto' mode
+ */
+export const DENSE_STORE_LIMIT = 2000;
+
+/**
+ * Largest expected number of initial ties per agent for sparse runs (see validateParams)
+ */
+export const MAX_SPARSE_INITIAL_DEGREE = 200;
+
+/**
+ * Check whether connection data uses the sparse format
+ */
+export function isSparseConnections(connections) {
+  return connections?.format === 'sparse';
+}
+
+/**
+ * Create empty connection data for N agents
+ * @param {number} N - Number of agents
+ * @param {string} format - 'dense', 'sparse' or 'auto' (dense up to DENSE_STORE_LIMIT agents)
+ * @returns {Array|Object} - Dense matrix or sparse connection data
+ */
+export function createConnections(N, format = 'auto') {
+  const sparse = format === 'sparse' || (format === 'auto' && N > DENSE_STORE_LIMIT);
+  if (sparse) {
+    return {
+      format: 'sparse',
+      size: N,
+      indices: Array.from({ length: N }, () => []),
+      weights: Array.from({ length: N }, () => []),
+    };
+  }
+  return Array(N).fill().map(() => Array(N).fill(0));
+}
+
+/**
+ * Position of value in a sorted array (first index with array[index] >= value)
+ */
+function lowerBound(array, value) {
+  let low = 0;
+  let high = array.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (array[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+function createDenseStore(matrix) {
+  const N = matrix.length;
+
+  const forEachNeighbour = (i, callback) => {
+    const row = matrix[i];
+    for (let j = 0; j < N; j++) {
+      if (j !== i && row[j] > 0) callback(j, row[j]);
+    }
+  };
+
+  return {
+    format: 'dense',
+    size: N,
+    data: matrix,
+    get: (i, j) => matrix[i][j],
+    set(i, j, value) {
+      matrix[i][j] = matrix[j][i] = value;
+    },
+    forEachNeighbour,
+    forEachEdge(callback) {
+      for (let i = 0; i < N; i++) {
+        const row = matrix[i];
+        for (let j = i + 1; j < N; j++) {
+          if (row[j] > 0) callback(i, j, row[j]);
+        }
+      }
+    },
+    row: (i) => [...matrix[i]],
+    clone: () => matrix.map(row => [...row]),
+  };
+}
+
+function createSparseStore(data) {
+  const { size: N, indices, weights } = data;
+
+  const setHalf = (i, j, value) => {
+    const rowIndices = indices[i];
+    const position = lowerBound(rowIndices, j);
+    const exists = rowIndices[position] === j;
+
+    if (value === 0) {
+      if (exists) {
+        rowIndices.splice(position, 1);
+        weights[i].splice(position, 1);
+      }
+    } else if (exists) {
+      weights[i][position] = value;
+    } else {
+      rowIndices.splice(position, 0, j);
+      weights[i].splice(position, 0, value);
+    }
+  };
+
+  const forEachNeighbour = (i, callback) => {
+    const rowIndices = indices[i];
+    const rowWeights = weights[i];
+    for (let k = 0; k < rowIndices.length; k++) {
+      callback(rowIndices[k], rowWeights[k]);
+    }
+  };
+
+  return {
+    format: 'sparse',
+    size: N,
+    data,
+    get(i, j) {
+      const rowIndices = indices[i];
+      const position = lowerBound(rowIndices, j);
+      return rowIndices[position] === j ? weights[i][position] : 0;
+    },
+    set(i, j, value) {
+      setHalf(i, j, value);
+      setHalf(j, i, value);
+    },
+    forEachNeighbour,
+    forEachEdge(callback) {
+      for (let i = 0; i < N; i++) {
+        const rowIndices = indices[i];
+        const rowWeights = weights[i];
+        // Индексы отсортированы: пары i < j начинаются после позиции i
+        for (let k = lowerBound(rowIndices, i + 1); k < rowIndices.length; k++) {
+          callback(i, rowIndices[k], rowWeights[k]);
+        }
+      }
+    },
+    row(i) {
+      const row = Array(N).fill(0);
+      forEachNeighbour(i, (j, value) => { row[j] = value; });
+      return row;
+    },
+    clone: () => ({
+      format: 'sparse',
+      size: N,
+      indices: indices.map(row => [...row]),
+      weights: weights.map(row => [...row]),
+    }),
+  };
+}
+
+/**
+ * Wrap connection data (dense matrix or sparse data) in the shared store interface.
+ * Stores are returned as they are.
+ * @param {Array|Object} connections - Connection data or a store
+ * @returns {Object} - { format, size, data, get(i, j), set(i, j, value), forEachNeighbour(i, fn(j, w)),
+ *   neighbours(i), degree(i, minStrength), forEachEdge(fn(i, j, w)), edgeCount(minStrength), row(i), clone() }
+ *   forEachNeighbour/forEachEdge visit only nonzero ties; forEachEdge visits each pair once with i < j
+ */
+export function asConnectionStore(connections) {
+  if (typeof connections?.get === 'function') return connections;
+
+  const store = isSparseConnections(connections) ? createSparseStore(connections) : createDenseStore(connections);
+
+  store.neighbours = (i) => {
+    const list = [];
+    store.forEachNeighbour(i, (j, value) => list.push([j, value]));
+    return list;
+  };
+
+  store.degree = (i, minStrength = 0) => {
+    let degree = 0;
+    store.forEachNeighbour(i, (j, value) => {
+      if (value >= minStrength) degree++;
+    });
+    return degree;
+  };
+
+  store.edgeCount = (minStrength = 0) => {
+    let count = 0;
+    store.forEachEdge((i, j, value) => {
+      if (value >= minStrength) count++;
+    });
+    return count;
+  };
+
+  return store;
+}
+
+/**
+ * Copy connection data into the sparse format (nonzero ties only, strengths kept exactly)
+ * @param {Array|Object} connections - Connection data or a store
+ * @returns {Object} - Sparse connection data
+ */
+export function toSparseConnections(connections) {
+  const store = asConnectionStore(connections);
+  if (store.format === 'sparse') return store.clone();
+
+  const sparse = createConnections(store.size, 'sparse');
+  for (let i = 0; i < store.size; i++) {
+    // Соседи перебираются по возрастанию индекса, поэтому строки сразу отсортированы
+    store.forEachNeighbour(i, (j, value) => {
+      sparse.indices[i].push(j);
+      sparse.weights[i].push(value);
+    });
+  }
+  return sparse;
+}
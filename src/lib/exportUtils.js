@@ -1,8 +1,12 @@
 // Утилиты для экспорта результатов симуляции
 
-// Экспорт матрицы связей в CSV
+import { resolveModelParams, resolveThresholds } from './simulationConfig.js';
+import { asConnectionStore } from './connectionStore.js';
+
+// Экспорт матрицы связей в CSV (N×N; для больших разреженных сетей см. exportConnectionEdges)
 export function exportConnectionMatrix(connections, symmetric = true) {
-  const N = connections.length;
+  const store = asConnectionStore(connections);
+  const N = store.size;
   let csvContent = '';
   
   // Заголовок
@@ -11,20 +15,56 @@ export function exportConnectionMatrix(connections, symmetric = true) {
   // Данные
   for (let i = 0; i < N; i++) {
     const row = [`Agent_${i}`];
-    for (let j = 0; j < N; j++) {
+    store.row(i).forEach(strength => {
       if (symmetric) {
-        row.push(connections[i][j].toFixed(4));
+        row.push(strength.toFixed(4));
       } else {
         // Асимметричная матрица - можно добавить логику для направленных связей
-        row.push(connections[i][j].toFixed(4));
+        row.push(strength.toFixed(4));
       }
-    }
+    });
     csvContent += row.join(',') + '\n';
   }
   
   return csvContent;
 }
 
+// Экспорт списка связей в CSV (source,target,strength; каждая пара один раз)
+export function exportConnectionEdges(connections, minStrength = 0) {
+  const store = asConnectionStore(connections);
+  const lines = ['source,target,strength'];
+  
+  store.forEachEdge((i, j, strength) => {
+    if (strength >= minStrength) {
+      lines.push(`${i},${j},${strength.toFixed(4)}`);
+    }
+  });
+  
+  return lines.join('\n') + '\n';
+}
+
+// Входные данные прогона, которые полный экспорт хранит рядом с параметрами: загруженные векторы,
+// атрибуты и роли агентов из CSV, распределения атрибутов по кластерам и настройки ролей. Импорт такого файла повторяет прогон
+export const RUN_INPUT_KEYS = [
+  'uploadedAgents',
+  'uploadedTopics',
+  'uploadedTopicNames',
+  'uploadedAgentAttributes',
+  'agentAttributeSettings',
+  'uploadedAgentRoles',
+  'roleSettings',
+];
+
+// Входные данные прогона для полного экспорта (отсутствующие — null)
+export function exportRunInputs(inputs = {}) {
+  return Object.fromEntries(RUN_INPUT_KEYS.map(key => [key, inputs[key] ?? null]));
+}
+
+// Входные данные прогона из импортируемого файла: только те, что в нем есть
+export function importRunInputs(data = {}) {
+  return Object.fromEntries(RUN_INPUT_KEYS.filter(key => key in data).map(key => [key, data[key]]));
+}
+
 // Экспорт настроек модели в JSON
 export function exportModelSettings(parameters, agentCount, vectorDimension, clusterCount) {
   const settings = {
@@ -34,9 +74,12 @@ export function exportModelSettings(parameters, agentCount, vectorDimension, clu
       vectorDimension: vectorDimension,
       clusterCount: clusterCount,
       cycles: parameters.cycles,
-      threshold: parameters.threshold,
-      scenario: parameters.scenario
+      ...resolveThresholds(parameters),
+      recalculateClustersAfter: parameters.recalculateClustersAfter ?? 0,
+      scenario: parameters.scenario,
+      seed: parameters.seed ?? null
     },
+    modelCoefficients: resolveModelParams(parameters),
     fileSettings: {
       agentVectorsLoaded: !!parameters.agentVectorsFile,
       topicVectorsLoaded: !!parameters.topicVectorsFile,
@@ -49,9 +92,17 @@ export function exportModelSettings(parameters, agentCount, vectorDimension, clu
 }
 
 // Экспорт сводки результатов в CSV
-export function exportSimulationSummary(agents, connections, parameters, threshold) {
+// threshold — порог связи (по умолчанию edgeThreshold из параметров), сильные связи — от strongTieThreshold
+export function exportSimulationSummary(agents, connections, parameters, threshold = resolveThresholds(parameters).edgeThreshold) {
+  const { agreementTolerance, strongTieThreshold } = resolveThresholds(parameters);
+  const store = asConnectionStore(connections);
+  const connectionStrengths = [];
+  store.forEachEdge((i, j, strength) => {
+    if (strength >= threshold) connectionStrengths.push(strength);
+  });
+  
   const totalAgents = agents.length;
-  const totalConnections = connections.flat().filter(strength => strength >= threshold).length / 2; // деление на 2 из-за симметричности
+  const totalConnections = connectionStrengths.length;
   const connectionDensity = (totalConnections / (totalAgents * (totalAgents - 1) / 2) * 100);
   
   // Анализ по кластерам
@@ -63,17 +114,15 @@ export function exportSimulationSummary(agents, connections, parameters, thresho
     let internalConnections = 0;
     let externalConnections = 0;
     
-    for (let i = 0; i < agents.length; i++) {
-      for (let j = i + 1; j < agents.length; j++) {
-        if (connections[i][j] >= threshold) {
-          if (agents[i].cluster === c && agents[j].cluster === c) {
-            internalConnections++;
-          } else if (agents[i].cluster === c || agents[j].cluster === c) {
-            externalConnections++;
-          }
+    store.forEachEdge((i, j, strength) => {
+      if (strength >= threshold) {
+        if (agents[i].cluster === c && agents[j].cluster === c) {
+          internalConnections++;
+        } else if (agents[i].cluster === c || agents[j].cluster === c) {
+          externalConnections++;
         }
       }
-    }
+    });
     
     clusterStats[c] = {
       agentCount: clusterAgents.length,
@@ -83,9 +132,8 @@ export function exportSimulationSummary(agents, connections, parameters, thresho
   }
   
   // Анализ силы связей
-  const connectionStrengths = connections.flat().filter(s => s >= threshold);
   const avgStrength = connectionStrengths.reduce((sum, s) => sum + s, 0) / connectionStrengths.length || 0;
-  const strongConnections = connectionStrengths.filter(s => s > 0.7).length;
+  const strongConnections = connectionStrengths.filter(s => s >= strongTieThreshold).length;
   const weakConnections = connectionStrengths.filter(s => s < 0.4).length;
   
   let csvContent = 'Metric,Value\n';
@@ -94,11 +142,13 @@ export function exportSimulationSummary(agents, connections, parameters, thresho
   csvContent += `Total Connections,${totalConnections}\n`;
   csvContent += `Connection Density (%),${connectionDensity.toFixed(2)}\n`;
   csvContent += `Average Connection Strength,${avgStrength.toFixed(4)}\n`;
-  csvContent += `Strong Connections (>0.7),${strongConnections}\n`;
+  csvContent += `Strong Connections (>=${strongTieThreshold}),${strongConnections}\n`;
   csvContent += `Weak Connections (<0.4),${weakConnections}\n`;
   csvContent += `Scenario,${parameters.scenario}\n`;
   csvContent += `Cycles,${parameters.cycles}\n`;
-  csvContent += `Threshold,${parameters.threshold}\n`;
+  csvContent += `Agreement Tolerance,${agreementTolerance}\n`;
+  csvContent += `Edge Threshold,${threshold}\n`;
+  csvContent += `Strong Tie Threshold,${strongTieThreshold}\n`;
   csvContent += `Vector Dimension,${agents[0]?.values?.length || 'N/A'}\n`;
   
   // Добавляем статистику по кластерам
@@ -112,12 +162,21 @@ export function exportSimulationSummary(agents, connections, parameters, thresho
   return csvContent;
 }
 
-// Экспорт данных графа для внешних инструментов
-export function exportGraphData(nodes, links, format = 'gexf') {
+// Экспорт данных графа для внешних инструментов.
+// positions (Map id -> { x, y }, координаты экрана) сохраняют раскладку: ось y переворачивается,
+// так как в Gephi она направлена вверх
+export function exportGraphData(nodes, links, format = 'gexf', { positions = null } = {}) {
+  const positionOf = (id) => {
+    const position = positions?.get(id);
+    return position && Number.isFinite(position.x) && Number.isFinite(position.y)
+      ? { x: +position.x.toFixed(2), y: +(-position.y).toFixed(2) }
+      : null;
+  };
+
   if (format === 'gexf') {
-    return exportToGEXF(nodes, links);
+    return exportToGEXF(nodes, links, positionOf);
   } else if (format === 'graphml') {
-    return exportToGraphML(nodes, links);
+    return exportToGraphML(nodes, links, positionOf);
   } else if (format === 'json') {
     return JSON.stringify({ nodes, links }, null, 2);
   }
@@ -126,9 +185,9 @@ export function exportGraphData(nodes, links, format = 'gexf') {
 }
 
 // Экспорт в формат GEXF (для Gephi)
-function exportToGEXF(nodes, links) {
+function exportToGEXF(nodes, links, positionOf) {
   let gexf = `<?xml version="1.0" encoding="UTF-8"?>
-<gexf xmlns="http://www.gexf.net/1.2draft" version="1.2">
+<gexf xmlns="http://www.gexf.net/1.2draft" xmlns:viz="http://www.gexf.net/1.2draft/viz" version="1.2">
   <meta lastmodifieddate="${new Date().toISOString()}">
     <creator>Agent Network Visualizer</creator>
     <description>Agent-based modeling network export</description>
@@ -146,6 +205,7 @@ function exportToGEXF(nodes, links) {
   nodes.forEach(node => {
     const clusterColors = ['#3B82F6', '#EF4444', '#10B981']; // синий, красный, зеленый
     const color = clusterColors[node.cluster] || '#6B7280';
+    const position = positionOf(node.id);
     
     gexf += `
       <node id="${node.id}" label="Agent ${node.id}">
@@ -154,7 +214,8 @@ function exportToGEXF(nodes, links) {
           <attvalue for="1" value="${node.degree}"/>
         </attvalues>
         <viz:color r="${parseInt(color.slice(1,3), 16)}" g="${parseInt(color.slice(3,5), 16)}" b="${parseInt(color.slice(5,7), 16)}"/>
-        <viz:size value="${Math.max(5, node.degree * 2)}"/>
+        <viz:size value="${Math.max(5, node.degree * 2)}"/>${position ? `
+        <viz:position x="${position.x}" y="${position.y}" z="0.0"/>` : ''}
       </node>`;
   });
 
@@ -180,7 +241,7 @@ function exportToGEXF(nodes, links) {
 }
 
 // Экспорт в формат GraphML
-function exportToGraphML(nodes, links) {
+function exportToGraphML(nodes, links, positionOf) {
   let graphml = `<?xml version="1.0" encoding="UTF-8"?>
 <graphml xmlns="http://graphml.graphdrawing.org/xmlns"
          xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
@@ -188,14 +249,19 @@ function exportToGraphML(nodes, links) {
          http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">
   <key id="cluster" for="node" attr.name="cluster" attr.type="int"/>
   <key id="degree" for="node" attr.name="degree" attr.type="int"/>
+  <key id="x" for="node" attr.name="x" attr.type="float"/>
+  <key id="y" for="node" attr.name="y" attr.type="float"/>
   <key id="strength" for="edge" attr.name="strength" attr.type="double"/>
   <graph id="G" edgedefault="undirected">`;
 
   nodes.forEach(node => {
+    const position = positionOf(node.id);
     graphml += `
     <node id="${node.id}">
       <data key="cluster">${node.cluster}</data>
-      <data key="degree">${node.degree}</data>
+      <data key="degree">${node.degree}</data>${position ? `
+      <data key="x">${position.x}</data>
+      <data key="y">${position.y}</data>` : ''}
     </node>`;
   });
 
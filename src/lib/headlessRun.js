@@ -0,0 +1,177 @@
+/**
+ * Headless Run Module
+ * Turns scenario files into pipeline configs and simulation results into output files.
+ * Used by the `anv` command line runner (bin/anv.js) and batch scripts.
+ */
+
+import { createConfig, getSettingsFileParams } from './simulationConfig.js';
+import { createRandom, resolveSeed } from './random.js';
+import { isSparseConnections } from './connectionStore.js';
+import {
+  exportConnectionMatrix,
+  exportConnectionEdges,
+  exportModelSettings,
+  exportSimulationSummary,
+  exportGraphData,
+} from './exportUtils.js';
+import { historyToTimeSeries } from './simulationHistory.js';
+import { normalizeTopicSettings } from './topicAgenda.js';
+import { exportClusterLineage, exportClusterMigrations } from './clusterLineage.js';
+
+/**
+ * Build opinion settings from the app format ({ clusterOpinions, customMatrix }) or
+ * the template format ({ initialDistribution, opinionRange }).
+ * Template distributions mirror the opinion distributions of EnhancedScenarioManager.
+ */
+function normalizeOpinionSettings(opinionSettings = {}, numClusters, numTopics, seed) {
+  if (opinionSettings.clusterOpinions || opinionSettings.customMatrix) {
+    return {
+      clusterOpinions: opinionSettings.clusterOpinions || {},
+      customMatrix: opinionSettings.customMatrix || null,
+    };
+  }
+
+  // Отдельный поток случайных чисел, чтобы не сдвигать последовательность самой симуляции
+  const rng = createRandom(seed ^ 0x9E3779B9);
+  const { min = -1, max = 1 } = opinionSettings.opinionRange || {};
+  const clamp = value => Math.max(min, Math.min(max, value));
+
+  const clusterOpinions = {};
+  for (let cluster = 0; cluster < numClusters; cluster++) {
+    clusterOpinions[cluster] = Array.from({ length: numTopics }, () => {
+      switch (opinionSettings.initialDistribution) {
+        case 'random':
+          return min + rng() * (max - min);
+        case 'normal':
+          return clamp((rng() - 0.5) * 0.4);
+        case 'bimodal':
+          return clamp(rng() > 0.5 ? 0.7 : -0.7);
+        case 'cluster_based':
+          return clamp(numClusters > 1 ? (cluster / (numClusters - 1)) * 2 - 1 : 0);
+        default:
+          return 0;
+      }
+    });
+  }
+
+  return { clusterOpinions, customMatrix: null };
+}
+
+/**
+ * Convert a scenario file (templates/scenario_template.json, a scenario exported from the
+ * scenario manager, a full results export or model_settings.json) into a simulation pipeline config.
+ * Files without a scenario or a parameter block are rejected (an empty object means no file).
+ * @param {Object} data - Parsed scenario JSON
+ * @param {Object} options - { overrides: simulation params from the command line, uploadedAgents, uploadedTopics, uploadedTopicNames,
+ *   uploadedAgentAttributes, uploadedAgentRoles }; per-cluster attribute distributions are read from data.agentAttributeSettings,
+ *   role counts and agendas from data.roleSettings. Without uploaded vectors in the options the vectors, attributes and roles
+ *   stored in a full results export are used (see exportRunInputs)
+ * @returns {Object} - Config for executeSimulation with a resolved seed
+ */
+export function scenarioFileToConfig(data = {}, options = {}) {
+  const { overrides = {} } = options;
+
+  // Полный экспорт хранит входные данные прогона; векторы из опций CLI заменяют их вместе с данными строк CSV
+  const agentSource = options.uploadedAgents ? options : data;
+  const topicSource = options.uploadedTopics ? options : data;
+  const uploadedAgents = agentSource.uploadedAgents ?? null;
+  const uploadedAgentAttributes = agentSource.uploadedAgentAttributes ?? null;
+  const uploadedAgentRoles = agentSource.uploadedAgentRoles ?? null;
+  const uploadedTopics = topicSource.uploadedTopics ?? null;
+  const uploadedTopicNames = topicSource.uploadedTopicNames ?? null;
+
+  // Поля scenario.config управляют моделью; явные параметры файла и опции CLI их переопределяют
+  const fileParams = getSettingsFileParams(data);
+  if (!fileParams && Object.keys(data).length > 0) {
+    throw new Error('Файл не содержит параметров симуляции (scenario, simulationParams, parameters или modelParameters)');
+  }
+  const params = { ...fileParams, ...overrides };
+
+  // Загруженные векторы задают число агентов и размерность, как в интерфейсе
+  if (uploadedAgents) {
+    params.agentCount = uploadedAgents.length;
+    params.vectorDimension = uploadedAgents[0]?.length || params.vectorDimension;
+  }
+
+  const config = createConfig(params);
+  if (!config.validation.valid) {
+    throw new Error(`Некорректные параметры симуляции: ${config.validation.errors.join('; ')}`);
+  }
+
+  const simulationParams = { ...config.params, seed: resolveSeed(config.params.seed) };
+  const topicSettings = normalizeTopicSettings(uploadedTopics ? { topicCount: uploadedTopics.length } : data.topicSettings);
+  const opinionSettings = normalizeOpinionSettings(
+    data.opinionSettings,
+    simulationParams.numClusters,
+    topicSettings.numTopics,
+    simulationParams.seed
+  );
+
+  return {
+    simulationParams,
+    topicSettings,
+    opinionSettings,
+    uploadedAgents,
+    uploadedTopics,
+    uploadedTopicNames,
+    uploadedAgentAttributes,
+    agentAttributeSettings: data.agentAttributeSettings || null,
+    uploadedAgentRoles,
+    roleSettings: data.roleSettings || null,
+    scenario: data.scenario || null,
+  };
+}
+
+/**
+ * Render the results of executeSimulation into output files
+ * @param {Object} run - Result of executeSimulation
+ * @param {Object} config - Config produced by scenarioFileToConfig
+ * @param {Object} sources - { agentsFile, topicsFile } names of the input CSVs (for model settings)
+ * @returns {Object} - Map of file name -> file content
+ */
+export function createRunArtifacts(run, config, sources = {}) {
+  const { simulationParams } = config;
+  const { simulationResult, vizData, report, agentData, seed } = run;
+  const { agents, connections } = simulationResult;
+
+  const settings = {
+    ...simulationParams,
+    seed,
+    agentVectorsFile: sources.agentsFile ? { name: sources.agentsFile } : null,
+    topicVectorsFile: sources.topicsFile ? { name: sources.topicsFile } : null,
+  };
+
+  // Для разреженных (больших) сетей матрица N×N заменяется списком связей
+  const connectionFile = isSparseConnections(connections)
+    ? { 'connection_edges.csv': exportConnectionEdges(connections) }
+    : { 'connection_matrix.csv': exportConnectionMatrix(connections) };
+
+  const files = {
+    ...connectionFile,
+    'network.gexf': exportGraphData(vizData.nodes, vizData.links, 'gexf'),
+    'network.graphml': exportGraphData(vizData.nodes, vizData.links, 'graphml'),
+    'simulation_report.md': report,
+    'simulation_summary.csv': exportSimulationSummary(agents, connections, simulationParams),
+    'model_settings.json': exportModelSettings(
+      settings,
+      agents.length,
+      agents[0]?.values?.length || simulationParams.vectorDimension,
+      agentData.clusterCenters.length
+    ),
+  };
+
+  if (simulationResult.history) {
+    const rows = historyToTimeSeries(simulationResult.history, run.topics);
+    const headers = Object.keys(rows[0] || {});
+    files['simulation_history.csv'] = [headers, ...rows.map(row => headers.map(h => row[h]))]
+      .map(row => row.join(','))
+      .join('\n') + '\n';
+  }
+
+  if (simulationResult.clusterEvents?.length > 0) {
+    files['cluster_lineage.csv'] = exportClusterLineage(simulationResult.clusterEvents);
+    files['cluster_migrations.csv'] = exportClusterMigrations(simulationResult.clusterEvents);
+  }
+
+  return files;
+}
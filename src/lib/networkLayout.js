@@ -0,0 +1,118 @@
+/**
+ * Network Layout Module
+ * Deterministic node positions for the network views: pinned by the PCA projection of agent
+ * values, circular by cluster, or a saved layout reused across runs.
+ */
+
+import { pcaProjection } from './valueProjection.js';
+
+/**
+ * Layout modes of the network views; all but 'force' pin the nodes
+ */
+export const LAYOUT_MODES = [
+  { id: 'force', name: 'Силовая' },
+  { id: 'pca', name: 'По ценностям (PCA)' },
+  { id: 'circular', name: 'По кругу по кластерам' },
+  { id: 'saved', name: 'Сохраненная' },
+];
+
+/**
+ * Scale points uniformly (one factor for both axes) and center them in a width×height box
+ * @param {Array} points - [x, y] per point
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {number} margin - Free border
+ * @returns {Array} - { x, y } per point
+ */
+export function fitToBox(points, width, height, margin = 40) {
+  if (points.length === 0) return [];
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const spanX = maxX - minX;
+  const spanY = maxY - minY;
+  const scale = Math.min(
+    spanX > 0 ? (width - 2 * margin) / spanX : Infinity,
+    spanY > 0 ? (height - 2 * margin) / spanY : Infinity
+  );
+  const factor = Number.isFinite(scale) ? scale : 0;
+
+  return points.map(([x, y]) => ({
+    x: width / 2 + (x - (minX + maxX) / 2) * factor,
+    y: height / 2 + (y - (minY + maxY) / 2) * factor,
+  }));
+}
+
+/**
+ * Positions from the first two principal components of the node values
+ * @param {Array} nodes - Nodes with id and values
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {Object} options - { margin = 40 }
+ * @returns {Map} - Node id -> { x, y }
+ */
+export function pcaLayout(nodes, width, height, { margin = 40 } = {}) {
+  const { points } = pcaProjection(nodes.map(node => node.values));
+  // Вторая компонента откладывается вверх, как на диаграмме проекции
+  const positions = fitToBox(points.map(([x, y]) => [x, -y]), width, height, margin);
+  return new Map(nodes.map((node, i) => [node.id, positions[i]]));
+}
+
+/**
+ * One ring ordered by group, with an empty slot between groups
+ * @param {Array} nodes - Nodes with id
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {Object} options - { groupOf(node, index) (default node.cluster), margin = 40 }
+ * @returns {Map} - Node id -> { x, y }
+ */
+export function circularLayout(nodes, width, height, { groupOf = node => node.cluster, margin = 40 } = {}) {
+  const order = nodes
+    .map((node, index) => ({ node, group: groupOf(node, index) }))
+    .sort((a, b) => a.group - b.group || a.node.id - b.node.id);
+  const groups = new Set(order.map(item => item.group)).size;
+  const slots = order.length + (groups > 1 ? groups : 0);
+  const radius = Math.max(0, Math.min(width, height) / 2 - margin);
+  const positions = new Map();
+
+  let slot = 0;
+  order.forEach((item, i) => {
+    if (i > 0 && item.group !== order[i - 1].group) slot++;
+    const angle = (2 * Math.PI * slot) / Math.max(1, slots) - Math.PI / 2;
+    positions.set(item.node.id, { x: width / 2 + radius * Math.cos(angle), y: height / 2 + radius * Math.sin(angle) });
+    slot++;
+  });
+
+  return positions;
+}
+
+/**
+ * Layout as JSON for localStorage or a file
+ * @param {Map} positions - Node id -> { x, y }
+ * @returns {string}
+ */
+export function serializeLayout(positions) {
+  return JSON.stringify({
+    version: 1,
+    positions: [...positions].map(([id, { x, y }]) => [id, Math.round(x * 100) / 100, Math.round(y * 100) / 100]),
+  });
+}
+
+/**
+ * Parse a layout saved by serializeLayout
+ * @param {string} text - JSON text
+ * @returns {Map} - Node id -> { x, y }
+ */
+export function parseLayout(text) {
+  let layout;
+  try {
+    layout = JSON.parse(text);
+  } catch {
+    throw new Error('Invalid layout file');
+  }
+  if (layout?.version !== 1 || !Array.isArray(layout.positions) ||
+      !layout.positions.every(entry => Array.isArray(entry) && entry.length === 3 && entry.every(Number.isFinite))) {
+    throw new Error('Invalid layout file');
+  }
+  return new Map(layout.positions.map(([id, x, y]) => [id, { x, y }]));
+}
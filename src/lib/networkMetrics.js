@@ -0,0 +1,452 @@
+/**
+ * Network Metrics Module
+ * Graph metrics of the agent network shared by the analytics, cluster and AI analysis screens.
+ *
+ * All functions take connection data (dense matrix, sparse data or a store, see connectionStore.js)
+ * and options { threshold, weighted }:
+ * - threshold: a tie counts as an edge when its strength is positive and at least threshold;
+ * - weighted: use tie strengths as weights. For path-based metrics (shortest paths, closeness,
+ *   betweenness) the length of an edge is then 1 / strength, so strong ties are short.
+ */
+
+import { asConnectionStore } from './connectionStore.js';
+
+/**
+ * Largest network for which computeNetworkMetrics uses every node as a path source;
+ * larger networks estimate betweenness and closeness from evenly spaced sample sources
+ */
+export const EXACT_PATH_METRICS_LIMIT = 2000;
+
+/**
+ * Number of sample sources for path-based metrics of large networks
+ */
+const PATH_METRICS_SAMPLE_SIZE = 200;
+
+/**
+ * Neighbour lists [[j, strength]] (ascending j) of the edges that pass the threshold
+ * @param {Array|Object} connections - Connection data
+ * @param {number} threshold - Minimal edge strength
+ * @returns {Array} - Neighbour list per node
+ */
+export function buildAdjacency(connections, threshold = 0) {
+  const store = asConnectionStore(connections);
+  return Array.from({ length: store.size }, (_, i) =>
+    store.neighbours(i).filter(([, strength]) => strength >= threshold)
+  );
+}
+
+function edgeLength(strength, weighted) {
+  return weighted ? 1 / strength : 1;
+}
+
+/**
+ * Binary min-heap of [priority, node] pairs for Dijkstra
+ */
+function createMinHeap() {
+  const items = [];
+
+  const swap = (a, b) => {
+    [items[a], items[b]] = [items[b], items[a]];
+  };
+
+  return {
+    get size() {
+      return items.length;
+    },
+    push(priority, node) {
+      items.push([priority, node]);
+      let index = items.length - 1;
+      while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (items[parent][0] <= items[index][0]) break;
+        swap(parent, index);
+        index = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let index = 0;
+        for (;;) {
+          const left = 2 * index + 1;
+          const right = left + 1;
+          let smallest = index;
+          if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+          if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+          if (smallest === index) break;
+          swap(smallest, index);
+          index = smallest;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+/**
+ * Single-source shortest paths (BFS or Dijkstra) with the path counts needed by Brandes' algorithm
+ * @returns {Object} - { distance, sigma, predecessors, order } where order lists the reached
+ *   nodes by non-decreasing distance
+ */
+function shortestPathsFrom(adjacency, source, weighted) {
+  const n = adjacency.length;
+  const distance = new Array(n).fill(Infinity);
+  const sigma = new Array(n).fill(0);
+  const predecessors = Array.from({ length: n }, () => []);
+  const order = [];
+
+  distance[source] = 0;
+  sigma[source] = 1;
+
+  if (!weighted) {
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      order.push(v);
+      for (const [w] of adjacency[v]) {
+        if (distance[w] === Infinity) {
+          distance[w] = distance[v] + 1;
+          queue.push(w);
+        }
+        if (distance[w] === distance[v] + 1) {
+          sigma[w] += sigma[v];
+          predecessors[w].push(v);
+        }
+      }
+    }
+    return { distance, sigma, predecessors, order };
+  }
+
+  const settled = new Array(n).fill(false);
+  const heap = createMinHeap();
+  heap.push(0, source);
+
+  while (heap.size > 0) {
+    const [d, v] = heap.pop();
+    if (settled[v] || d > distance[v]) continue;
+    settled[v] = true;
+    order.push(v);
+
+    for (const [w, strength] of adjacency[v]) {
+      const candidate = d + edgeLength(strength, true);
+      if (candidate < distance[w]) {
+        distance[w] = candidate;
+        sigma[w] = sigma[v];
+        predecessors[w] = [v];
+        heap.push(candidate, w);
+      } else if (candidate === distance[w] && !settled[w]) {
+        sigma[w] += sigma[v];
+        predecessors[w].push(v);
+      }
+    }
+  }
+
+  return { distance, sigma, predecessors, order };
+}
+
+/**
+ * Path sources: every node, the given list, or evenly spaced samples
+ */
+function resolveSources(n, sources) {
+  if (Array.isArray(sources)) return sources;
+  if (typeof sources === 'number' && sources < n) {
+    return Array.from({ length: sources }, (_, k) => Math.floor((k * n) / sources));
+  }
+  return Array.from({ length: n }, (_, i) => i);
+}
+
+/**
+ * Share of node pairs connected by an edge
+ * @param {Array|Object} connections - Connection data
+ * @param {Object} options - { threshold }
+ * @returns {number} - Density in [0, 1]
+ */
+export function networkDensity(connections, { threshold = 0 } = {}) {
+  const store = asConnectionStore(connections);
+  const possibleEdges = (store.size * (store.size - 1)) / 2;
+  return possibleEdges > 0 ? store.edgeCount(threshold) / possibleEdges : 0;
+}
+
+/**
+ * Degree (number of edges) or strength (sum of edge weights) of every node
+ * @param {Array|Object} connections - Connection data
+ * @param {Object} options - { threshold, weighted }
+ * @returns {Array} - Value per node
+ */
+export function degreeCentrality(connections, { threshold = 0, weighted = false } = {}) {
+  return buildAdjacency(connections, threshold).map(neighbours =>
+    weighted ? neighbours.reduce((sum, [, strength]) => sum + strength, 0) : neighbours.length
+  );
+}
+
+/**
+ * Betweenness centrality by Brandes' algorithm
+ * @param {Array|Object} connections - Connection data
+ * @param {Object} options - { threshold, weighted, normalized = true, sources }
+ *   normalized scales by 2 / ((n - 1)(n - 2)); sources is a list of source nodes or a sample size
+ *   (the result is then rescaled to estimate the exact value)
+ * @returns {Array} - Betweenness per node
+ */
+export function betweennessCentrality(connections, { threshold = 0, weighted = false, normalized = true, sources } = {}) {
+  const adjacency = buildAdjacency(connections, threshold);
+  const n = adjacency.length;
+  const sourceList = resolveSources(n, sources);
+  const betweenness = new Array(n).fill(0);
+
+  sourceList.forEach(s => {
+    const { sigma, predecessors, order } = shortestPathsFrom(adjacency, s, weighted);
+    const delta = new Array(n).fill(0);
+
+    for (let k = order.length - 1; k >= 0; k--) {
+      const w = order[k];
+      for (const v of predecessors[w]) {
+        delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      }
+      if (w !== s) betweenness[w] += delta[w];
+    }
+  });
+
+  // Каждая пара учитывается с обеих сторон; выборка источников масштабируется до полной
+  const scale = (sourceList.length > 0 ? n / sourceList.length : 0) / 2;
+  const normalization = normalized && n > 2 ? 2 / ((n - 1) * (n - 2)) : 1;
+  return betweenness.map(value => value * scale * normalization);
+}
+
+/**
+ * Closeness centrality: reachable nodes / total distance to them (0 for isolated nodes)
+ * @param {Array|Object} connections - Connection data
+ * @param {Object} options - { threshold, weighted, sources }
+ *   with sources, distances are taken only to those nodes
+ * @returns {Array} - Closeness per node
+ */
+export function closenessCentrality(connections, { threshold = 0, weighted = false, sources } = {}) {
+  const adjacency = buildAdjacency(connections, threshold);
+  const n = adjacency.length;
+  const totalDistance = new Array(n).fill(0);
+  const reachable = new Array(n).fill(0);
+
+  // Граф неориентированный: расстояния от источника совпадают с расстояниями до него
+  resolveSources(n, sources).forEach(s => {
+    const { distance, order } = shortestPathsFrom(adjacency, s, weighted);
+    order.forEach(v => {
+      if (v === s) return;
+      totalDistance[v] += distance[v];
+      reachable[v]++;
+    });
+  });
+
+  return totalDistance.map((total, i) => (reachable[i] > 0 ? reachable[i] / total : 0));
+}
+
+/**
+ * Shortest-path distances from one node (Infinity for unreachable nodes)
+ * @param {Array|Object} connections - Connection data
+ * @param {number} source - Source node
+ * @param {Object} options - { threshold, weighted }
+ * @returns {Array} - Distance per node
+ */
+export function shortestPathLengths(connections, source, { threshold = 0, weighted = false } = {}) {
+  return shortestPathsFrom(buildAdjacency(connections, threshold), source, weighted).distance;
+}
+
+/**
+ * One shortest path between two nodes
+ * @param {Array|Object} connections - Connection data
+ * @param {number} source - Start node
+ * @param {number} target - End node
+ * @param {Object} options - { threshold, weighted }
+ * @returns {Object} - { path, distance }; path is empty and distance Infinity without a path
+ */
+export function shortestPath(connections, source, target, { threshold = 0, weighted = false } = {}) {
+  const { distance, predecessors } = shortestPathsFrom(buildAdjacency(connections, threshold), source, weighted);
+  if (distance[target] === Infinity) return { path: [], distance: Infinity };
+
+  const path = [target];
+  while (path[0] !== source) {
+    path.unshift(predecessors[path[0]][0]);
+  }
+  return { path, distance: distance[target] };
+}
+
+/**
+ * Local clustering coefficient of every node (0 for nodes with fewer than two neighbours).
+ * The weighted variant is Onnela's: the geometric mean of the triangle weights,
+ * scaled by the strongest edge.
+ * @param {Array|Object} connections - Connection data
+ * @param {Object} options - { threshold, weighted }
+ * @returns {Array} - Coefficient per node
+ */
+export function localClustering(connections, { threshold = 0, weighted = false } = {}) {
+  const adjacency = buildAdjacency(connections, threshold);
+  const n = adjacency.length;
+  const maxWeight = weighted
+    ? adjacency.reduce((max, neighbours) => neighbours.reduce((m, [, strength]) => Math.max(m, strength), max), 0)
+    : 1;
+  const weightTo = new Array(n).fill(0);
+
+  return adjacency.map((neighbours) => {
+    const k = neighbours.length;
+    if (k < 2) return 0;
+
+    neighbours.forEach(([j, strength]) => { weightTo[j] = weighted ? strength / maxWeight : 1; });
+
+    let triangles = 0;
+    neighbours.forEach(([j]) => {
+      for (const [l, strength] of adjacency[j]) {
+        if (l > j && weightTo[l] > 0) {
+          triangles += weighted ? Math.cbrt(weightTo[j] * weightTo[l] * (strength / maxWeight)) : 1;
+        }
+      }
+    });
+
+    neighbours.forEach(([j]) => { weightTo[j] = 0; });
+    return triangles / ((k * (k - 1)) / 2);
+  });
+}
+
+/**
+ * Average clustering coefficient over all nodes
+ * @param {Array|Object} connections - Connection data
+ * @param {Object} options - { threshold, weighted }
+ * @returns {number} - Mean local clustering
+ */
+export function averageClustering(connections, options = {}) {
+  const local = localClustering(connections, options);
+  return local.length > 0 ? local.reduce((sum, value) => sum + value, 0) / local.length : 0;
+}
+
+/**
+ * Newman's modularity of a partition
+ * @param {Array|Object} connections - Connection data
+ * @param {Array} communities - Community label per node (e.g. agent.cluster)
+ * @param {Object} options - { threshold, weighted }
+ * @returns {number} - Modularity (0 for a network without edges)
+ */
+export function modularity(connections, communities, { threshold = 0, weighted = false } = {}) {
+  const adjacency = buildAdjacency(connections, threshold);
+  const internal = new Map();
+  const degreeSum = new Map();
+  let totalWeight = 0;
+
+  adjacency.forEach((neighbours, i) => {
+    const label = communities[i];
+    neighbours.forEach(([j, strength]) => {
+      const weight = weighted ? strength : 1;
+      degreeSum.set(label, (degreeSum.get(label) || 0) + weight);
+      if (j > i) {
+        totalWeight += weight;
+        if (communities[j] === label) internal.set(label, (internal.get(label) || 0) + weight);
+      }
+    });
+  });
+
+  if (totalWeight === 0) return 0;
+
+  let q = 0;
+  degreeSum.forEach((degree, label) => {
+    const share = degree / (2 * totalWeight);
+    q += (internal.get(label) || 0) / totalWeight - share * share;
+  });
+  return q;
+}
+
+/**
+ * Connected components in order of discovery
+ * @param {Array|Object} connections - Connection data
+ * @param {Object} options - { threshold }
+ * @returns {Array} - Arrays of node indices
+ */
+export function connectedComponents(connections, { threshold = 0 } = {}) {
+  const adjacency = buildAdjacency(connections, threshold);
+  const visited = new Array(adjacency.length).fill(false);
+  const components = [];
+
+  for (let start = 0; start < adjacency.length; start++) {
+    if (visited[start]) continue;
+    visited[start] = true;
+    const component = [start];
+    for (let head = 0; head < component.length; head++) {
+      for (const [w] of adjacency[component[head]]) {
+        if (!visited[w]) {
+          visited[w] = true;
+          component.push(w);
+        }
+      }
+    }
+    components.push(component);
+  }
+
+  return components;
+}
+
+/**
+ * Edge counts and density per community
+ * @param {Array|Object} connections - Connection data
+ * @param {Array} communities - Community label per node
+ * @param {Object} options - { threshold }
+ * @returns {Object} - label -> { size, internalEdges, externalEdges, internalStrength, density }
+ */
+export function communityStatistics(connections, communities, { threshold = 0 } = {}) {
+  const stats = {};
+  const entry = (label) => {
+    if (!stats[label]) {
+      stats[label] = { size: 0, internalEdges: 0, externalEdges: 0, internalStrength: 0, density: 0 };
+    }
+    return stats[label];
+  };
+
+  communities.forEach(label => { entry(label).size++; });
+
+  asConnectionStore(connections).forEachEdge((i, j, strength) => {
+    if (strength < threshold) return;
+    if (communities[i] === communities[j]) {
+      entry(communities[i]).internalEdges++;
+      entry(communities[i]).internalStrength += strength;
+    } else {
+      entry(communities[i]).externalEdges++;
+      entry(communities[j]).externalEdges++;
+    }
+  });
+
+  Object.values(stats).forEach(entryStats => {
+    const pairs = (entryStats.size * (entryStats.size - 1)) / 2;
+    entryStats.density = pairs > 0 ? entryStats.internalEdges / pairs : 0;
+  });
+
+  return stats;
+}
+
+/**
+ * Summary metrics of a network as shown on the analytics screens
+ * @param {Array|Object} connections - Connection data
+ * @param {Array} agents - Agents (agent.cluster is the partition for modularity)
+ * @param {Object} options - { threshold, weighted }
+ * @returns {Object} - { nodeCount, edgeCount, density, averageDegree, degreeCentrality,
+ *   betweennessCentrality, closenessCentrality, clusteringCoefficient, modularity,
+ *   connectedComponents, largestComponent }
+ */
+export function computeNetworkMetrics(connections, agents, options = {}) {
+  const { threshold = 0, weighted = false } = options;
+  const edgeOptions = { threshold, weighted };
+  const nodeCount = agents.length;
+  const edgeCount = asConnectionStore(connections).edgeCount(threshold);
+  const possibleEdges = (nodeCount * (nodeCount - 1)) / 2;
+  const sources = nodeCount > EXACT_PATH_METRICS_LIMIT ? PATH_METRICS_SAMPLE_SIZE : undefined;
+  const components = connectedComponents(connections, edgeOptions);
+
+  return {
+    nodeCount,
+    edgeCount,
+    density: possibleEdges > 0 ? edgeCount / possibleEdges : 0,
+    averageDegree: nodeCount > 0 ? (edgeCount * 2) / nodeCount : 0,
+    degreeCentrality: degreeCentrality(connections, { threshold }),
+    betweennessCentrality: betweennessCentrality(connections, { ...edgeOptions, sources }),
+    closenessCentrality: closenessCentrality(connections, { ...edgeOptions, sources }),
+    clusteringCoefficient: averageClustering(connections, edgeOptions),
+    modularity: modularity(connections, agents.map(agent => agent.cluster), edgeOptions),
+    connectedComponents: components,
+    largestComponent: components.reduce((max, component) => Math.max(max, component.length), 0),
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Opinion Dynamics Module
+ * Opinion-update rules applied by runSimulation after each successful interaction
+ */
+
+import { cosineSimilarity } from './agentSimulation.js';
+import { asConnectionStore } from './connectionStore.js';
+import { getAgentAttribute } from './agentAttributes.js';
+import { hasFixedOpinions } from './agentRoles.js';
+
+/**
+ * Get the opinion of an agent on a topic: the stored one or the value-based fallback
+ */
+export function getAgentOpinion(agent, topic) {
+  const stored = agent.opinions?.[topic.id];
+  if (typeof stored === 'number') return stored;
+  return Math.max(-1, Math.min(1, cosineSimilarity(agent.values, topic.vector)));
+}
+
+/**
+ * Opinion an agent brings to a conversation on a topic: its stored opinion blended with the
+ * value-based one (cosine of its values and the topic vector); without a stored opinion only the latter
+ * @param {Object} agent - Agent with values and optional opinions
+ * @param {Object} topic - Topic with id and vector
+ * @param {number} valueWeight - Share of the value-based opinion (0 = stored opinion only, 1 = values only)
+ * @returns {number} - Opinion on the [-1, 1] scale
+ */
+export function getInteractionOpinion(agent, topic, valueWeight) {
+  const stored = agent.opinions?.[topic.id];
+  if (typeof stored !== 'number') return cosineSimilarity(agent.values, topic.vector);
+  if (valueWeight <= 0) return stored;
+  return (1 - valueWeight) * stored + valueWeight * cosineSimilarity(agent.values, topic.vector);
+}
+
+/**
+ * Influence weights of one agent of the interacting pair.
+ * Each rule returns [[sourceIndex, weight]]: the agent moves towards a source with a positive
+ * weight and away from it with a negative one. The rates of opinionChangeRate/valueChangeRate
+ * are applied on top of these weights.
+ *
+ * Arguments: (self, partner, opinions, connections, confidenceBound), where opinions(k) is the
+ * opinion of agent k on the discussed topic (computed lazily), self/partner are agent indices and
+ * connections is a connection store (see connectionStore.js).
+ */
+const RULES = {
+  // DeGroot: усреднение с партнером с весом, равным силе связи
+  degroot: (self, partner, opinions, connections) => [[partner, connections.get(self, partner)]],
+
+  // Deffuant: сближение только при разнице мнений меньше порога доверия
+  deffuant: (self, partner, opinions, connections, confidenceBound) =>
+    Math.abs(opinions(partner) - opinions(self)) < confidenceBound ? [[partner, 1]] : [],
+
+  // Hegselmann–Krause: сдвиг к среднему (с весами связей) соседей в пределах порога доверия
+  hegselmann_krause: (self, partner, opinions, connections, confidenceBound) => {
+    const own = opinions(self);
+    const neighbours = [];
+    let totalWeight = 1; // собственное мнение входит в среднее с весом 1
+
+    connections.forEachNeighbour(self, (k, strength) => {
+      if (Math.abs(opinions(k) - own) < confidenceBound) {
+        neighbours.push([k, strength]);
+        totalWeight += strength;
+      }
+    });
+
+    return neighbours.map(([k, weight]) => [k, weight / totalWeight]);
+  },
+
+  // Отталкивание (backfire): близкие мнения сближаются, далекие расходятся
+  repulsive: (self, partner, opinions, connections, confidenceBound) =>
+    [[partner, Math.abs(opinions(partner) - opinions(self)) < confidenceBound ? 1 : -1]],
+};
+
+export const OPINION_RULE_IDS = Object.keys(RULES);
+
+/**
+ * Shift a value vector by weighted differences to the source vectors and renormalize it
+ */
+function shiftValues(values, sources, rate) {
+  const shifted = [...values];
+  sources.forEach(([source, weight]) => {
+    for (let d = 0; d < shifted.length; d++) {
+      shifted[d] += rate * weight * (source[d] - values[d]);
+    }
+  });
+
+  const magnitude = Math.sqrt(shifted.reduce((sum, v) => sum + v * v, 0));
+  return magnitude > 0 ? shifted.map(v => v / magnitude) : values;
+}
+
+/**
+ * Apply an opinion-update rule to the interacting pair (i, j) on a topic.
+ * Both agents update from the state before the interaction; opinions are clamped to [-1, 1],
+ * value vectors stay normalized. Missing stored opinions are initialized from the values.
+ * Source weights are scaled by the source's influence attribute and each agent's shift by
+ * 1 - its stubbornness (see agentAttributes.js). Zealots, bots and media keep their opinions and values
+ * but still influence the partner (see agentRoles.js).
+ * @param {Array} agents - Agents (mutated in place)
+ * @param {number} i - Index of the first agent
+ * @param {number} j - Index of the second agent
+ * @param {Object} topic - Discussed topic
+ * @param {Array|Object} connections - Current connection data or store
+ * @param {Object} model - { opinionRule, opinionChangeRate, valueChangeRate, confidenceBound }
+ */
+export function applyOpinionUpdate(agents, i, j, topic, connections, model) {
+  const rule = RULES[model.opinionRule];
+  if (!rule) {
+    throw new Error(`Unknown opinion rule "${model.opinionRule}"`);
+  }
+
+  const store = asConnectionStore(connections);
+  const cache = new Map();
+  const opinions = (k) => {
+    if (!cache.has(k)) cache.set(k, getAgentOpinion(agents[k], topic));
+    return cache.get(k);
+  };
+
+  const updates = [i, j].map(self => {
+    const partner = self === i ? j : i;
+    // Вес источника умножается на его влияние, сдвиг агента — на долю, не удержанную упрямством
+    const weights = rule(self, partner, opinions, store, model.confidenceBound)
+      .map(([k, weight]) => [k, weight * getAgentAttribute(agents[k], 'influence')]);
+    const receptiveness = 1 - getAgentAttribute(agents[self], 'stubbornness');
+
+    const own = opinions(self);
+    const opinionShift = weights.reduce((sum, [k, weight]) => sum + weight * (opinions(k) - own), 0);
+    const opinion = Math.max(-1, Math.min(1, own + model.opinionChangeRate * receptiveness * opinionShift));
+
+    const values = model.valueChangeRate > 0 && weights.length > 0 && receptiveness > 0
+      ? shiftValues(agents[self].values, weights.map(([k, weight]) => [agents[k].values, weight]), model.valueChangeRate * receptiveness)
+      : agents[self].values;
+
+    return { self, opinion, values };
+  });
+
+  updates.forEach(({ self, opinion, values }) => {
+    const agent = agents[self];
+    if (hasFixedOpinions(agent)) return;
+    if (!agent.opinions) agent.opinions = {};
+    agent.opinions[topic.id] = opinion;
+    agent.values = values;
+  });
+}
+
+/**
+ * Copy the current opinions and value vectors of the agents
+ * @param {Array} agents - Agents
+ * @returns {Object} - { opinions, values } indexed like agents
+ */
+export function snapshotOpinionState(agents) {
+  return {
+    opinions: agents.map(agent => ({ ...agent.opinions })),
+    values: agents.map(agent => [...agent.values]),
+  };
+}
+
+/**
+ * Summarize how opinions and values changed during a run
+ * @param {Array} agents - Agents after the run
+ * @param {Object} initialState - Result of snapshotOpinionState before the run
+ * @param {Array} topics - Topics
+ * @returns {Object|null} - { meanShift, maxShift, changedShare, valueDrift, perTopic } or null without an initial state
+ */
+export function summarizeOpinionChange(agents, initialState, topics) {
+  if (!initialState || agents.length === 0 || topics.length === 0) return null;
+
+  let shiftSum = 0;
+  let maxShift = 0;
+  let changed = 0;
+  let driftSum = 0;
+  const perTopic = topics.map(topic => ({ topicId: topic.id, initialMean: 0, finalMean: 0 }));
+
+  agents.forEach((agent, index) => {
+    const initialValues = initialState.values?.[index] || agent.values;
+    const initialAgent = { values: initialValues, opinions: initialState.opinions[index] };
+
+    topics.forEach((topic, t) => {
+      const before = getAgentOpinion(initialAgent, topic);
+      const after = getAgentOpinion(agent, topic);
+      const shift = Math.abs(after - before);
+
+      shiftSum += shift;
+      maxShift = Math.max(maxShift, shift);
+      if (shift > 1e-9) changed++;
+      perTopic[t].initialMean += before / agents.length;
+      perTopic[t].finalMean += after / agents.length;
+    });
+
+    driftSum += 1 - cosineSimilarity(initialValues, agent.values);
+  });
+
+  const count = agents.length * topics.length;
+  return {
+    meanShift: shiftSum / count,
+    maxShift,
+    changedShare: changed / count,
+    valueDrift: driftSum / agents.length,
+    perTopic,
+  };
+}
@@ -0,0 +1,362 @@
+/**
+ * Parameter Sweep Module
+ * Runs the model over grids of simulation parameters with replicates and
+ * summarizes network metrics with confidence intervals.
+ */
+
+import { PARAM_CONSTRAINTS, resolveThresholds } from './simulationConfig.js';
+import { executeSimulation } from './simulationPipeline.js';
+import { getAgentOpinion } from './opinionDynamics.js';
+import { normalizeSeed } from './random.js';
+import { asConnectionStore } from './connectionStore.js';
+import { modularity } from './networkMetrics.js';
+
+/**
+ * Parameters that are not model parameters and cannot be swept
+ * (the strong-tie cutoff does not enter any sweep metric)
+ */
+const NON_SWEEPABLE_PARAMS = ['seed', 'historyInterval', 'strongTieThreshold'];
+
+/**
+ * Parameters available for sweeps (every key of PARAM_CONSTRAINTS except run settings)
+ */
+export const SWEEPABLE_PARAMS = Object.keys(PARAM_CONSTRAINTS).filter(
+  key => !NON_SWEEPABLE_PARAMS.includes(key)
+);
+
+/**
+ * Axes that set several parameters at once: the single tie threshold of older scenarios
+ * and sweep specs stands for both the agreement tolerance and the edge threshold
+ */
+const AXIS_ALIASES = {
+  threshold: ['agreementTolerance', 'edgeThreshold'],
+};
+
+/**
+ * Parameters set by an axis
+ */
+function axisParams(param) {
+  return AXIS_ALIASES[param] || [param];
+}
+
+/**
+ * Simulation params of a grid point with the aliases replaced by the parameters they set
+ */
+function expandSweepPoint(point) {
+  return Object.fromEntries(
+    Object.entries(point).flatMap(([param, value]) => axisParams(param).map(key => [key, value]))
+  );
+}
+
+/**
+ * Metrics collected for every run
+ */
+export const SWEEP_METRICS = [
+  { key: 'density', label: 'Плотность сети' },
+  { key: 'modularity', label: 'Модулярность' },
+  { key: 'interClusterShare', label: 'Доля межкластерных связей' },
+  { key: 'polarization', label: 'Поляризация мнений' },
+];
+
+/**
+ * Two-sided 95% Student t quantiles for 1..30 degrees of freedom
+ */
+const T_QUANTILES_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+/**
+ * Round a swept value to the step of its parameter
+ */
+function roundToStep(value, step) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  return Number((Math.round(value / step) * step).toFixed(decimals));
+}
+
+/**
+ * Expand an axis definition into the list of parameter values
+ * @param {Object} axis - { param, values } or { param, from, to, steps }; param may be an alias
+ *   (`threshold` sets agreementTolerance and edgeThreshold)
+ * @returns {Array<number>} - Distinct values inside PARAM_CONSTRAINTS[param] (for an alias, inside the
+ *   constraints of every parameter it sets)
+ */
+export function expandAxis(axis) {
+  const targets = axisParams(axis.param);
+  if (!targets.every(param => SWEEPABLE_PARAMS.includes(param))) {
+    throw new Error(`Параметр ${axis.param} нельзя варьировать`);
+  }
+
+  const constraints = targets.map(param => PARAM_CONSTRAINTS[param]);
+  const min = Math.max(...constraints.map(constraint => constraint.min));
+  const max = Math.min(...constraints.map(constraint => constraint.max));
+  const step = Math.min(...constraints.map(constraint => constraint.step));
+  let values;
+
+  if (Array.isArray(axis.values)) {
+    values = axis.values.map(Number);
+  } else {
+    const steps = Math.max(1, Math.floor(axis.steps ?? 2));
+    const from = Number(axis.from);
+    const to = Number(axis.to);
+    values = steps === 1
+      ? [from]
+      : Array.from({ length: steps }, (_, i) => from + ((to - from) * i) / (steps - 1));
+  }
+
+  values.forEach(value => {
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${axis.param}: значение ${value} вне диапазона [${min}, ${max}]`);
+    }
+  });
+
+  const rounded = values.map(value => roundToStep(value, step));
+  return [...new Set(rounded)];
+}
+
+/**
+ * Parse a command line axis spec: `param=from:to:steps` or `param=v1,v2,...`
+ * @param {string} spec - Axis spec, e.g. `agreementTolerance=0.1:0.9:5` or `cycles=10,20,50`
+ * @returns {Object} - Axis definition (see expandAxis)
+ */
+export function parseAxisSpec(spec) {
+  const match = /^(\w+)=(.+)$/.exec(String(spec).trim());
+  if (!match) {
+    throw new Error(`Некорректное описание оси: ${spec}`);
+  }
+
+  const [, param, range] = match;
+  if (range.includes(':')) {
+    const [from, to, steps = 5] = range.split(':').map(Number);
+    return { param, from, to, steps };
+  }
+
+  return { param, values: range.split(',').map(Number) };
+}
+
+/**
+ * Build the cartesian grid of parameter points
+ * @param {Array<Object>} axes - Axis definitions (see expandAxis)
+ * @returns {Array<Object>} - [{ param: value, ... }]
+ */
+export function buildSweepGrid(axes) {
+  const params = axes.flatMap(axis => axisParams(axis.param));
+  if (new Set(params).size !== params.length) {
+    throw new Error('Каждый параметр можно варьировать только по одной оси');
+  }
+
+  return axes.reduce(
+    (points, axis) => points.flatMap(point => expandAxis(axis).map(value => ({ ...point, [axis.param]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Compute the sweep metrics of a finished run
+ * @param {Array} agents - Agents after the simulation
+ * @param {Array|Object} connections - Connection data (matrix or sparse, see connectionStore.js)
+ * @param {Array} topics - Topics of the run
+ * @param {number} threshold - Strength at which a tie counts as an edge
+ * @returns {Object} - { density, modularity, interClusterShare, polarization }
+ */
+export function computeRunMetrics(agents, connections, topics, threshold) {
+  const N = agents.length;
+  const pairCount = (N * (N - 1)) / 2;
+
+  let edgeCount = 0;
+  let interClusterEdges = 0;
+
+  asConnectionStore(connections).forEachEdge((i, j, weight) => {
+    if (weight < threshold) return;
+
+    edgeCount++;
+    if (agents[i].cluster !== agents[j].cluster) {
+      interClusterEdges++;
+    }
+  });
+
+  return {
+    density: pairCount > 0 ? edgeCount / pairCount : 0,
+    // Взвешенная модулярность Ньюмана для разбиения по кластерам агентов
+    modularity: modularity(connections, agents.map(agent => agent.cluster), { threshold, weighted: true }),
+    interClusterShare: edgeCount > 0 ? interClusterEdges / edgeCount : 0,
+    polarization: computePolarization(agents, topics),
+  };
+}
+
+/**
+ * Opinion polarization: mean absolute opinion distance over all agent pairs, averaged over
+ * topics (0 = full consensus, 1 = two equal opposite camps at -1 and 1)
+ */
+function computePolarization(agents, topics) {
+  const N = agents.length;
+  if (N < 2 || topics.length === 0) return 0;
+
+  const perTopic = topics.map(topic => {
+    const opinions = agents
+      .map(agent => getAgentOpinion(agent, topic))
+      .sort((a, b) => a - b);
+
+    // Сумма |x_i - x_j| по всем парам через отсортированный массив за O(N log N)
+    const pairwiseSum = opinions.reduce((sum, value, k) => sum + value * (2 * k - N + 1), 0);
+    return (2 * pairwiseSum) / (N * N);
+  });
+
+  return perTopic.reduce((sum, value) => sum + value, 0) / perTopic.length;
+}
+
+/**
+ * Summarize replicate values with the mean and a 95% confidence interval
+ * @param {Array<number>} values - Metric values of the replicates
+ * @returns {Object} - { mean, std, lower, upper, n }
+ */
+export function summarizeReplicates(values) {
+  const n = values.length;
+  if (n === 0) return { mean: 0, std: 0, lower: 0, upper: 0, n: 0 };
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  if (n === 1) return { mean, std: 0, lower: mean, upper: mean, n };
+
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1);
+  const std = Math.sqrt(variance);
+  const t = T_QUANTILES_95[n - 2] ?? 1.96;
+  const margin = (t * std) / Math.sqrt(n);
+
+  return { mean, std, lower: mean - margin, upper: mean + margin, n };
+}
+
+/**
+ * Run a parameter sweep.
+ * Replicate r of every point uses the seed baseSeed + r, so points are compared on
+ * the same random streams (common random numbers).
+ * @param {Object} baseConfig - Pipeline config (see buildSimulationInputs); swept params override simulationParams
+ * @param {Array<Object>} axes - Axis definitions (see expandAxis)
+ * @param {Object} options - { replicates, baseSeed, onProgress(done, total), control }
+ * @returns {Promise<Object|null>} - { axes, replicates, baseSeed, points: [{ params, runs, summary }] } or null when cancelled
+ */
+export async function runSweep(baseConfig, axes, options = {}) {
+  const { replicates = 3, baseSeed = 1, onProgress, control } = options;
+  const grid = buildSweepGrid(axes);
+  const total = grid.length * replicates;
+  const points = [];
+  let done = 0;
+
+  onProgress?.(0, total);
+
+  for (const point of grid) {
+    const runs = [];
+
+    for (let r = 0; r < replicates; r++) {
+      const simulationParams = {
+        ...baseConfig.simulationParams,
+        ...expandSweepPoint(point),
+        seed: normalizeSeed(baseSeed + r),
+        historyInterval: 0,
+      };
+      if (simulationParams.numClusters > simulationParams.agentCount) {
+        simulationParams.numClusters = simulationParams.agentCount;
+      }
+      // Порог сильной связи в метриках не участвует: поднимаем его до перебираемого порога связи
+      const { edgeThreshold, strongTieThreshold } = resolveThresholds(simulationParams);
+      if (strongTieThreshold < edgeThreshold) {
+        simulationParams.strongTieThreshold = edgeThreshold;
+      }
+
+      const result = await executeSimulation({ ...baseConfig, simulationParams }, { control });
+      if (!result) return null;
+
+      const { agents, connections } = result.simulationResult;
+      runs.push({
+        seed: result.seed,
+        ...computeRunMetrics(agents, connections, result.topics, resolveThresholds(simulationParams).edgeThreshold),
+      });
+
+      done++;
+      onProgress?.(done, total);
+    }
+
+    const summary = {};
+    SWEEP_METRICS.forEach(({ key }) => {
+      summary[key] = summarizeReplicates(runs.map(run => run[key]));
+    });
+    points.push({ params: point, runs, summary });
+  }
+
+  return { axes, replicates, baseSeed, points };
+}
+
+/**
+ * Sensitivity of every metric to every swept parameter: the range of the metric means
+ * across the values of one parameter, averaging over all other parameters
+ * @param {Object} sweep - Result of runSweep
+ * @returns {Array<Object>} - [{ param, metric, min, max, range }] sorted by range
+ */
+export function computeSensitivity(sweep) {
+  const rows = [];
+
+  sweep.axes.forEach(({ param }) => {
+    const values = [...new Set(sweep.points.map(point => point.params[param]))];
+
+    SWEEP_METRICS.forEach(({ key }) => {
+      const means = values.map(value => {
+        const matching = sweep.points.filter(point => point.params[param] === value);
+        return matching.reduce((sum, point) => sum + point.summary[key].mean, 0) / matching.length;
+      });
+      const min = Math.min(...means);
+      const max = Math.max(...means);
+      rows.push({ param, metric: key, min, max, range: max - min });
+    });
+  });
+
+  return rows.sort((a, b) => b.range - a.range);
+}
+
+/**
+ * Export a sweep as CSV: one row per replicate run
+ * @param {Object} sweep - Result of runSweep
+ * @returns {string} - CSV content
+ */
+export function exportSweepCsv(sweep) {
+  const params = sweep.axes.map(axis => axis.param);
+  const metrics = SWEEP_METRICS.map(metric => metric.key);
+  const lines = [['point', ...params, 'replicate', 'seed', ...metrics].join(',')];
+
+  sweep.points.forEach((point, pointIndex) => {
+    point.runs.forEach((run, replicate) => {
+      lines.push([
+        pointIndex,
+        ...params.map(param => point.params[param]),
+        replicate,
+        run.seed,
+        ...metrics.map(metric => run[metric]),
+      ].join(','));
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Export the per-point summary of a sweep as CSV: mean and 95% CI of every metric
+ * @param {Object} sweep - Result of runSweep
+ * @returns {string} - CSV content
+ */
+export function exportSweepSummaryCsv(sweep) {
+  const params = sweep.axes.map(axis => axis.param);
+  const metricColumns = SWEEP_METRICS.flatMap(({ key }) => [`${key}_mean`, `${key}_lower`, `${key}_upper`]);
+  const lines = [[...params, 'replicates', ...metricColumns].join(',')];
+
+  sweep.points.forEach(point => {
+    lines.push([
+      ...params.map(param => point.params[param]),
+      point.runs.length,
+      ...SWEEP_METRICS.flatMap(({ key }) => {
+        const { mean, lower, upper } = point.summary[key];
+        return [mean, lower, upper];
+      }),
+    ].join(','));
+  });
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,110 @@
+/**
+ * Partner Selection Module
+ * Strategies that pick the interaction partner of an agent in runSimulation
+ */
+
+import { cosineSimilarity } from './agentSimulation.js';
+import { asConnectionStore, DENSE_STORE_LIMIT } from './connectionStore.js';
+
+/**
+ * Number of random candidates scored by the homophily strategy in sparse-size populations
+ */
+const HOMOPHILY_CANDIDATE_POOL = 256;
+
+/**
+ * Draw one of the candidates with probability proportional to its weight
+ * @param {Array} candidates - [[index, weight]]; nonpositive weights are never drawn
+ * @returns {number} - Drawn index or -1 when all weights are zero
+ */
+function sampleWeighted(candidates, rng) {
+  let total = 0;
+  candidates.forEach(([, weight]) => {
+    if (weight > 0) total += weight;
+  });
+  if (total <= 0) return -1;
+
+  let random = rng() * total;
+  let last = -1;
+  for (const [k, weight] of candidates) {
+    if (weight <= 0) continue;
+    random -= weight;
+    last = k;
+    if (random <= 0) return k;
+  }
+
+  // Погрешность округления: последний индекс с ненулевым весом
+  return last;
+}
+
+/**
+ * Strategies: (i, agents, connections, rng) => partner index or -1 when the strategy
+ * has no candidate (the caller then falls back to a uniform draw).
+ * connections is a connection store; neighbour lists come in ascending index order,
+ * so dense and sparse storage give the same draws.
+ */
+const STRATEGIES = {
+  uniform: (i, agents, connections, rng) => Math.floor(rng() * agents.length),
+
+  // Собеседник выбирается пропорционально силе текущей связи
+  neighbour: (i, agents, connections, rng) =>
+    sampleWeighted(connections.neighbours(i), rng),
+
+  // Сначала друг (по силе связи), затем его друг, с которым у агента еще слабая связь
+  friend_of_friend: (i, agents, connections, rng) => {
+    const friend = sampleWeighted(connections.neighbours(i), rng);
+    if (friend < 0) return -1;
+    const candidates = connections.neighbours(friend)
+      .filter(([k]) => k !== i)
+      .map(([k, strength]) => [k, strength * (1 - connections.get(i, k))]);
+    return sampleWeighted(candidates, rng);
+  },
+
+  // Собеседник выбирается пропорционально сходству ценностей (как в ленте рекомендаций);
+  // в больших популяциях — среди случайной выборки кандидатов
+  homophily: (i, agents, connections, rng) => {
+    const N = agents.length;
+    const candidates = [];
+    if (N > DENSE_STORE_LIMIT) {
+      for (let n = 0; n < HOMOPHILY_CANDIDATE_POOL; n++) {
+        const k = Math.floor(rng() * N);
+        if (k !== i) candidates.push([k, cosineSimilarity(agents[i].values, agents[k].values)]);
+      }
+    } else {
+      for (let k = 0; k < N; k++) {
+        if (k !== i) candidates.push([k, cosineSimilarity(agents[i].values, agents[k].values)]);
+      }
+    }
+    return sampleWeighted(candidates, rng);
+  },
+};
+
+export const PARTNER_STRATEGY_IDS = Object.keys(STRATEGIES);
+
+/**
+ * Pick the interaction partner of agent i.
+ * The uniform strategy draws exactly one random number, so the default model keeps the
+ * original pair sequence. The other strategies draw a uniform partner with probability
+ * partnerExploration and whenever they have no candidate.
+ * @param {number} i - Index of the initiating agent
+ * @param {Array} agents - Agents
+ * @param {Array|Object} connections - Current connection data or store
+ * @param {Object} model - { partnerSelection, partnerExploration }
+ * @param {Function} rng - Random number generator
+ * @returns {number} - Partner index (may equal i for uniform draws; the caller skips such pairs)
+ */
+export function selectPartner(i, agents, connections, model, rng) {
+  const strategy = STRATEGIES[model.partnerSelection];
+  if (!strategy) {
+    throw new Error(`Unknown partner selection strategy "${model.partnerSelection}"`);
+  }
+  if (strategy === STRATEGIES.uniform) {
+    return strategy(i, agents, connections, rng);
+  }
+
+  if (model.partnerExploration > 0 && rng() < model.partnerExploration) {
+    return STRATEGIES.uniform(i, agents, connections, rng);
+  }
+
+  const partner = strategy(i, agents, asConnectionStore(connections), rng);
+  return partner >= 0 ? partner : STRATEGIES.uniform(i, agents, connections, rng);
+}
@@ -0,0 +1,56 @@
+/**
+ * Random Number Generator Module
+ * Seedable PRNG shared by the whole simulation pipeline
+ */
+
+/**
+ * Largest seed value (seeds are unsigned 32-bit integers)
+ */
+export const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - Unsigned 32-bit integer seed
+ * @returns {Function} - Generator with the same contract as Math.random (floats in [0, 1))
+ */
+export function createRandom(seed) {
+  let state = normalizeSeed(seed);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a fresh random seed
+ * @returns {number} - Unsigned 32-bit integer seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Coerce an arbitrary value into a valid seed
+ * @param {number|string} seed - Seed value (numeric strings are accepted)
+ * @returns {number} - Unsigned 32-bit integer seed
+ */
+export function normalizeSeed(seed) {
+  const numeric = Number(seed);
+  if (!Number.isFinite(numeric)) {
+    throw new Error(`Invalid seed: ${seed}`);
+  }
+  return Math.trunc(numeric) >>> 0;
+}
+
+/**
+ * Resolve the seed for a run: use the configured one or draw a new one
+ * @param {number|null|undefined} seed - Configured seed (null/undefined means random)
+ * @returns {number} - Seed to record and use for the run
+ */
+export function resolveSeed(seed) {
+  return seed === null || seed === undefined || seed === '' ? generateSeed() : normalizeSeed(seed);
+}
@@ -0,0 +1,137 @@
+/**
+ * Replay Export Module
+ * Turns the replay frames of a run (see historyFrames in simulationHistory.js) into an animated
+ * GIF or a WebM video. Everything is encoded locally: GIF with gifenc, WebM with the browser's
+ * MediaRecorder.
+ */
+
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+
+/**
+ * Allowed frame rates of an exported animation (frames per second)
+ */
+export const REPLAY_FPS_RANGE = [1, 30];
+
+/**
+ * Frames whose cycle lies in [startCycle, endCycle]
+ * @param {Array} frames - Replay frames
+ * @param {number} startCycle - First cycle (inclusive)
+ * @param {number} endCycle - Last cycle (inclusive)
+ * @returns {Array} - Selected frames
+ */
+export function selectReplayFrames(frames, startCycle = -Infinity, endCycle = Infinity) {
+  return frames.filter(frame => frame.cycle >= startCycle && frame.cycle <= endCycle);
+}
+
+/**
+ * Overlay caption of a frame: cycle number and density of the shown ties
+ * @param {Object} frame - Replay frame
+ * @param {number} agentCount - Number of agents
+ * @param {Object} options - { cycle = true, density = true } parts to include
+ * @returns {string} - Caption, empty when no part is selected
+ */
+export function replayOverlayText(frame, agentCount, { cycle = true, density = true } = {}) {
+  const parts = [];
+  if (cycle) parts.push(`Цикл ${frame.cycle}`);
+  if (density) {
+    const pairs = (agentCount * (agentCount - 1)) / 2;
+    parts.push(`Плотность ${(pairs > 0 ? (frame.links.length / pairs) * 100 : 0).toFixed(1)}%`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Shared GIF palette (up to 256 colors) quantized from sample frames; one palette for the whole
+ * animation keeps colors from flickering between frames
+ * @param {Array} samples - RGBA pixel arrays (e.g. the first and the last frame)
+ * @returns {Array} - Palette of [r, g, b] colors
+ */
+export function buildGifPalette(samples) {
+  const total = samples.reduce((sum, sample) => sum + sample.length, 0);
+  const pixels = new Uint8ClampedArray(total);
+  let offset = 0;
+  samples.forEach(sample => {
+    pixels.set(sample, offset);
+    offset += sample.length;
+  });
+  return quantize(pixels, 256);
+}
+
+/**
+ * Streaming animated GIF encoder: frames are added one by one, so only the encoded output is
+ * kept in memory
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {Object} options - { palette (see buildGifPalette), fps = 4, repeat = 0 } (repeat 0 loops forever, -1 plays once)
+ * @returns {Object} - { addFrame(rgba), finish() -> Uint8Array, frameCount() }
+ */
+export function createGifEncoder(width, height, { palette, fps = 4, repeat = 0 } = {}) {
+  if (!palette?.length) throw new Error('GIF palette is required');
+  const gif = GIFEncoder();
+  const delay = Math.round(1000 / fps);
+  let frames = 0;
+
+  return {
+    addFrame(rgba) {
+      if (rgba.length !== width * height * 4) {
+        throw new Error(`Frame must have ${width}×${height} RGBA pixels`);
+      }
+      gif.writeFrame(applyPalette(rgba, palette), width, height, {
+        palette: frames === 0 ? palette : undefined,
+        delay,
+        repeat,
+      });
+      frames++;
+    },
+
+    finish() {
+      gif.finish();
+      return gif.bytes();
+    },
+
+    frameCount: () => frames,
+  };
+}
+
+/**
+ * Record a WebM video of a canvas in the browser. Frames are drawn in real time, one every
+ * 1/fps seconds, so the video plays at the requested rate.
+ * @param {HTMLCanvasElement} canvas - Canvas the frames are drawn on
+ * @param {number} frameCount - Number of frames
+ * @param {Function} drawFrame - async (index) => void, draws frame index on the canvas
+ * @param {Object} options - { fps = 4, onProgress(done, total) }
+ * @returns {Promise<Blob>} - WebM video
+ */
+export async function recordWebm(canvas, frameCount, drawFrame, { fps = 4, onProgress } = {}) {
+  if (typeof MediaRecorder === 'undefined' || typeof canvas.captureStream !== 'function') {
+    throw new Error('WebM recording is not supported by this browser');
+  }
+  const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(type => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) {
+    throw new Error('WebM recording is not supported by this browser');
+  }
+
+  // Поток без автоматического захвата: кадр снимается явно после отрисовки
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+  recorder.start();
+  for (let index = 0; index < frameCount; index++) {
+    await drawFrame(index);
+    track.requestFrame?.();
+    onProgress?.(index + 1, frameCount);
+    await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+  }
+  recorder.stop();
+  await stopped;
+  stream.getTracks().forEach(streamTrack => streamTrack.stop());
+
+  return new Blob(chunks, { type: 'video/webm' });
+}
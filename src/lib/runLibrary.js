@@ -0,0 +1,294 @@
+/**
+ * Run Library Module
+ * Keeps completed runs (parameters, seed, topics, final ties and report) in IndexedDB and
+ * compares two stored runs: metric deltas and the ties that formed in only one of them.
+ *
+ * Summaries and run data live in separate object stores, so listing the library does not load
+ * the connection data of every run.
+ */
+
+import { asConnectionStore, toSparseConnections } from './connectionStore.js';
+import { computeRunMetrics, SWEEP_METRICS } from './parameterSweep.js';
+import { resolveThresholds } from './simulationConfig.js';
+
+/**
+ * Default IndexedDB database name
+ */
+export const RUN_LIBRARY_DB = 'agent_simulation_runs';
+
+const DB_VERSION = 1;
+const SUMMARY_STORE = 'runs';
+const DATA_STORE = 'run_data';
+
+/**
+ * Metrics shown in the run comparison
+ */
+export const RUN_METRICS = SWEEP_METRICS;
+
+/**
+ * Number of runs kept when a completed run is saved; older runs are deleted
+ */
+export const RUN_LIBRARY_LIMIT = 50;
+
+/**
+ * Build the stored record of a completed run
+ * @param {Object} run - Result of executeSimulation: { seed, topics, simulationResult, report }
+ * @param {Object} settings - { simulationParams, topicSettings, opinionSettings, name, createdAt }
+ * @returns {Object} - { summary, data }
+ */
+export function buildRunRecord(run, settings) {
+  const { seed, topics, simulationResult, report } = run;
+  const { simulationParams, topicSettings = null, opinionSettings = null } = settings;
+  const createdAt = settings.createdAt ?? Date.now();
+  const { agents, connections } = simulationResult;
+  const { edgeThreshold } = resolveThresholds(simulationParams);
+
+  return {
+    summary: {
+      name: settings.name || `${simulationParams.scenario || 'Запуск'} · seed ${seed}`,
+      createdAt,
+      seed,
+      params: { ...simulationParams, seed },
+      agentCount: agents.length,
+      topicCount: topics.length,
+      edgeCount: asConnectionStore(connections).edgeCount(edgeThreshold),
+      metrics: computeRunMetrics(agents, connections, topics, edgeThreshold),
+    },
+    data: {
+      topics: topics.map(topic => ({ id: topic.id, name: topic.name, vector: topic.vector })),
+      agents: agents.map(agent => ({
+        id: agent.id,
+        cluster: agent.cluster,
+        values: agent.values,
+        opinions: agent.opinions,
+      })),
+      // Итоговые связи хранятся в разреженном виде: только ненулевые, без потери точности
+      connections: toSparseConnections(connections),
+      report,
+      topicSettings,
+      opinionSettings,
+    },
+  };
+}
+
+/**
+ * Rows of the metric delta table
+ * @param {Object} metricsA - Metrics of run A (see computeRunMetrics)
+ * @param {Object} metricsB - Metrics of run B
+ * @returns {Array} - { key, label, a, b, delta, relative } per metric; delta = b - a, relative is null when a = 0
+ */
+export function compareRunMetrics(metricsA, metricsB) {
+  return RUN_METRICS.map(({ key, label }) => {
+    const a = metricsA[key];
+    const b = metricsB[key];
+    return { key, label, a, b, delta: b - a, relative: a !== 0 ? (b - a) / Math.abs(a) : null };
+  });
+}
+
+/**
+ * Edge-level diff of two runs over the agents they share (agent ids are indices)
+ * @param {Array|Object} connectionsA - Final ties of run A
+ * @param {Array|Object} connectionsB - Final ties of run B
+ * @param {number} threshold - Strength at which a tie counts as an edge
+ * @returns {Object} - { onlyA, onlyB, shared } with { source, target, strengthA, strengthB } per edge,
+ *   each list sorted by the strongest side
+ */
+export function diffRunEdges(connectionsA, connectionsB, threshold) {
+  const storeA = asConnectionStore(connectionsA);
+  const storeB = asConnectionStore(connectionsB);
+  const size = Math.min(storeA.size, storeB.size);
+  const onlyA = [];
+  const onlyB = [];
+  const shared = [];
+
+  storeA.forEachEdge((i, j, strengthA) => {
+    if (j >= size || strengthA < threshold) return;
+    const strengthB = storeB.get(i, j);
+    (strengthB >= threshold ? shared : onlyA).push({ source: i, target: j, strengthA, strengthB });
+  });
+  storeB.forEachEdge((i, j, strengthB) => {
+    if (j >= size || strengthB < threshold) return;
+    const strengthA = storeA.get(i, j);
+    if (strengthA < threshold) onlyB.push({ source: i, target: j, strengthA, strengthB });
+  });
+
+  const strongest = edge => Math.max(edge.strengthA, edge.strengthB);
+  [onlyA, onlyB, shared].forEach(list => list.sort((a, b) => strongest(b) - strongest(a)));
+  return { onlyA, onlyB, shared };
+}
+
+/**
+ * Parameters whose values differ between two runs (the seed included)
+ * @param {Object} paramsA - Params of run A
+ * @param {Object} paramsB - Params of run B
+ * @returns {Array} - { key, a, b } per differing parameter
+ */
+export function diffRunParams(paramsA, paramsB) {
+  const keys = [...new Set([...Object.keys(paramsA), ...Object.keys(paramsB)])];
+  return keys
+    .filter(key => JSON.stringify(paramsA[key]) !== JSON.stringify(paramsB[key]))
+    .map(key => ({ key, a: paramsA[key], b: paramsB[key] }));
+}
+
+/**
+ * Export an edge diff as CSV
+ * @param {Object} diff - Result of diffRunEdges
+ * @returns {string} - CSV content: source, target, run ('A', 'B' or 'both'), strength_a, strength_b
+ */
+export function exportEdgeDiffCsv(diff) {
+  const lines = ['source,target,run,strength_a,strength_b'];
+  [['A', diff.onlyA], ['B', diff.onlyB], ['both', diff.shared]].forEach(([run, edges]) => {
+    edges.forEach(edge => lines.push([edge.source, edge.target, run, edge.strengthA, edge.strengthB].join(',')));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Resolve an IndexedDB request as a promise
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open the run library
+ * @param {Object} options - { factory = globalThis.indexedDB, name = RUN_LIBRARY_DB }
+ * @returns {Promise<Object>} - { saveRun(record), listRuns(), getRun(id), renameRun(id, name), deleteRun(id), pruneRuns(keep), close() }
+ */
+export async function openRunLibrary({ factory = globalThis.indexedDB, name = RUN_LIBRARY_DB } = {}) {
+  if (!factory) throw new Error('IndexedDB is not available');
+
+  const request = factory.open(name, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    db.createObjectStore(SUMMARY_STORE, { keyPath: 'id', autoIncrement: true }).createIndex('createdAt', 'createdAt');
+    db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+  };
+  const db = await requestResult(request);
+
+  return {
+    /**
+     * Store a record built by buildRunRecord
+     * @returns {Promise<number>} - Id of the stored run
+     */
+    async saveRun({ summary, data }) {
+      const transaction = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+      const added = transaction.objectStore(SUMMARY_STORE).add(summary);
+      // Данные пишутся в той же транзакции под ключом, выданным сводке
+      added.onsuccess = () => transaction.objectStore(DATA_STORE).put({ ...data, id: added.result });
+      await transactionDone(transaction);
+      return added.result;
+    },
+
+    /**
+     * Summaries of all runs, newest first
+     * @returns {Promise<Array>}
+     */
+    async listRuns() {
+      const transaction = db.transaction(SUMMARY_STORE, 'readonly');
+      const runs = await requestResult(transaction.objectStore(SUMMARY_STORE).index('createdAt').getAll());
+      return runs.reverse();
+    },
+
+    /**
+     * Full run: summary fields plus topics, agents, connections and report
+     * @returns {Promise<Object|null>}
+     */
+    async getRun(id) {
+      const transaction = db.transaction([SUMMARY_STORE, DATA_STORE], 'readonly');
+      const [summary, data] = await Promise.all([
+        requestResult(transaction.objectStore(SUMMARY_STORE).get(id)),
+        requestResult(transaction.objectStore(DATA_STORE).get(id)),
+      ]);
+      return summary && data ? { ...data, ...summary } : null;
+    },
+
+    async renameRun(id, newName) {
+      const transaction = db.transaction(SUMMARY_STORE, 'readwrite');
+      const store = transaction.objectStore(SUMMARY_STORE);
+      const found = store.get(id);
+      found.onsuccess = () => {
+        if (found.result) store.put({ ...found.result, name: newName });
+      };
+      await transactionDone(transaction);
+      if (!found.result) throw new Error(`Run not found: ${id}`);
+    },
+
+    async deleteRun(id) {
+      const transaction = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+      transaction.objectStore(SUMMARY_STORE).delete(id);
+      transaction.objectStore(DATA_STORE).delete(id);
+      await transactionDone(transaction);
+    },
+
+    /**
+     * Delete all runs but the newest ones
+     * @param {number} keep - Number of runs to keep
+     * @returns {Promise<Array<number>>} - Ids of the deleted runs
+     */
+    async pruneRuns(keep) {
+      const transaction = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+      const summaries = transaction.objectStore(SUMMARY_STORE);
+      const keys = summaries.index('createdAt').getAllKeys();
+      let stale = [];
+      // Ключи упорядочены по времени создания: удаляются первые, новые запуски остаются
+      keys.onsuccess = () => {
+        stale = keys.result.slice(0, Math.max(0, keys.result.length - keep));
+        stale.forEach(id => {
+          summaries.delete(id);
+          transaction.objectStore(DATA_STORE).delete(id);
+        });
+      };
+      await transactionDone(transaction);
+      return stale;
+    },
+
+    close: () => db.close(),
+  };
+}
+
+/**
+ * Save one run without keeping the library open and delete the runs beyond the limit
+ * @param {Object} record - Result of buildRunRecord
+ * @param {Object} options - { keep = RUN_LIBRARY_LIMIT } and the options of openRunLibrary
+ * @returns {Promise<number>} - Id of the stored run
+ */
+export async function saveRunToLibrary(record, { keep = RUN_LIBRARY_LIMIT, ...options } = {}) {
+  const library = await openRunLibrary(options);
+  try {
+    const id = await library.saveRun(record);
+    await library.pruneRuns(keep);
+    return id;
+  } finally {
+    library.close();
+  }
+}
+
+/**
+ * Build and save the record of a run when it completes (called off the main thread by the simulation worker)
+ * @param {Object} run - Result of executeSimulation
+ * @param {Object} config - Pipeline config of the run (simulationParams, topicSettings, opinionSettings)
+ * @param {Object} options - Same as saveRunToLibrary
+ * @returns {Promise<number>} - Id of the stored run
+ */
+export function saveCompletedRun(run, config, options) {
+  const { simulationParams, topicSettings, opinionSettings } = config;
+  // С автоподбором числа кластеров прогон использует выбранное k, а не numClusters из настроек
+  const clusterSelection = run.agentData?.clusterSelection;
+  const params = clusterSelection ? { ...simulationParams, numClusters: clusterSelection.suggestedK } : simulationParams;
+  return saveRunToLibrary(buildRunRecord(run, { simulationParams: params, topicSettings, opinionSettings }), options);
+}
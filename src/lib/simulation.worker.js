@@ -0,0 +1,73 @@
+/**
+ * Simulation Web Worker
+ * Runs the simulation pipeline off the main thread and streams progress back.
+ *
+ * Incoming messages:  { type: 'start', config } | { type: 'pause' } | { type: 'resume' } | { type: 'cancel' }
+ * Outgoing messages:  { type: 'progress', currentCycle, totalCycles } | { type: 'paused' } | { type: 'resumed' }
+ *                     | { type: 'done', result } | { type: 'cancelled' } | { type: 'error', message }
+ *                     | { type: 'saved', id } | { type: 'saveError', message }
+ *
+ * With config.library ({ keep }) the completed run is also saved to the run library after 'done'.
+ */
+
+import { executeSimulation, createRunControl } from './simulationPipeline.js';
+import { saveCompletedRun } from './runLibrary.js';
+
+let control = null;
+
+async function start(config) {
+  control = createRunControl();
+
+  try {
+    const result = await executeSimulation(config, {
+      control,
+      onProgress: (currentCycle, totalCycles) => {
+        self.postMessage({ type: 'progress', currentCycle, totalCycles });
+      },
+    });
+
+    self.postMessage(result ? { type: 'done', result } : { type: 'cancelled' });
+
+    // Запись для библиотеки собирается здесь, а не в основном потоке
+    if (result && config.library) {
+      try {
+        const id = await saveCompletedRun(result, config, { keep: config.library.keep });
+        self.postMessage({ type: 'saved', id });
+      } catch (error) {
+        self.postMessage({ type: 'saveError', message: error.message });
+      }
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  } finally {
+    control = null;
+  }
+}
+
+self.onmessage = (event) => {
+  const { type, config } = event.data;
+
+  switch (type) {
+    case 'start':
+      start(config);
+      break;
+
+    case 'pause':
+      if (control) {
+        control.pause();
+        self.postMessage({ type: 'paused' });
+      }
+      break;
+
+    case 'resume':
+      if (control) {
+        control.resume();
+        self.postMessage({ type: 'resumed' });
+      }
+      break;
+
+    case 'cancel':
+      control?.cancel();
+      break;
+  }
+};
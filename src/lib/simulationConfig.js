@@ -3,6 +3,131 @@
  * Centralized configuration and validation for simulation parameters
  */
 
+import { MAX_SEED } from './random.js';
+import { DENSE_STORE_LIMIT, MAX_SPARSE_INITIAL_DEGREE } from './connectionStore.js';
+import { PAIRWISE_CLUSTERING_LIMIT } from './clustering.js';
+
+/**
+ * Default coefficients of the connection dynamics.
+ * The defaults reproduce the original hard-coded model, which compared only value-based opinions:
+ * the stored topic opinions (cluster opinions or the opinion matrix) enter the interactions
+ * once valueOpinionWeight is lowered below 1.
+ */
+export const DEFAULT_MODEL_PARAMS = {
+  alpha: 0.4, // weight of value similarity in the interaction probability
+  beta: 0.3, // weight of topical alignment
+  gamma: 0.1, // base interaction propensity
+  reinforcementMin: 0.15, // tie strengthening after agreement is drawn from [min, max]
+  reinforcementMax: 0.25,
+  decayMin: 0.08, // tie weakening after disagreement is drawn from [min, max]
+  decayMax: 0.13,
+  maxInteractionProbability: 0.8, // cap of the per-attempt interaction probability
+  interactionsPerAgent: 2, // interaction attempts per cycle = agentCount * interactionsPerAgent
+  initialConnectionMin: 0.1, // initial tie strength is drawn from [min, max]
+  initialConnectionMax: 0.3,
+  initialConnectionDensity: 1, // share of pairs that start with a tie (the rest start at 0)
+  reinforcementFactor: 1, // multiplier of the strengthening
+  disagreementPenalty: 1, // multiplier of the weakening
+  tieCapacityStrength: 0.5, // strength from which a tie counts against the tieCapacity attribute of an agent
+  opinionChangeRate: 0, // opinion step of the opinion rule after an interaction (0 = fixed opinions)
+  valueChangeRate: 0, // value-vector step of the opinion rule (0 = fixed values)
+  confidenceBound: 0.5, // opinion gap within which agents still influence each other
+  valueOpinionWeight: 1, // share of the value-based opinion in the opinion compared on a topic (0 = stored opinions only)
+  botActivity: 5, // how many times more often a bot starts a conversation than an agent of the same activity
+  mediaReachStrength: 0.3, // smallest tie strength over which a media broadcast reaches an agent
+  mediaInfluence: 0.05, // opinion step of the audience towards a media account per broadcast, scaled by tie strength
+  opinionRule: 'deffuant', // see OPINION_RULES
+  partnerSelection: 'uniform', // see PARTNER_STRATEGIES
+  partnerExploration: 0.1, // share of uniform partner draws in the non-uniform strategies
+  clusteringMethod: 'kmeans', // clustering of uploaded vectors and of the recalculation, see CLUSTERING_METHODS
+  dbscanEps: 0.3, // DBSCAN neighbourhood radius in cosine distance
+  dbscanMinPoints: 5, // DBSCAN neighbours (itself included) that make a point a core point
+};
+
+/**
+ * Default tie thresholds. The model, the display and the analytics each use their own:
+ * a tie strengthens when the opinion gap is below agreementTolerance (engine), counts as an edge
+ * from edgeThreshold (graphs, metrics, exports, reports) and as a strong tie from strongTieThreshold.
+ */
+export const DEFAULT_THRESHOLDS = {
+  agreementTolerance: 0.5, // largest opinion difference on the topic at which a tie strengthens
+  edgeThreshold: 0.5, // smallest strength of a tie shown and analysed as an edge
+  strongTieThreshold: 0.7, // smallest strength of a strong tie
+};
+
+/**
+ * Opinion-update rules (see opinionDynamics.js)
+ */
+export const OPINION_RULES = [
+  { id: 'degroot', name: 'DeGroot (усреднение)' },
+  { id: 'deffuant', name: 'Deffuant (ограниченное доверие)' },
+  { id: 'hegselmann_krause', name: 'Hegselmann–Krause' },
+  { id: 'repulsive', name: 'Отталкивание (backfire)' },
+];
+
+/**
+ * Partner-selection strategies of the interaction step (see partnerSelection.js)
+ */
+export const PARTNER_STRATEGIES = [
+  { id: 'uniform', name: 'Случайный собеседник' },
+  { id: 'neighbour', name: 'Через существующие связи' },
+  { id: 'friend_of_friend', name: 'Друг друга (триадное замыкание)' },
+  { id: 'homophily', name: 'Гомофилия (похожие ценности)' },
+];
+
+/**
+ * Clustering methods of the agent values (see clustering.js)
+ */
+export const CLUSTERING_METHODS = [
+  { id: 'kmeans', name: 'K-means++' },
+  { id: 'spherical_kmeans', name: 'Сферический k-means (косинус)' },
+  { id: 'agglomerative', name: 'Иерархическая (агломеративная)' },
+  { id: 'dbscan', name: 'DBSCAN (косинусное расстояние)' },
+  { id: 'gmm', name: 'Гауссова смесь (GMM)' },
+];
+
+/**
+ * Choice-valued model parameters and their allowed options
+ */
+const MODEL_CHOICES = {
+  opinionRule: OPINION_RULES,
+  partnerSelection: PARTNER_STRATEGIES,
+  clusteringMethod: CLUSTERING_METHODS,
+};
+
+/**
+ * Model fields of a scenario file (scenario.config in templates/scenario_template.json)
+ * that map one-to-one onto simulation parameters
+ */
+export const SCENARIO_MODEL_FIELDS = [
+  'reinforcementFactor',
+  'disagreementPenalty',
+  'tieCapacityStrength',
+  'initialConnectionDensity',
+  'opinionChangeRate',
+  'valueChangeRate',
+  'confidenceBound',
+  'valueOpinionWeight',
+  'botActivity',
+  'mediaReachStrength',
+  'mediaInfluence',
+  'opinionRule',
+  'partnerSelection',
+  'partnerExploration',
+  'clusteringMethod',
+  'dbscanEps',
+  'dbscanMinPoints',
+];
+
+/**
+ * [min, max] pairs of model parameters
+ */
+const MODEL_RANGE_PAIRS = [
+  ['reinforcementMin', 'reinforcementMax'],
+  ['decayMin', 'decayMax'],
+  ['initialConnectionMin', 'initialConnectionMax'],
+];
+
 /**
  * Default simulation parameters
  */
@@ -10,22 +135,100 @@ export const DEFAULT_PARAMS = {
   agentCount: 150,
   vectorDimension: 10,
   numClusters: 3,
+  autoClusters: false, // choose numClusters for uploaded agents before the run (see evaluateClusterCounts)
   cycles: 50,
-  threshold: 0.5,
+  ...DEFAULT_THRESHOLDS,
   recalculateClustersAfter: 0,
   scenario: 'A',
+  seed: null, // null = draw a fresh seed for every run
+  historyInterval: 0, // 0 = no per-cycle history, k = snapshot every k cycles
+  ...DEFAULT_MODEL_PARAMS,
 };
 
 /**
  * Parameter constraints
  */
 export const PARAM_CONSTRAINTS = {
-  agentCount: { min: 1, max: 1000, step: 1 },
+  agentCount: { min: 1, max: 50000, step: 1 },
   vectorDimension: { min: 2, max: 100, step: 1 },
   numClusters: { min: 1, max: 20, step: 1 },
   cycles: { min: 1, max: 200, step: 1 },
-  threshold: { min: 0, max: 1, step: 0.01 },
+  agreementTolerance: { min: 0, max: 2, step: 0.01 },
+  edgeThreshold: { min: 0, max: 1, step: 0.01 },
+  strongTieThreshold: { min: 0, max: 1, step: 0.01 },
   recalculateClustersAfter: { min: 0, max: 100, step: 1 },
+  seed: { min: 0, max: MAX_SEED, step: 1 },
+  historyInterval: { min: 0, max: 200, step: 1 },
+  alpha: { min: 0, max: 1, step: 0.01 },
+  beta: { min: 0, max: 1, step: 0.01 },
+  gamma: { min: 0, max: 1, step: 0.01 },
+  reinforcementMin: { min: 0, max: 1, step: 0.01 },
+  reinforcementMax: { min: 0, max: 1, step: 0.01 },
+  decayMin: { min: 0, max: 1, step: 0.01 },
+  decayMax: { min: 0, max: 1, step: 0.01 },
+  maxInteractionProbability: { min: 0, max: 1, step: 0.01 },
+  interactionsPerAgent: { min: 0.1, max: 20, step: 0.1 },
+  initialConnectionMin: { min: 0, max: 1, step: 0.01 },
+  initialConnectionMax: { min: 0, max: 1, step: 0.01 },
+  initialConnectionDensity: { min: 0, max: 1, step: 0.01 },
+  reinforcementFactor: { min: 0, max: 5, step: 0.1 },
+  disagreementPenalty: { min: 0, max: 5, step: 0.1 },
+  tieCapacityStrength: { min: 0.01, max: 1, step: 0.01 },
+  opinionChangeRate: { min: 0, max: 1, step: 0.01 },
+  valueChangeRate: { min: 0, max: 1, step: 0.01 },
+  confidenceBound: { min: 0, max: 2, step: 0.01 },
+  valueOpinionWeight: { min: 0, max: 1, step: 0.05 },
+  botActivity: { min: 1, max: 100, step: 1 },
+  mediaReachStrength: { min: 0.01, max: 1, step: 0.01 },
+  mediaInfluence: { min: 0, max: 1, step: 0.01 },
+  partnerExploration: { min: 0, max: 1, step: 0.01 },
+  dbscanEps: { min: 0.01, max: 2, step: 0.01 },
+  dbscanMinPoints: { min: 1, max: 100, step: 1 },
+};
+
+/**
+ * Display labels of the parameters (setup UI, sensitivity analysis)
+ */
+export const PARAM_LABELS = {
+  agentCount: 'Количество агентов',
+  vectorDimension: 'Размерность векторов',
+  numClusters: 'Количество кластеров',
+  autoClusters: 'Автоподбор числа кластеров',
+  cycles: 'Количество циклов',
+  agreementTolerance: 'Допуск согласия мнений',
+  edgeThreshold: 'Порог связи',
+  strongTieThreshold: 'Порог сильной связи',
+  recalculateClustersAfter: 'Пересчет кластеров',
+  seed: 'Seed генератора',
+  historyInterval: 'Интервал истории',
+  alpha: 'α — вес сходства ценностей',
+  beta: 'β — вес тематического совпадения',
+  gamma: 'γ — базовая склонность к общению',
+  reinforcementMin: 'Усиление связи: минимум',
+  reinforcementMax: 'Усиление связи: максимум',
+  decayMin: 'Ослабление связи: минимум',
+  decayMax: 'Ослабление связи: максимум',
+  maxInteractionProbability: 'Предел вероятности общения',
+  interactionsPerAgent: 'Попыток общения на агента за цикл',
+  initialConnectionMin: 'Начальная связь: минимум',
+  initialConnectionMax: 'Начальная связь: максимум',
+  initialConnectionDensity: 'Начальная плотность связей',
+  reinforcementFactor: 'Коэффициент усиления при согласии',
+  disagreementPenalty: 'Коэффициент ослабления при несогласии',
+  tieCapacityStrength: 'Сила связи, занимающей емкость',
+  opinionChangeRate: 'Скорость изменения мнений',
+  valueChangeRate: 'Скорость изменения ценностей',
+  confidenceBound: 'ε — порог доверия',
+  valueOpinionWeight: 'Вес мнения из ценностей',
+  botActivity: 'Активность ботов (кратно)',
+  mediaReachStrength: 'Сила связи, по которой доходит вещание СМИ',
+  mediaInfluence: 'Влияние СМИ на мнения аудитории',
+  opinionRule: 'Правило обновления мнений',
+  partnerSelection: 'Выбор собеседника',
+  partnerExploration: 'Доля случайных встреч',
+  clusteringMethod: 'Метод кластеризации',
+  dbscanEps: 'DBSCAN: радиус окрестности',
+  dbscanMinPoints: 'DBSCAN: минимум соседей',
 };
 
 /**
@@ -58,6 +261,9 @@ export const PRESET_SCENARIOS = [
       strength: 0.8,
     },
     opinionDistribution: 'normal',
+    config: {
+      partnerSelection: 'uniform',
+    },
   },
   {
     id: 'polarization',
@@ -69,6 +275,9 @@ export const PRESET_SCENARIOS = [
       strength: 0.9,
     },
     opinionDistribution: 'bimodal',
+    config: {
+      partnerSelection: 'homophily',
+    },
   },
   {
     id: 'echo_chambers',
@@ -80,6 +289,9 @@ export const PRESET_SCENARIOS = [
       strength: 0.7,
     },
     opinionDistribution: 'cluster_based',
+    config: {
+      partnerSelection: 'friend_of_friend',
+    },
   },
   {
     id: 'information_cascade',
@@ -91,6 +303,9 @@ export const PRESET_SCENARIOS = [
       strength: 0.6,
     },
     opinionDistribution: 'random',
+    config: {
+      partnerSelection: 'neighbour',
+    },
   },
 ];
 
@@ -134,9 +349,16 @@ export function validateParams(params) {
     errors.push(`Cycles cannot exceed ${PARAM_CONSTRAINTS.cycles.max}`);
   }
 
-  // Check threshold
-  if (params.threshold < PARAM_CONSTRAINTS.threshold.min || params.threshold > PARAM_CONSTRAINTS.threshold.max) {
-    errors.push('Threshold must be between 0 and 1');
+  // Check thresholds (a legacy `threshold` is checked as the values it stands for)
+  const thresholds = resolveThresholds(params);
+  Object.entries(thresholds).forEach(([key, value]) => {
+    const { min, max } = PARAM_CONSTRAINTS[key];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${key} must be a number between ${min} and ${max}`);
+    }
+  });
+  if (thresholds.strongTieThreshold < thresholds.edgeThreshold) {
+    errors.push('strongTieThreshold cannot be below edgeThreshold');
   }
 
   // Check recalculate after
@@ -144,6 +366,53 @@ export function validateParams(params) {
     errors.push('Recalculate clusters after must be non-negative');
   }
 
+  // Check history interval
+  if (params.historyInterval < 0) {
+    errors.push('History interval must be non-negative');
+  }
+
+  // Check model coefficients
+  Object.keys(DEFAULT_MODEL_PARAMS).forEach(key => {
+    const value = params[key];
+    if (value === undefined || !PARAM_CONSTRAINTS[key]) return;
+    const { min, max } = PARAM_CONSTRAINTS[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${key} must be a number between ${min} and ${max}`);
+    }
+  });
+  Object.entries(MODEL_CHOICES).forEach(([key, options]) => {
+    if (params[key] !== undefined && !options.some(option => option.id === params[key])) {
+      errors.push(`${key} must be one of ${options.map(option => option.id).join(', ')}`);
+    }
+  });
+  MODEL_RANGE_PAIRS.forEach(([minKey, maxKey]) => {
+    if (params[minKey] > params[maxKey]) {
+      errors.push(`${minKey} cannot exceed ${maxKey}`);
+    }
+  });
+
+  // Large populations use sparse connection storage: the initial network must stay sparse too
+  if (params.agentCount > DENSE_STORE_LIMIT) {
+    const density = params.initialConnectionDensity ?? DEFAULT_MODEL_PARAMS.initialConnectionDensity;
+    if (density * (params.agentCount - 1) > MAX_SPARSE_INITIAL_DEGREE) {
+      const maxDensity = MAX_SPARSE_INITIAL_DEGREE / (params.agentCount - 1);
+      errors.push(`initialConnectionDensity must not exceed ${maxDensity.toPrecision(2)} for more than ${DENSE_STORE_LIMIT} agents`);
+    }
+  }
+
+  // Agglomerative clustering and DBSCAN compare all pairs of agents
+  const clusteringMethod = params.clusteringMethod ?? DEFAULT_MODEL_PARAMS.clusteringMethod;
+  if (['agglomerative', 'dbscan'].includes(clusteringMethod) && params.agentCount > PAIRWISE_CLUSTERING_LIMIT) {
+    errors.push(`clusteringMethod ${clusteringMethod} supports at most ${PAIRWISE_CLUSTERING_LIMIT} agents`);
+  }
+
+  // Check seed (null means "draw a new one")
+  if (params.seed !== null && params.seed !== undefined) {
+    if (!Number.isInteger(params.seed) || params.seed < PARAM_CONSTRAINTS.seed.min || params.seed > PARAM_CONSTRAINTS.seed.max) {
+      errors.push(`Seed must be an integer between ${PARAM_CONSTRAINTS.seed.min} and ${PARAM_CONSTRAINTS.seed.max}`);
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors,
@@ -156,10 +425,13 @@ export function validateParams(params) {
  * @returns {Object} - Complete parameters with defaults
  */
 export function mergeWithDefaults(params = {}) {
-  return {
+  const merged = {
     ...DEFAULT_PARAMS,
     ...params,
+    ...resolveThresholds(params),
   };
+  delete merged.threshold;
+  return merged;
 }
 
 /**
@@ -172,7 +444,7 @@ export function sanitizeParams(params) {
 
   // Clamp values to constraints
   Object.keys(PARAM_CONSTRAINTS).forEach(key => {
-    if (sanitized[key] !== undefined) {
+    if (sanitized[key] !== undefined && sanitized[key] !== null) {
       const { min, max } = PARAM_CONSTRAINTS[key];
       sanitized[key] = Math.max(min, Math.min(max, sanitized[key]));
     }
@@ -221,3 +493,72 @@ export function createConfig(params = {}) {
   };
 }
 
+/**
+ * Extract the model coefficients used by the engine (see createSimulationRun options.model)
+ * @param {Object} params - Simulation parameters
+ * @returns {Object} - Model coefficients with defaults for missing keys
+ */
+export function resolveModelParams(params = {}) {
+  const model = {};
+  Object.keys(DEFAULT_MODEL_PARAMS).forEach(key => {
+    model[key] = typeof params[key] === typeof DEFAULT_MODEL_PARAMS[key] ? params[key] : DEFAULT_MODEL_PARAMS[key];
+  });
+  return model;
+}
+
+/**
+ * Read the model fields of a scenario (scenario.config) as simulation parameters
+ * @param {Object} scenario - Scenario object from a scenario file
+ * @returns {Object} - Simulation parameter overrides
+ */
+export function getScenarioModelParams(scenario) {
+  const params = {};
+  SCENARIO_MODEL_FIELDS.forEach(field => {
+    const value = scenario?.config?.[field];
+    if (typeof value === typeof DEFAULT_MODEL_PARAMS[field]) params[field] = value;
+  });
+  return params;
+}
+
+/**
+ * Read the simulation parameters of a settings file: a scenario file or a scenario export (simulationParams),
+ * a full results export (parameters) or the model settings export (modelParameters and modelCoefficients).
+ * Fields of scenario.config come first, the parameter block overrides them.
+ * @param {Object} data - Parsed settings JSON
+ * @returns {Object|null} - Simulation parameters, null when the file has neither a scenario nor a parameter block
+ */
+export function getSettingsFileParams(data = {}) {
+  if (data.modelParameters) {
+    // model_settings.json хранит фактическое число кластеров как clusterCount
+    const { clusterCount, ...modelParameters } = data.modelParameters;
+    return {
+      ...data.modelCoefficients,
+      ...modelParameters,
+      ...(clusterCount !== undefined ? { numClusters: clusterCount } : {}),
+    };
+  }
+
+  const fileParams = data.simulationParams || data.parameters;
+  if (!fileParams && !data.scenario) return null;
+  return { ...getScenarioModelParams(data.scenario), ...fileParams };
+}
+
+/**
+ * Resolve the tie thresholds of a run. The single `threshold` of older configs, scenario files and
+ * stored runs served as both the agreement tolerance and the edge cutoff, so it fills those two
+ * when they are not given.
+ * @param {Object} params - Simulation parameters
+ * @returns {Object} - { agreementTolerance, edgeThreshold, strongTieThreshold }
+ */
+export function resolveThresholds(params = {}) {
+  const pick = (value, fallback) => (typeof value === 'number' ? value : fallback);
+  const legacy = params.threshold;
+  const edgeThreshold = pick(params.edgeThreshold, pick(legacy, DEFAULT_THRESHOLDS.edgeThreshold));
+
+  return {
+    agreementTolerance: pick(params.agreementTolerance, pick(legacy, DEFAULT_THRESHOLDS.agreementTolerance)),
+    edgeThreshold,
+    // Сильная связь по умолчанию не слабее обычной
+    strongTieThreshold: pick(params.strongTieThreshold, Math.max(DEFAULT_THRESHOLDS.strongTieThreshold, edgeThreshold)),
+  };
+}
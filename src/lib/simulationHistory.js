@@ -0,0 +1,190 @@
+/**
+ * Simulation History Module
+ * Per-cycle snapshots of the network recorded by runSimulation
+ */
+
+import { getAgentOpinion } from './opinionDynamics.js';
+import { asConnectionStore } from './connectionStore.js';
+
+/**
+ * Default history settings
+ */
+export const DEFAULT_HISTORY_OPTIONS = {
+  every: 1,          // record a snapshot every k cycles
+  edgeThreshold: 0.5, // strength at which a tie counts towards density
+};
+
+/**
+ * Normalize the `history` option of runSimulation
+ * @param {boolean|number|Object|null} history - true, an interval k, or { every, edgeThreshold }
+ * @returns {Object|null} - Normalized options or null when history is disabled
+ */
+export function normalizeHistoryOptions(history) {
+  if (!history) return null;
+  if (history === true) return { ...DEFAULT_HISTORY_OPTIONS };
+  if (typeof history === 'number') return { ...DEFAULT_HISTORY_OPTIONS, every: Math.max(1, Math.floor(history)) };
+
+  return {
+    ...DEFAULT_HISTORY_OPTIONS,
+    ...history,
+    every: Math.max(1, Math.floor(history.every ?? DEFAULT_HISTORY_OPTIONS.every)),
+  };
+}
+
+/**
+ * Compute the summary metrics of a single snapshot
+ */
+function summarizeState(connections, agents, topics, edgeThreshold) {
+  const N = connections.size;
+  let strengthSum = 0;
+  let edgeCount = 0;
+
+  connections.forEachEdge((i, j, strength) => {
+    strengthSum += strength;
+    if (strength >= edgeThreshold) edgeCount++;
+  });
+
+  const pairCount = (N * (N - 1)) / 2;
+  const opinionMeans = {};
+  topics.forEach(topic => {
+    const sum = agents.reduce((acc, agent) => acc + getAgentOpinion(agent, topic), 0);
+    opinionMeans[topic.id] = agents.length > 0 ? sum / agents.length : 0;
+  });
+
+  return {
+    density: pairCount > 0 ? edgeCount / pairCount : 0,
+    meanStrength: pairCount > 0 ? strengthSum / pairCount : 0,
+    edgeCount,
+    clusters: agents.map(agent => agent.cluster),
+    opinionMeans,
+  };
+}
+
+/**
+ * Ties (j > i, ascending j) of agent i
+ */
+function upperNeighbours(store, i) {
+  return store.neighbours(i).filter(([j]) => j > i);
+}
+
+/**
+ * Create a history recorder for one simulation run
+ * @param {Array|Object} connections - Initial connection data or store (will be copied)
+ * @param {Array} agents - Agents of the run
+ * @param {Array} topics - Topics of the run
+ * @param {Object} options - Normalized history options
+ * @returns {Object} - { record(cycle, connections, agents), shouldRecord(cycle, totalCycles), history }
+ */
+export function createHistoryRecorder(connections, agents, topics, options) {
+  const { every, edgeThreshold } = options;
+  const initialStore = asConnectionStore(connections);
+  const previous = asConnectionStore(initialStore.clone());
+
+  const history = {
+    every,
+    edgeThreshold,
+    initialConnections: initialStore.clone(),
+    snapshots: [{ cycle: 0, ...summarizeState(initialStore, agents, topics, edgeThreshold), changes: [] }],
+  };
+
+  return {
+    history,
+
+    shouldRecord(cycle, totalCycles) {
+      return cycle % every === 0 || cycle === totalCycles;
+    },
+
+    record(cycle, currentConnections, currentAgents) {
+      // Sparse diff: only pairs (i < j) whose strength changed since the previous snapshot.
+      // Both neighbour lists are sorted, so they are merged row by row.
+      const current = asConnectionStore(currentConnections);
+      const changes = [];
+      for (let i = 0; i < current.size; i++) {
+        const now = upperNeighbours(current, i);
+        const before = upperNeighbours(previous, i);
+        let a = 0;
+        let b = 0;
+        while (a < now.length || b < before.length) {
+          const j = Math.min(now[a]?.[0] ?? Infinity, before[b]?.[0] ?? Infinity);
+          const value = now[a]?.[0] === j ? now[a++][1] : 0;
+          const prevValue = before[b]?.[0] === j ? before[b++][1] : 0;
+          if (value !== prevValue) changes.push([i, j, value]);
+        }
+      }
+      changes.forEach(([i, j, value]) => previous.set(i, j, value));
+
+      history.snapshots.push({
+        cycle,
+        ...summarizeState(current, currentAgents, topics, edgeThreshold),
+        changes,
+      });
+    },
+  };
+}
+
+/**
+ * Rebuild the full connection data at a recorded cycle
+ * @param {Object} history - History returned by runSimulation
+ * @param {number} cycle - Cycle to rebuild (the latest snapshot at or before it is used)
+ * @returns {Array|Object} - Connection data in the format of the run (matrix or sparse)
+ */
+export function reconstructConnectionsAt(history, cycle) {
+  const connections = asConnectionStore(asConnectionStore(history.initialConnections).clone());
+
+  for (const snapshot of history.snapshots) {
+    if (snapshot.cycle > cycle) break;
+    for (const [i, j, value] of snapshot.changes) {
+      connections.set(i, j, value);
+    }
+  }
+
+  return connections.data;
+}
+
+/**
+ * Replay frames of a recorded run: the ties at or above the threshold and the clusters of the
+ * agents at every snapshot (connections are rebuilt incrementally from the diffs)
+ * @param {Object} history - History returned by runSimulation
+ * @param {number} threshold - Smallest strength of a shown tie
+ * @returns {Array} - [{ cycle, clusters, links: [{ source, target, strength }] }]
+ */
+export function historyFrames(history, threshold = 0) {
+  if (!history?.snapshots) return [];
+
+  const connections = asConnectionStore(asConnectionStore(history.initialConnections).clone());
+  return history.snapshots.map(snapshot => {
+    for (const [i, j, value] of snapshot.changes) {
+      connections.set(i, j, value);
+    }
+
+    const links = [];
+    connections.forEachEdge((source, target, strength) => {
+      if (strength >= threshold) links.push({ source, target, strength });
+    });
+    return { cycle: snapshot.cycle, clusters: snapshot.clusters, links };
+  });
+}
+
+/**
+ * Convert history snapshots into flat rows for charts and CSV export
+ * @param {Object} history - History returned by runSimulation
+ * @param {Array} topics - Topics of the run (row keys are topic_<index>)
+ * @returns {Array} - [{ cycle, topic_0, ..., networkDensity, meanStrength, avgConnections, changedEdges }]
+ */
+export function historyToTimeSeries(history, topics = []) {
+  if (!history?.snapshots) return [];
+
+  return history.snapshots.map(snapshot => {
+    const row = { cycle: snapshot.cycle };
+    topics.forEach((topic, index) => {
+      row[`topic_${index}`] = snapshot.opinionMeans[topic.id] ?? snapshot.opinionMeans[index] ?? 0;
+    });
+
+    const agentCount = snapshot.clusters.length;
+    row.networkDensity = snapshot.density;
+    row.meanStrength = snapshot.meanStrength;
+    row.avgConnections = agentCount > 0 ? (snapshot.edgeCount * 2) / agentCount : 0;
+    row.changedEdges = snapshot.changes.length;
+    return row;
+  });
+}
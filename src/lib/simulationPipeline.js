@@ -0,0 +1,353 @@
+/**
+ * Simulation Pipeline Module
+ * Full run from UI settings to results: generation, simulation, visualization data and report.
+ * Shared by the simulation worker, the main-thread fallback and headless scripts.
+ */
+
+import {
+  generateAgentPopulation,
+  generateTopics,
+  createSimulationRun,
+  prepareVisualizationData,
+  generateSimulationReport,
+} from './agentSimulation.js';
+import { createRandom, resolveSeed } from './random.js';
+import { evaluateClusterCounts } from './clustering.js';
+import { resolveThresholds, validateParams } from './simulationConfig.js';
+import { assignAgentAttributes } from './agentAttributes.js';
+import { assignAgentRoles, summarizeRoles } from './agentRoles.js';
+
+/**
+ * Topic names used when the user did not provide any
+ */
+export const PREDEFINED_TOPIC_NAMES = [
+  'Политика', 'В мире', 'Экономика', 'Общество', 'Армия',
+  'Наука', 'Спорт', 'Культура', 'Религия', 'Туризм',
+  'Redbull', 'Zara',
+];
+
+/**
+ * Range of k evaluated when simulationParams.autoClusters is set
+ */
+export const AUTO_CLUSTER_RANGE = [2, 10];
+
+/**
+ * Build topics from generated vectors and the per-topic settings of the scenario managers
+ */
+function buildTopics(simulationParams, topicSettings, uploadedTopics, uploadedTopicNames, agentData, rng) {
+  if (uploadedTopics) {
+    return uploadedTopics.map((vector, i) => ({
+      id: i,
+      vector: vector,
+      name: uploadedTopicNames?.[i] || PREDEFINED_TOPIC_NAMES[i] || `Тема ${i + 1}`,
+    }));
+  }
+
+  // Генерируем темы с учетом количества из topicSettings
+  const numTopicsToGenerate = topicSettings?.numTopics || 10;
+  let topics = generateTopics(
+    simulationParams.vectorDimension,
+    simulationParams.scenario,
+    agentData.clusterCenters,
+    null,
+    null,
+    simulationParams.numClusters,
+    simulationParams.recalculateClustersAfter,
+    agentData.agents,
+    { rng }
+  );
+
+  if (!topicSettings?.topics || topicSettings.topics.length === 0) {
+    // Если нет настроек, просто добавляем имена
+    return topics.map((topic, i) => ({
+      ...topic,
+      name: PREDEFINED_TOPIC_NAMES[i] || `Тема ${i + 1}`,
+    }));
+  }
+
+  // Добавляем или обрезаем темы до нужного количества
+  while (topics.length < numTopicsToGenerate) {
+    topics.push({
+      id: topics.length,
+      vector: Array.from({ length: simulationParams.vectorDimension }, () => rng() * 2 - 1),
+      name: `Тема ${topics.length + 1}`,
+    });
+  }
+  topics = topics.slice(0, numTopicsToGenerate);
+
+  // Применяем настройки к каждой теме
+  return topics.map((topic, i) => {
+    const settings = topicSettings.topics[i];
+    if (!settings) {
+      return {
+        ...topic,
+        name: PREDEFINED_TOPIC_NAMES[i] || `Тема ${i + 1}`,
+      };
+    }
+
+    // Применяем пользовательский вектор, если есть
+    if (settings.customVector && Array.isArray(settings.customVector)) {
+      return {
+        ...topic,
+        vector: settings.customVector,
+        name: settings.name || topic.name,
+      };
+    }
+
+    // Применяем выравнивание по кластеру
+    if (settings.type === 'cluster-aligned' && settings.targetCluster !== undefined) {
+      const targetCenter = agentData.clusterCenters[settings.targetCluster];
+      if (targetCenter) {
+        const proximity = settings.proximityLevel || 0.5;
+
+        // Создаем вектор близкий к центру кластера
+        const alignedVector = targetCenter.map(val =>
+          val * proximity + (rng() - 0.5) * (1 - proximity)
+        );
+
+        return {
+          ...topic,
+          vector: alignedVector,
+          name: settings.name || topic.name,
+        };
+      }
+    }
+
+    return {
+      ...topic,
+      name: settings.name || PREDEFINED_TOPIC_NAMES[i] || `Тема ${i + 1}`,
+    };
+  });
+}
+
+/**
+ * Fit per-cluster topic opinions to a new cluster and topic count: existing entries are kept,
+ * new clusters and topics start at 0, entries beyond the counts are dropped
+ * @param {Object} clusterOpinions - { [cluster]: opinion per topic }
+ * @param {number} numClusters - Number of clusters
+ * @param {number} numTopics - Number of topics
+ * @returns {Object} - Opinions for every cluster and topic
+ */
+export function resizeClusterOpinions(clusterOpinions = {}, numClusters, numTopics) {
+  const resized = {};
+  for (let cluster = 0; cluster < numClusters; cluster++) {
+    resized[cluster] = Array.from({ length: numTopics }, (_, topic) => clusterOpinions?.[cluster]?.[topic] ?? 0);
+  }
+  return resized;
+}
+
+/**
+ * Assign initial topic opinions from the opinion matrix or per-cluster settings
+ */
+function assignOpinions(agents, topics, opinionSettings, rng) {
+  agents.forEach(agent => {
+    agent.opinions = {};
+    topics.forEach(topic => {
+      if (opinionSettings?.customMatrix) {
+        // Используем загруженную матрицу мнений
+        const row = opinionSettings.customMatrix[agent.id];
+        agent.opinions[topic.id] = row?.[topic.id] || 0;
+      } else {
+        // Генерируем мнения на основе настроек кластера
+        const clusterOpinion = opinionSettings?.clusterOpinions?.[agent.cluster]?.[topic.id] || 0;
+        const noise = (rng() - 0.5) * 0.3; // Добавляем шум
+        agent.opinions[topic.id] = Math.max(-1, Math.min(1, clusterOpinion + noise));
+      }
+    });
+  });
+}
+
+/**
+ * Generate agents and topics for a run
+ * @param {Object} config - { simulationParams, topicSettings, opinionSettings, uploadedAgents, uploadedTopics, uploadedTopicNames,
+ *   uploadedAgentAttributes, agentAttributeSettings, uploadedAgentRoles, roleSettings }; per-agent attributes come from uploadedAgentAttributes
+ *   (attribute columns of the agents CSV) or from the per-cluster distributions of agentAttributeSettings.clusterAttributes;
+ *   special roles from uploadedAgentRoles (role and agenda columns) and roleSettings (see assignAgentRoles);
+ *   topicSettings.topics[i].salience sets the agenda timeline of topic i (see topicAgenda.js)
+ * @param {Function} rng - Random number generator of the run
+ * @returns {Object} - { agentData, topics }; with simulationParams.autoClusters and uploaded agents
+ *   agentData.clusterSelection holds the evaluation of k (see evaluateClusterCounts) and the run uses
+ *   its suggestedK instead of numClusters
+ */
+export function buildSimulationInputs(config, rng) {
+  const {
+    simulationParams: requestedParams,
+    topicSettings,
+    opinionSettings,
+    uploadedAgents = null,
+    uploadedTopics = null,
+    uploadedTopicNames = null,
+    uploadedAgentAttributes = null,
+    agentAttributeSettings = null,
+    uploadedAgentRoles = null,
+    roleSettings = null,
+  } = config;
+
+  // Автоподбор числа кластеров по загруженным векторам (DBSCAN находит его сам)
+  let simulationParams = requestedParams;
+  let clusterSelection = null;
+  if (requestedParams.autoClusters && uploadedAgents?.length > 2 && requestedParams.clusteringMethod !== 'dbscan') {
+    clusterSelection = evaluateClusterCounts(uploadedAgents, {
+      method: requestedParams.clusteringMethod,
+      kMin: AUTO_CLUSTER_RANGE[0],
+      kMax: AUTO_CLUSTER_RANGE[1],
+      rng,
+    });
+    simulationParams = { ...requestedParams, numClusters: clusterSelection.suggestedK };
+  }
+
+  const agentData = generateAgentPopulation(
+    simulationParams.agentCount,
+    simulationParams.vectorDimension,
+    simulationParams.numClusters,
+    uploadedAgents,
+    { rng, model: simulationParams }
+  );
+
+  const topics = buildTopics(simulationParams, topicSettings, uploadedTopics, uploadedTopicNames, agentData, rng);
+  // Динамическая повестка: вход, выход и кривая значимости темы (см. topicAgenda.js)
+  topics.forEach((topic, i) => {
+    const salience = topicSettings?.topics?.[i]?.salience;
+    if (salience) topic.salience = salience;
+  });
+  assignOpinions(agentData.agents, topics, opinionSettings, rng);
+  // Атрибуты и роли берут случайные числа только при заданных распределениях и числе ролей,
+  // поэтому прогоны с тем же seed без этих настроек не меняются
+  assignAgentAttributes(agentData.agents, {
+    uploaded: uploadedAgentAttributes,
+    clusterSettings: agentAttributeSettings?.clusterAttributes,
+    rng,
+  });
+  assignAgentRoles(agentData.agents, topics, { uploaded: uploadedAgentRoles, roleSettings, rng });
+  if (clusterSelection) agentData.clusterSelection = clusterSelection;
+
+  return { agentData, topics };
+}
+
+/**
+ * Wait for the next macrotask so that pending messages (pause, cancel) can be handled
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Execute a full simulation run cooperatively: cycles run in time slices,
+ * progress is reported between slices and the run can be paused or cancelled.
+ * @param {Object} config - Same as buildSimulationInputs
+ * @param {Object} hooks - { onProgress(currentCycle, totalCycles), control: { isPaused(), isCancelled(), waitForResume() }, sliceMs }
+ * @returns {Promise<Object|null>} - { seed, agentData, topics, simulationResult, vizData, report } or null when cancelled;
+ *   rejects when validateParams finds errors in config.simulationParams
+ */
+export async function executeSimulation(config, hooks = {}) {
+  const { onProgress, control, sliceMs = 50 } = hooks;
+  const { simulationParams } = config;
+
+  // Некорректные параметры (например, слишком плотная начальная сеть большой популяции) не запускаем
+  const { valid, errors } = validateParams(simulationParams);
+  if (!valid) {
+    throw new Error(`Некорректные параметры симуляции: ${errors.join('; ')}`);
+  }
+
+  // Единый генератор случайных чисел для всего прогона
+  const seed = resolveSeed(simulationParams.seed);
+  const rng = createRandom(seed);
+
+  const { agentData, topics } = buildSimulationInputs(config, rng);
+  const { agreementTolerance, edgeThreshold, strongTieThreshold } = resolveThresholds(simulationParams);
+
+  const run = createSimulationRun(
+    agentData.agents,
+    topics,
+    simulationParams.cycles,
+    agreementTolerance,
+    simulationParams.recalculateClustersAfter,
+    {
+      rng,
+      model: simulationParams, // коэффициенты модели берутся из тех же параметров
+      history: simulationParams.historyInterval > 0
+        ? { every: simulationParams.historyInterval, edgeThreshold }
+        : null,
+    }
+  );
+
+  onProgress?.(0, run.totalCycles);
+
+  while (!run.isDone()) {
+    const sliceStart = Date.now();
+    do {
+      run.step();
+    } while (!run.isDone() && Date.now() - sliceStart < sliceMs);
+
+    onProgress?.(run.getCurrentCycle(), run.totalCycles);
+
+    if (control) {
+      await yieldToEventLoop();
+      if (control.isPaused()) await control.waitForResume();
+      if (control.isCancelled()) return null;
+    }
+  }
+
+  const simulationResult = run.getResult();
+
+  // Подготовка данных для визуализации
+  const vizData = prepareVisualizationData(
+    simulationResult.agents,
+    simulationResult.connections,
+    edgeThreshold
+  );
+
+  // Охват особых агентов и их влияние на структуру кластеров
+  const roleSummary = summarizeRoles(simulationResult.agents, simulationResult.connections, {
+    topics,
+    roleActivity: simulationResult.roleActivity,
+    initialOpinions: simulationResult.initialOpinions,
+    edgeThreshold,
+  });
+
+  // Генерация отчета
+  const report = generateSimulationReport(
+    simulationResult.agents,
+    simulationResult.connections,
+    topics,
+    simulationParams.scenario,
+    simulationParams.cycles,
+    edgeThreshold,
+    { strongTieThreshold, agreementTolerance, roleSummary }
+  );
+
+  return { seed, agentData, topics, simulationResult, vizData, report };
+}
+
+/**
+ * Create a pause/cancel controller for executeSimulation
+ * @returns {Object} - { isPaused, isCancelled, waitForResume, pause, resume, cancel }
+ */
+export function createRunControl() {
+  let paused = false;
+  let cancelled = false;
+  let resumeWaiters = [];
+
+  const release = () => {
+    resumeWaiters.forEach(resolve => resolve());
+    resumeWaiters = [];
+  };
+
+  return {
+    isPaused: () => paused,
+    isCancelled: () => cancelled,
+    waitForResume: () => (paused ? new Promise(resolve => resumeWaiters.push(resolve)) : Promise.resolve()),
+    pause() {
+      paused = true;
+    },
+    resume() {
+      paused = false;
+      release();
+    },
+    cancel() {
+      cancelled = true;
+      paused = false;
+      release();
+    },
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Simulation Runner Module
+ * Starts a simulation in a Web Worker (or cooperatively on the main thread when
+ * workers are unavailable) and exposes pause / resume / cancel controls.
+ */
+
+import { executeSimulation, createRunControl } from './simulationPipeline.js';
+import { saveCompletedRun } from './runLibrary.js';
+
+/**
+ * Start a simulation run
+ * @param {Object} config - Same as buildSimulationInputs in simulationPipeline.js; with config.library ({ keep })
+ *   the completed run is saved to the run library after onDone (see saveCompletedRun)
+ * @param {Object} handlers - { onProgress(currentCycle, totalCycles), onPauseChange(isPaused), onDone(result), onCancel(), onError(error),
+ *   onSaved(id), onSaveError(error) }
+ * @returns {Object} - Controller { pause(), resume(), cancel() }
+ */
+export function startSimulation(config, handlers = {}) {
+  if (typeof Worker === 'undefined') {
+    return startOnMainThread(config, handlers);
+  }
+
+  const { onProgress, onPauseChange, onDone, onCancel, onError, onSaved, onSaveError } = handlers;
+  const worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+      case 'progress':
+        onProgress?.(message.currentCycle, message.totalCycles);
+        break;
+      case 'paused':
+        onPauseChange?.(true);
+        break;
+      case 'resumed':
+        onPauseChange?.(false);
+        break;
+      case 'done':
+        // Воркер с библиотекой завершается после сохранения запуска
+        if (!config.library) worker.terminate();
+        onDone?.(message.result);
+        break;
+      case 'saved':
+        worker.terminate();
+        onSaved?.(message.id);
+        break;
+      case 'saveError':
+        worker.terminate();
+        onSaveError?.(new Error(message.message));
+        break;
+      case 'cancelled':
+        worker.terminate();
+        onCancel?.();
+        break;
+      case 'error':
+        worker.terminate();
+        onError?.(new Error(message.message));
+        break;
+    }
+  };
+
+  worker.onerror = (event) => {
+    worker.terminate();
+    onError?.(new Error(event.message || 'Ошибка воркера симуляции'));
+  };
+
+  worker.postMessage({ type: 'start', config });
+
+  return {
+    pause: () => worker.postMessage({ type: 'pause' }),
+    resume: () => worker.postMessage({ type: 'resume' }),
+    cancel: () => worker.postMessage({ type: 'cancel' }),
+  };
+}
+
+/**
+ * Fallback for environments without Web Workers (tests, Node):
+ * the same cooperative loop, yielding to the event loop between time slices
+ */
+function startOnMainThread(config, handlers) {
+  const { onProgress, onPauseChange, onDone, onCancel, onError, onSaved, onSaveError } = handlers;
+  const control = createRunControl();
+
+  executeSimulation(config, { control, onProgress })
+    .then(result => {
+      if (!result) {
+        onCancel?.();
+        return;
+      }
+      onDone?.(result);
+      // Запись для библиотеки собирается после отрисовки результатов
+      if (config.library) {
+        setTimeout(() => {
+          saveCompletedRun(result, config, { keep: config.library.keep })
+            .then(id => onSaved?.(id), error => onSaveError?.(error));
+        }, 0);
+      }
+    })
+    .catch(error => onError?.(error));
+
+  return {
+    pause: () => {
+      control.pause();
+      onPauseChange?.(true);
+    },
+    resume: () => {
+      control.resume();
+      onPauseChange?.(false);
+    },
+    cancel: () => control.cancel(),
+  };
+}
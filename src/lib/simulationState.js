@@ -3,6 +3,9 @@
  * Manages simulation state and provides utilities for state manipulation
  */
 
+import { asConnectionStore } from './connectionStore.js';
+import { resolveThresholds } from './simulationConfig.js';
+
 /**
  * Create initial simulation state
  */
@@ -13,6 +16,7 @@ export function createInitialState() {
     connections: null,
     clusterCenters: null,
     isRunning: false,
+    isPaused: false,
     progress: 0,
     currentCycle: 0,
     error: null,
@@ -29,7 +33,7 @@ export function updateProgress(state, currentCycle, totalCycles) {
   return {
     ...state,
     currentCycle,
-    progress: (currentCycle / totalCycles) * 100,
+    progress: totalCycles > 0 ? (currentCycle / totalCycles) * 100 : 0,
   };
 }
 
@@ -40,10 +44,34 @@ export function setRunning(state, isRunning) {
   return {
     ...state,
     isRunning,
+    isPaused: false,
     error: isRunning ? null : state.error,
   };
 }
 
+/**
+ * Set simulation paused state (only meaningful while running)
+ */
+export function setPaused(state, isPaused) {
+  return {
+    ...state,
+    isPaused: state.isRunning && isPaused,
+  };
+}
+
+/**
+ * Mark simulation as cancelled: stop running and drop partial progress
+ */
+export function setCancelled(state) {
+  return {
+    ...state,
+    isRunning: false,
+    isPaused: false,
+    progress: 0,
+    currentCycle: 0,
+  };
+}
+
 /**
  * Set simulation error
  */
@@ -52,6 +80,7 @@ export function setError(state, error) {
     ...state,
     error,
     isRunning: false,
+    isPaused: false,
   };
 }
 
@@ -63,6 +92,7 @@ export function setResults(state, results) {
     ...state,
     results,
     isRunning: false,
+    isPaused: false,
     progress: 100,
   };
 }
@@ -88,22 +118,29 @@ export function isReadyToRun(state, params) {
 }
 
 /**
- * Get simulation summary
+ * Get simulation summary.
+ * A tie equal to a cutoff counts (strength >= edgeThreshold), as in the graphs and exports; before the
+ * thresholds were split the summary counted only ties above a fixed 0.5.
+ * @param {Object} state - Simulation state with results
+ * @param {Object} params - Simulation parameters: ties from edgeThreshold are active, from strongTieThreshold strong
  */
-export function getSimulationSummary(state) {
+export function getSimulationSummary(state, params = {}) {
   if (!state.results) return null;
 
   const { agents, connections } = state.results;
+  const { edgeThreshold, strongTieThreshold } = resolveThresholds(params);
   
-  // Count active connections
+  // Count active and strong connections
   let activeConnections = 0;
-  for (let i = 0; i < connections.length; i++) {
-    for (let j = i + 1; j < connections.length; j++) {
-      if (connections[i][j] > 0.5) {
-        activeConnections++;
-      }
+  let strongConnections = 0;
+  asConnectionStore(connections).forEachEdge((i, j, strength) => {
+    if (strength >= edgeThreshold) {
+      activeConnections++;
     }
-  }
+    if (strength >= strongTieThreshold) {
+      strongConnections++;
+    }
+  });
 
   // Calculate network density
   const maxConnections = (agents.length * (agents.length - 1)) / 2;
@@ -118,6 +155,7 @@ export function getSimulationSummary(state) {
   return {
     totalAgents: agents.length,
     activeConnections,
+    strongConnections,
     networkDensity: density.toFixed(1),
     clusters: Object.keys(clusterCounts).length,
     clusterDistribution: clusterCounts,
@@ -0,0 +1,141 @@
+/**
+ * Topic Agenda Module
+ * Agenda timeline of the information environment: each topic enters and leaves the agenda at given
+ * cycles and its salience follows a curve (constant, spike and decay, periodic). Conversations pick
+ * topics in proportion to value alignment times salience; topics without a timeline are always on
+ * the agenda with salience 1, as in the original model.
+ */
+
+/**
+ * Salience curves; fields are the curve parameters of the timeline editor
+ */
+export const SALIENCE_CURVES = [
+  { id: 'constant', name: 'Постоянная', description: 'Значимость не меняется, пока тема в повестке', fields: [] },
+  { id: 'spike', name: 'Всплеск и затухание', description: 'Тема входит в повестку на пике и затухает вдвое за период полураспада', fields: ['halfLife'] },
+  { id: 'periodic', name: 'Периодическая', description: 'Тема то набирает значимость, то уходит из фокуса с заданным периодом', fields: ['period'] },
+];
+
+export const SALIENCE_CURVE_IDS = SALIENCE_CURVES.map(curve => curve.id);
+
+/**
+ * Timeline of a topic without settings: always on the agenda with salience 1
+ */
+export const DEFAULT_TOPIC_SALIENCE = {
+  weight: 1, // peak salience, multiplies the value alignment of the topic
+  entryCycle: 0, // first cycle on the agenda (cycles are counted from 0)
+  exitCycle: null, // first cycle off the agenda (null = until the end of the run)
+  curve: 'constant', // see SALIENCE_CURVES
+  halfLife: 5, // cycles in which a spike decays by half
+  period: 10, // cycles between two peaks of a periodic topic
+};
+
+/**
+ * Fill a salience spec with the defaults; unknown curves fall back to 'constant'
+ * @param {Object} spec - Partial spec of DEFAULT_TOPIC_SALIENCE
+ * @returns {Object} - Full spec
+ */
+export function normalizeSalience(spec) {
+  const salience = { ...DEFAULT_TOPIC_SALIENCE, ...(spec || {}) };
+  if (!SALIENCE_CURVE_IDS.includes(salience.curve)) salience.curve = 'constant';
+  return salience;
+}
+
+/**
+ * Salience of a topic in a cycle
+ * @param {Object} spec - Salience spec (see DEFAULT_TOPIC_SALIENCE), may be partial or missing
+ * @param {number} cycle - Cycle index, from 0
+ * @returns {number} - 0 off the agenda, otherwise weight times the curve value in [0, 1]
+ * (the periodic curve reaches 0 halfway through the period)
+ */
+export function topicSalience(spec, cycle) {
+  const { weight, entryCycle, exitCycle, curve, halfLife, period } = normalizeSalience(spec);
+  if (cycle < entryCycle || (exitCycle !== null && cycle >= exitCycle)) return 0;
+
+  const age = cycle - entryCycle;
+  switch (curve) {
+    case 'spike':
+      return halfLife > 0 ? weight * Math.pow(0.5, age / halfLife) : (age === 0 ? weight : 0);
+    case 'periodic':
+      // Пик при входе в повестку, спад до нуля к середине периода
+      return period > 0 ? weight * (1 + Math.cos(2 * Math.PI * age / period)) / 2 : weight;
+    default:
+      return weight;
+  }
+}
+
+/**
+ * Check whether any topic has an agenda timeline other than the default
+ */
+export function hasAgendaTimeline(topics) {
+  return topics.some(topic => {
+    if (!topic.salience) return false;
+    const spec = normalizeSalience(topic.salience);
+    return Object.keys(DEFAULT_TOPIC_SALIENCE).some(key => spec[key] !== DEFAULT_TOPIC_SALIENCE[key]);
+  });
+}
+
+/**
+ * Salience of every topic in every cycle of a run (timeline charts)
+ * @param {Array} topics - Topics or topic settings with an optional salience spec
+ * @param {number} cycles - Number of cycles
+ * @returns {Array<Array<number>>} - [topicIndex][cycle]
+ */
+export function agendaTimeline(topics, cycles) {
+  return topics.map(topic => Array.from({ length: cycles }, (_, cycle) => topicSalience(topic.salience, cycle)));
+}
+
+/**
+ * Topic settings entry of a topic that has no settings yet
+ */
+function defaultTopicSettings(id) {
+  return {
+    id,
+    name: `Тема ${id + 1}`,
+    type: 'random',
+    targetCluster: 0,
+    proximityLevel: 0.5,
+    customVector: null,
+  };
+}
+
+/**
+ * Fit topic settings to a topic count: existing topics keep their names, types and timelines,
+ * missing topics get the defaults and topics beyond the count are dropped
+ * @param {Array} topics - Topic settings entries
+ * @param {number} numTopics - Number of topics
+ * @returns {Array} - Topic settings entries with ids 0..numTopics-1
+ */
+export function resizeTopicSettings(topics = [], numTopics) {
+  return Array.from({ length: numTopics }, (_, i) => topics[i] || defaultTopicSettings(i));
+}
+
+/**
+ * Build topic settings from the app format ({ numTopics, topics }) or the
+ * template format ({ topicCount, topicNames, topicWeights, topicTimeline })
+ */
+export function normalizeTopicSettings(topicSettings = {}) {
+  if (Array.isArray(topicSettings.topics)) {
+    return { numTopics: topicSettings.numTopics ?? topicSettings.topics.length, topics: topicSettings.topics };
+  }
+
+  const names = topicSettings.topicNames || [];
+  const weights = topicSettings.topicWeights || [];
+  const timeline = topicSettings.topicTimeline || [];
+  const numTopics = topicSettings.topicCount ?? topicSettings.numTopics ?? (names.length || 10);
+
+  return {
+    numTopics,
+    topics: Array.from({ length: numTopics }, (_, i) => {
+      // Вес темы и ее расписание в повестке
+      const salience = {
+        ...(typeof weights[i] === 'number' ? { weight: weights[i] } : {}),
+        ...(timeline[i] || {}),
+      };
+      return {
+        ...defaultTopicSettings(i),
+        ...(names[i] ? { name: names[i] } : {}),
+        ...(Object.keys(salience).length > 0 ? { salience } : {}),
+      };
+    }),
+  };
+}
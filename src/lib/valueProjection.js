@@ -0,0 +1,437 @@
+/**
+ * Value Projection Module
+ * Projects the value space (agent values, cluster centers, topic vectors) onto a plane:
+ * exact PCA, t-SNE and a simplified UMAP.
+ *
+ * Vectors are compared by direction, as everywhere in the model: all methods work on
+ * unit-normalized copies of the input.
+ */
+
+import { createRandom } from './random.js';
+
+/**
+ * Projection methods; t-SNE and UMAP keep all pairwise distances, so larger populations are
+ * projected by a random sample of maxPoints agents
+ */
+export const PROJECTION_METHODS = [
+  { id: 'pca', name: 'PCA', maxPoints: Infinity },
+  { id: 'tsne', name: 't-SNE', maxPoints: 1000 },
+  { id: 'umap', name: 'UMAP', maxPoints: 5000 },
+];
+
+function normalize(vector) {
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return magnitude === 0 ? [...vector] : vector.map(value => value / magnitude);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+/**
+ * Eigen decomposition of a symmetric matrix (cyclic Jacobi rotations)
+ * @param {Array} matrix - Symmetric n×n matrix
+ * @returns {Object} - { values, vectors } sorted by decreasing eigenvalue; vectors[i] is the unit
+ *   eigenvector of values[i], with its largest component positive
+ */
+export function symmetricEigen(matrix, { maxSweeps = 100, tolerance = 1e-12 } = {}) {
+  const n = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+    }
+    if (off < tolerance) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        // Поворот в плоскости (p, q), обнуляющий a[p][q]
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return Array.from({ length: n }, (_, i) => i)
+    .sort((i, j) => a[j][j] - a[i][i])
+    .reduce((result, i) => {
+      const vector = v.map(row => row[i]);
+      const largest = vector.reduce((best, value) => (Math.abs(value) > Math.abs(best) ? value : best), 0);
+      result.values.push(a[i][i]);
+      result.vectors.push(largest < 0 ? vector.map(value => -value) : vector);
+      return result;
+    }, { values: [], vectors: [] });
+}
+
+/**
+ * Exact principal component analysis
+ * @param {Array} vectors - Vectors to fit the components on
+ * @param {Object} options - { components = 2 }
+ * @returns {Object} - { points, axes, explained (share of variance per component), project(vector) }
+ */
+export function pcaProjection(vectors, { components = 2 } = {}) {
+  const unit = vectors.map(normalize);
+  const dimension = unit[0]?.length ?? 0;
+  const mean = new Array(dimension).fill(0);
+  unit.forEach(vector => vector.forEach((value, j) => { mean[j] += value / unit.length; }));
+
+  const covariance = Array.from({ length: dimension }, () => new Array(dimension).fill(0));
+  const denominator = Math.max(1, unit.length - 1);
+  unit.forEach(vector => {
+    const centered = vector.map((value, j) => value - mean[j]);
+    for (let p = 0; p < dimension; p++) {
+      for (let q = p; q < dimension; q++) covariance[p][q] += (centered[p] * centered[q]) / denominator;
+    }
+  });
+  for (let p = 0; p < dimension; p++) {
+    for (let q = 0; q < p; q++) covariance[p][q] = covariance[q][p];
+  }
+
+  const { values, vectors: eigenvectors } = symmetricEigen(covariance);
+  const total = values.reduce((sum, value) => sum + Math.max(0, value), 0);
+  // Пространство размерности меньше components дополняется нулевыми осями
+  const axes = Array.from({ length: components }, (_, i) => eigenvectors[i] ?? new Array(dimension).fill(0));
+  const explained = axes.map((_, i) => (total > 0 && values[i] !== undefined ? Math.max(0, values[i]) / total : 0));
+
+  const project = (vector) => {
+    const centered = normalize(vector).map((value, j) => value - mean[j]);
+    return axes.map(axis => dot(centered, axis));
+  };
+
+  return { points: unit.map(project), axes, explained, project };
+}
+
+/**
+ * Exact t-SNE (O(n²) per iteration)
+ * @param {Array} vectors - Vectors to embed
+ * @param {Object} options - { perplexity = 30, iterations = 500, learningRate (default max(10, n / 12)), rng }
+ * @returns {Array} - [x, y] per vector
+ */
+export function tsneProjection(vectors, { perplexity = 30, iterations = 500, learningRate, rng = createRandom(0) } = {}) {
+  const unit = vectors.map(normalize);
+  const n = unit.length;
+  if (n < 3) return unit.map((_, i) => [i, 0]);
+  // Шаг, соразмерный числу точек (при раннем преувеличении большой шаг раскачивает малые выборки)
+  const rate = learningRate ?? Math.max(10, n / 12);
+
+  const distances = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const distance = squaredDistance(unit[i], unit[j]);
+      distances[i * n + j] = distance;
+      distances[j * n + i] = distance;
+    }
+  }
+
+  // Условные вероятности: точность ядра каждой точки подбирается под перплексию
+  const targetEntropy = Math.log(Math.min(perplexity, (n - 1) / 3));
+  const conditional = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    let beta = 1;
+    let betaMin = 0;
+    let betaMax = Infinity;
+    for (let step = 0; step < 50; step++) {
+      let sum = 0;
+      let weighted = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const p = Math.exp(-distances[i * n + j] * beta);
+        conditional[i * n + j] = p;
+        sum += p;
+        weighted += distances[i * n + j] * p;
+      }
+      const entropy = sum > 0 ? Math.log(sum) + (beta * weighted) / sum : 0;
+      if (Math.abs(entropy - targetEntropy) < 1e-5) break;
+      if (entropy > targetEntropy) {
+        betaMin = beta;
+        beta = betaMax === Infinity ? beta * 2 : (beta + betaMax) / 2;
+      } else {
+        betaMax = beta;
+        beta = (beta + betaMin) / 2;
+      }
+    }
+    let sum = 0;
+    for (let j = 0; j < n; j++) sum += conditional[i * n + j];
+    for (let j = 0; j < n; j++) conditional[i * n + j] = sum > 0 ? conditional[i * n + j] / sum : 0;
+  }
+
+  const joint = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i !== j) joint[i * n + j] = Math.max((conditional[i * n + j] + conditional[j * n + i]) / (2 * n), 1e-12);
+    }
+  }
+
+  const y = Array.from({ length: n }, () => [(rng() - 0.5) * 1e-2, (rng() - 0.5) * 1e-2]);
+  const updates = Array.from({ length: n }, () => [0, 0]);
+  const gains = Array.from({ length: n }, () => [1, 1]);
+  const affinity = new Float64Array(n * n);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const exaggeration = iteration < 100 ? 12 : 1;
+    const momentum = iteration < 250 ? 0.5 : 0.8;
+
+    let sumQ = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = y[i][0] - y[j][0];
+        const dy = y[i][1] - y[j][1];
+        const q = 1 / (1 + dx * dx + dy * dy);
+        affinity[i * n + j] = q;
+        affinity[j * n + i] = q;
+        sumQ += 2 * q;
+      }
+    }
+
+    for (let i = 0; i < n; i++) {
+      let gx = 0;
+      let gy = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const q = affinity[i * n + j];
+        const force = (exaggeration * joint[i * n + j] - q / sumQ) * q;
+        gx += 4 * force * (y[i][0] - y[j][0]);
+        gy += 4 * force * (y[i][1] - y[j][1]);
+      }
+      [gx, gy].forEach((gradient, d) => {
+        gains[i][d] = Math.sign(gradient) !== Math.sign(updates[i][d])
+          ? gains[i][d] + 0.2
+          : Math.max(0.01, gains[i][d] * 0.8);
+        updates[i][d] = momentum * updates[i][d] - rate * gains[i][d] * gradient;
+      });
+    }
+
+    const centre = [0, 0];
+    for (let i = 0; i < n; i++) {
+      y[i][0] += updates[i][0];
+      y[i][1] += updates[i][1];
+      centre[0] += y[i][0] / n;
+      centre[1] += y[i][1] / n;
+    }
+    y.forEach(point => { point[0] -= centre[0]; point[1] -= centre[1]; });
+  }
+
+  return y;
+}
+
+/**
+ * Parameters a, b of the UMAP low-dimensional kernel 1 / (1 + a·d^(2b)) fitted by least squares
+ * to 1 below minDist and exp(−(d − minDist)) above it
+ */
+function fitKernel(minDist) {
+  const distances = Array.from({ length: 300 }, (_, i) => ((i + 1) / 300) * 3);
+  const target = distances.map(d => (d < minDist ? 1 : Math.exp(-(d - minDist))));
+  let best = { a: 1, b: 1, error: Infinity };
+  for (let a = 0.05; a <= 5; a += 0.05) {
+    for (let b = 0.3; b <= 2; b += 0.02) {
+      let error = 0;
+      distances.forEach((d, i) => {
+        const diff = 1 / (1 + a * d ** (2 * b)) - target[i];
+        error += diff * diff;
+      });
+      if (error < best.error) best = { a, b, error };
+    }
+  }
+  return best;
+}
+
+/**
+ * Simplified UMAP: fuzzy k-nearest-neighbour graph, PCA initialization and stochastic gradient
+ * descent with negative sampling
+ * @param {Array} vectors - Vectors to embed
+ * @param {Object} options - { neighbours = 15, minDist = 0.1, epochs = 200, negativeSamples = 5, rng }
+ * @returns {Array} - [x, y] per vector
+ */
+export function umapProjection(vectors, { neighbours = 15, minDist = 0.1, epochs = 200, negativeSamples = 5, rng = createRandom(0) } = {}) {
+  const unit = vectors.map(normalize);
+  const n = unit.length;
+  if (n < 3) return unit.map((_, i) => [i, 0]);
+  const k = Math.min(neighbours, n - 1);
+
+  // k ближайших соседей полным перебором
+  const knn = unit.map((vector, i) => {
+    const nearest = [];
+    for (let j = 0; j < n; j++) {
+      if (j === i) continue;
+      const distance = Math.sqrt(squaredDistance(vector, unit[j]));
+      if (nearest.length === k && distance >= nearest[k - 1].distance) continue;
+      let position = nearest.length === k ? k - 1 : nearest.length;
+      nearest[position] = { index: j, distance };
+      while (position > 0 && nearest[position - 1].distance > distance) {
+        [nearest[position - 1], nearest[position]] = [nearest[position], nearest[position - 1]];
+        position--;
+      }
+    }
+    return nearest;
+  });
+
+  // Нечеткие веса ребер: расстояние отсчитывается от ближайшего соседа, масштаб дает сумму log2(k)
+  const target = Math.log2(k);
+  const weights = new Map();
+  knn.forEach((nearest, i) => {
+    const rho = nearest[0].distance;
+    let sigma = 1;
+    let low = 0;
+    let high = Infinity;
+    for (let step = 0; step < 64; step++) {
+      const sum = nearest.reduce((total, { distance }) => total + Math.exp(-Math.max(0, distance - rho) / sigma), 0);
+      if (Math.abs(sum - target) < 1e-5) break;
+      if (sum > target) {
+        high = sigma;
+        sigma = (low + high) / 2;
+      } else {
+        low = sigma;
+        sigma = high === Infinity ? sigma * 2 : (low + high) / 2;
+      }
+    }
+    nearest.forEach(({ index, distance }) => {
+      weights.set(i * n + index, Math.exp(-Math.max(0, distance - rho) / sigma));
+    });
+  });
+
+  // Симметризация: вероятность хотя бы одного из направленных ребер
+  const edges = [];
+  weights.forEach((weight, key) => {
+    const i = Math.floor(key / n);
+    const j = key % n;
+    const reverse = weights.get(j * n + i);
+    if (reverse !== undefined && j < i) return;
+    const w = reverse === undefined ? weight : weight + reverse - weight * reverse;
+    edges.push([i, j, w]);
+  });
+  const maxWeight = Math.max(...edges.map(edge => edge[2]));
+
+  // Начальная раскладка — главные компоненты, растянутые до [-10, 10]
+  const initial = pcaProjection(unit).points;
+  const extent = Math.max(1e-9, ...initial.flat().map(Math.abs));
+  const y = initial.map(([x1, x2]) => [(x1 / extent) * 10 + (rng() - 0.5) * 1e-3, (x2 / extent) * 10 + (rng() - 0.5) * 1e-3]);
+
+  const { a, b } = fitKernel(minDist);
+  const clip = value => Math.max(-4, Math.min(4, value));
+  const epochsPerSample = edges.map(edge => maxWeight / edge[2]);
+  const nextEpoch = [...epochsPerSample];
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const alpha = 1 - epoch / epochs;
+    edges.forEach(([i, j], e) => {
+      if (nextEpoch[e] > epoch + 1) return;
+      nextEpoch[e] += epochsPerSample[e];
+
+      const dx = y[i][0] - y[j][0];
+      const dy = y[i][1] - y[j][1];
+      const d2 = dx * dx + dy * dy;
+      if (d2 > 0) {
+        const coefficient = (-2 * a * b * d2 ** (b - 1)) / (1 + a * d2 ** b);
+        const mx = clip(coefficient * dx) * alpha;
+        const my = clip(coefficient * dy) * alpha;
+        y[i][0] += mx;
+        y[i][1] += my;
+        y[j][0] -= mx;
+        y[j][1] -= my;
+      }
+
+      for (let s = 0; s < negativeSamples; s++) {
+        const other = Math.floor(rng() * n);
+        if (other === i) continue;
+        const ox = y[i][0] - y[other][0];
+        const oy = y[i][1] - y[other][1];
+        const o2 = ox * ox + oy * oy;
+        const coefficient = o2 > 0 ? (2 * b) / ((0.001 + o2) * (1 + a * o2 ** b)) : 0;
+        y[i][0] += (o2 > 0 ? clip(coefficient * ox) : 4) * alpha;
+        y[i][1] += (o2 > 0 ? clip(coefficient * oy) : 4) * alpha;
+      }
+    });
+  }
+
+  return y;
+}
+
+/**
+ * Random sorted sample of indices 0..n-1 (all of them when n ≤ size)
+ */
+function sampleIndices(n, size, rng) {
+  const indices = Array.from({ length: n }, (_, i) => i);
+  if (n <= size) return indices;
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(rng() * (n - i));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices.slice(0, size).sort((x, y) => x - y);
+}
+
+/**
+ * Project agents, cluster centers and topics into one plane. PCA is fitted on the agents and
+ * applied to centers and topics; t-SNE and UMAP embed all points together.
+ * @param {Object} space - { agents: [{ id, values }], centers: [{ cluster, vector }], topics: [{ id, vector }] }
+ * @param {string} method - Id from PROJECTION_METHODS
+ * @param {Object} options - { seed = 0, maxPoints (default of the method), perplexity, neighbours, minDist, iterations, epochs }
+ * @returns {Object} - { agents: [{ id, x, y }], centers: [{ cluster, x, y }], topics: [{ id, x, y }],
+ *   explained (PCA only, otherwise null), sampled }
+ */
+export function projectValueSpace({ agents, centers = [], topics = [] }, method = 'pca', options = {}) {
+  const definition = PROJECTION_METHODS.find(m => m.id === method);
+  if (!definition) throw new Error(`Unknown projection method: ${method}`);
+  const rng = createRandom(options.seed ?? 0);
+  const sample = sampleIndices(agents.length, options.maxPoints ?? definition.maxPoints, rng).map(i => agents[i]);
+  const place = (points, items, key) => items.map((item, i) => ({ [key]: item[key], x: points[i][0], y: points[i][1] }));
+
+  if (method === 'pca') {
+    const { points, explained, project } = pcaProjection(sample.map(agent => agent.values));
+    return {
+      agents: place(points, sample, 'id'),
+      centers: place(centers.map(center => project(center.vector)), centers, 'cluster'),
+      topics: place(topics.map(topic => project(topic.vector)), topics, 'id'),
+      explained,
+      sampled: sample.length < agents.length,
+    };
+  }
+
+  const vectors = [...sample.map(agent => agent.values), ...centers.map(c => c.vector), ...topics.map(t => t.vector)];
+  const points = method === 'tsne'
+    ? tsneProjection(vectors, { rng, perplexity: options.perplexity, iterations: options.iterations })
+    : umapProjection(vectors, { rng, neighbours: options.neighbours, minDist: options.minDist, epochs: options.epochs });
+
+  return {
+    agents: place(points, sample, 'id'),
+    centers: place(points.slice(sample.length), centers, 'cluster'),
+    topics: place(points.slice(sample.length + centers.length), topics, 'id'),
+    explained: null,
+    sampled: sample.length < agents.length,
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Vector Import Module
+ * Parsing of agent and topic vector tables (rows of CSV cells) shared by the UI and the CLI
+ */
+
+import Papa from 'papaparse';
+import { readAttributeColumns } from './agentAttributes.js';
+import { readRoleColumns } from './agentRoles.js';
+
+/**
+ * Check whether a CSV cell holds a number
+ */
+function isNumericCell(cell) {
+  const text = String(cell ?? '').trim();
+  return text !== '' && Number.isFinite(Number(text));
+}
+
+/**
+ * Parse rows of CSV cells into vectors.
+ * An optional header row (no numeric cells, e.g. `v1,v2,...`) is skipped and an
+ * optional first column of names (e.g. `Политика,0.7,0.5,...`) is extracted.
+ * With options.agentAttributes, header columns named like agent attributes (`activity`,
+ * `stubbornness`, `openness`, `influence`, `tieCapacity`, see agentAttributes.js) are read as
+ * attributes instead of vector components, and the `role` and `agenda` columns as special roles
+ * (see agentRoles.js).
+ * @param {Array<Array<string>>} rows - Parsed CSV rows (Papa.parse with header: false)
+ * @param {Object} options - { agentAttributes: false }
+ * @returns {Object} - { vectors: number[][], names: string[]|null, header: string[]|null, attributes: Object[]|null,
+ *   roles: Array<{ role, agenda }>|null }
+ */
+export function parseVectorRows(rows, { agentAttributes = false } = {}) {
+  const cleanRows = rows.filter(row => row.some(cell => String(cell ?? '').trim() !== ''));
+  if (cleanRows.length === 0) {
+    throw new Error('Файл не содержит данных');
+  }
+
+  const hasHeader = cleanRows[0].every(cell => !isNumericCell(cell));
+  const header = hasHeader ? cleanRows[0].map(cell => String(cell).trim()) : null;
+  const dataRows = hasHeader ? cleanRows.slice(1) : cleanRows;
+  if (dataRows.length === 0) {
+    throw new Error('Файл содержит только заголовок');
+  }
+
+  const hasNames = !isNumericCell(dataRows[0][0]);
+  const names = hasNames ? dataRows.map(row => String(row[0] ?? '').trim()) : null;
+  const { columns: attributeColumns, attributes } = agentAttributes
+    ? readAttributeColumns(header, dataRows)
+    : { columns: [], attributes: null };
+  const { columns: roleColumns, roles } = agentAttributes
+    ? readRoleColumns(header, dataRows)
+    : { columns: [], roles: null };
+  const vectors = dataRows.map(row =>
+    row
+      .filter((cell, index) => !(hasNames && index === 0) && !attributeColumns.includes(index) && !roleColumns.includes(index))
+      .map(cell => (isNumericCell(cell) ? Number(cell) : 0))
+  );
+
+  return { vectors, names, header, attributes, roles };
+}
+
+/**
+ * Parse CSV text into vectors (see parseVectorRows)
+ * @param {string} text - CSV content
+ * @param {Object} options - Same as parseVectorRows
+ * @returns {Object} - { vectors, names, header, attributes, roles }
+ */
+export function parseVectorCsv(text, options) {
+  const { data } = Papa.parse(text.trim(), { header: false, skipEmptyLines: true });
+  return parseVectorRows(data, options);
+}
@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AGENT_ATTRIBUTE_KEYS,
+  drawAttributeValue,
+  assignAgentAttributes,
+  getAgentAttribute,
+} from '../lib/agentAttributes';
+import { parseVectorCsv } from '../lib/vectorImport';
+import { applyOpinionUpdate } from '../lib/opinionDynamics';
+import { executeSimulation } from '../lib/simulationPipeline';
+import { asConnectionStore } from '../lib/connectionStore';
+import { resolveModelParams } from '../lib/simulationConfig';
+import { createRandom } from '../lib/random';
+import { createMockParams, createMockTopicSettings, createMockOpinionSettings, runSeededSimulation } from './testHelpers';
+
+// attributes(agent) — атрибуты агента в прогоне
+const withAttributes = (attributes, options = {}) => runSeededSimulation({
+  ...options,
+  agent: agent => ({ attributes: attributes(agent) }),
+});
+
+describe('Agent Attributes', () => {
+  describe('values', () => {
+    it('should draw values from the distributions within the attribute range', () => {
+      const rng = createRandom(1);
+
+      expect(drawAttributeValue('openness', { distribution: 'fixed', value: 0.3 }, rng)).toBe(0.3);
+      expect(drawAttributeValue('openness', { distribution: 'fixed', value: 3 }, rng)).toBe(1);
+      expect(drawAttributeValue('openness', undefined, rng)).toBeNull();
+      for (let k = 0; k < 50; k++) {
+        const uniform = drawAttributeValue('activity', { distribution: 'uniform', min: 0.5, max: 2 }, rng);
+        expect(uniform).toBeGreaterThanOrEqual(0.5);
+        expect(uniform).toBeLessThanOrEqual(2);
+        const normal = drawAttributeValue('stubbornness', { distribution: 'normal', mean: 0.5, sd: 1 }, rng);
+        expect(normal).toBeGreaterThanOrEqual(0);
+        expect(normal).toBeLessThanOrEqual(1);
+        expect(Number.isInteger(drawAttributeValue('tieCapacity', { distribution: 'normal', mean: 5, sd: 2 }, rng))).toBe(true);
+      }
+    });
+
+    it('should read attribute columns of the agents CSV next to the vector', () => {
+      const csv = 'name,v1,v2,activity,tieCapacity,openness\nА,0.5,-0.5,2,3,\nБ,0.1,0.2,0.5,7.6,0.4\n';
+      const { vectors, names, attributes } = parseVectorCsv(csv, { agentAttributes: true });
+
+      expect(names).toEqual(['А', 'Б']);
+      expect(vectors).toEqual([[0.5, -0.5], [0.1, 0.2]]);
+      expect(attributes).toEqual([
+        { activity: 2, tieCapacity: 3 },
+        { activity: 0.5, tieCapacity: 8, openness: 0.4 },
+      ]);
+
+      // Без опции столбцы остаются компонентами вектора
+      expect(parseVectorCsv(csv).vectors[1]).toEqual([0.1, 0.2, 0.5, 7.6, 0.4]);
+    });
+
+    it('should prefer CSV values over cluster distributions and default the rest', () => {
+      const agents = [{ id: 0, cluster: 0 }, { id: 1, cluster: 1 }, { id: 2, cluster: 1 }];
+      assignAgentAttributes(agents, {
+        uploaded: [{ influence: 4 }, {}],
+        clusterSettings: { 1: { influence: { distribution: 'fixed', value: 2 }, stubbornness: { distribution: 'uniform', min: 0.2, max: 0.4 } } },
+        rng: createRandom(2),
+      });
+
+      expect(Object.keys(agents[0].attributes)).toEqual(AGENT_ATTRIBUTE_KEYS);
+      expect(agents[0].attributes).toEqual({ activity: 1, stubbornness: 0, openness: 1, influence: 4, tieCapacity: null });
+      expect(agents[1].attributes.influence).toBe(2);
+      expect(agents[2].attributes.stubbornness).toBeGreaterThanOrEqual(0.2);
+      expect(agents[2].attributes.stubbornness).toBeLessThanOrEqual(0.4);
+      expect(getAgentAttribute({ id: 3 }, 'activity')).toBe(1);
+    });
+  });
+
+  describe('engine', () => {
+    it('should not change the run with default attributes', () => {
+      const plain = runSeededSimulation();
+      const neutral = withAttributes(() => ({ activity: 1, stubbornness: 0, openness: 1, influence: 1, tieCapacity: null }));
+
+      expect(neutral.connections).toEqual(plain.connections);
+    });
+
+    it('should let only active agents start conversations', () => {
+      const initial = withAttributes(() => ({ activity: 0 }), { cycles: 0 });
+      const silent = withAttributes(() => ({ activity: 0 }));
+      expect(silent.connections).toEqual(initial.connections);
+
+      // Активен только агент 0: меняются лишь его связи
+      const single = asConnectionStore(withAttributes(agent => ({ activity: agent.id === 0 ? 1 : 0 })).connections);
+      const before = asConnectionStore(initial.connections);
+      let changedOwn = 0;
+      single.forEachEdge((i, j, strength) => {
+        if (strength === before.get(i, j)) return;
+        expect(i).toBe(0);
+        changedOwn++;
+      });
+      expect(changedOwn).toBeGreaterThan(0);
+    });
+
+    it('should keep closed agents from talking to other clusters', () => {
+      const initial = asConnectionStore(withAttributes(() => ({ openness: 0 }), { cycles: 0 }).connections);
+      const result = withAttributes(() => ({ openness: 0 }), { cycles: 15 });
+      const store = asConnectionStore(result.connections);
+      let withinChanged = 0;
+
+      store.forEachEdge((i, j, strength) => {
+        if (result.agents[i].cluster !== result.agents[j].cluster) {
+          expect(strength).toBe(initial.get(i, j));
+        } else if (strength !== initial.get(i, j)) {
+          withinChanged++;
+        }
+      });
+      expect(withinChanged).toBeGreaterThan(0);
+    });
+
+    it('should cap the number of ties at the tie capacity', () => {
+      const free = asConnectionStore(runSeededSimulation({ cycles: 30 }).connections);
+      const capped = asConnectionStore(withAttributes(() => ({ tieCapacity: 2 }), { cycles: 30 }).connections);
+
+      expect(Math.max(...Array.from({ length: 30 }, (_, k) => free.degree(k, 0.5)))).toBeGreaterThan(2);
+      for (let k = 0; k < 30; k++) {
+        expect(capped.degree(k, 0.5)).toBeLessThanOrEqual(2);
+      }
+    });
+
+    it('should prune initial ties beyond the tie capacity', () => {
+      const model = { initialConnectionMin: 0.6, initialConnectionMax: 0.9 };
+      const initial = asConnectionStore(runSeededSimulation({ cycles: 0, model }).connections);
+      const capped = asConnectionStore(withAttributes(() => ({ tieCapacity: 2 }), { cycles: 0, model }).connections);
+
+      for (let k = 0; k < 30; k++) {
+        expect(initial.degree(k, 0.5)).toBeGreaterThan(2);
+        expect(capped.degree(k, 0.5)).toBeLessThanOrEqual(2);
+        // Остаются самые сильные связи агента
+        capped.forEachNeighbour(k, (j, strength) => {
+          expect(strength).toBe(initial.get(k, j));
+        });
+      }
+    });
+
+    it('should weigh opinion updates by influence and stubbornness', () => {
+      const topic = { id: 0, vector: [1, 0] };
+      const model = resolveModelParams({ opinionRule: 'degroot', opinionChangeRate: 0.5 });
+      const connections = [[0, 1], [1, 0]];
+      const pair = (attributes) => [0.8, -0.2].map((opinion, id) => ({
+        id, cluster: 0, values: [1, 0], opinions: { 0: opinion }, attributes: attributes[id],
+      }));
+
+      const stubborn = pair([{ stubbornness: 1 }, { stubbornness: 0.5 }]);
+      applyOpinionUpdate(stubborn, 0, 1, topic, connections, model);
+      expect(stubborn[0].opinions[0]).toBe(0.8);
+      expect(stubborn[1].opinions[0]).toBeCloseTo(0.05);
+
+      const influential = pair([{ influence: 0 }, { influence: 2 }]);
+      applyOpinionUpdate(influential, 0, 1, topic, connections, model);
+      expect(influential[0].opinions[0]).toBeCloseTo(-0.2);
+      expect(influential[1].opinions[0]).toBe(-0.2);
+    });
+  });
+
+  describe('pipeline', () => {
+    it('should take attributes from the CSV and the cluster distributions', async () => {
+      const run = await executeSimulation({
+        simulationParams: createMockParams({ agentCount: 12, cycles: 2, seed: 3, numClusters: 2 }),
+        topicSettings: createMockTopicSettings(),
+        opinionSettings: createMockOpinionSettings(),
+        uploadedAgentAttributes: [{ activity: 3 }],
+        agentAttributeSettings: { clusterAttributes: { 1: { openness: { distribution: 'fixed', value: 0.2 } } } },
+      });
+      const { agents } = run.simulationResult;
+
+      expect(agents[0].attributes.activity).toBe(3);
+      agents.slice(1).forEach(agent => expect(agent.attributes.activity).toBe(1));
+      agents.forEach(agent => expect(agent.attributes.openness).toBe(agent.cluster === 1 ? 0.2 : 1));
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseRole,
+  assignAgentRoles,
+  summarizeRoles,
+} from '../lib/agentRoles';
+import { parseVectorCsv } from '../lib/vectorImport';
+import { applyOpinionUpdate } from '../lib/opinionDynamics';
+import { executeSimulation } from '../lib/simulationPipeline';
+import { asConnectionStore } from '../lib/connectionStore';
+import { resolveModelParams } from '../lib/simulationConfig';
+import { nodeSymbol } from '../lib/canvasNetwork';
+import { createRandom } from '../lib/random';
+import { createMockParams, createMockTopicSettings, createMockOpinionSettings, runSeededSimulation } from './testHelpers';
+
+// roles(agent) — роль и повестка агента; кластер 0 за все темы, остальные против
+const withRoles = (roles, options = {}) => runSeededSimulation({
+  ...options,
+  clusterOpinions: [0.8, -0.4],
+  agent: roles,
+});
+
+describe('Agent Roles', () => {
+  describe('assignment', () => {
+    it('should read role and agenda columns of the agents CSV next to the vector', () => {
+      const csv = 'name,v1,v2,role,agenda\nА,0.5,-0.5,бот,2\nБ,0.1,0.2,,\nВ,0.3,0.3,Zealot,\n';
+      const { vectors, roles } = parseVectorCsv(csv, { agentAttributes: true });
+
+      expect(vectors).toEqual([[0.5, -0.5], [0.1, 0.2], [0.3, 0.3]]);
+      expect(roles).toEqual([
+        { role: 'bot', agenda: 2 },
+        { role: 'regular', agenda: null },
+        { role: 'zealot', agenda: null },
+      ]);
+      expect(parseRole('СМИ')).toBe('media');
+      expect(parseRole('лидер')).toBe('regular');
+    });
+
+    it('should prefer clicked assignments over the CSV and fill the role counts', () => {
+      const topics = [{ id: 0 }, { id: 1 }, { id: 2 }];
+      const agents = Array.from({ length: 10 }, (_, id) => ({ id, opinions: { 0: 0.1, 1: -0.9, 2: 0.2 } }));
+      assignAgentRoles(agents, topics, {
+        uploaded: [{ role: 'bot', agenda: 2 }, { role: 'media', agenda: null }, { role: 'zealot', agenda: null }],
+        roleSettings: { counts: { zealot: 3, media: 1 }, agendas: { bot: 0 }, assignments: { 1: 'regular', 5: 'bot' } },
+        rng: createRandom(1),
+      });
+
+      expect(agents[0]).toMatchObject({ role: 'bot', agenda: 2 });
+      expect(agents[1].role).toBeUndefined();
+      expect(agents[5]).toMatchObject({ role: 'bot', agenda: 0 });
+      expect(agents.filter(agent => agent.role === 'zealot')).toHaveLength(3);
+      expect(agents[2].role).toBe('zealot');
+      // Повестка СМИ без настроек — тема самого решительного мнения
+      const media = agents.filter(agent => agent.role === 'media');
+      expect(media).toHaveLength(1);
+      expect(media[0].agenda).toBe(1);
+      agents.filter(agent => agent.role === 'zealot').forEach(agent => expect(agent.agenda).toBeUndefined());
+    });
+  });
+
+  describe('engine', () => {
+    it('should not change the run without special roles', () => {
+      const plain = withRoles(() => ({}));
+      const regular = withRoles(() => ({ role: 'regular' }));
+
+      expect(regular.connections).toEqual(plain.connections);
+      expect(plain.roleActivity).toBeUndefined();
+    });
+
+    it('should keep the opinions and values of special agents fixed', () => {
+      const topic = { id: 0, vector: [1, 0] };
+      const model = resolveModelParams({ opinionRule: 'degroot', opinionChangeRate: 0.5, valueChangeRate: 0.5 });
+      const agents = [
+        { id: 0, cluster: 0, values: [1, 0], opinions: { 0: 0.8 }, role: 'zealot' },
+        { id: 1, cluster: 0, values: [0, 1], opinions: { 0: -0.2 } },
+      ];
+      applyOpinionUpdate(agents, 0, 1, topic, [[0, 1], [1, 0]], model);
+
+      expect(agents[0].opinions[0]).toBe(0.8);
+      expect(agents[0].values).toEqual([1, 0]);
+      expect(agents[1].opinions[0]).toBeCloseTo(0.3);
+
+      const result = withRoles(agent => (agent.id < 5 ? { role: 'zealot' } : {}), {
+        model: { opinionChangeRate: 0.3, confidenceBound: 2 },
+      });
+      result.agents.slice(0, 5).forEach((agent, k) => expect(agent.opinions).toEqual(result.initialOpinions[k]));
+      expect(result.agents.slice(5).some((agent, k) => agent.opinions[0] !== result.initialOpinions[k + 5][0])).toBe(true);
+    });
+
+    it('should let bots talk more often and always on their agenda', () => {
+      const result = withRoles(agent => (agent.id === 0 ? { role: 'bot', agenda: 3 } : {}), {
+        model: { botActivity: 20 },
+      });
+      const bot = result.roleActivity.find(entry => entry.id === 0);
+      const calm = withRoles(agent => (agent.id === 0 ? { role: 'bot', agenda: 3 } : {}), {
+        model: { botActivity: 1 },
+      });
+
+      expect(bot.contacts).toBeGreaterThan(2 * calm.roleActivity[0].contacts);
+      expect(bot.reach).toBe(bot.reached.length);
+
+      // Общается только бот: меняются лишь мнения по теме его повестки
+      const onlyBot = withRoles(agent => ({
+        attributes: { activity: agent.id === 0 ? 1 : 0 },
+        ...(agent.id === 0 ? { role: 'bot', agenda: 3 } : {}),
+      }), { model: { opinionChangeRate: 0.3, confidenceBound: 2 } });
+      let changed = 0;
+      onlyBot.agents.forEach((agent, k) => {
+        onlyBot.topics.forEach(topic => {
+          if (agent.opinions[topic.id] === onlyBot.initialOpinions[k][topic.id]) return;
+          expect(topic.id).toBe(3);
+          changed++;
+        });
+      });
+      expect(changed).toBeGreaterThan(0);
+    });
+
+    it('should broadcast the media agenda over ties and move the audience opinions', () => {
+      const media = agent => (agent.id === 0 ? { role: 'media', agenda: 0, opinions: { 0: 1 } } : {});
+      const model = { mediaReachStrength: 0.1, mediaInfluence: 0.2, interactionsPerAgent: 0.1 };
+      const result = withRoles(media, { model, cycles: 5 });
+      const { reached, reach } = result.roleActivity[0];
+
+      expect(reach).toBeGreaterThan(0);
+      const moved = reached.filter(k => result.agents[k].opinions[0] > result.initialOpinions[k][0]);
+      expect(moved.length).toBeGreaterThan(reach / 2);
+
+      // С более высоким порогом силы связи вещание охватывает меньше агентов
+      const silent = withRoles(media, { model: { ...model, mediaReachStrength: 1 }, cycles: 5 });
+      expect(silent.roleActivity[0].reach).toBeLessThan(reach);
+    });
+  });
+
+  describe('summary', () => {
+    it('should summarize reach and the effect on the cluster structure', () => {
+      // Два кластера; агент 4 — СМИ, связанное с обоими
+      const agents = [0, 0, 1, 1, 1].map((cluster, id) => ({ id, cluster, values: [1, 0], opinions: { 0: 0 } }));
+      Object.assign(agents[4], { role: 'media', agenda: 0, opinions: { 0: 1 } });
+      agents[0].opinions[0] = 0.5;
+      const connections = [
+        [0, 0.8, 0, 0, 0.9],
+        [0.8, 0, 0, 0, 0.9],
+        [0, 0, 0, 0.8, 0.9],
+        [0, 0, 0.8, 0, 0.9],
+        [0.9, 0.9, 0.9, 0.9, 0],
+      ];
+      const summary = summarizeRoles(agents, connections, {
+        topics: [{ id: 0, name: 'Политика', vector: [1, 0] }],
+        roleActivity: [{ id: 4, contacts: 8, reach: 2, reached: [0, 1] }],
+        initialOpinions: agents.map(() => ({ 0: 0 })),
+        edgeThreshold: 0.5,
+      });
+
+      expect(summary.roles).toEqual([
+        { role: 'media', name: 'СМИ', count: 1, contacts: 8, reach: 2, audienceShift: 0.25 },
+      ]);
+      expect(summary.agents).toEqual([{ id: 4, role: 'media', agenda: 0, contacts: 8, reach: 2, degree: 4 }]);
+      expect(summary.modularityWithout).toBeGreaterThan(summary.modularity);
+      expect(summary.crossClusterShare).toBeCloseTo(2 / 6);
+      expect(summary.roleCrossClusterShare).toBeCloseTo(0.5);
+      expect(asConnectionStore(connections).get(4, 0)).toBe(0.9);
+      expect(summarizeRoles([{ id: 0, cluster: 0 }], [[0]])).toBeNull();
+    });
+
+    it('should add a roles section to the report and the role to the nodes', async () => {
+      const run = await executeSimulation({
+        simulationParams: createMockParams({ agentCount: 20, cycles: 3, seed: 3, numClusters: 2 }),
+        topicSettings: createMockTopicSettings(),
+        opinionSettings: createMockOpinionSettings(),
+        uploadedAgentRoles: [{ role: 'media', agenda: 1 }],
+        roleSettings: { counts: { bot: 2 } },
+      });
+      const { agents } = run.simulationResult;
+
+      expect(agents[0]).toMatchObject({ role: 'media', agenda: 1 });
+      expect(agents.filter(agent => agent.role === 'bot')).toHaveLength(2);
+      expect(run.report).toContain('### Особые роли');
+      expect(run.report).toContain('**СМИ** (1)');
+      expect(run.report).toContain('**Модулярность кластеров:**');
+      expect(run.vizData.nodes[0].role).toBe('media');
+      expect(run.vizData.nodes.find(node => !agents[node.id].role)).not.toHaveProperty('role');
+    });
+
+    it('should draw special roles with their own node shapes', () => {
+      const shapes = ['regular', 'zealot', 'bot', 'media'].map(role => nodeSymbol(role, 5)());
+
+      expect(new Set(shapes).size).toBe(4);
+      expect(nodeSymbol(undefined, 5)()).toBe(shapes[0]);
+    });
+  });
+});
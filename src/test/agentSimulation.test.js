@@ -4,8 +4,11 @@ import {
   generateAgentPopulation,
   generateTopics,
   runSimulation,
+  createSimulationRun,
   prepareVisualizationData,
 } from '../lib/agentSimulation';
+import { createTestSimulation, compareSimulations } from './testHelpers';
+import { createRandom } from '../lib/random';
 
 describe('Agent Simulation - Core Functions', () => {
   describe('cosineSimilarity', () => {
@@ -163,6 +166,65 @@ describe('Agent Simulation - Core Functions', () => {
     });
   });
 
+  describe('createSimulationRun', () => {
+    it('should advance one cycle per step', () => {
+      const agentData = generateAgentPopulation(20, 5, 2);
+      const topics = generateTopics(5, 'A', agentData.clusterCenters);
+      const run = createSimulationRun(agentData.agents, topics, 3, 0.3, 0);
+
+      expect(run.getCurrentCycle()).toBe(0);
+      expect(run.step()).toBe(1);
+      run.step();
+      run.step();
+      expect(run.isDone()).toBe(true);
+      expect(run.step()).toBe(3);
+    });
+
+    it('should match runSimulation when stepped to the end', () => {
+      const setup = () => {
+        const rng = createRandom(3);
+        const agentData = generateAgentPopulation(25, 6, 3, null, { rng });
+        const topics = generateTopics(6, 'A', agentData.clusterCenters, null, null, 3, 2, agentData.agents, { rng });
+        return { agentData, topics, rng };
+      };
+
+      const a = setup();
+      const expected = runSimulation(a.agentData.agents, a.topics, 6, 0.3, 2, { rng: a.rng });
+
+      const b = setup();
+      const run = createSimulationRun(b.agentData.agents, b.topics, 6, 0.3, 2, { rng: b.rng });
+      while (!run.isDone()) run.step();
+
+      expect(run.getResult().connections).toEqual(expected.connections);
+    });
+  });
+
+  describe('reproducibility', () => {
+    it('should produce identical connection matrices for the same seed', () => {
+      const sim1 = createTestSimulation({ numAgents: 40, cycles: 10, seed: 42 });
+      const sim2 = createTestSimulation({ numAgents: 40, cycles: 10, seed: 42 });
+
+      expect(JSON.stringify(sim2.simResult.connections)).toBe(JSON.stringify(sim1.simResult.connections));
+      expect(sim2.topics).toEqual(sim1.topics);
+      expect(sim2.simResult.agents.map(a => a.cluster)).toEqual(sim1.simResult.agents.map(a => a.cluster));
+    });
+
+    it('should produce different results for different seeds', () => {
+      const sim1 = createTestSimulation({ numAgents: 40, cycles: 10, seed: 1 });
+      const sim2 = createTestSimulation({ numAgents: 40, cycles: 10, seed: 2 });
+
+      expect(compareSimulations(sim1, sim2).connectionsDifferent).toBe(true);
+    });
+
+    it('should reproduce runs with cluster recalculation and scenario B', () => {
+      const options = { numAgents: 30, cycles: 12, recalculateAfter: 4, scenario: 'B', seed: 7 };
+      const sim1 = createTestSimulation(options);
+      const sim2 = createTestSimulation(options);
+
+      expect(sim2.simResult.connections).toEqual(sim1.simResult.connections);
+    });
+  });
+
   describe('prepareVisualizationData', () => {
     it('should prepare nodes and links', () => {
       const agentData = generateAgentPopulation(30, 10, 3);
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CANVAS_RENDERER_LIMITS,
+  shouldUseCanvasRenderer,
+  createNodeIndex,
+  selectVisibleEdges,
+  groupCentroids,
+  bundledEdgePoints,
+} from '../lib/canvasNetwork';
+
+// Узлы на сетке 10×10 с шагом 10, кластер — левая или правая половина
+const nodes = Array.from({ length: 100 }, (_, id) => ({
+  id,
+  x: (id % 10) * 10,
+  y: Math.floor(id / 10) * 10,
+  cluster: id % 10 < 5 ? 0 : 1,
+}));
+
+describe('Canvas network', () => {
+  it('should switch to canvas above the node or link limit', () => {
+    expect(shouldUseCanvasRenderer(100, 200)).toBe(false);
+    expect(shouldUseCanvasRenderer(CANVAS_RENDERER_LIMITS.nodes + 1, 0)).toBe(true);
+    expect(shouldUseCanvasRenderer(10, CANVAS_RENDERER_LIMITS.links + 1)).toBe(true);
+    expect(shouldUseCanvasRenderer(10, 20, { nodes: 5, links: 100 })).toBe(true);
+  });
+
+  it('should find the node under the cursor with a quadtree', () => {
+    const index = createNodeIndex([...nodes, { id: 100, x: NaN, y: 0 }]);
+
+    expect(index.size).toBe(100);
+    expect(index.find(21, 32, 5).id).toBe(32);
+    expect(index.find(25, 35, 3)).toBeNull();
+    expect(index.find(-100, -100).id).toBe(0);
+  });
+
+  describe('selectVisibleEdges', () => {
+    // Связи от узла 0 ко всем остальным, сила убывает с номером
+    const links = nodes.slice(1).map(node => ({ source: 0, target: node.id, strength: 1 - node.id / 100 }));
+
+    it('should keep the strongest edges within the budget', () => {
+      const visible = selectVisibleEdges(links, nodes, { budget: 5 });
+      expect(visible.map(link => link.target)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should show more edges when zoomed in', () => {
+      expect(selectVisibleEdges(links, nodes, { budget: 5, scale: 2 })).toHaveLength(20);
+      expect(selectVisibleEdges(links, nodes, { budget: 5, scale: 0.5 })).toHaveLength(5);
+    });
+
+    it('should cull edges outside the viewport', () => {
+      const viewport = { x0: 55, y0: 55, x1: 100, y1: 100 };
+      const visible = selectVisibleEdges(links, nodes, { viewport });
+
+      // Отрезок от (0, 0) виден, только если его рамка пересекает окно
+      visible.forEach(link => {
+        expect(nodes[link.target].x).toBeGreaterThanOrEqual(55);
+        expect(nodes[link.target].y).toBeGreaterThanOrEqual(55);
+      });
+      expect(visible.length).toBeGreaterThan(0);
+      expect(visible.length).toBeLessThan(links.length);
+    });
+
+    it('should accept links whose ends are node objects', () => {
+      const resolved = [{ source: nodes[0], target: nodes[99], strength: 1 }];
+      expect(selectVisibleEdges(resolved, nodes, { viewport: { x0: 80, y0: 80, x1: 120, y1: 120 } })).toHaveLength(1);
+    });
+  });
+
+  describe('bundling', () => {
+    const centroids = groupCentroids(nodes);
+
+    it('should compute group centroids', () => {
+      expect(centroids.get(0)).toEqual({ x: 20, y: 45 });
+      expect(centroids.get(1)).toEqual({ x: 70, y: 45 });
+    });
+
+    it('should route ties between groups through both centroids', () => {
+      expect(bundledEdgePoints(nodes[0], nodes[9], centroids.get(0), centroids.get(1)))
+        .toEqual([[0, 0], [20, 45], [70, 45], [90, 0]]);
+    });
+
+    it('should keep ties inside a group straight', () => {
+      expect(bundledEdgePoints(nodes[0], nodes[4], centroids.get(0), centroids.get(0)))
+        .toEqual([[0, 0], [40, 0]]);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect } from 'vitest';
+import {
+  hungarianAssignment,
+  clusterCentroids,
+  matchClusterIds,
+  createClusterEvent,
+  describeClusterEvent,
+  buildLineageFlows,
+  exportClusterLineage,
+  exportClusterMigrations,
+} from '../lib/clusterLineage';
+import { generateAgentPopulation, runSimulation, generateTopics } from '../lib/agentSimulation';
+import { createRandom } from '../lib/random';
+
+const totalCost = (cost, assignment) =>
+  assignment.reduce((sum, column, row) => sum + (column >= 0 ? cost[row][column] : 0), 0);
+
+describe('Cluster lineage', () => {
+  describe('hungarianAssignment', () => {
+    it('should find the minimum-cost assignment', () => {
+      const cost = [
+        [4, 1, 3],
+        [2, 0, 5],
+        [3, 2, 2],
+      ];
+      const assignment = hungarianAssignment(cost);
+
+      expect(assignment).toEqual([1, 0, 2]);
+      expect(totalCost(cost, assignment)).toBe(5);
+    });
+
+    it('should beat the greedy choice', () => {
+      // Жадный выбор взял бы 0 -> 0 (стоимость 1) и заплатил 100 за вторую строку
+      const cost = [
+        [1, 2],
+        [2, 100],
+      ];
+      expect(hungarianAssignment(cost)).toEqual([1, 0]);
+    });
+
+    it('should handle rectangular matrices', () => {
+      expect(hungarianAssignment([[5, 1, 9], [1, 7, 9]])).toEqual([1, 0]);
+      expect(hungarianAssignment([[5, 1], [1, 7], [3, 3]])).toEqual([1, 0, -1]);
+      expect(hungarianAssignment([])).toEqual([]);
+    });
+  });
+
+  describe('matching', () => {
+    const previousCenters = new Map([[0, [1, 0, 0]], [2, [0, 1, 0]], [5, [0, 0, 1]]]);
+
+    it('should recover permuted cluster ids', () => {
+      const centers = [[0, 0.1, 1], [0.99, 0.1, 0], [0, 1, 0]];
+      expect(matchClusterIds(previousCenters, centers, 6)).toEqual([5, 0, 2]);
+    });
+
+    it('should give fresh ids to extra clusters and never reuse vanished ones', () => {
+      const centers = [[0, 1, 0], [1, 0, 0], [0.7, 0.7, 0], [0, 0.1, 1]];
+      expect(matchClusterIds(previousCenters, centers, 6)).toEqual([2, 0, 6, 5]);
+
+      const fewer = matchClusterIds(previousCenters, [[0, 0, 1]], 6);
+      expect(fewer).toEqual([5]);
+    });
+
+    it('should compute unit centroids per cluster id', () => {
+      const centers = clusterCentroids([[2, 0], [0, 3], [0, 1]], [4, 1, 1]);
+      expect([...centers.keys()]).toEqual([1, 4]);
+      expect(centers.get(4)).toEqual([1, 0]);
+      expect(centers.get(1)).toEqual([0, 1]);
+    });
+  });
+
+  describe('events', () => {
+    // Кластер 0 распадается на 0 и новый 2, кластер 1 сохраняется
+    const vectors = [[1, 0, 0], [1, 0.1, 0], [0, 0, 1], [0, 0.1, 1], [0, 1, 0], [0.1, 1, 0]];
+    const previous = [0, 0, 0, 0, 1, 1];
+    const next = [0, 0, 2, 2, 1, 1];
+    const event = createClusterEvent(10, vectors, previous, next, clusterCentroids(vectors, previous));
+
+    it('should record sizes and the migration matrix', () => {
+      expect(event.cycle).toBe(10);
+      expect(event.from).toEqual([0, 1]);
+      expect(event.to).toEqual([0, 1, 2]);
+      expect(event.counts).toEqual([[2, 0, 2], [0, 2, 0]]);
+      expect(event.previousSizes).toEqual([4, 2]);
+      expect(event.sizes).toEqual([2, 2, 2]);
+      expect(event.born).toEqual([2]);
+      expect(event.vanished).toEqual([]);
+    });
+
+    it('should measure centroid drift of kept clusters only', () => {
+      expect(event.drift[0]).toBeGreaterThan(0.1);
+      expect(event.drift[1]).toBeCloseTo(0);
+      expect(event.drift[2]).toBeNull();
+      event.centers.forEach(center => expect(Math.hypot(...center)).toBeCloseTo(1));
+    });
+
+    it('should detect splits and merges', () => {
+      expect(describeClusterEvent(event)).toEqual({ splits: [{ from: 0, into: [0, 2] }], merges: [] });
+
+      const merged = createClusterEvent(20, vectors, next, [0, 0, 0, 0, 1, 1], clusterCentroids(vectors, next));
+      expect(merged.vanished).toEqual([2]);
+      expect(describeClusterEvent(merged)).toEqual({ splits: [], merges: [{ into: 0, from: [0, 2] }] });
+    });
+
+    it('should build Sankey flows over a window of events', () => {
+      const merged = createClusterEvent(20, vectors, next, [0, 0, 0, 0, 1, 1], clusterCentroids(vectors, next));
+      const { nodes, links } = buildLineageFlows([event, merged]);
+
+      expect(nodes.map(node => `${node.stage}:${node.cluster}`)).toEqual(['0:0', '0:1', '1:0', '1:1', '1:2', '2:0', '2:1']);
+      expect(links.reduce((sum, link) => sum + link.value, 0)).toBe(2 * vectors.length);
+      links.forEach(link => expect(nodes[link.target].stage).toBe(nodes[link.source].stage + 1));
+
+      const window = buildLineageFlows([event, merged], { start: 1, count: 1 });
+      expect(window.nodes[0]).toMatchObject({ stage: 0, cycle: 10 });
+      expect(window.links).toHaveLength(3);
+    });
+
+    it('should export lineage and migrations as CSV', () => {
+      const lineage = exportClusterLineage([event]).trim().split('\n');
+      expect(lineage[0]).toBe('cycle,cluster,size,previous_size,drift,status');
+      expect(lineage[3]).toBe('10,2,2,0,,born');
+
+      const migrations = exportClusterMigrations([event]).trim().split('\n');
+      expect(migrations.slice(1)).toEqual(['10,0,0,2', '10,0,2,2', '10,1,1,2']);
+    });
+  });
+
+  describe('simulation', () => {
+    const setup = (seed) => {
+      const rng = createRandom(seed);
+      const { agents, clusterCenters } = generateAgentPopulation(60, 6, 3, null, { rng });
+      const topics = generateTopics(6, 'A', clusterCenters, null, null, 3, 4, agents, { rng });
+      return { agents, topics, rng };
+    };
+
+    it('should record an event at every recalculation', () => {
+      const { agents, topics, rng } = setup(8);
+      const result = runSimulation(agents, topics, 12, 0.3, 4, { rng, model: { opinionChangeRate: 0.2, valueChangeRate: 0.1 } });
+
+      expect(result.clusterEvents.map(event => event.cycle)).toEqual([4, 8]);
+      result.clusterEvents.forEach(event => {
+        const moved = event.counts.flat().reduce((sum, count) => sum + count, 0);
+        expect(moved).toBe(agents.length);
+        expect(event.sizes.reduce((sum, size) => sum + size, 0)).toBe(agents.length);
+      });
+
+      // Итоговые кластеры агентов совпадают с последним событием
+      const last = result.clusterEvents[result.clusterEvents.length - 1];
+      const finalSizes = last.to.map(id => result.agents.filter(agent => agent.cluster === id).length);
+      expect(finalSizes).toEqual(last.sizes);
+      // События связаны: кластеры после пересчета — кластеры до следующего
+      expect(result.clusterEvents[1].from).toEqual(result.clusterEvents[0].to);
+    });
+
+    it('should keep ids of stable clusters', () => {
+      const { agents, topics, rng } = setup(9);
+      const result = runSimulation(agents, topics, 4, 0.3, 2, { rng });
+      const [event] = result.clusterEvents;
+
+      event.to.forEach((id, j) => {
+        if (event.from.includes(id)) {
+          // Большинство агентов кластера пришли из кластера с тем же номером
+          const i = event.from.indexOf(id);
+          expect(event.counts[i][j]).toBeGreaterThan(event.sizes[j] / 2);
+        }
+      });
+    });
+
+    it('should give fresh ids to clusters DBSCAN adds and drops', () => {
+      // Три группы вокруг осей, изначально разбитые на два кластера
+      const rng = createRandom(10);
+      const vectors = [0, 1, 2].flatMap(axis => Array.from({ length: 10 }, () => {
+        const vector = [0, 0, 0].map(() => (rng() - 0.5) * 0.1);
+        vector[axis] += 1;
+        return vector;
+      }));
+      const { agents, clusterCenters } = generateAgentPopulation(null, null, 2, vectors, { rng });
+      const topics = generateTopics(3, 'A', clusterCenters, null, null, 2, 2, agents, { rng });
+      const model = { clusteringMethod: 'dbscan', dbscanEps: 0.05, dbscanMinPoints: 2 };
+      const result = runSimulation(agents, topics, 3, 0.3, 2, { rng, model });
+      const [event] = result.clusterEvents;
+
+      expect(event.from).toEqual([0, 1]);
+      expect(event.to).toEqual([0, 1, 2]);
+      expect(event.born).toEqual([2]);
+      expect(describeClusterEvent(event).splits).toHaveLength(1);
+      expect(new Set(result.agents.map(agent => agent.cluster))).toEqual(new Set(event.to));
+    });
+
+    it('should not record events without recalculation', () => {
+      const { agents, topics, rng } = setup(11);
+      expect(runSimulation(agents, topics, 3, 0.3, 0, { rng }).clusterEvents).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect } from 'vitest';
+import {
+  clusterVectors,
+  cutDendrogram,
+  evaluateClusterCounts,
+  silhouetteScore,
+  daviesBouldinScore,
+} from '../lib/clustering';
+import { generateAgentPopulation, runSimulation, generateTopics } from '../lib/agentSimulation';
+import { adjustedRandIndex } from '../lib/communityDetection';
+import { validateParams, DEFAULT_PARAMS, CLUSTERING_METHODS } from '../lib/simulationConfig';
+import { createRandom } from '../lib/random';
+
+// Три группы векторов вокруг осей x, y и z
+function axisBlobs(perGroup = 20, seed = 3, spread = 0.15) {
+  const rng = createRandom(seed);
+  const vectors = [];
+  const truth = [];
+  for (let group = 0; group < 3; group++) {
+    for (let i = 0; i < perGroup; i++) {
+      const vector = [0, 0, 0].map(() => (rng() - 0.5) * spread);
+      vector[group] += 1;
+      vectors.push(vector);
+      truth.push(group);
+    }
+  }
+  return { vectors, truth };
+}
+
+describe('Clustering', () => {
+  const { vectors, truth } = axisBlobs();
+
+  it.each(['kmeans', 'spherical_kmeans', 'agglomerative', 'gmm'])('%s should recover separated groups', (method) => {
+    const result = clusterVectors(vectors, 3, method, { rng: createRandom(1) });
+
+    expect(result.count).toBe(3);
+    expect(result.centers).toHaveLength(3);
+    result.centers.forEach(center => {
+      expect(Math.hypot(...center)).toBeCloseTo(1);
+    });
+    expect(adjustedRandIndex(result.labels, truth)).toBe(1);
+  });
+
+  it('should find the number of groups with DBSCAN', () => {
+    const result = clusterVectors(vectors, 10, 'dbscan', { eps: 0.05, minPoints: 4 });
+
+    expect(result.count).toBe(3);
+    expect(result.noise).toBe(0);
+    expect(adjustedRandIndex(result.labels, truth)).toBe(1);
+  });
+
+  it('should attach DBSCAN noise to the nearest cluster', () => {
+    const withOutlier = [...vectors, [1, 1, 0]];
+    const result = clusterVectors(withOutlier, 3, 'dbscan', { eps: 0.05, minPoints: 4 });
+
+    expect(result.noise).toBe(1);
+    expect(result.labels[withOutlier.length - 1]).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should report convergence of k-means', () => {
+    const result = clusterVectors(vectors, 3, 'kmeans', { rng: createRandom(2) });
+    expect(result.converged).toBe(true);
+    expect(result.iterations).toBeLessThan(100);
+
+    const capped = clusterVectors(vectors, 3, 'kmeans', { rng: createRandom(2), maxIterations: 1 });
+    expect(capped.converged).toBe(false);
+  });
+
+  it('should keep the warm-start centers in order', () => {
+    const initialCenters = [[0, 0, 1], [1, 0, 0], [0, 1, 0]];
+    const result = clusterVectors(vectors, 3, 'spherical_kmeans', { initialCenters });
+
+    expect(result.labels[0]).toBe(1);
+    expect(result.labels[20]).toBe(2);
+    expect(result.labels[40]).toBe(0);
+  });
+
+  describe('dendrogram', () => {
+    // Две пары близких векторов и одиночка рядом со второй парой
+    const points = [[1, 0.05, 0], [1, -0.05, 0], [0, 1, 0.05], [0, 1, -0.05], [0, 0.5, 1]];
+
+    it('should list merges in the SciPy layout', () => {
+      const { dendrogram } = clusterVectors(points, 2, 'agglomerative');
+      const { merges } = dendrogram;
+
+      expect(merges).toHaveLength(4);
+      expect(merges.map(merge => merge.size)).toEqual([2, 2, 3, 5]);
+      expect(merges[0].distance).toBeLessThanOrEqual(merges[1].distance);
+      expect(merges[3].right).toBe(points.length + 2);
+    });
+
+    it('should cut into the requested number of clusters', () => {
+      const { dendrogram } = clusterVectors(points, 2, 'agglomerative');
+
+      expect(cutDendrogram(dendrogram.merges, 5, 3)).toEqual([0, 0, 1, 1, 2]);
+      expect(cutDendrogram(dendrogram.merges, 5, 1)).toEqual([0, 0, 0, 0, 0]);
+      expect(cutDendrogram(dendrogram.merges, 5, 5)).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    it('should support single and complete linkage', () => {
+      ['single', 'complete'].forEach(linkage => {
+        const result = clusterVectors(points, 3, 'agglomerative', { linkage });
+        expect(result.labels).toEqual([0, 0, 1, 1, 2]);
+      });
+      expect(() => clusterVectors(points, 3, 'agglomerative', { linkage: 'ward' })).toThrow(/linkage/);
+    });
+  });
+
+  it('should reject unknown methods', () => {
+    expect(() => clusterVectors(vectors, 3, 'spectral')).toThrow('Unknown clustering method "spectral"');
+  });
+
+  describe('scores', () => {
+    it('should rate the true partition above a shuffled one', () => {
+      const shuffled = truth.map((_, i) => i % 3);
+
+      expect(silhouetteScore(vectors, truth)).toBeGreaterThan(0.7);
+      expect(silhouetteScore(vectors, shuffled)).toBeLessThan(0.1);
+      expect(daviesBouldinScore(vectors, truth)).toBeLessThan(daviesBouldinScore(vectors, shuffled));
+    });
+
+    it('should peak at the true k', () => {
+      const byK = [2, 3, 4, 5].map(k => clusterVectors(vectors, k, 'kmeans', { rng: createRandom(4), restarts: 5 }));
+      const silhouettes = byK.map(result => silhouetteScore(vectors, result.labels));
+      const indices = byK.map(result => daviesBouldinScore(vectors, result.labels));
+
+      expect(Math.max(...silhouettes)).toBe(silhouettes[1]);
+      expect(Math.min(...indices)).toBe(indices[1]);
+    });
+
+    it('should need at least two clusters', () => {
+      expect(silhouetteScore(vectors, truth.map(() => 0))).toBeNull();
+      expect(daviesBouldinScore(vectors, truth.map(() => 0))).toBeNull();
+    });
+  });
+
+  describe('choosing k', () => {
+    it.each(['kmeans', 'agglomerative', 'gmm'])('should suggest the true k with %s', (method) => {
+      const evaluation = evaluateClusterCounts(vectors, { method, kMin: 2, kMax: 6, rng: createRandom(5) });
+
+      expect(evaluation.rows.map(row => row.k)).toEqual([2, 3, 4, 5, 6]);
+      expect(evaluation.suggestions.silhouette).toBe(3);
+      expect(evaluation.suggestions.elbow).toBe(3);
+      expect(evaluation.suggestedK).toBe(3);
+    });
+
+    it('should compute the gap statistic against uniform references', () => {
+      const { rows, suggestions } = evaluateClusterCounts(vectors, { kMin: 1, kMax: 5, rng: createRandom(6) });
+
+      expect(rows[0].silhouette).toBeNull();
+      expect(rows[2].gap).toBeGreaterThan(rows[0].gap);
+      rows.forEach(row => expect(row.gapError).toBeGreaterThanOrEqual(0));
+      expect(suggestions.gap).toBe(3);
+      // Разброс не растет с числом кластеров
+      rows.slice(1).forEach((row, i) => expect(row.dispersion).toBeLessThanOrEqual(rows[i].dispersion + 1e-9));
+    });
+
+    it('should evaluate large inputs on a sample and cap k', () => {
+      const many = axisBlobs(400, 7).vectors;
+      const evaluation = evaluateClusterCounts(many, { kMax: 4, sampleSize: 300, references: 2 });
+      expect(evaluation.sampleSize).toBe(300);
+      expect(evaluateClusterCounts(vectors.slice(0, 4), { kMax: 10, references: 1 }).rows.map(row => row.k)).toEqual([2, 3]);
+      expect(() => evaluateClusterCounts(vectors, { method: 'dbscan' })).toThrow(/DBSCAN/);
+    });
+  });
+
+  describe('simulation', () => {
+    it('should cluster uploaded vectors with the selected method', () => {
+      CLUSTERING_METHODS.forEach(({ id }) => {
+        const model = { clusteringMethod: id, dbscanEps: 0.05, dbscanMinPoints: 4 };
+        const { agents, clusterCenters } = generateAgentPopulation(null, null, 3, vectors, { rng: createRandom(1), model });
+
+        expect(clusterCenters).toHaveLength(3);
+        expect(adjustedRandIndex(agents.map(agent => agent.cluster), truth)).toBe(1);
+      });
+    });
+
+    it('should keep cluster ids when recalculating during a run', () => {
+      const rng = createRandom(8);
+      const { agents, clusterCenters } = generateAgentPopulation(60, 6, 3, null, { rng });
+      const topics = generateTopics(6, 'A', clusterCenters, null, null, 3, 4, agents, { rng });
+      const initial = agents.map(agent => agent.cluster);
+
+      const result = runSimulation(agents, topics, 8, 0.3, 4, { rng, model: { clusteringMethod: 'agglomerative' } });
+      const final = result.agents.map(agent => agent.cluster);
+      const unchanged = final.filter((cluster, i) => cluster === initial[i]).length;
+
+      expect(new Set(final).size).toBeLessThanOrEqual(3);
+      expect(unchanged).toBeGreaterThan(agents.length / 2);
+    });
+
+    it('should validate the method and the population size', () => {
+      expect(validateParams({ ...DEFAULT_PARAMS, clusteringMethod: 'spectral' }).errors[0])
+        .toMatch(/^clusteringMethod must be one of/);
+      expect(validateParams({ ...DEFAULT_PARAMS, agentCount: 10000, initialConnectionDensity: 0.01, clusteringMethod: 'dbscan' }).errors)
+        .toContain('clusteringMethod dbscan supports at most 5000 agents');
+    });
+  });
+});
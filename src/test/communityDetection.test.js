@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  COMMUNITY_METHODS,
+  louvainCommunities,
+  labelPropagationCommunities,
+  detectCommunities,
+  normalizedMutualInformation,
+  adjustedRandIndex,
+  compareWithClusters,
+} from '../lib/communityDetection';
+import { asConnectionStore, createConnections } from '../lib/connectionStore';
+import { createRandom } from '../lib/random';
+import { createTestSimulation } from './testHelpers';
+
+// Плотные группы по groupSize узлов, внутри сильные связи, между соседними группами — слабый мост
+function cliques(count, groupSize, bridge = 0.1) {
+  const store = asConnectionStore(createConnections(count * groupSize));
+  for (let g = 0; g < count; g++) {
+    for (let a = 0; a < groupSize; a++) {
+      for (let b = a + 1; b < groupSize; b++) {
+        store.set(g * groupSize + a, g * groupSize + b, 0.9);
+      }
+    }
+    if (g > 0) store.set(g * groupSize - 1, g * groupSize, bridge);
+  }
+  return store.data;
+}
+
+const groups = (count, groupSize) =>
+  Array.from({ length: count * groupSize }, (_, i) => Math.floor(i / groupSize));
+
+describe('Community Detection', () => {
+  describe.each([
+    ['louvain', louvainCommunities],
+    ['label_propagation', labelPropagationCommunities],
+  ])('%s', (method, detect) => {
+    it('should recover planted cliques', () => {
+      const labels = detect(cliques(4, 6), { rng: createRandom(3) });
+      expect(normalizedMutualInformation(labels, groups(4, 6))).toBe(1);
+    });
+
+    it('should be reproducible for a seed', () => {
+      const connections = cliques(3, 5, 0.5);
+      expect(detectCommunities(connections, method, { seed: 9 }).labels)
+        .toEqual(detectCommunities(connections, method, { seed: 9 }).labels);
+    });
+
+    it('should keep isolated nodes in their own communities', () => {
+      const store = asConnectionStore(createConnections(4));
+      store.set(0, 1, 1);
+      const labels = detect(store.data, { rng: createRandom(1) });
+      expect(labels[0]).toBe(labels[1]);
+      expect(new Set(labels).size).toBe(3);
+    });
+  });
+
+  it('should number communities by decreasing size', () => {
+    const { simResult } = createTestSimulation({ numAgents: 60, cycles: 10, seed: 2 });
+    const { labels, count } = detectCommunities(simResult.connections, 'louvain', { threshold: 0.3 });
+    const sizes = Array.from({ length: count }, (_, label) => labels.filter(l => l === label).length);
+
+    expect(count).toBe(new Set(labels).size);
+    sizes.slice(1).forEach((size, k) => expect(size).toBeLessThanOrEqual(sizes[k]));
+  });
+
+  it('should report the modularity of the detected partition', () => {
+    const result = detectCommunities(cliques(3, 5), 'louvain');
+    expect(result.count).toBe(3);
+    expect(result.modularity).toBeGreaterThan(0.6);
+    expect(() => detectCommunities(cliques(2, 3), 'girvan_newman')).toThrow('Unknown community detection method');
+    expect(COMMUNITY_METHODS.map(m => m.id)).toEqual(['louvain', 'label_propagation']);
+  });
+
+  it('should respect the edge threshold', () => {
+    // Мосты слабее порога не считаются ребрами: остаются четыре компоненты
+    const withBridges = detectCommunities(cliques(4, 4, 0.2), 'label_propagation', { threshold: 0.5 });
+    expect(withBridges.count).toBe(4);
+  });
+
+  describe('partition comparison', () => {
+    it('should score identical partitions as 1 up to renaming', () => {
+      const a = [0, 0, 1, 1, 2, 2];
+      const b = [5, 5, 3, 3, 4, 4];
+      expect(normalizedMutualInformation(a, b)).toBeCloseTo(1);
+      expect(adjustedRandIndex(a, b)).toBeCloseTo(1);
+    });
+
+    it('should match reference values', () => {
+      // Значения совпадают с sklearn.metrics (average_method='arithmetic')
+      const a = [0, 0, 0, 1, 1, 1];
+      const b = [0, 0, 1, 1, 2, 2];
+      expect(adjustedRandIndex(a, b)).toBeCloseTo(0.2424, 4);
+      expect(normalizedMutualInformation(a, b)).toBeCloseTo(0.5158, 4);
+    });
+
+    it('should score independent partitions near zero', () => {
+      const rng = createRandom(4);
+      const a = Array.from({ length: 2000 }, () => Math.floor(rng() * 3));
+      const b = Array.from({ length: 2000 }, () => Math.floor(rng() * 3));
+      expect(adjustedRandIndex(a, b)).toBeLessThan(0.02);
+      expect(normalizedMutualInformation(a, b)).toBeLessThan(0.02);
+    });
+
+    it('should compare communities with agent clusters', () => {
+      const { simResult } = createTestSimulation({ numAgents: 40, cycles: 10, seed: 6 });
+      const { labels } = detectCommunities(simResult.connections, 'louvain', { threshold: 0.3 });
+      const scores = compareWithClusters(labels, simResult.agents);
+
+      expect(scores.nmi).toBeGreaterThanOrEqual(0);
+      expect(scores.nmi).toBeLessThanOrEqual(1);
+      expect(compareWithClusters(simResult.agents.map(a => a.cluster), simResult.agents)).toEqual({ nmi: 1, ari: 1 });
+    });
+  });
+});
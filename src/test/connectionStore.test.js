@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DENSE_STORE_LIMIT,
+  createConnections,
+  asConnectionStore,
+  isSparseConnections,
+  toSparseConnections,
+} from '../lib/connectionStore';
+import { generateAgentPopulation, generateTopics, runSimulation, prepareVisualizationData } from '../lib/agentSimulation';
+import { reconstructConnectionsAt } from '../lib/simulationHistory';
+import { exportConnectionEdges, exportConnectionMatrix } from '../lib/exportUtils';
+import { computeRunMetrics } from '../lib/parameterSweep';
+import { validateParams, DEFAULT_PARAMS } from '../lib/simulationConfig';
+import { createRandom } from '../lib/random';
+
+function runWithFormat(connectionFormat, { numAgents = 40, cycles = 8, model = {}, history = null, seed = 21 } = {}) {
+  const rng = createRandom(seed);
+  const { agents, clusterCenters } = generateAgentPopulation(numAgents, 8, 3, null, { rng });
+  const topics = generateTopics(8, 'B', clusterCenters, null, null, 3, 0, agents, { rng });
+  return runSimulation(agents, topics, cycles, 0.5, 0, { rng, model, history, connectionFormat });
+}
+
+function toDense(connections) {
+  const store = asConnectionStore(connections);
+  return Array.from({ length: store.size }, (_, i) => store.row(i));
+}
+
+describe('Connection Store', () => {
+  describe.each(['dense', 'sparse'])('%s store', (format) => {
+    it('should get and set symmetric ties', () => {
+      const store = asConnectionStore(createConnections(5, format));
+      store.set(1, 3, 0.4);
+      store.set(3, 0, 0.9);
+
+      expect(store.format).toBe(format);
+      expect(store.get(1, 3)).toBe(0.4);
+      expect(store.get(3, 1)).toBe(0.4);
+      expect(store.get(0, 3)).toBe(0.9);
+      expect(store.get(2, 4)).toBe(0);
+    });
+
+    it('should remove ties set to zero', () => {
+      const store = asConnectionStore(createConnections(4, format));
+      store.set(0, 2, 0.5);
+      store.set(0, 2, 0);
+
+      expect(store.get(0, 2)).toBe(0);
+      expect(store.neighbours(0)).toEqual([]);
+      expect(store.edgeCount()).toBe(0);
+    });
+
+    it('should list neighbours in ascending order and visit each edge once', () => {
+      const store = asConnectionStore(createConnections(5, format));
+      store.set(2, 4, 0.7);
+      store.set(2, 0, 0.2);
+      store.set(1, 3, 0.6);
+
+      expect(store.neighbours(2)).toEqual([[0, 0.2], [4, 0.7]]);
+      expect(store.degree(2)).toBe(2);
+      expect(store.degree(2, 0.5)).toBe(1);
+
+      const edges = [];
+      store.forEachEdge((i, j, strength) => edges.push([i, j, strength]));
+      expect(edges).toEqual([[0, 2, 0.2], [1, 3, 0.6], [2, 4, 0.7]]);
+      expect(store.edgeCount(0.5)).toBe(2);
+      expect(store.row(2)).toEqual([0.2, 0, 0, 0, 0.7]);
+    });
+
+    it('should clone independently', () => {
+      const store = asConnectionStore(createConnections(3, format));
+      store.set(0, 1, 0.5);
+      const copy = asConnectionStore(store.clone());
+      copy.set(0, 1, 0.8);
+
+      expect(store.get(0, 1)).toBe(0.5);
+      expect(copy.get(1, 0)).toBe(0.8);
+    });
+
+    it('should convert to sparse data with the same ties', () => {
+      const store = asConnectionStore(createConnections(4, format));
+      store.set(0, 3, 0.25);
+      store.set(1, 2, 0.9);
+      const sparse = toSparseConnections(store.data);
+
+      expect(isSparseConnections(sparse)).toBe(true);
+      expect(sparse.indices).toEqual([[3], [2], [1], [0]]);
+      expect(asConnectionStore(sparse).get(3, 0)).toBe(0.25);
+      // Копия не связана с исходными данными
+      sparse.weights[1][0] = 0.1;
+      expect(store.get(1, 2)).toBe(0.9);
+    });
+  });
+
+  it('should pick the format by population size in auto mode', () => {
+    expect(isSparseConnections(createConnections(DENSE_STORE_LIMIT))).toBe(false);
+    expect(isSparseConnections(createConnections(DENSE_STORE_LIMIT + 1))).toBe(true);
+    expect(asConnectionStore(asConnectionStore([[0]]))).toBeDefined();
+  });
+
+  describe('runSimulation', () => {
+    it('should give identical results with dense and sparse storage', () => {
+      const model = { partnerSelection: 'friend_of_friend', opinionChangeRate: 0.2, opinionRule: 'hegselmann_krause' };
+      const dense = runWithFormat('dense', { model });
+      const sparse = runWithFormat('sparse', { model });
+
+      expect(isSparseConnections(sparse.connections)).toBe(true);
+      expect(toDense(sparse.connections)).toEqual(dense.connections);
+      expect(sparse.agents.map(agent => agent.opinions)).toEqual(dense.agents.map(agent => agent.opinions));
+    });
+
+    it('should rebuild sparse history snapshots', () => {
+      const dense = runWithFormat('dense', { cycles: 6, history: 2 });
+      const sparse = runWithFormat('sparse', { cycles: 6, history: 2 });
+
+      expect(sparse.history.snapshots).toEqual(dense.history.snapshots);
+      expect(toDense(reconstructConnectionsAt(sparse.history, 4)))
+        .toEqual(reconstructConnectionsAt(dense.history, 4));
+      expect(toDense(reconstructConnectionsAt(sparse.history, 6))).toEqual(dense.connections);
+    });
+
+    it('should run large sparse populations', () => {
+      const numAgents = 5000;
+      const result = runWithFormat('auto', {
+        numAgents,
+        cycles: 2,
+        model: { initialConnectionDensity: 0.002, partnerSelection: 'neighbour' },
+      });
+      const store = asConnectionStore(result.connections);
+
+      expect(store.format).toBe('sparse');
+      expect(store.size).toBe(numAgents);
+      // Около density * N(N-1)/2 начальных связей плюс новые от взаимодействий
+      expect(store.edgeCount()).toBeGreaterThan(20000);
+      expect(store.edgeCount()).toBeLessThan(50000);
+
+      const { nodes, links } = prepareVisualizationData(result.agents, result.connections, 0.3);
+      expect(nodes).toHaveLength(numAgents);
+      expect(links.length).toBe(store.edgeCount(0.3));
+      expect(computeRunMetrics(result.agents, result.connections, [], 0.3).density).toBeGreaterThan(0);
+    });
+  });
+
+  describe('exports', () => {
+    it('should export an edge list and a matrix from either format', () => {
+      const store = asConnectionStore(createConnections(3, 'sparse'));
+      store.set(0, 2, 0.25);
+      store.set(1, 2, 0.75);
+
+      expect(exportConnectionEdges(store.data)).toBe('source,target,strength\n0,2,0.2500\n1,2,0.7500\n');
+      expect(exportConnectionEdges(store.data, 0.5)).toBe('source,target,strength\n1,2,0.7500\n');
+      expect(exportConnectionMatrix(store.data)).toBe(exportConnectionMatrix(toDense(store.data)));
+    });
+  });
+
+  it('should reject dense initial networks for large populations', () => {
+    const params = { ...DEFAULT_PARAMS, agentCount: 20000 };
+
+    expect(validateParams({ ...params, initialConnectionDensity: 0.005 }).valid).toBe(true);
+    expect(validateParams(params).errors[0]).toMatch(/^initialConnectionDensity/);
+  });
+});
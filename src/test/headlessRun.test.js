@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import { scenarioFileToConfig, createRunArtifacts } from '../lib/headlessRun';
+import { parseVectorCsv, parseVectorRows } from '../lib/vectorImport';
+import { executeSimulation } from '../lib/simulationPipeline';
+import { exportRunInputs, importRunInputs } from '../lib/exportUtils';
+import { createRandom } from '../lib/random';
+import agentsTemplate from '../../templates/agents_template.csv?raw';
+import scenarioTemplate from '../../templates/scenario_template.json';
+
+describe('Headless Run', () => {
+  describe('parseVectorCsv', () => {
+    it('should skip the header row of the templates', () => {
+      const { vectors, names, header } = parseVectorCsv(agentsTemplate);
+
+      expect(header[0]).toBe('v1');
+      expect(names).toBeNull();
+      expect(vectors.length).toBeGreaterThan(0);
+      vectors.forEach(vector => {
+        expect(vector).toHaveLength(10);
+        vector.forEach(value => expect(Number.isFinite(value)).toBe(true));
+      });
+    });
+
+    it('should extract a first column of topic names', () => {
+      const { vectors, names } = parseVectorCsv('Политика,0.5,-0.5\nСпорт,0.1,0.2\n');
+
+      expect(names).toEqual(['Политика', 'Спорт']);
+      expect(vectors).toEqual([[0.5, -0.5], [0.1, 0.2]]);
+    });
+
+    it('should reject empty files', () => {
+      expect(() => parseVectorRows([])).toThrow('Файл не содержит данных');
+      expect(() => parseVectorRows([['v1', 'v2']])).toThrow('Файл содержит только заголовок');
+    });
+  });
+
+  describe('scenarioFileToConfig', () => {
+    it('should convert the scenario template', () => {
+      const config = scenarioFileToConfig(scenarioTemplate, {
+        overrides: { seed: 42 },
+      });
+
+      expect(config.simulationParams.agentCount).toBe(50);
+      expect(config.simulationParams.seed).toBe(42);
+      expect(config.simulationParams.historyInterval).toBe(0);
+      expect(config.topicSettings.numTopics).toBe(3);
+      expect(config.topicSettings.topics.map(t => t.name)).toEqual(['Тема 1', 'Тема 2', 'Тема 3']);
+      expect(Object.keys(config.opinionSettings.clusterOpinions)).toHaveLength(3);
+      config.opinionSettings.clusterOpinions[0].forEach(opinion => {
+        expect(opinion).toBeGreaterThanOrEqual(-1);
+        expect(opinion).toBeLessThanOrEqual(1);
+      });
+    });
+
+    it('should accept the full results export format', () => {
+      const config = scenarioFileToConfig({ parameters: { agentCount: 20, cycles: 5, seed: 3 } });
+
+      expect(config.simulationParams.agentCount).toBe(20);
+      expect(config.simulationParams.cycles).toBe(5);
+      expect(config.topicSettings.numTopics).toBe(10);
+    });
+
+    it('should take agent count and dimension from uploaded vectors', () => {
+      const config = scenarioFileToConfig({}, { uploadedAgents: [[1, 0, 0], [0, 1, 0], [0, 0, 1]] });
+
+      expect(config.simulationParams.agentCount).toBe(3);
+      expect(config.simulationParams.vectorDimension).toBe(3);
+    });
+
+    it('should resolve a seed when none is given', () => {
+      const config = scenarioFileToConfig({});
+      expect(Number.isInteger(config.simulationParams.seed)).toBe(true);
+    });
+
+    it('should reproduce a run from its model settings export', async () => {
+      const config = scenarioFileToConfig({
+        simulationParams: { agentCount: 14, cycles: 4, seed: 8, numClusters: 2, recalculateClustersAfter: 2, reinforcementFactor: 0.3 },
+      });
+      const files = createRunArtifacts(await executeSimulation(config), config);
+      const reimported = scenarioFileToConfig(JSON.parse(files['model_settings.json']));
+
+      expect(reimported.simulationParams).toMatchObject({
+        agentCount: 14, cycles: 4, seed: 8, numClusters: 2, recalculateClustersAfter: 2, reinforcementFactor: 0.3,
+      });
+      const rerun = createRunArtifacts(await executeSimulation(reimported), reimported);
+      expect(rerun['connection_matrix.csv']).toBe(files['connection_matrix.csv']);
+    });
+
+    it('should reproduce a run with uploaded agents, attributes and roles from its full export', async () => {
+      const rng = createRandom(3);
+      const config = scenarioFileToConfig({ simulationParams: { cycles: 4, seed: 12, numClusters: 2 } }, {
+        uploadedAgents: Array.from({ length: 16 }, () => [rng(), rng(), rng()]),
+        uploadedAgentAttributes: Array.from({ length: 16 }, (_, id) => ({ activity: id % 4 === 0 ? 0 : 1 })),
+        uploadedAgentRoles: Array.from({ length: 16 }, (_, id) => ({ role: id === 3 ? 'bot' : 'regular', agenda: null })),
+      });
+      config.agentAttributeSettings = {
+        clusterAttributes: { 1: { openness: { distribution: 'uniform', min: 0.1, max: 0.4 } } },
+      };
+      config.roleSettings = { counts: { zealot: 2, media: 1 }, agendas: { media: 1 }, assignments: {} };
+      const run = await executeSimulation(config);
+      const fullExport = JSON.parse(JSON.stringify({
+        parameters: { ...config.simulationParams, seed: run.seed },
+        topicSettings: config.topicSettings,
+        opinionSettings: config.opinionSettings,
+        ...exportRunInputs(config),
+      }));
+
+      expect(Object.keys(importRunInputs(fullExport))).toEqual(Object.keys(exportRunInputs()));
+      expect(importRunInputs({ parameters: {} })).toEqual({});
+
+      const reimported = scenarioFileToConfig(fullExport);
+      expect(reimported.uploadedAgents).toEqual(config.uploadedAgents);
+      const rerun = await executeSimulation(reimported);
+      const agentInputs = ({ simulationResult }) => simulationResult.agents.map(({ attributes, role, agenda }) => ({ attributes, role, agenda }));
+      expect(agentInputs(rerun)).toEqual(agentInputs(run));
+      expect(run.simulationResult.agents.filter(agent => agent.role)).toHaveLength(4);
+      expect(rerun.simulationResult.connections).toEqual(run.simulationResult.connections);
+    });
+
+    it('should reject files without a parameter block', () => {
+      expect(() => scenarioFileToConfig({ settings: { agentCount: 20 } })).toThrow(
+        'Файл не содержит параметров симуляции'
+      );
+    });
+
+    it('should reject invalid parameters', () => {
+      expect(() => scenarioFileToConfig({ simulationParams: { seed: 1.5 } })).toThrow(
+        'Некорректные параметры симуляции'
+      );
+    });
+  });
+
+  describe('createRunArtifacts', () => {
+    it('should render all output files', async () => {
+      const config = scenarioFileToConfig(scenarioTemplate, {
+        overrides: { agentCount: 15, cycles: 4, seed: 11, historyInterval: 2 },
+      });
+      const result = await executeSimulation(config);
+      const files = createRunArtifacts(result, config, { agentsFile: 'agents.csv' });
+
+      expect(Object.keys(files)).toEqual(expect.arrayContaining([
+        'connection_matrix.csv',
+        'network.gexf',
+        'network.graphml',
+        'simulation_report.md',
+        'simulation_summary.csv',
+        'model_settings.json',
+        'simulation_history.csv',
+      ]));
+      expect(files['connection_matrix.csv'].trim().split('\n')).toHaveLength(16);
+      expect(files['network.gexf']).toContain('xmlns:viz=');
+      expect(JSON.parse(files['model_settings.json']).modelParameters.seed).toBe(11);
+      expect(files['simulation_history.csv'].trim().split('\n')).toHaveLength(4);
+    });
+
+    it('should produce identical matrices for the same seed', async () => {
+      const scenario = scenarioTemplate;
+      const overrides = { agentCount: 12, cycles: 3, seed: 99 };
+
+      const renders = await Promise.all([1, 2].map(async () => {
+        const config = scenarioFileToConfig(scenario, { overrides });
+        return createRunArtifacts(await executeSimulation(config), config);
+      }));
+
+      expect(renders[0]['connection_matrix.csv']).toBe(renders[1]['connection_matrix.csv']);
+    });
+
+    it('should write cluster lineage when clusters are recalculated', async () => {
+      const config = scenarioFileToConfig(scenarioTemplate, {
+        overrides: { agentCount: 20, cycles: 5, seed: 4, recalculateClustersAfter: 2 },
+      });
+      const files = createRunArtifacts(await executeSimulation(config), config);
+
+      expect(files['cluster_lineage.csv'].split('\n')[0]).toBe('cycle,cluster,size,previous_size,drift,status');
+      const migrations = files['cluster_migrations.csv'].trim().split('\n').slice(1);
+      const moved = migrations.map(row => row.split(',')).filter(([cycle]) => cycle === '2');
+      expect(moved.reduce((sum, row) => sum + Number(row[3]), 0)).toBe(20);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_MODEL_PARAMS,
+  DEFAULT_PARAMS,
+  PARAM_CONSTRAINTS,
+  OPINION_RULES,
+  PARTNER_STRATEGIES,
+  CLUSTERING_METHODS,
+  validateParams,
+  resolveModelParams,
+  getScenarioModelParams,
+} from '../lib/simulationConfig';
+import { generateAgentPopulation, generateTopics, createSimulationRun, runSimulation } from '../lib/agentSimulation';
+import { scenarioFileToConfig } from '../lib/headlessRun';
+import { createRandom } from '../lib/random';
+import scenarioTemplate from '../../templates/scenario_template.json';
+
+/**
+ * Run a small seeded simulation with the given model coefficients
+ */
+function runWithModel(model, { numAgents = 30, cycles = 10, threshold = 0.5, seed = 3 } = {}) {
+  const rng = createRandom(seed);
+  const { agents, clusterCenters } = generateAgentPopulation(numAgents, 10, 3, null, { rng });
+  const topics = generateTopics(10, 'A', clusterCenters, null, null, 3, 0, agents, { rng });
+  return runSimulation(agents, topics, cycles, threshold, 0, { rng, model });
+}
+
+function meanStrength(connections) {
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < connections.length; i++) {
+    for (let j = i + 1; j < connections.length; j++) {
+      sum += connections[i][j];
+      count++;
+    }
+  }
+  return sum / count;
+}
+
+describe('Model Parameters', () => {
+  describe('configuration', () => {
+    it('should expose every coefficient with defaults and constraints', () => {
+      Object.entries(DEFAULT_MODEL_PARAMS).forEach(([key, value]) => {
+        expect(DEFAULT_PARAMS[key]).toBe(value);
+        if (typeof value === 'string') {
+          const options = { opinionRule: OPINION_RULES, partnerSelection: PARTNER_STRATEGIES, clusteringMethod: CLUSTERING_METHODS }[key];
+          expect(options.map(option => option.id)).toContain(value);
+          return;
+        }
+        expect(PARAM_CONSTRAINTS[key]).toBeDefined();
+        expect(value).toBeGreaterThanOrEqual(PARAM_CONSTRAINTS[key].min);
+        expect(value).toBeLessThanOrEqual(PARAM_CONSTRAINTS[key].max);
+      });
+      expect(validateParams(DEFAULT_PARAMS).valid).toBe(true);
+    });
+
+    it('should reject inverted ranges and non-numeric coefficients', () => {
+      const inverted = validateParams({ ...DEFAULT_PARAMS, decayMin: 0.3, decayMax: 0.1 });
+      expect(inverted.valid).toBe(false);
+      expect(inverted.errors).toContain('decayMin cannot exceed decayMax');
+
+      const invalid = validateParams({ ...DEFAULT_PARAMS, alpha: 'high' });
+      expect(invalid.valid).toBe(false);
+      expect(invalid.errors[0]).toMatch(/^alpha/);
+
+      const unknownRule = validateParams({ ...DEFAULT_PARAMS, opinionRule: 'voter' });
+      expect(unknownRule.valid).toBe(false);
+      expect(unknownRule.errors[0]).toMatch(/^opinionRule/);
+    });
+
+    it('should resolve model coefficients from simulation params', () => {
+      const model = resolveModelParams({ agentCount: 10, alpha: 0.9 });
+      expect(model.alpha).toBe(0.9);
+      expect(model.beta).toBe(DEFAULT_MODEL_PARAMS.beta);
+      expect(model).not.toHaveProperty('agentCount');
+    });
+
+    it('should read the model fields of the scenario template', () => {
+      expect(getScenarioModelParams(scenarioTemplate.scenario)).toEqual({
+        reinforcementFactor: 1.2,
+        disagreementPenalty: 0.8,
+        initialConnectionDensity: 0.3,
+        opinionChangeRate: 0.15,
+      });
+      expect(getScenarioModelParams(null)).toEqual({});
+    });
+
+    it('should apply scenario fields in headless runs, with explicit params taking precedence', () => {
+      const config = scenarioFileToConfig({
+        ...scenarioTemplate,
+        simulationParams: { ...scenarioTemplate.simulationParams, opinionChangeRate: 0.05 },
+      });
+
+      expect(config.simulationParams.reinforcementFactor).toBe(1.2);
+      expect(config.simulationParams.initialConnectionDensity).toBe(0.3);
+      expect(config.simulationParams.opinionChangeRate).toBe(0.05);
+    });
+  });
+
+  describe('engine', () => {
+    it('should reproduce the default model when no coefficients are given', () => {
+      const withDefaults = runWithModel({ ...DEFAULT_MODEL_PARAMS });
+      const withoutModel = runWithModel(undefined);
+
+      expect(withDefaults.connections).toEqual(withoutModel.connections);
+    });
+
+    it('should draw initial ties from the configured range and density', () => {
+      const rng = createRandom(1);
+      const { agents } = generateAgentPopulation(40, 5, 2, null, { rng });
+      const topics = [{ id: 0, vector: [1, 0, 0, 0, 0] }];
+
+      const sparse = createSimulationRun(agents, topics, 1, 0.5, 0, {
+        rng,
+        model: { initialConnectionMin: 0.4, initialConnectionMax: 0.5, initialConnectionDensity: 0.25 },
+      }).getResult().connections;
+
+      let ties = 0;
+      for (let i = 0; i < 40; i++) {
+        for (let j = i + 1; j < 40; j++) {
+          const value = sparse[i][j];
+          if (value > 0) {
+            ties++;
+            expect(value).toBeGreaterThanOrEqual(0.4);
+            expect(value).toBeLessThanOrEqual(0.5);
+          }
+        }
+      }
+      const share = ties / ((40 * 39) / 2);
+      expect(share).toBeGreaterThan(0.15);
+      expect(share).toBeLessThan(0.35);
+    });
+
+    it('should leave ties unchanged when interactions are impossible', () => {
+      const rng = createRandom(2);
+      const { agents } = generateAgentPopulation(20, 5, 2, null, { rng });
+      const topics = [{ id: 0, vector: [1, 0, 0, 0, 0] }];
+      const run = createSimulationRun(agents, topics, 5, 0.5, 0, { rng, model: { maxInteractionProbability: 0 } });
+      const initial = run.getResult().connections.map(row => [...row]);
+
+      while (!run.isDone()) run.step();
+      expect(run.getResult().connections).toEqual(initial);
+    });
+
+    it('should strengthen ties more with a higher reinforcement factor', () => {
+      const base = runWithModel({ reinforcementFactor: 1 }, { threshold: 1.5 });
+      const boosted = runWithModel({ reinforcementFactor: 2 }, { threshold: 1.5 });
+
+      expect(meanStrength(boosted.connections)).toBeGreaterThan(meanStrength(base.connections));
+    });
+
+    it('should weaken ties more with a higher disagreement penalty', () => {
+      const base = runWithModel({ disagreementPenalty: 1 }, { threshold: 0 });
+      const harsh = runWithModel({ disagreementPenalty: 2 }, { threshold: 0 });
+
+      expect(meanStrength(harsh.connections)).toBeLessThan(meanStrength(base.connections));
+    });
+
+    it('should make more interaction attempts per cycle', () => {
+      const few = runWithModel({ interactionsPerAgent: 0.5 }, { threshold: 1.5, cycles: 3 });
+      const many = runWithModel({ interactionsPerAgent: 6 }, { threshold: 1.5, cycles: 3 });
+
+      expect(meanStrength(many.connections)).toBeGreaterThan(meanStrength(few.connections));
+    });
+
+    it('should move stored opinions together within the confidence bound', () => {
+      const agents = [
+        { id: 0, values: [1, 0], cluster: 0, opinions: { 0: 0.8 } },
+        { id: 1, values: [1, 0.1], cluster: 0, opinions: { 0: -0.2 } },
+      ];
+      const topics = [{ id: 0, vector: [1, 0] }];
+
+      const result = runSimulation(agents, topics, 5, 1.5, 0, {
+        rng: createRandom(4),
+        model: { opinionChangeRate: 0.25, confidenceBound: 1.5, maxInteractionProbability: 1 },
+      });
+
+      const gap = Math.abs(result.agents[0].opinions[0] - result.agents[1].opinions[0]);
+      expect(gap).toBeLessThan(1);
+      // Сближение симметрично: среднее мнение сохраняется
+      expect(result.agents[0].opinions[0] + result.agents[1].opinions[0]).toBeCloseTo(0.6);
+    });
+
+    it('should keep stored opinions when the opinion change rate is zero', () => {
+      const agents = [
+        { id: 0, values: [1, 0], cluster: 0, opinions: { 0: 0.8 } },
+        { id: 1, values: [1, 0.1], cluster: 0, opinions: { 0: -0.2 } },
+      ];
+      const topics = [{ id: 0, vector: [1, 0] }];
+
+      const result = runSimulation(agents, topics, 5, 1.5, 0, { rng: createRandom(4) });
+      expect(result.agents[0].opinions[0]).toBe(0.8);
+      expect(result.agents[1].opinions[0]).toBe(-0.2);
+    });
+  });
+});
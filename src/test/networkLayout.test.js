@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  LAYOUT_MODES,
+  fitToBox,
+  pcaLayout,
+  circularLayout,
+  serializeLayout,
+  parseLayout,
+} from '../lib/networkLayout';
+import { exportGraphData } from '../lib/exportUtils';
+
+// Шесть узлов двух кластеров с ценностями вдоль разных осей
+const nodes = [
+  [1, 0.1, 0], [1, 0, 0.1], [0.9, 0.1, 0.1],
+  [0, 1, 0.1], [0.1, 1, 0], [0.1, 0.9, 0.1],
+].map((values, id) => ({ id, cluster: id < 3 ? 0 : 1, degree: 1, values }));
+
+const links = [{ source: 0, target: 1, strength: 0.8 }, { source: 3, target: 4, strength: 0.6 }];
+
+describe('Network layout', () => {
+  it('should list the layout modes', () => {
+    expect(LAYOUT_MODES.map(mode => mode.id)).toEqual(['force', 'pca', 'circular', 'saved']);
+  });
+
+  it('should fit points into a box keeping the aspect ratio', () => {
+    const points = fitToBox([[0, 0], [2, 1], [4, 0]], 200, 100, 10);
+
+    // Масштаб 45 задает ширина: (200 - 2·10) / 4
+    expect(points[0]).toEqual({ x: 10, y: 27.5 });
+    expect(points[2]).toEqual({ x: 190, y: 27.5 });
+    expect(points[1]).toEqual({ x: 100, y: 72.5 });
+    expect(fitToBox([[5, 5]], 100, 100)).toEqual([{ x: 50, y: 50 }]);
+  });
+
+  describe('pcaLayout', () => {
+    it('should place nodes by their values the same way on every call', () => {
+      const first = pcaLayout(nodes, 800, 600);
+      const second = pcaLayout([...nodes].reverse(), 800, 600);
+
+      nodes.forEach(node => {
+        expect(second.get(node.id).x).toBeCloseTo(first.get(node.id).x);
+        expect(second.get(node.id).y).toBeCloseTo(first.get(node.id).y);
+      });
+      // Кластеры оказываются по разные стороны первой компоненты
+      const meanX = ids => ids.reduce((sum, id) => sum + first.get(id).x, 0) / ids.length;
+      expect(Math.abs(meanX([0, 1, 2]) - meanX([3, 4, 5]))).toBeGreaterThan(300);
+    });
+
+    it('should stay inside the margins', () => {
+      pcaLayout(nodes, 800, 600, { margin: 50 }).forEach(({ x, y }) => {
+        expect(x).toBeGreaterThanOrEqual(50 - 1e-9);
+        expect(x).toBeLessThanOrEqual(750 + 1e-9);
+        expect(y).toBeGreaterThanOrEqual(50 - 1e-9);
+        expect(y).toBeLessThanOrEqual(550 + 1e-9);
+      });
+    });
+  });
+
+  describe('circularLayout', () => {
+    it('should put nodes on a ring grouped by cluster', () => {
+      const positions = circularLayout(nodes, 400, 400, { margin: 50 });
+
+      positions.forEach(({ x, y }) => expect(Math.hypot(x - 200, y - 200)).toBeCloseTo(150));
+      // Первый узел — сверху, кластеры разделены пустой позицией (8 позиций на 6 узлов)
+      expect(positions.get(0).x).toBeCloseTo(200);
+      expect(positions.get(0).y).toBeCloseTo(50);
+      const angle = id => Math.atan2(positions.get(id).y - 200, positions.get(id).x - 200);
+      const step = (2 * Math.PI) / 8;
+      expect(angle(1) - angle(0)).toBeCloseTo(step);
+      expect(angle(3) - angle(2)).toBeCloseTo(2 * step);
+    });
+
+    it('should group by a custom partition', () => {
+      const positions = circularLayout(nodes, 400, 400, { groupOf: node => node.id % 2 });
+      const order = [...positions.keys()];
+      expect(order).toEqual([0, 2, 4, 1, 3, 5]);
+    });
+  });
+
+  describe('saved layout', () => {
+    it('should round-trip through JSON', () => {
+      const positions = new Map([[0, { x: 10.123, y: 20 }], [5, { x: -3, y: 4.5 }]]);
+      const restored = parseLayout(serializeLayout(positions));
+
+      expect([...restored.keys()]).toEqual([0, 5]);
+      expect(restored.get(0)).toEqual({ x: 10.12, y: 20 });
+    });
+
+    it('should reject broken files', () => {
+      expect(() => parseLayout('not json')).toThrow('Invalid layout file');
+      expect(() => parseLayout('{"version":1,"positions":[[0,1]]}')).toThrow('Invalid layout file');
+      expect(() => parseLayout('{"version":2,"positions":[]}')).toThrow('Invalid layout file');
+    });
+  });
+
+  describe('graph export with positions', () => {
+    const positions = new Map([[0, { x: 100, y: 50 }], [1, { x: 20.5, y: -10 }]]);
+
+    it('should write viz positions to GEXF with the y axis up', () => {
+      const gexf = exportGraphData(nodes, links, 'gexf', { positions });
+
+      expect(gexf).toContain('<viz:position x="100" y="-50" z="0.0"/>');
+      expect(gexf).toContain('<viz:position x="20.5" y="10" z="0.0"/>');
+      expect(gexf.match(/<viz:position/g)).toHaveLength(2);
+    });
+
+    it('should write x and y node data to GraphML', () => {
+      const graphml = exportGraphData(nodes, links, 'graphml', { positions });
+
+      expect(graphml).toContain('<key id="x" for="node" attr.name="x" attr.type="float"/>');
+      expect(graphml).toMatch(/<node id="0">[\s\S]*?<data key="x">100<\/data>\s*<data key="y">-50<\/data>/);
+      expect(graphml.match(/<data key="x">/g)).toHaveLength(2);
+    });
+
+    it('should omit positions without a layout', () => {
+      expect(exportGraphData(nodes, links, 'gexf')).not.toContain('viz:position');
+      expect(exportGraphData(nodes, links, 'graphml')).not.toContain('<data key="x">');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import {
+  networkDensity,
+  degreeCentrality,
+  betweennessCentrality,
+  closenessCentrality,
+  shortestPath,
+  shortestPathLengths,
+  localClustering,
+  averageClustering,
+  modularity,
+  connectedComponents,
+  communityStatistics,
+  computeNetworkMetrics,
+} from '../lib/networkMetrics';
+import { asConnectionStore, createConnections } from '../lib/connectionStore';
+
+function graph(N, edges, format = 'dense') {
+  const store = asConnectionStore(createConnections(N, format));
+  edges.forEach(([i, j, strength = 1]) => store.set(i, j, strength));
+  return store.data;
+}
+
+const path = graph(4, [[0, 1], [1, 2], [2, 3]]);
+const star = graph(5, [[0, 1], [0, 2], [0, 3], [0, 4]]);
+// Два треугольника, соединенные мостом 2 — 3
+const twoTriangles = graph(6, [[0, 1], [1, 2], [0, 2], [3, 4], [4, 5], [3, 5], [2, 3]]);
+
+describe('Network Metrics', () => {
+  describe('centrality', () => {
+    it('should compute degrees and strengths', () => {
+      const weighted = graph(3, [[0, 1, 0.5], [0, 2, 0.25]]);
+      expect(degreeCentrality(star)).toEqual([4, 1, 1, 1, 1]);
+      expect(degreeCentrality(weighted, { weighted: true })).toEqual([0.75, 0.5, 0.25]);
+    });
+
+    it('should compute normalized betweenness by Brandes', () => {
+      const pathBetweenness = betweennessCentrality(path);
+      expect(pathBetweenness[0]).toBe(0);
+      expect(pathBetweenness[1]).toBeCloseTo(2 / 3);
+      expect(pathBetweenness[2]).toBeCloseTo(2 / 3);
+
+      expect(betweennessCentrality(star)).toEqual([1, 0, 0, 0, 0]);
+      expect(betweennessCentrality(path, { normalized: false })).toEqual([0, 2, 2, 0]);
+    });
+
+    it('should split betweenness between equal shortest paths', () => {
+      const square = graph(4, [[0, 1], [1, 2], [2, 3], [3, 0]]);
+      expect(betweennessCentrality(square, { normalized: false })).toEqual([0.5, 0.5, 0.5, 0.5]);
+    });
+
+    it('should compute closeness over reachable nodes', () => {
+      const closeness = closenessCentrality(path);
+      expect(closeness[0]).toBeCloseTo(3 / 6);
+      expect(closeness[1]).toBeCloseTo(3 / 4);
+
+      const withIsolate = graph(3, [[0, 1]]);
+      expect(closenessCentrality(withIsolate)).toEqual([1, 1, 0]);
+    });
+
+    it('should give the exact values when every node is a source', () => {
+      expect(betweennessCentrality(twoTriangles, { sources: 6 })).toEqual(betweennessCentrality(twoTriangles));
+      expect(closenessCentrality(twoTriangles, { sources: [0, 1, 2, 3, 4, 5] }))
+        .toEqual(closenessCentrality(twoTriangles));
+    });
+  });
+
+  describe('shortest paths', () => {
+    // Квадрат со слабой связью 0 — 1: по весам короче путь в обход
+    const square = graph(4, [[0, 1, 0.1], [1, 2], [2, 3], [3, 0]]);
+
+    it('should find unweighted shortest paths', () => {
+      expect(shortestPath(square, 0, 1)).toEqual({ path: [0, 1], distance: 1 });
+      expect(shortestPathLengths(path, 0)).toEqual([0, 1, 2, 3]);
+    });
+
+    it('should use inverse strengths as lengths in the weighted variant', () => {
+      expect(shortestPath(square, 0, 1, { weighted: true })).toEqual({ path: [0, 3, 2, 1], distance: 3 });
+      expect(betweennessCentrality(square, { weighted: true, normalized: false })[3]).toBeGreaterThan(0);
+    });
+
+    it('should report unreachable nodes', () => {
+      const split = graph(4, [[0, 1], [2, 3]]);
+      expect(shortestPath(split, 0, 3)).toEqual({ path: [], distance: Infinity });
+      expect(shortestPathLengths(split, 0)[2]).toBe(Infinity);
+    });
+  });
+
+  describe('clustering', () => {
+    it('should compute local and average clustering', () => {
+      expect(localClustering(twoTriangles)).toEqual([1, 1, 1 / 3, 1 / 3, 1, 1]);
+      expect(averageClustering(twoTriangles)).toBeCloseTo(7 / 9);
+      expect(averageClustering(star)).toBe(0);
+    });
+
+    it('should weight triangles by their geometric mean strength', () => {
+      const triangle = graph(3, [[0, 1, 0.8], [1, 2, 0.8], [0, 2, 0.8]]);
+      const uneven = graph(3, [[0, 1, 1], [1, 2, 1], [0, 2, 0.125]]);
+
+      expect(localClustering(triangle, { weighted: true })).toEqual([1, 1, 1]);
+      expect(localClustering(uneven, { weighted: true })[0]).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('modularity', () => {
+    it('should match the known value of two linked triangles', () => {
+      expect(modularity(twoTriangles, [0, 0, 0, 1, 1, 1])).toBeCloseTo(5 / 14);
+      expect(modularity(twoTriangles, [0, 0, 0, 0, 0, 0])).toBeCloseTo(0);
+      expect(modularity(graph(3, []), [0, 1, 2])).toBe(0);
+    });
+
+    it('should weight edges by strength in the weighted variant', () => {
+      const weakBridge = graph(6, [[0, 1], [1, 2], [0, 2], [3, 4], [4, 5], [3, 5], [2, 3, 0.1]]);
+      const labels = [0, 0, 0, 1, 1, 1];
+      expect(modularity(weakBridge, labels, { weighted: true }))
+        .toBeGreaterThan(modularity(weakBridge, labels));
+    });
+  });
+
+  describe('components and thresholds', () => {
+    it('should find connected components', () => {
+      const components = connectedComponents(graph(5, [[0, 1], [3, 4]]));
+      expect(components).toEqual([[0, 1], [2], [3, 4]]);
+    });
+
+    it('should ignore ties below the threshold', () => {
+      const mixed = graph(4, [[0, 1, 0.9], [1, 2, 0.2], [2, 3, 0.6]]);
+
+      expect(connectedComponents(mixed, { threshold: 0.5 })).toEqual([[0, 1], [2, 3]]);
+      expect(networkDensity(mixed)).toBeCloseTo(3 / 6);
+      expect(networkDensity(mixed, { threshold: 0.5 })).toBeCloseTo(2 / 6);
+      expect(degreeCentrality(mixed, { threshold: 0.5 })).toEqual([1, 1, 1, 1]);
+    });
+
+    it('should count edges per community', () => {
+      const stats = communityStatistics(twoTriangles, [0, 0, 0, 1, 1, 1]);
+      expect(stats[0]).toEqual({ size: 3, internalEdges: 3, externalEdges: 1, internalStrength: 3, density: 1 });
+    });
+  });
+
+  it('should give the same numbers for dense and sparse storage', () => {
+    const edges = [[0, 1, 0.9], [1, 2, 0.4], [0, 2, 0.7], [2, 3, 0.6], [3, 4, 0.8], [4, 5, 0.3]];
+    const agents = [0, 0, 0, 1, 1, 1].map((cluster, id) => ({ id, cluster }));
+    const options = { threshold: 0.35, weighted: true };
+
+    expect(computeNetworkMetrics(graph(6, edges, 'sparse'), agents, options))
+      .toEqual(computeNetworkMetrics(graph(6, edges), agents, options));
+  });
+
+  it('should summarize a network for the analytics screens', () => {
+    const agents = [0, 0, 0, 1, 1, 1].map((cluster, id) => ({ id, cluster }));
+    const metrics = computeNetworkMetrics(twoTriangles, agents);
+
+    expect(metrics.nodeCount).toBe(6);
+    expect(metrics.edgeCount).toBe(7);
+    expect(metrics.density).toBeCloseTo(7 / 15);
+    expect(metrics.averageDegree).toBeCloseTo(14 / 6);
+    expect(metrics.connectedComponents).toHaveLength(1);
+    expect(metrics.largestComponent).toBe(6);
+    expect(metrics.modularity).toBeCloseTo(5 / 14);
+    // Концы моста лежат на всех путях между треугольниками
+    expect(metrics.betweennessCentrality[2]).toBeCloseTo(0.6);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import {
+  OPINION_RULE_IDS,
+  getAgentOpinion,
+  getInteractionOpinion,
+  applyOpinionUpdate,
+  snapshotOpinionState,
+  summarizeOpinionChange,
+} from '../lib/opinionDynamics';
+import { OPINION_RULES, resolveModelParams } from '../lib/simulationConfig';
+import { cosineSimilarity, runSimulation } from '../lib/agentSimulation';
+import { createRandom } from '../lib/random';
+import { createTestSimulation } from './testHelpers';
+
+const topic = { id: 0, vector: [1, 0] };
+
+function createAgents(opinions) {
+  return opinions.map((opinion, id) => ({
+    id,
+    cluster: 0,
+    values: [Math.cos(id), Math.sin(id)],
+    opinions: { 0: opinion },
+  }));
+}
+
+function fullConnections(N, strength) {
+  return Array.from({ length: N }, (_, i) => Array.from({ length: N }, (_, j) => (i === j ? 0 : strength)));
+}
+
+function model(overrides) {
+  return resolveModelParams({ opinionChangeRate: 0.5, confidenceBound: 0.5, ...overrides });
+}
+
+describe('Opinion Dynamics', () => {
+  it('should implement every rule offered in the configuration', () => {
+    expect(OPINION_RULES.map(rule => rule.id)).toEqual(OPINION_RULE_IDS);
+  });
+
+  it('should fall back to the value-based opinion', () => {
+    expect(getAgentOpinion({ values: [0, 1], opinions: {} }, topic)).toBeCloseTo(0);
+    expect(getAgentOpinion({ values: [0, 1], opinions: { 0: 0.7 } }, topic)).toBe(0.7);
+  });
+
+  it('should blend the stored opinion with the value-based one in conversations', () => {
+    const agent = { values: [1, 0], opinions: { 0: -0.6 } };
+
+    expect(getInteractionOpinion(agent, topic, 0)).toBe(-0.6);
+    expect(getInteractionOpinion(agent, topic, 0.5)).toBeCloseTo(0.2);
+    expect(getInteractionOpinion(agent, topic, 1)).toBeCloseTo(1);
+    expect(getInteractionOpinion({ values: [1, 0], opinions: {} }, topic, 0)).toBeCloseTo(1);
+  });
+
+  describe('rules', () => {
+    it('DeGroot should average with the partner weighted by tie strength', () => {
+      const agents = createAgents([0.8, -0.2]);
+      applyOpinionUpdate(agents, 0, 1, topic, fullConnections(2, 0.5), model({ opinionRule: 'degroot' }));
+
+      // Сдвиг = 0.5 (скорость) * 0.5 (связь) * разрыв 1.0
+      expect(agents[0].opinions[0]).toBeCloseTo(0.55);
+      expect(agents[1].opinions[0]).toBeCloseTo(0.05);
+    });
+
+    it('Deffuant should move only agents within the confidence bound', () => {
+      const close = createAgents([0.4, 0]);
+      applyOpinionUpdate(close, 0, 1, topic, fullConnections(2, 0.5), model({ opinionRule: 'deffuant' }));
+      expect(close[0].opinions[0]).toBeCloseTo(0.2);
+      expect(close[1].opinions[0]).toBeCloseTo(0.2);
+
+      const far = createAgents([0.8, -0.2]);
+      applyOpinionUpdate(far, 0, 1, topic, fullConnections(2, 0.5), model({ opinionRule: 'deffuant' }));
+      expect(far[0].opinions[0]).toBe(0.8);
+      expect(far[1].opinions[0]).toBe(-0.2);
+    });
+
+    it('Hegselmann–Krause should average over neighbours within the bound', () => {
+      // Соседи агента 0: 1 (близко), 2 (близко), 3 (далеко)
+      const agents = createAgents([0, 0.2, 0.4, -0.9]);
+      const connections = fullConnections(4, 1);
+      applyOpinionUpdate(agents, 0, 1, topic, connections, model({ opinionRule: 'hegselmann_krause', opinionChangeRate: 1 }));
+
+      // Среднее собственного мнения и двух близких соседей
+      expect(agents[0].opinions[0]).toBeCloseTo((0 + 0.2 + 0.4) / 3);
+      // Остальные участники не меняются
+      expect(agents[2].opinions[0]).toBe(0.4);
+      expect(agents[3].opinions[0]).toBe(-0.9);
+    });
+
+    it('repulsive influence should push distant opinions apart', () => {
+      const agents = createAgents([0.6, -0.2]);
+      applyOpinionUpdate(agents, 0, 1, topic, fullConnections(2, 0.5), model({ opinionRule: 'repulsive', opinionChangeRate: 0.2 }));
+
+      expect(agents[0].opinions[0]).toBeCloseTo(0.76);
+      expect(agents[1].opinions[0]).toBeCloseTo(-0.36);
+    });
+
+    it('should clamp opinions to [-1, 1]', () => {
+      const agents = createAgents([0.95, -0.95]);
+      applyOpinionUpdate(agents, 0, 1, topic, fullConnections(2, 1), model({ opinionRule: 'repulsive', opinionChangeRate: 1 }));
+
+      expect(agents[0].opinions[0]).toBe(1);
+      expect(agents[1].opinions[0]).toBe(-1);
+    });
+
+    it('should move value vectors and keep them normalized', () => {
+      const agents = createAgents([0.1, 0]);
+      const before = cosineSimilarity(agents[0].values, agents[1].values);
+      applyOpinionUpdate(agents, 0, 1, topic, fullConnections(2, 0.5), model({ valueChangeRate: 0.3 }));
+
+      expect(cosineSimilarity(agents[0].values, agents[1].values)).toBeGreaterThan(before);
+      agents.forEach(agent => {
+        expect(Math.hypot(...agent.values)).toBeCloseTo(1);
+      });
+    });
+
+    it('should store a value-based opinion for agents without one', () => {
+      const agents = [
+        { id: 0, cluster: 0, values: [1, 0], opinions: {} },
+        { id: 1, cluster: 0, values: [0.8, 0.6], opinions: { 0: 0.6 } },
+      ];
+      applyOpinionUpdate(agents, 0, 1, topic, fullConnections(2, 0.5), model({ opinionRule: 'deffuant' }));
+
+      expect(agents[0].opinions[0]).toBeCloseTo(0.8);
+    });
+
+    it('should reject unknown rules', () => {
+      const agents = createAgents([0, 0]);
+      expect(() => applyOpinionUpdate(agents, 0, 1, topic, fullConnections(2, 0.5), { opinionRule: 'voter' }))
+        .toThrow('Unknown opinion rule');
+    });
+  });
+
+  describe('runSimulation', () => {
+    function runWithRule(opinionRule, options = {}) {
+      const { agentData, topics } = createTestSimulation({ numAgents: 30, cycles: 1, seed: 8 });
+      agentData.agents.forEach(agent => {
+        agent.opinions = {};
+        topics.forEach(t => { agent.opinions[t.id] = cosineSimilarity(agent.values, t.vector); });
+      });
+      const result = runSimulation(agentData.agents, topics, 15, 0.5, 0, {
+        rng: createRandom(8),
+        model: { opinionRule, opinionChangeRate: 0.3, confidenceBound: 2, ...options },
+      });
+      return { result, topics };
+    }
+
+    it('should return the initial and updated opinions and values', () => {
+      const { result, topics } = runWithRule('deffuant', { valueChangeRate: 0.1 });
+      const change = summarizeOpinionChange(
+        result.agents,
+        { opinions: result.initialOpinions, values: result.initialValues },
+        topics
+      );
+
+      expect(result.initialOpinions).toHaveLength(30);
+      expect(result.initialValues).toHaveLength(30);
+      expect(change.meanShift).toBeGreaterThan(0);
+      expect(change.valueDrift).toBeGreaterThan(0);
+      expect(change.perTopic).toHaveLength(topics.length);
+    });
+
+    it('should narrow the opinion spread with averaging rules', () => {
+      const { result, topics } = runWithRule('degroot');
+      const spread = (state) => {
+        const opinions = state.map(opinionsOfAgent => opinionsOfAgent[topics[0].id]);
+        return Math.max(...opinions) - Math.min(...opinions);
+      };
+
+      expect(spread(result.agents.map(a => a.opinions))).toBeLessThan(spread(result.initialOpinions));
+    });
+
+    it('should keep opinions and values fixed at zero rates', () => {
+      const { agentData, topics } = createTestSimulation({ numAgents: 20, cycles: 1, seed: 5 });
+      const initial = snapshotOpinionState(agentData.agents);
+      const result = runSimulation(agentData.agents, topics, 10, 0.5, 0, { rng: createRandom(5) });
+
+      expect(result.agents.map(a => a.values)).toEqual(initial.values);
+      expect(result.agents.map(a => a.opinions)).toEqual(initial.opinions);
+    });
+  });
+});
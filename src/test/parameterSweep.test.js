@@ -0,0 +1,204 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SWEEPABLE_PARAMS,
+  expandAxis,
+  parseAxisSpec,
+  buildSweepGrid,
+  computeRunMetrics,
+  summarizeReplicates,
+  runSweep,
+  computeSensitivity,
+  exportSweepCsv,
+  exportSweepSummaryCsv,
+} from '../lib/parameterSweep';
+import { createRunControl } from '../lib/simulationPipeline';
+import { createMockParams, createMockTopicSettings, createMockOpinionSettings } from './testHelpers';
+
+function createBaseConfig(overrides = {}) {
+  return {
+    simulationParams: createMockParams({ agentCount: 20, cycles: 3, ...overrides }),
+    topicSettings: createMockTopicSettings(),
+    opinionSettings: createMockOpinionSettings(),
+  };
+}
+
+describe('Parameter Sweep', () => {
+  describe('axes', () => {
+    it('should expose model parameters but not run settings', () => {
+      expect(SWEEPABLE_PARAMS).toContain('agreementTolerance');
+      expect(SWEEPABLE_PARAMS).toContain('edgeThreshold');
+      expect(SWEEPABLE_PARAMS).toContain('recalculateClustersAfter');
+      expect(SWEEPABLE_PARAMS).not.toContain('seed');
+      expect(SWEEPABLE_PARAMS).not.toContain('historyInterval');
+    });
+
+    it('should expand ranges rounded to the parameter step', () => {
+      expect(expandAxis({ param: 'edgeThreshold', from: 0.1, to: 0.9, steps: 5 })).toEqual([0.1, 0.3, 0.5, 0.7, 0.9]);
+      expect(expandAxis({ param: 'cycles', from: 10, to: 11, steps: 5 })).toEqual([10, 11]);
+      expect(expandAxis({ param: 'numClusters', values: [2, 4] })).toEqual([2, 4]);
+    });
+
+    it('should reject unknown parameters and values out of range', () => {
+      expect(() => expandAxis({ param: 'seed', values: [1] })).toThrow();
+      expect(() => expandAxis({ param: 'edgeThreshold', values: [1.5] })).toThrow('вне диапазона');
+    });
+
+    it('should accept the legacy threshold axis for both thresholds', () => {
+      expect(expandAxis(parseAxisSpec('threshold=0.2:0.6:3'))).toEqual([0.2, 0.4, 0.6]);
+      expect(() => expandAxis({ param: 'threshold', values: [1.5] })).toThrow('вне диапазона');
+      expect(() => buildSweepGrid([
+        { param: 'threshold', values: [0.3] },
+        { param: 'edgeThreshold', values: [0.5] },
+      ])).toThrow();
+    });
+
+    it('should parse command line specs', () => {
+      expect(parseAxisSpec('agreementTolerance=0.1:0.9:5')).toEqual({ param: 'agreementTolerance', from: 0.1, to: 0.9, steps: 5 });
+      expect(parseAxisSpec('cycles=10,20')).toEqual({ param: 'cycles', values: [10, 20] });
+      expect(() => parseAxisSpec('agreementTolerance')).toThrow();
+    });
+
+    it('should build the cartesian grid', () => {
+      const grid = buildSweepGrid([
+        { param: 'agreementTolerance', values: [0.3, 0.6] },
+        { param: 'numClusters', values: [2, 3, 4] },
+      ]);
+
+      expect(grid).toHaveLength(6);
+      expect(grid[0]).toEqual({ agreementTolerance: 0.3, numClusters: 2 });
+      expect(() => buildSweepGrid([
+        { param: 'cycles', values: [1] },
+        { param: 'cycles', values: [2] },
+      ])).toThrow();
+    });
+  });
+
+  describe('computeRunMetrics', () => {
+    const agents = [
+      { id: 0, cluster: 0, opinions: { 0: 1 } },
+      { id: 1, cluster: 0, opinions: { 0: 1 } },
+      { id: 2, cluster: 1, opinions: { 0: -1 } },
+      { id: 3, cluster: 1, opinions: { 0: -1 } },
+    ];
+    const topics = [{ id: 0, vector: [1, 0] }];
+
+    it('should measure two separate communities', () => {
+      const connections = [
+        [0, 1, 0, 0],
+        [1, 0, 0, 0],
+        [0, 0, 0, 1],
+        [0, 0, 1, 0],
+      ];
+      const metrics = computeRunMetrics(agents, connections, topics, 0.5);
+
+      expect(metrics.density).toBeCloseTo(2 / 6);
+      expect(metrics.modularity).toBeCloseTo(0.5);
+      expect(metrics.interClusterShare).toBe(0);
+      expect(metrics.polarization).toBeCloseTo(1);
+    });
+
+    it('should count inter-cluster ties and ignore weak ones', () => {
+      const connections = [
+        [0, 0.9, 0.9, 0.1],
+        [0.9, 0, 0, 0],
+        [0.9, 0, 0, 0],
+        [0.1, 0, 0, 0],
+      ];
+      const metrics = computeRunMetrics(agents, connections, topics, 0.5);
+
+      expect(metrics.density).toBeCloseTo(2 / 6);
+      expect(metrics.interClusterShare).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('summarizeReplicates', () => {
+    it('should compute the mean and a t-based confidence interval', () => {
+      const summary = summarizeReplicates([1, 2, 3]);
+
+      expect(summary.mean).toBe(2);
+      expect(summary.std).toBeCloseTo(1);
+      expect(summary.upper - summary.mean).toBeCloseTo((4.303 * 1) / Math.sqrt(3));
+      expect(summary.lower).toBeLessThan(summary.mean);
+    });
+
+    it('should collapse the interval for a single replicate', () => {
+      expect(summarizeReplicates([0.4])).toEqual({ mean: 0.4, std: 0, lower: 0.4, upper: 0.4, n: 1 });
+    });
+  });
+
+  describe('runSweep', () => {
+    it('should run every point with replicates and report progress', async () => {
+      const progress = [];
+      const sweep = await runSweep(
+        createBaseConfig(),
+        [{ param: 'edgeThreshold', values: [0.2, 0.8] }],
+        { replicates: 2, baseSeed: 10, onProgress: (done, total) => progress.push([done, total]) }
+      );
+
+      expect(sweep.points).toHaveLength(2);
+      expect(sweep.points[0].runs.map(run => run.seed)).toEqual([10, 11]);
+      expect(sweep.points[1].runs.map(run => run.seed)).toEqual([10, 11]);
+      expect(progress[progress.length - 1]).toEqual([4, 4]);
+
+      // Порог связи не меняет модель: на тех же seed более высокий порог не может дать более плотную сеть
+      expect(sweep.points[0].summary.density.mean).toBeGreaterThanOrEqual(sweep.points[1].summary.density.mean);
+    });
+
+    it('should set both thresholds from a legacy threshold axis', async () => {
+      const options = { replicates: 1, baseSeed: 4 };
+      const legacy = await runSweep(createBaseConfig(), [{ param: 'threshold', values: [0.3] }], options);
+      const split = await runSweep(createBaseConfig(), [
+        { param: 'agreementTolerance', values: [0.3] },
+        { param: 'edgeThreshold', values: [0.3] },
+      ], options);
+
+      expect(legacy.points[0].params).toEqual({ threshold: 0.3 });
+      expect(legacy.points[0].summary).toEqual(split.points[0].summary);
+    });
+
+    it('should be reproducible for the same base seed', async () => {
+      const axes = [{ param: 'cycles', values: [2, 4] }];
+      const first = await runSweep(createBaseConfig(), axes, { replicates: 2, baseSeed: 3 });
+      const second = await runSweep(createBaseConfig(), axes, { replicates: 2, baseSeed: 3 });
+
+      expect(exportSweepCsv(first)).toBe(exportSweepCsv(second));
+    });
+
+    it('should stop when cancelled', async () => {
+      const control = createRunControl();
+      const sweep = await runSweep(
+        createBaseConfig(),
+        [{ param: 'edgeThreshold', values: [0.2, 0.5, 0.8] }],
+        { replicates: 2, control, onProgress: (done) => done === 1 && control.cancel() }
+      );
+
+      expect(sweep).toBeNull();
+    });
+  });
+
+  describe('reports', () => {
+    it('should rank parameters by effect and export CSV', async () => {
+      const sweep = await runSweep(
+        createBaseConfig(),
+        [
+          { param: 'edgeThreshold', values: [0.1, 0.9] },
+          { param: 'numClusters', values: [2, 3] },
+        ],
+        { replicates: 2, baseSeed: 1 }
+      );
+
+      const sensitivity = computeSensitivity(sweep);
+      expect(sensitivity).toHaveLength(8);
+      expect(sensitivity[0].range).toBeGreaterThanOrEqual(sensitivity[sensitivity.length - 1].range);
+      expect(sensitivity.find(row => row.param === 'edgeThreshold' && row.metric === 'density').range).toBeGreaterThan(0);
+
+      const runsCsv = exportSweepCsv(sweep).trim().split('\n');
+      expect(runsCsv[0]).toBe('point,edgeThreshold,numClusters,replicate,seed,density,modularity,interClusterShare,polarization');
+      expect(runsCsv).toHaveLength(1 + 4 * 2);
+
+      const summaryCsv = exportSweepSummaryCsv(sweep).trim().split('\n');
+      expect(summaryCsv[0]).toContain('density_mean,density_lower,density_upper');
+      expect(summaryCsv).toHaveLength(1 + 4);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { PARTNER_STRATEGY_IDS, selectPartner } from '../lib/partnerSelection';
+import {
+  PARTNER_STRATEGIES,
+  PRESET_SCENARIOS,
+  DEFAULT_MODEL_PARAMS,
+  validateParams,
+  getScenarioModelParams,
+} from '../lib/simulationConfig';
+import { generateAgentPopulation, generateTopics, runSimulation } from '../lib/agentSimulation';
+import { createRandom } from '../lib/random';
+
+function createAgents(values) {
+  return values.map((vector, id) => ({ id, cluster: 0, values: vector, opinions: {} }));
+}
+
+function drawPartners(i, agents, connections, model, draws = 300) {
+  const rng = createRandom(7);
+  const counts = Array(agents.length).fill(0);
+  for (let n = 0; n < draws; n++) {
+    counts[selectPartner(i, agents, connections, model, rng)]++;
+  }
+  return counts;
+}
+
+const sameValues = [
+  [1, 0], [1, 0], [1, 0], [1, 0],
+];
+
+// Цепочка 0 — 1 — 2, агент 3 изолирован
+const chain = [
+  [0, 1, 0, 0],
+  [1, 0, 1, 0],
+  [0, 1, 0, 0],
+  [0, 0, 0, 0],
+];
+
+describe('Partner Selection', () => {
+  it('should implement every strategy offered in the configuration', () => {
+    expect(PARTNER_STRATEGIES.map(strategy => strategy.id)).toEqual(PARTNER_STRATEGY_IDS);
+    expect(validateParams({ ...DEFAULT_MODEL_PARAMS, partnerSelection: 'random_walk' }).errors[0])
+      .toMatch(/^partnerSelection/);
+  });
+
+  it('neighbour-biased selection should follow existing ties', () => {
+    const counts = drawPartners(0, createAgents(sameValues), chain, { partnerSelection: 'neighbour', partnerExploration: 0 });
+    expect(counts).toEqual([0, 300, 0, 0]);
+  });
+
+  it('friend-of-friend selection should close triads', () => {
+    const counts = drawPartners(0, createAgents(sameValues), chain, { partnerSelection: 'friend_of_friend', partnerExploration: 0 });
+    expect(counts).toEqual([0, 0, 300, 0]);
+  });
+
+  it('homophily should never pick agents with opposite values', () => {
+    const agents = createAgents([[1, 0], [0.8, 0.6], [-1, 0], [0, 1]]);
+    const counts = drawPartners(0, agents, chain, { partnerSelection: 'homophily', partnerExploration: 0 });
+
+    expect(counts[2]).toBe(0);
+    expect(counts[3]).toBe(0);
+    expect(counts[1]).toBe(300);
+  });
+
+  it('should fall back to a uniform draw without candidates', () => {
+    const counts = drawPartners(3, createAgents(sameValues), chain, { partnerSelection: 'neighbour', partnerExploration: 0 });
+    expect(counts.filter(count => count > 0).length).toBeGreaterThan(2);
+  });
+
+  it('should mix in uniform draws with exploration', () => {
+    const counts = drawPartners(0, createAgents(sameValues), chain, { partnerSelection: 'neighbour', partnerExploration: 0.5 }, 400);
+    expect(counts[1]).toBeGreaterThan(200);
+    expect(counts[3]).toBeGreaterThan(0);
+  });
+
+  it('should be selectable per preset scenario', () => {
+    const strategies = PRESET_SCENARIOS.map(preset => getScenarioModelParams(preset).partnerSelection);
+    strategies.forEach(strategy => expect(PARTNER_STRATEGY_IDS).toContain(strategy));
+
+    const echo = PRESET_SCENARIOS.find(preset => preset.id === 'echo_chambers');
+    const cascade = PRESET_SCENARIOS.find(preset => preset.id === 'information_cascade');
+    expect(echo.config.partnerSelection).not.toBe(cascade.config.partnerSelection);
+  });
+
+  describe('runSimulation', () => {
+    function runWithStrategy(partnerSelection, model = { partnerExploration: 0.05, initialConnectionDensity: 0.2 }) {
+      const rng = createRandom(12);
+      const { agents, clusterCenters } = generateAgentPopulation(40, 8, 3, null, { rng });
+      const topics = generateTopics(8, 'B', clusterCenters, null, null, 3, 0, agents, { rng });
+      return runSimulation(agents, topics, 15, 0.5, 0, { rng, model: { ...model, partnerSelection } });
+    }
+
+    function withinClusterShare({ agents, connections }) {
+      let within = 0;
+      let total = 0;
+      for (let i = 0; i < agents.length; i++) {
+        for (let j = i + 1; j < agents.length; j++) {
+          total += connections[i][j];
+          if (agents[i].cluster === agents[j].cluster) within += connections[i][j];
+        }
+      }
+      return within / total;
+    }
+
+    it('should keep the original pair sequence with the default uniform strategy', () => {
+      const byDefault = runWithStrategy(undefined, {});
+      const uniform = runWithStrategy('uniform', { partnerExploration: 0.7 });
+
+      expect(DEFAULT_MODEL_PARAMS.partnerSelection).toBe('uniform');
+      expect(uniform.connections).toEqual(byDefault.connections);
+    });
+
+    it('should concentrate ties within value clusters under homophily', () => {
+      expect(withinClusterShare(runWithStrategy('homophily')))
+        .toBeGreaterThan(withinClusterShare(runWithStrategy('uniform')));
+    });
+
+    it('should produce a different network for every strategy', () => {
+      const results = PARTNER_STRATEGY_IDS.map(id => runWithStrategy(id));
+      for (let a = 0; a < results.length; a++) {
+        for (let b = a + 1; b < results.length; b++) {
+          expect(results[a].connections).not.toEqual(results[b].connections);
+        }
+      }
+    });
+  });
+});
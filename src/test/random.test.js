@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom, generateSeed, normalizeSeed, resolveSeed, MAX_SEED } from '../lib/random';
+import { validateParams, sanitizeParams, createConfig } from '../lib/simulationConfig';
+
+describe('Random - Seedable PRNG', () => {
+  describe('createRandom', () => {
+    it('should return the same sequence for the same seed', () => {
+      const rng1 = createRandom(123);
+      const rng2 = createRandom(123);
+      const seq1 = Array.from({ length: 20 }, () => rng1());
+      const seq2 = Array.from({ length: 20 }, () => rng2());
+      expect(seq2).toEqual(seq1);
+    });
+
+    it('should return different sequences for different seeds', () => {
+      const rng1 = createRandom(1);
+      const rng2 = createRandom(2);
+      expect(rng1()).not.toBe(rng2());
+    });
+
+    it('should return values in [0, 1)', () => {
+      const rng = createRandom(99);
+      for (let i = 0; i < 1000; i++) {
+        const value = rng();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    it('should be roughly uniform', () => {
+      const rng = createRandom(2024);
+      const samples = Array.from({ length: 5000 }, () => rng());
+      const mean = samples.reduce((sum, v) => sum + v, 0) / samples.length;
+      expect(mean).toBeGreaterThan(0.45);
+      expect(mean).toBeLessThan(0.55);
+    });
+  });
+
+  describe('seed helpers', () => {
+    it('should generate seeds within range', () => {
+      const seed = generateSeed();
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(seed).toBeGreaterThanOrEqual(0);
+      expect(seed).toBeLessThanOrEqual(MAX_SEED);
+    });
+
+    it('should normalize numeric strings and reject garbage', () => {
+      expect(normalizeSeed('42')).toBe(42);
+      expect(normalizeSeed(42.7)).toBe(42);
+      expect(() => normalizeSeed('abc')).toThrow();
+    });
+
+    it('should keep configured seeds and draw new ones for null', () => {
+      expect(resolveSeed(17)).toBe(17);
+      expect(Number.isInteger(resolveSeed(null))).toBe(true);
+    });
+  });
+
+  describe('seed parameter in simulationConfig', () => {
+    it('should accept null and integer seeds', () => {
+      expect(createConfig({ seed: null }).validation.valid).toBe(true);
+      expect(createConfig({ seed: 42 }).validation.valid).toBe(true);
+      expect(createConfig().params.seed).toBeNull();
+    });
+
+    it('should reject non-integer seeds', () => {
+      const result = validateParams({ ...createConfig().params, seed: 1.5 });
+      expect(result.valid).toBe(false);
+    });
+
+    it('should clamp seeds but leave null untouched', () => {
+      expect(sanitizeParams({ seed: -5 }).seed).toBe(0);
+      expect(sanitizeParams({ seed: null }).seed).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  selectReplayFrames,
+  replayOverlayText,
+  buildGifPalette,
+  createGifEncoder,
+  recordWebm,
+} from '../lib/replayExport';
+
+const frames = [0, 2, 4, 6].map(cycle => ({
+  cycle,
+  clusters: [0, 0, 1, 1],
+  links: Array.from({ length: cycle / 2 }, (_, i) => ({ source: 0, target: i + 1, strength: 0.8 })),
+}));
+
+// Кадр width×height, залитый одним цветом
+function solidFrame(width, height, [r, g, b]) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < rgba.length; i += 4) {
+    rgba[i] = r;
+    rgba[i + 1] = g;
+    rgba[i + 2] = b;
+    rgba[i + 3] = 255;
+  }
+  return rgba;
+}
+
+// Число кадров в GIF: блоки Graphic Control Extension (0x21 0xF9 0x04)
+function countGifFrames(bytes) {
+  let count = 0;
+  for (let i = 0; i + 2 < bytes.length; i++) {
+    if (bytes[i] === 0x21 && bytes[i + 1] === 0xf9 && bytes[i + 2] === 0x04) count++;
+  }
+  return count;
+}
+
+describe('Replay export', () => {
+  it('should select frames of a cycle range', () => {
+    expect(selectReplayFrames(frames, 2, 4).map(frame => frame.cycle)).toEqual([2, 4]);
+    expect(selectReplayFrames(frames).map(frame => frame.cycle)).toEqual([0, 2, 4, 6]);
+    expect(selectReplayFrames(frames, 7, 9)).toEqual([]);
+  });
+
+  it('should caption frames with the cycle and the density', () => {
+    // 4 агента — 6 пар, 3 связи
+    expect(replayOverlayText(frames[3], 4)).toBe('Цикл 6 · Плотность 50.0%');
+    expect(replayOverlayText(frames[1], 4, { density: false })).toBe('Цикл 2');
+    expect(replayOverlayText(frames[1], 4, { cycle: false, density: false })).toBe('');
+  });
+
+  describe('GIF', () => {
+    const width = 8;
+    const height = 6;
+    const red = solidFrame(width, height, [239, 68, 68]);
+    const blue = solidFrame(width, height, [59, 130, 246]);
+
+    it('should encode a looping animation with one frame per image', () => {
+      const encoder = createGifEncoder(width, height, { palette: buildGifPalette([red, blue]), fps: 5 });
+      [red, blue, red].forEach(frame => encoder.addFrame(frame));
+      const bytes = encoder.finish();
+
+      expect(String.fromCharCode(...bytes.slice(0, 6))).toBe('GIF89a');
+      expect(bytes[6] | (bytes[7] << 8)).toBe(width);
+      expect(bytes[8] | (bytes[9] << 8)).toBe(height);
+      expect(String.fromCharCode(...bytes)).toContain('NETSCAPE2.0');
+      expect(countGifFrames(bytes)).toBe(3);
+      expect(encoder.frameCount()).toBe(3);
+      expect(bytes[bytes.length - 1]).toBe(0x3b);
+    });
+
+    it('should store the frame delay in hundredths of a second', () => {
+      const encoder = createGifEncoder(width, height, { palette: buildGifPalette([red]), fps: 4 });
+      encoder.addFrame(red);
+      const bytes = encoder.finish();
+      const gce = bytes.findIndex((byte, i) => byte === 0x21 && bytes[i + 1] === 0xf9);
+
+      expect(bytes[gce + 4] | (bytes[gce + 5] << 8)).toBe(25);
+    });
+
+    it('should reject frames of another size and a missing palette', () => {
+      const encoder = createGifEncoder(width, height, { palette: buildGifPalette([red]) });
+      expect(() => encoder.addFrame(solidFrame(2, 2, [0, 0, 0]))).toThrow('Frame must have 8×6 RGBA pixels');
+      expect(() => createGifEncoder(width, height)).toThrow('GIF palette is required');
+    });
+  });
+
+  it('should report when the browser cannot record WebM', async () => {
+    const canvas = document.createElement('canvas');
+    await expect(recordWebm(canvas, 1, () => {})).rejects.toThrow('WebM recording is not supported by this browser');
+  });
+});
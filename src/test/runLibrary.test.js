@@ -0,0 +1,206 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  buildRunRecord,
+  compareRunMetrics,
+  diffRunEdges,
+  diffRunParams,
+  exportEdgeDiffCsv,
+  openRunLibrary,
+  saveRunToLibrary,
+} from '../lib/runLibrary';
+import { executeSimulation } from '../lib/simulationPipeline';
+import { startSimulation } from '../lib/simulationRunner';
+import { asConnectionStore, createConnections } from '../lib/connectionStore';
+import { computeRunMetrics } from '../lib/parameterSweep';
+import { createMockParams, createMockTopicSettings, createMockOpinionSettings } from './testHelpers';
+
+async function completeRun(seed) {
+  const config = {
+    simulationParams: createMockParams({ agentCount: 20, cycles: 3, seed }),
+    topicSettings: createMockTopicSettings(),
+    opinionSettings: createMockOpinionSettings(),
+  };
+  return { run: await executeSimulation(config), config };
+}
+
+function connectionsOf(N, edges) {
+  const store = asConnectionStore(createConnections(N, 'dense'));
+  edges.forEach(([i, j, strength]) => store.set(i, j, strength));
+  return store.data;
+}
+
+describe('Run Library', () => {
+  describe('buildRunRecord', () => {
+    it('should keep params, seed, topics, final ties, report and metrics', async () => {
+      const { run, config } = await completeRun(7);
+      const { summary, data } = buildRunRecord(run, { ...config, createdAt: 1000 });
+      const { agents, connections } = run.simulationResult;
+
+      expect(summary).toMatchObject({ createdAt: 1000, seed: 7, agentCount: 20, topicCount: run.topics.length });
+      expect(summary.params.edgeThreshold).toBe(config.simulationParams.edgeThreshold);
+      expect(summary.metrics).toEqual(computeRunMetrics(agents, connections, run.topics, config.simulationParams.edgeThreshold));
+      expect(data.report).toBe(run.report);
+      expect(data.agents[3]).toEqual({ id: 3, cluster: agents[3].cluster, values: agents[3].values, opinions: agents[3].opinions });
+
+      const stored = asConnectionStore(data.connections);
+      expect(stored.format).toBe('sparse');
+      asConnectionStore(connections).forEachEdge((i, j, strength) => expect(stored.get(i, j)).toBe(strength));
+    });
+  });
+
+  describe('comparison', () => {
+    it('should compute metric deltas from A to B', () => {
+      const rows = compareRunMetrics(
+        { density: 0.2, modularity: 0, interClusterShare: 0.5, polarization: 0.4 },
+        { density: 0.3, modularity: 0.1, interClusterShare: 0.25, polarization: 0.4 }
+      );
+
+      expect(rows.map(row => row.key)).toEqual(['density', 'modularity', 'interClusterShare', 'polarization']);
+      expect(rows[0].delta).toBeCloseTo(0.1);
+      expect(rows[0].relative).toBeCloseTo(0.5);
+      expect(rows[1].relative).toBeNull();
+      expect(rows[2].delta).toBeCloseTo(-0.25);
+      expect(rows[3].delta).toBe(0);
+    });
+
+    it('should list ties formed in only one run', () => {
+      const a = connectionsOf(4, [[0, 1, 0.9], [1, 2, 0.6], [2, 3, 0.2]]);
+      const b = connectionsOf(4, [[0, 1, 0.7], [1, 2, 0.3], [0, 3, 0.8], [2, 3, 0.55]]);
+      const diff = diffRunEdges(a, b, 0.5);
+
+      expect(diff.shared).toEqual([{ source: 0, target: 1, strengthA: 0.9, strengthB: 0.7 }]);
+      expect(diff.onlyA).toEqual([{ source: 1, target: 2, strengthA: 0.6, strengthB: 0.3 }]);
+      // Сначала самые сильные связи
+      expect(diff.onlyB).toEqual([
+        { source: 0, target: 3, strengthA: 0, strengthB: 0.8 },
+        { source: 2, target: 3, strengthA: 0.2, strengthB: 0.55 },
+      ]);
+    });
+
+    it('should compare only the agents both runs have', () => {
+      const a = connectionsOf(3, [[0, 2, 0.9]]);
+      const b = connectionsOf(5, [[0, 2, 0.9], [3, 4, 0.9], [1, 4, 0.9]]);
+      const diff = diffRunEdges(a, b, 0.5);
+
+      expect(diff.shared).toHaveLength(1);
+      expect(diff.onlyA).toEqual([]);
+      expect(diff.onlyB).toEqual([]);
+    });
+
+    it('should list the parameters that differ', () => {
+      const diff = diffRunParams(
+        { edgeThreshold: 0.5, cycles: 20, seed: 1, scenario: 'A' },
+        { edgeThreshold: 0.6, cycles: 20, seed: 2, scenario: 'A', historyInterval: 1 }
+      );
+
+      expect(diff).toEqual([
+        { key: 'edgeThreshold', a: 0.5, b: 0.6 },
+        { key: 'seed', a: 1, b: 2 },
+        { key: 'historyInterval', a: undefined, b: 1 },
+      ]);
+    });
+
+    it('should export the edge diff as CSV', () => {
+      const a = connectionsOf(3, [[0, 1, 0.9], [1, 2, 0.6]]);
+      const b = connectionsOf(3, [[0, 1, 0.7], [0, 2, 0.8]]);
+
+      expect(exportEdgeDiffCsv(diffRunEdges(a, b, 0.5))).toBe(
+        'source,target,run,strength_a,strength_b\n1,2,A,0.6,0\n0,2,B,0,0.8\n0,1,both,0.9,0.7\n'
+      );
+    });
+  });
+
+  describe('IndexedDB store', () => {
+    let factory;
+
+    beforeEach(() => {
+      factory = new IDBFactory();
+    });
+
+    it('should save, list, load and delete runs', async () => {
+      const library = await openRunLibrary({ factory });
+      const first = await completeRun(1);
+      const second = await completeRun(2);
+      const idA = await library.saveRun(buildRunRecord(first.run, { ...first.config, name: 'Сценарий A', createdAt: 1 }));
+      const idB = await library.saveRun(buildRunRecord(second.run, { ...second.config, name: 'Сценарий B', createdAt: 2 }));
+
+      const runs = await library.listRuns();
+      expect(runs.map(run => run.name)).toEqual(['Сценарий B', 'Сценарий A']);
+      expect(runs[0]).not.toHaveProperty('connections');
+
+      const loaded = await library.getRun(idA);
+      expect(loaded).toMatchObject({ id: idA, name: 'Сценарий A', seed: 1, report: first.run.report });
+      expect(asConnectionStore(loaded.connections).edgeCount(0.5))
+        .toBe(asConnectionStore(first.run.simulationResult.connections).edgeCount(0.5));
+
+      await library.deleteRun(idA);
+      expect(await library.getRun(idA)).toBeNull();
+      expect((await library.listRuns()).map(run => run.id)).toEqual([idB]);
+      library.close();
+    });
+
+    it('should keep runs between sessions and rename them', async () => {
+      const { run, config } = await completeRun(3);
+      const library = await openRunLibrary({ factory });
+      const id = await library.saveRun(buildRunRecord(run, config));
+      library.close();
+
+      const reopened = await openRunLibrary({ factory });
+      await reopened.renameRun(id, 'Базовый');
+      expect((await reopened.getRun(id)).name).toBe('Базовый');
+      await expect(reopened.renameRun(id + 1, 'Нет')).rejects.toThrow('Run not found');
+      reopened.close();
+    });
+
+    it('should save a completed run in one call', async () => {
+      const { run, config } = await completeRun(4);
+      const id = await saveRunToLibrary(buildRunRecord(run, config), { factory });
+
+      const library = await openRunLibrary({ factory });
+      expect((await library.getRun(id)).seed).toBe(4);
+      library.close();
+    });
+
+    it('should keep only the newest runs when saving', async () => {
+      const { run, config } = await completeRun(5);
+      const ids = [];
+      for (const createdAt of [1, 2, 3]) {
+        ids.push(await saveRunToLibrary(buildRunRecord(run, { ...config, createdAt }), { factory, keep: 2 }));
+      }
+
+      const library = await openRunLibrary({ factory });
+      expect((await library.listRuns()).map(stored => stored.createdAt)).toEqual([3, 2]);
+      expect(await library.getRun(ids[0])).toBeNull();
+      expect(await library.pruneRuns(5)).toEqual([]);
+      library.close();
+    });
+
+    it('should save the completed run after onDone when the library is on', async () => {
+      vi.stubGlobal('indexedDB', factory);
+      try {
+        const { config } = await completeRun(6);
+        const events = [];
+        const id = await new Promise((resolve, reject) => {
+          startSimulation({ ...config, library: { keep: 10 } }, {
+            onDone: () => events.push('done'),
+            onSaved: resolve,
+            onSaveError: reject,
+          });
+        });
+        events.push('saved');
+
+        expect(events).toEqual(['done', 'saved']);
+        const library = await openRunLibrary({ factory });
+        expect((await library.getRun(id)).seed).toBe(6);
+        library.close();
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+
+    it('should fail without IndexedDB', async () => {
+      await expect(openRunLibrary({ factory: null })).rejects.toThrow('IndexedDB is not available');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { generateAgentPopulation, generateTopics, runSimulation, prepareVisualizationData } from '../lib/agentSimulation';
+import { createRandom } from '../lib/random';
+import {
+  normalizeHistoryOptions,
+  reconstructConnectionsAt,
+  historyToTimeSeries,
+  historyFrames,
+} from '../lib/simulationHistory';
+
+function runWithHistory(history, { numAgents = 30, cycles = 12, recalculateAfter = 0, seed = 11 } = {}) {
+  const rng = createRandom(seed);
+  const agentData = generateAgentPopulation(numAgents, 8, 3, null, { rng });
+  const topics = generateTopics(8, 'A', agentData.clusterCenters, null, null, 3, recalculateAfter, agentData.agents, { rng });
+  const result = runSimulation(agentData.agents, topics, cycles, 0.3, recalculateAfter, { rng, history });
+  return { result, topics };
+}
+
+describe('Simulation History', () => {
+  describe('normalizeHistoryOptions', () => {
+    it('should disable history for falsy values', () => {
+      expect(normalizeHistoryOptions(null)).toBeNull();
+      expect(normalizeHistoryOptions(false)).toBeNull();
+      expect(normalizeHistoryOptions(0)).toBeNull();
+    });
+
+    it('should accept true, an interval or an object', () => {
+      expect(normalizeHistoryOptions(true).every).toBe(1);
+      expect(normalizeHistoryOptions(5).every).toBe(5);
+      expect(normalizeHistoryOptions({ every: 3, edgeThreshold: 0.2 })).toEqual({ every: 3, edgeThreshold: 0.2 });
+    });
+  });
+
+  describe('runSimulation with history', () => {
+    it('should not record history unless requested', () => {
+      const { result } = runWithHistory(null);
+      expect(result.history).toBeUndefined();
+    });
+
+    it('should record a snapshot for cycle 0 and after every cycle', () => {
+      const { result } = runWithHistory(true, { cycles: 12 });
+      expect(result.history.snapshots.map(s => s.cycle)).toEqual(Array.from({ length: 13 }, (_, i) => i));
+    });
+
+    it('should record every k cycles and always keep the last cycle', () => {
+      const { result } = runWithHistory({ every: 5 }, { cycles: 12 });
+      expect(result.history.snapshots.map(s => s.cycle)).toEqual([0, 5, 10, 12]);
+    });
+
+    it('should store metrics, clusters and per-topic opinion means', () => {
+      const { result, topics } = runWithHistory({ every: 1, edgeThreshold: 0.4 });
+      const snapshot = result.history.snapshots[3];
+
+      expect(snapshot.density).toBeGreaterThanOrEqual(0);
+      expect(snapshot.density).toBeLessThanOrEqual(1);
+      expect(snapshot.meanStrength).toBeGreaterThan(0);
+      expect(snapshot.clusters).toHaveLength(30);
+      expect(Object.keys(snapshot.opinionMeans)).toHaveLength(topics.length);
+    });
+
+    it('should show real dynamics instead of a flat line', () => {
+      const { result } = runWithHistory(true, { cycles: 15 });
+      const strengths = result.history.snapshots.map(s => s.meanStrength);
+      expect(new Set(strengths).size).toBeGreaterThan(1);
+    });
+
+    it('should not change the simulation outcome', () => {
+      const withHistory = runWithHistory(true).result;
+      const withoutHistory = runWithHistory(null).result;
+      expect(withHistory.connections).toEqual(withoutHistory.connections);
+    });
+  });
+
+  describe('reconstructConnectionsAt', () => {
+    it('should rebuild the final matrix from sparse diffs', () => {
+      const { result } = runWithHistory({ every: 2 }, { cycles: 9 });
+      expect(reconstructConnectionsAt(result.history, 9)).toEqual(result.connections);
+    });
+
+    it('should return the initial matrix at cycle 0', () => {
+      const { result } = runWithHistory(true);
+      expect(reconstructConnectionsAt(result.history, 0)).toEqual(result.history.initialConnections);
+    });
+  });
+
+  describe('historyFrames', () => {
+    it('should give one frame per snapshot ending at the final network', () => {
+      const { result } = runWithHistory({ every: 3 }, { cycles: 8, recalculateAfter: 4 });
+      const frames = historyFrames(result.history, 0.4);
+
+      expect(frames.map(frame => frame.cycle)).toEqual([0, 3, 6, 8]);
+      const last = frames[frames.length - 1];
+      expect(last.links).toEqual(prepareVisualizationData(result.agents, result.connections, 0.4).links);
+      expect(last.clusters).toEqual(result.agents.map(agent => agent.cluster));
+    });
+
+    it('should show how ties form from the initial network', () => {
+      const { result } = runWithHistory(true, { cycles: 6 });
+      const frames = historyFrames(result.history, 0.5);
+
+      expect(frames[0].links).toHaveLength(0);
+      expect(frames[6].links.length).toBeGreaterThan(0);
+      frames.forEach(frame => frame.links.forEach(link => expect(link.strength).toBeGreaterThanOrEqual(0.5)));
+    });
+
+    it('should return no frames without history', () => {
+      expect(historyFrames(null)).toEqual([]);
+    });
+  });
+
+  describe('historyToTimeSeries', () => {
+    it('should produce one row per snapshot with topic columns', () => {
+      const { result, topics } = runWithHistory(true, { cycles: 6 });
+      const rows = historyToTimeSeries(result.history, topics);
+
+      expect(rows).toHaveLength(7);
+      expect(rows[0]).toHaveProperty('topic_0');
+      expect(rows[0]).toHaveProperty('networkDensity');
+      expect(rows[0].changedEdges).toBe(0);
+    });
+
+    it('should return an empty array without history', () => {
+      expect(historyToTimeSeries(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+import { describe, it, expect } from 'vitest';
+import { executeSimulation, createRunControl, buildSimulationInputs, resizeClusterOpinions } from '../lib/simulationPipeline';
+import { startSimulation } from '../lib/simulationRunner';
+import { createRandom } from '../lib/random';
+import {
+  createInitialState,
+  updateProgress,
+  setRunning,
+  setPaused,
+  setCancelled,
+  setResults,
+} from '../lib/simulationState';
+import { createMockParams, createMockTopicSettings, createMockOpinionSettings } from './testHelpers';
+
+function createConfig(overrides = {}) {
+  return {
+    simulationParams: createMockParams({ agentCount: 30, cycles: 8, seed: 5, ...overrides }),
+    topicSettings: createMockTopicSettings(),
+    opinionSettings: createMockOpinionSettings(),
+  };
+}
+
+describe('Simulation Pipeline', () => {
+  describe('buildSimulationInputs', () => {
+    it('should generate agents with opinions and named topics', () => {
+      const { agentData, topics } = buildSimulationInputs(createConfig(), createRandom(1));
+
+      expect(agentData.agents).toHaveLength(30);
+      expect(topics).toHaveLength(10);
+      expect(topics[0].name).toBe('Политика');
+      expect(Object.keys(agentData.agents[0].opinions)).toHaveLength(10);
+    });
+
+    it('should use uploaded topics with their names', () => {
+      const config = {
+        ...createConfig({ vectorDimension: 3 }),
+        uploadedTopics: [[1, 0, 0], [0, 1, 0]],
+        uploadedTopicNames: ['Первая', 'Вторая'],
+      };
+      const { topics } = buildSimulationInputs(config, createRandom(1));
+
+      expect(topics.map(t => t.name)).toEqual(['Первая', 'Вторая']);
+    });
+
+    it('should choose the number of clusters of uploaded agents with autoClusters', () => {
+      // Четыре группы векторов вокруг осей
+      const rng = createRandom(2);
+      const uploadedAgents = Array.from({ length: 48 }, (_, i) => {
+        const vector = [0, 0, 0, 0].map(() => (rng() - 0.5) * 0.2);
+        vector[i % 4] += 1;
+        return vector;
+      });
+      const config = { ...createConfig({ vectorDimension: 4, numClusters: 2, autoClusters: true }), uploadedAgents };
+      const { agentData } = buildSimulationInputs(config, createRandom(1));
+
+      expect(agentData.clusterSelection.suggestedK).toBe(4);
+      expect(agentData.clusterCenters).toHaveLength(4);
+      expect(new Set(agentData.agents.map(agent => agent.cluster)).size).toBe(4);
+
+      const manual = buildSimulationInputs({ ...config, simulationParams: { ...config.simulationParams, autoClusters: false } }, createRandom(1));
+      expect(manual.agentData.clusterSelection).toBeUndefined();
+      expect(manual.agentData.clusterCenters).toHaveLength(2);
+    });
+  });
+
+  describe('resizeClusterOpinions', () => {
+    it('should keep the set opinions and pad or trim to the new counts', () => {
+      const imported = { 0: [0.5, -0.3, 0.2], 1: [-0.7, 0.4, 0.1] };
+
+      expect(resizeClusterOpinions(imported, 2, 3)).toEqual(imported);
+      expect(resizeClusterOpinions(imported, 3, 4)).toEqual({
+        0: [0.5, -0.3, 0.2, 0],
+        1: [-0.7, 0.4, 0.1, 0],
+        2: [0, 0, 0, 0],
+      });
+      expect(resizeClusterOpinions(imported, 1, 2)).toEqual({ 0: [0.5, -0.3] });
+      expect(resizeClusterOpinions(undefined, 1, 2)).toEqual({ 0: [0, 0] });
+    });
+  });
+
+  describe('executeSimulation', () => {
+    it('should report progress up to the last cycle', async () => {
+      const progress = [];
+      const result = await executeSimulation(createConfig(), {
+        onProgress: (currentCycle, totalCycles) => progress.push([currentCycle, totalCycles]),
+        sliceMs: 0,
+      });
+
+      expect(result.simulationResult.connections).toHaveLength(30);
+      expect(progress[0]).toEqual([0, 8]);
+      expect(progress[progress.length - 1]).toEqual([8, 8]);
+    });
+
+    it('should be reproducible for a fixed seed', async () => {
+      const first = await executeSimulation(createConfig());
+      const second = await executeSimulation(createConfig());
+
+      expect(second.seed).toBe(5);
+      expect(second.simulationResult.connections).toEqual(first.simulationResult.connections);
+      expect(second.report).toBe(first.report);
+    });
+
+    it('should let the opinion matrix drive the outcome', async () => {
+      const run = (customMatrix, valueOpinionWeight) => executeSimulation({
+        ...createConfig({ valueOpinionWeight }),
+        opinionSettings: { clusterOpinions: {}, customMatrix },
+      });
+      // Все за все темы или половина агентов против: при согласии связи только усиливаются
+      const agreeing = Array.from({ length: 30 }, () => Array(10).fill(1));
+      const split = Array.from({ length: 30 }, (_, id) => Array(10).fill(id % 2 ? 1 : -1));
+
+      const [consensus, divided] = await Promise.all([run(agreeing, 0), run(split, 0)]);
+      expect(consensus.simulationResult.connections).not.toEqual(divided.simulationResult.connections);
+      expect(consensus.vizData.links.length).toBeGreaterThan(divided.vizData.links.length);
+      expect(divided.vizData.links.every(link => (link.source - link.target) % 2 === 0)).toBe(true);
+
+      // Мнения только из ценностей: матрица не влияет на связи
+      const [valuesA, valuesB] = await Promise.all([run(agreeing, 1), run(split, 1)]);
+      expect(valuesA.simulationResult.connections).toEqual(valuesB.simulationResult.connections);
+    });
+
+    it('should match the value-only model by default', async () => {
+      // По умолчанию мнения в общении берутся из ценностей: заданные мнения исход не меняют
+      const opposed = { 0: Array(10).fill(0.8), 1: Array(10).fill(-0.8), 2: Array(10).fill(0.3) };
+      const [plain, withOpinions, valuesOnly] = await Promise.all([
+        executeSimulation(createConfig()),
+        executeSimulation({ ...createConfig(), opinionSettings: { clusterOpinions: opposed, customMatrix: null } }),
+        executeSimulation(createConfig({ valueOpinionWeight: 1 })),
+      ]);
+      expect(withOpinions.simulationResult.connections).toEqual(plain.simulationResult.connections);
+      expect(valuesOnly.simulationResult.connections).toEqual(plain.simulationResult.connections);
+    });
+
+    it('should let the cluster opinions drive the outcome', async () => {
+      const run = (clusterOpinions) => executeSimulation({
+        ...createConfig({ numClusters: 2, valueOpinionWeight: 0 }),
+        opinionSettings: { clusterOpinions, customMatrix: null },
+      });
+
+      const aligned = await run({ 0: Array(10).fill(0.8), 1: Array(10).fill(0.8) });
+      const opposed = await run({ 0: Array(10).fill(0.8), 1: Array(10).fill(-0.8) });
+      const crossCluster = ({ simulationResult, vizData }) => vizData.links.filter(link =>
+        simulationResult.agents[link.source].cluster !== simulationResult.agents[link.target].cluster
+      ).length;
+
+      expect(crossCluster(aligned)).toBeGreaterThan(0);
+      expect(crossCluster(opposed)).toBe(0);
+    });
+
+    it('should record history when historyInterval is set', async () => {
+      const result = await executeSimulation(createConfig({ historyInterval: 2 }));
+      expect(result.simulationResult.history.snapshots.map(s => s.cycle)).toEqual([0, 2, 4, 6, 8]);
+    });
+
+    it('should reject invalid parameters before generating agents', async () => {
+      await expect(executeSimulation(createConfig({ agentCount: 5000, initialConnectionDensity: 0.3 })))
+        .rejects.toThrow(/Некорректные параметры симуляции: initialConnectionDensity must not exceed/);
+      await expect(executeSimulation(createConfig({ cycles: 0 }))).rejects.toThrow('Cycles must be at least 1');
+    });
+
+    it('should stop and return null when cancelled', async () => {
+      const control = createRunControl();
+      const result = await executeSimulation(createConfig({ cycles: 50 }), {
+        control,
+        sliceMs: 0,
+        onProgress: (currentCycle) => {
+          if (currentCycle === 3) control.cancel();
+        },
+      });
+
+      expect(result).toBeNull();
+    });
+
+    it('should wait while paused and finish after resume', async () => {
+      const control = createRunControl();
+      let pausedAt = null;
+      const promise = executeSimulation(createConfig({ cycles: 10 }), {
+        control,
+        sliceMs: 0,
+        onProgress: (currentCycle) => {
+          if (currentCycle === 2 && pausedAt === null) {
+            pausedAt = currentCycle;
+            control.pause();
+            setTimeout(() => control.resume(), 20);
+          }
+        },
+      });
+
+      const result = await promise;
+      expect(pausedAt).toBe(2);
+      expect(result.simulationResult.agents).toHaveLength(30);
+    });
+  });
+
+  describe('startSimulation without Web Workers', () => {
+    it('should fall back to the main thread and call onDone', async () => {
+      const result = await new Promise((resolve, reject) => {
+        startSimulation(createConfig(), { onDone: resolve, onError: reject });
+      });
+
+      expect(result.vizData.nodes).toHaveLength(30);
+      expect(typeof result.report).toBe('string');
+    });
+
+    it('should call onCancel when cancelled', async () => {
+      const cancelled = await new Promise((resolve) => {
+        const controller = startSimulation(createConfig({ cycles: 200 }), {
+          onDone: () => resolve(false),
+          onCancel: () => resolve(true),
+        });
+        controller.cancel();
+      });
+
+      expect(cancelled).toBe(true);
+    });
+  });
+});
+
+describe('Simulation State - run lifecycle', () => {
+  it('should track progress, pause and cancellation', () => {
+    let state = setRunning(createInitialState(), true);
+    state = updateProgress(state, 5, 20);
+    expect(state.progress).toBe(25);
+
+    state = setPaused(state, true);
+    expect(state.isPaused).toBe(true);
+
+    state = setCancelled(state);
+    expect(state.isRunning).toBe(false);
+    expect(state.isPaused).toBe(false);
+    expect(state.progress).toBe(0);
+  });
+
+  it('should ignore pause when not running', () => {
+    expect(setPaused(createInitialState(), true).isPaused).toBe(false);
+  });
+
+  it('should complete with results', () => {
+    const state = setResults(setRunning(createInitialState(), true), { agents: [], connections: [] });
+    expect(state.isRunning).toBe(false);
+    expect(state.progress).toBe(100);
+  });
+});
@@ -9,6 +9,7 @@ import {
   runSimulation,
   prepareVisualizationData,
 } from '../lib/agentSimulation';
+import { createRandom } from '../lib/random';
 
 /**
  * Create a complete simulation setup with default parameters
@@ -22,11 +23,13 @@ export function createTestSimulation(options = {}) {
     threshold = 0.3,
     recalculateAfter = 0,
     scenario = 'A',
+    seed = null,
   } = options;
 
-  const agentData = generateAgentPopulation(numAgents, dimension, numClusters);
-  const topics = generateTopics(dimension, scenario, agentData.clusterCenters);
-  const simResult = runSimulation(agentData.agents, topics, cycles, threshold, recalculateAfter);
+  const rng = seed === null ? Math.random : createRandom(seed);
+  const agentData = generateAgentPopulation(numAgents, dimension, numClusters, null, { rng });
+  const topics = generateTopics(dimension, scenario, agentData.clusterCenters, null, null, numClusters, recalculateAfter, agentData.agents, { rng });
+  const simResult = runSimulation(agentData.agents, topics, cycles, threshold, recalculateAfter, { rng });
   const vizData = prepareVisualizationData(simResult.agents, simResult.connections, threshold);
 
   return {
@@ -34,10 +37,42 @@ export function createTestSimulation(options = {}) {
     topics,
     simResult,
     vizData,
-    params: { numAgents, dimension, numClusters, cycles, threshold, recalculateAfter, scenario },
+    params: { numAgents, dimension, numClusters, cycles, threshold, recalculateAfter, scenario, seed },
   };
 }
 
+/**
+ * Seeded run of a generated population (30 agents, 3 clusters, scenario A topics) for the engine tests.
+ * clusterOpinions = [first, rest] gives the agents of cluster 0 the first opinion on every topic and the
+ * other agents the rest; agent(agent) and topic(topic) return fields set on each agent and topic before the run.
+ * @returns {Object} - Result of runSimulation with the topics
+ */
+export function runSeededSimulation(options = {}) {
+  const {
+    numAgents = 30,
+    cycles = 10,
+    seed = 4,
+    model = {},
+    clusterOpinions = null,
+    agent = null,
+    topic = null,
+  } = options;
+
+  const rng = createRandom(seed);
+  const { agents, clusterCenters } = generateAgentPopulation(numAgents, 10, 3, null, { rng });
+  const topics = generateTopics(10, 'A', clusterCenters, null, null, 3, 0, agents, { rng });
+  agents.forEach(item => {
+    if (clusterOpinions) {
+      const opinion = item.cluster === 0 ? clusterOpinions[0] : clusterOpinions[1];
+      item.opinions = Object.fromEntries(topics.map(({ id }) => [id, opinion]));
+    }
+    if (agent) Object.assign(item, agent(item));
+  });
+  if (topic) topics.forEach(item => Object.assign(item, topic(item)));
+
+  return { topics, ...runSimulation(agents, topics, cycles, 0.5, 0, { rng, model }) };
+}
+
 /**
  * Compare two simulation results
  */
@@ -200,7 +235,9 @@ export function createMockParams(overrides = {}) {
     vectorDimension: 10,
     numClusters: 3,
     cycles: 50,
-    threshold: 0.5,
+    agreementTolerance: 0.5,
+    edgeThreshold: 0.5,
+    strongTieThreshold: 0.7,
     recalculateClustersAfter: 0,
     scenario: 'A',
     ...overrides,
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_PARAMS, resolveThresholds, validateParams, mergeWithDefaults } from '../lib/simulationConfig';
+import { executeSimulation } from '../lib/simulationPipeline';
+import { getSimulationSummary } from '../lib/simulationState';
+import { createMockParams, createMockTopicSettings, createMockOpinionSettings } from './testHelpers';
+
+function runWith(overrides) {
+  return executeSimulation({
+    simulationParams: createMockParams({ agentCount: 25, cycles: 6, seed: 9, ...overrides }),
+    topicSettings: createMockTopicSettings(),
+    opinionSettings: createMockOpinionSettings(),
+  });
+}
+
+describe('Tie Thresholds', () => {
+  describe('configuration', () => {
+    it('should split the legacy threshold into the model tolerance and the edge cutoff', () => {
+      expect(resolveThresholds({ threshold: 0.3 })).toEqual({
+        agreementTolerance: 0.3,
+        edgeThreshold: 0.3,
+        strongTieThreshold: 0.7,
+      });
+      expect(resolveThresholds({ threshold: 0.9 }).strongTieThreshold).toBe(0.9);
+      expect(resolveThresholds({ threshold: 0.3, edgeThreshold: 0.1 })).toMatchObject({ agreementTolerance: 0.3, edgeThreshold: 0.1 });
+      expect(resolveThresholds({})).toEqual({ agreementTolerance: 0.5, edgeThreshold: 0.5, strongTieThreshold: 0.7 });
+    });
+
+    it('should replace the legacy threshold when merging with defaults', () => {
+      const merged = mergeWithDefaults({ threshold: 0.2 });
+
+      expect(merged).not.toHaveProperty('threshold');
+      expect(merged).toMatchObject({ agreementTolerance: 0.2, edgeThreshold: 0.2, strongTieThreshold: 0.7 });
+    });
+
+    it('should reject a strong-tie cutoff below the edge cutoff', () => {
+      expect(validateParams(DEFAULT_PARAMS).valid).toBe(true);
+
+      const result = validateParams({ ...DEFAULT_PARAMS, edgeThreshold: 0.6, strongTieThreshold: 0.4 });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('strongTieThreshold cannot be below edgeThreshold');
+    });
+  });
+
+  describe('engine and analysis', () => {
+    it('should change the outcome only through the agreement tolerance', async () => {
+      const base = await runWith({ agreementTolerance: 0.5, edgeThreshold: 0.3 });
+      const display = await runWith({ agreementTolerance: 0.5, edgeThreshold: 0.6 });
+      const model = await runWith({ agreementTolerance: 1.2, edgeThreshold: 0.3 });
+
+      expect(display.simulationResult.connections).toEqual(base.simulationResult.connections);
+      expect(display.vizData.links.length).toBeLessThanOrEqual(base.vizData.links.length);
+      expect(display.vizData.links.every(link => link.strength >= 0.6)).toBe(true);
+
+      expect(model.simulationResult.connections).not.toEqual(base.simulationResult.connections);
+    });
+
+    it('should report all three thresholds and count strong ties at their own cutoff', async () => {
+      const { report, vizData } = await runWith({ agreementTolerance: 0.8, edgeThreshold: 0.2, strongTieThreshold: 0.6 });
+      const strong = vizData.links.filter(link => link.strength >= 0.6).length;
+
+      expect(report).toContain('**Допуск согласия мнений (модель):** 0.8');
+      expect(report).toContain('порог связи: 0.2');
+      expect(report).toContain(`- **Сильные связи** (≥0.6): ${strong} `);
+    });
+
+    it('should summarize the state with the edge and strong-tie cutoffs', async () => {
+      const { simulationResult, vizData } = await runWith({ edgeThreshold: 0.2 });
+      const state = { results: simulationResult };
+
+      const summary = getSimulationSummary(state, { edgeThreshold: 0.2, strongTieThreshold: 0.6 });
+      expect(summary.activeConnections).toBe(vizData.links.length);
+      expect(summary.strongConnections).toBe(vizData.links.filter(link => link.strength >= 0.6).length);
+      expect(getSimulationSummary(state).activeConnections)
+        .toBe(vizData.links.filter(link => link.strength >= 0.5).length);
+    });
+
+    it('should count ties equal to the cutoffs', () => {
+      const connections = [[0, 0.5, 0.7], [0.5, 0, 0.4], [0.7, 0.4, 0]];
+      const state = { results: { agents: [0, 1, 2].map(id => ({ id, cluster: 0 })), connections } };
+
+      expect(getSimulationSummary(state)).toMatchObject({ activeConnections: 2, strongConnections: 1 });
+      expect(getSimulationSummary(state, { edgeThreshold: 0.4, strongTieThreshold: 0.5 }))
+        .toMatchObject({ activeConnections: 3, strongConnections: 2 });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import {
+  topicSalience,
+  hasAgendaTimeline,
+  agendaTimeline,
+  normalizeSalience,
+  normalizeTopicSettings,
+  resizeTopicSettings,
+} from '../lib/topicAgenda';
+import { executeSimulation } from '../lib/simulationPipeline';
+import { scenarioFileToConfig } from '../lib/headlessRun';
+import { createMockParams, createMockTopicSettings, createMockOpinionSettings, runSeededSimulation } from './testHelpers';
+import scenarioTemplate from '../../templates/scenario_template.json';
+
+// salience(topic) — значимость темы в прогоне
+const withAgenda = (salience, options = {}) => runSeededSimulation({
+  ...options,
+  seed: 6,
+  clusterOpinions: [0.8, -0.6],
+  topic: topic => ({ salience: salience(topic) }),
+});
+
+/**
+ * Topics whose opinions changed during the run
+ */
+function discussedTopics(result) {
+  const changed = new Set();
+  result.agents.forEach((agent, k) => {
+    result.topics.forEach(topic => {
+      if (agent.opinions[topic.id] !== result.initialOpinions[k][topic.id]) changed.add(topic.id);
+    });
+  });
+  return changed;
+}
+
+describe('Topic Agenda', () => {
+  describe('salience curves', () => {
+    it('should follow the entry and exit cycles and the curve', () => {
+      expect(topicSalience(undefined, 7)).toBe(1);
+      expect(topicSalience({ weight: 2, entryCycle: 3, exitCycle: 6 }, 2)).toBe(0);
+      expect(topicSalience({ weight: 2, entryCycle: 3, exitCycle: 6 }, 3)).toBe(2);
+      expect(topicSalience({ weight: 2, entryCycle: 3, exitCycle: 6 }, 6)).toBe(0);
+
+      const spike = { entryCycle: 2, curve: 'spike', halfLife: 4 };
+      expect(topicSalience(spike, 2)).toBe(1);
+      expect(topicSalience(spike, 6)).toBeCloseTo(0.5);
+      expect(topicSalience(spike, 10)).toBeCloseTo(0.25);
+
+      const periodic = { curve: 'periodic', period: 10, weight: 3 };
+      expect(topicSalience(periodic, 0)).toBeCloseTo(3);
+      expect(topicSalience(periodic, 5)).toBeCloseTo(0);
+      expect(topicSalience(periodic, 10)).toBeCloseTo(3);
+
+      expect(normalizeSalience({ curve: 'unknown' }).curve).toBe('constant');
+      expect(agendaTimeline([{ salience: { entryCycle: 1 } }, {}], 3)).toEqual([[0, 1, 1], [1, 1, 1]]);
+    });
+
+    it('should detect timelines that differ from the default', () => {
+      expect(hasAgendaTimeline([{ id: 0 }, { id: 1, salience: { weight: 1, curve: 'constant' } }])).toBe(false);
+      expect(hasAgendaTimeline([{ id: 0 }, { id: 1, salience: { exitCycle: 5 } }])).toBe(true);
+    });
+  });
+
+  describe('engine', () => {
+    it('should not change the run with a default agenda', () => {
+      const plain = runSeededSimulation({ seed: 6, clusterOpinions: [0.8, -0.6] });
+      const flat = withAgenda(() => ({ weight: 1, curve: 'constant' }));
+
+      expect(flat.connections).toEqual(plain.connections);
+    });
+
+    it('should discuss only the topics on the agenda', () => {
+      const model = { opinionChangeRate: 0.3, confidenceBound: 2 };
+      const single = withAgenda(topic => (topic.id === 2 ? {} : { exitCycle: 0 }), { model });
+      expect([...discussedTopics(single)]).toEqual([2]);
+
+      // Без тем в повестке разговоров нет: связи остаются начальными
+      const empty = withAgenda(() => ({ entryCycle: 100 }), { model });
+      const initial = withAgenda(() => ({ entryCycle: 100 }), { model, cycles: 0 });
+      expect(empty.connections).toEqual(initial.connections);
+    });
+
+    it('should switch the discussion when a topic enters the agenda', () => {
+      const model = { opinionChangeRate: 0.3, confidenceBound: 2 };
+      const schedule = topic => {
+        if (topic.id === 0) return { exitCycle: 5 };
+        if (topic.id === 1) return { entryCycle: 5, curve: 'spike', halfLife: 2 };
+        return { exitCycle: 0 };
+      };
+      const early = withAgenda(schedule, { model, cycles: 5 });
+      const late = withAgenda(schedule, { model, cycles: 10 });
+
+      expect([...discussedTopics(early)]).toEqual([0]);
+      expect([...discussedTopics(late)].sort()).toEqual([0, 1]);
+    });
+  });
+
+  describe('scenarios', () => {
+    it('should read topic weights and the timeline of the scenario template', () => {
+      const config = scenarioFileToConfig(scenarioTemplate, { overrides: { seed: 1 } });
+      const [first, second, third] = config.topicSettings.topics;
+
+      expect(first.salience).toEqual({ weight: 1, curve: 'constant' });
+      expect(second.salience).toMatchObject({ weight: 1, entryCycle: 20, exitCycle: 60, curve: 'spike', halfLife: 10 });
+      expect(third.salience).toMatchObject({ curve: 'periodic', period: 25 });
+    });
+
+    it('should keep the names and timeline of an imported template when the topic count is applied', () => {
+      const imported = normalizeTopicSettings({
+        ...scenarioTemplate.topicSettings,
+        topicNames: ['Экономика', 'Выборы', 'Климат'],
+        topicWeights: [1, 2, 0.5],
+      });
+      // Приложение подгоняет темы под новое число (было 10, в шаблоне 3)
+      const topics = resizeTopicSettings(imported.topics, imported.numTopics);
+
+      expect(topics.map(topic => topic.name)).toEqual(['Экономика', 'Выборы', 'Климат']);
+      expect(topics[1].salience).toMatchObject({ weight: 2, entryCycle: 20, exitCycle: 60, curve: 'spike', halfLife: 10 });
+      expect(topics[2].salience).toMatchObject({ weight: 0.5, curve: 'periodic', period: 25 });
+      expect(agendaTimeline(topics, 30)).toEqual(agendaTimeline(imported.topics, 30));
+      expect(normalizeTopicSettings(imported)).toEqual(imported);
+
+      const grown = resizeTopicSettings(topics, 5);
+      expect(grown.slice(0, 3)).toEqual(topics);
+      expect(grown.slice(3).map(topic => [topic.id, topic.name, topic.salience])).toEqual([[3, 'Тема 4', undefined], [4, 'Тема 5', undefined]]);
+      expect(resizeTopicSettings(topics, 2)).toEqual(topics.slice(0, 2));
+    });
+
+    it('should pass the topic timeline of the topic settings to the run', async () => {
+      const topicSettings = createMockTopicSettings({
+        numTopics: 3,
+        topics: [0, 1, 2].map(id => ({
+          id,
+          name: `Тема ${id + 1}`,
+          type: 'random',
+          ...(id === 1 ? { salience: { entryCycle: 2, curve: 'spike', halfLife: 3 } } : {}),
+        })),
+      });
+      const run = await executeSimulation({
+        simulationParams: createMockParams({ agentCount: 12, cycles: 3, seed: 5 }),
+        topicSettings,
+        opinionSettings: createMockOpinionSettings(),
+      });
+
+      expect(run.topics[1].salience).toEqual({ entryCycle: 2, curve: 'spike', halfLife: 3 });
+      expect(run.topics[0].salience).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PROJECTION_METHODS,
+  symmetricEigen,
+  pcaProjection,
+  tsneProjection,
+  umapProjection,
+  projectValueSpace,
+} from '../lib/valueProjection';
+import { createRandom } from '../lib/random';
+
+// Две группы векторов вокруг разных осей 5-мерного пространства
+function twoGroups(size, seed) {
+  const rng = createRandom(seed);
+  return [0, 3].flatMap(axis => Array.from({ length: size }, () => {
+    const vector = Array.from({ length: 5 }, () => (rng() - 0.5) * 0.2);
+    vector[axis] += 1;
+    return vector;
+  }));
+}
+
+// Отношение среднего расстояния внутри групп к среднему между группами
+function separation(points, size) {
+  let within = 0;
+  let between = 0;
+  let withinCount = 0;
+  let betweenCount = 0;
+  points.forEach((p, i) => points.forEach((q, j) => {
+    if (j <= i) return;
+    const distance = Math.hypot(p[0] - q[0], p[1] - q[1]);
+    if ((i < size) === (j < size)) {
+      within += distance;
+      withinCount++;
+    } else {
+      between += distance;
+      betweenCount++;
+    }
+  }));
+  return (within / withinCount) / (between / betweenCount);
+}
+
+describe('Value projection', () => {
+  it('should decompose a symmetric matrix', () => {
+    const { values, vectors } = symmetricEigen([[2, 1], [1, 2]]);
+
+    expect(values[0]).toBeCloseTo(3);
+    expect(values[1]).toBeCloseTo(1);
+    expect(vectors[0][0]).toBeCloseTo(Math.SQRT1_2);
+    expect(vectors[0][1]).toBeCloseTo(Math.SQRT1_2);
+    expect(Math.abs(vectors[1][0])).toBeCloseTo(Math.SQRT1_2);
+    expect(vectors[1][0] * vectors[1][1]).toBeCloseTo(-0.5);
+  });
+
+  describe('pcaProjection', () => {
+    it('should find the direction of largest variance', () => {
+      // Единичные векторы в плоскости (x, y) под углами от 0 до 30°: основной разброс — вдоль y
+      const vectors = [0, 10, 20, 30].map(deg => [Math.cos((deg * Math.PI) / 180), Math.sin((deg * Math.PI) / 180), 0]);
+      const { axes, explained, points } = pcaProjection(vectors);
+
+      expect(explained[0]).toBeGreaterThan(0.95);
+      expect(explained[0] + explained[1]).toBeCloseTo(1);
+      expect(Math.abs(axes[0][2])).toBeCloseTo(0);
+      expect(points.map(point => point[0])).toEqual([...points.map(point => point[0])].sort((a, b) => a - b));
+    });
+
+    it('should project new vectors with the fitted axes', () => {
+      const vectors = twoGroups(10, 1);
+      const { points, project } = pcaProjection(vectors);
+
+      expect(project(vectors[3])[0]).toBeCloseTo(points[3][0]);
+      // Длина вектора не важна — сравнивается направление
+      expect(project(vectors[3].map(value => value * 5))[1]).toBeCloseTo(points[3][1]);
+      expect(separation(points, 10)).toBeLessThan(0.3);
+    });
+
+    it('should pad missing components with zero axes', () => {
+      const { points, explained } = pcaProjection([[1], [-1]]);
+      expect(points.map(point => point[1])).toEqual([0, 0]);
+      expect(explained[1]).toBe(0);
+    });
+  });
+
+  it('should separate groups with t-SNE', () => {
+    const points = tsneProjection(twoGroups(15, 2), { perplexity: 5, iterations: 300, rng: createRandom(1) });
+
+    expect(points).toHaveLength(30);
+    expect(separation(points, 15)).toBeLessThan(0.5);
+  });
+
+  it('should separate groups with UMAP', () => {
+    const points = umapProjection(twoGroups(20, 3), { neighbours: 5, epochs: 100, rng: createRandom(1) });
+
+    expect(points).toHaveLength(40);
+    points.flat().forEach(value => expect(Number.isFinite(value)).toBe(true));
+    expect(separation(points, 20)).toBeLessThan(0.5);
+  });
+
+  describe('projectValueSpace', () => {
+    const vectors = twoGroups(10, 4);
+    const space = {
+      agents: vectors.map((values, id) => ({ id, values, cluster: id < 10 ? 0 : 1 })),
+      centers: [{ cluster: 0, vector: [1, 0, 0, 0, 0] }, { cluster: 1, vector: [0, 0, 0, 1, 0] }],
+      topics: [{ id: 0, vector: [1, 0, 0, 0.1, 0] }],
+    };
+
+    it('should place agents, centers and topics in one plane', () => {
+      PROJECTION_METHODS.forEach(({ id }) => {
+        const result = projectValueSpace(space, id, { perplexity: 5, iterations: 200, neighbours: 5, epochs: 50 });
+
+        expect(result.agents.map(agent => agent.id)).toEqual(vectors.map((_, i) => i));
+        expect(result.centers.map(center => center.cluster)).toEqual([0, 1]);
+        expect(result.topics).toHaveLength(1);
+        expect(result.sampled).toBe(false);
+        expect(result.explained === null).toBe(id !== 'pca');
+      });
+    });
+
+    it('should put a topic next to the center it is close to', () => {
+      const { centers, topics } = projectValueSpace(space, 'pca');
+      const distanceTo = center => Math.hypot(center.x - topics[0].x, center.y - topics[0].y);
+
+      expect(distanceTo(centers[0])).toBeLessThan(distanceTo(centers[1]));
+    });
+
+    it('should sample large populations reproducibly', () => {
+      const first = projectValueSpace(space, 'pca', { maxPoints: 5, seed: 7 });
+      const second = projectValueSpace(space, 'pca', { maxPoints: 5, seed: 7 });
+
+      expect(first.sampled).toBe(true);
+      expect(first.agents).toHaveLength(5);
+      expect(first.agents).toEqual(second.agents);
+    });
+
+    it('should reject unknown methods', () => {
+      expect(() => projectValueSpace(space, 'mds')).toThrow('Unknown projection method: mds');
+    });
+  });
+});